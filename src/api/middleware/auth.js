@@ -1,7 +1,17 @@
 const jwt = require('jsonwebtoken');
 const Agent = require('../../database/models/Agent');
+const organizationService = require('../../services/organizationService');
+const tenantContext = require('../../utils/tenantContext');
 
-// Basic API key authentication middleware (for internal APIs)
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+// Whether a request carries the platform API key from the environment
+const hasPlatformKey = (apiKey) => {
+  const platformKey = process.env.API_KEY;
+  return Boolean(platformKey) && apiKey === `Bearer ${platformKey}`;
+};
+
+// API key authentication for internal APIs; every request is scoped to one organization
 const authenticateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
 
@@ -9,11 +19,46 @@ const authenticateApiKey = (req, res, next) => {
     return res.status(401).json({ error: 'API key required' });
   }
 
-  // In production, validate against database or secure store
-  // For development, use environment variable
-  const validApiKey = process.env.API_KEY;
+  // The platform key acts for the organization named in X-Organization-Id
+  if (hasPlatformKey(apiKey)) {
+    const organizationId = req.headers['x-organization-id'];
+    if (!organizationId || !OBJECT_ID_PATTERN.test(organizationId)) {
+      return res.status(400).json({ error: 'X-Organization-Id header required with the platform API key' });
+    }
+
+    req.organizationId = organizationId;
+    return tenantContext.run(organizationId, next);
+  }
+
+  const tenantKey = apiKey.replace(/^Bearer /, '');
+  if (!organizationService.isTenantApiKey(tenantKey)) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+
+  return organizationService.findByApiKey(tenantKey)
+    .then(organization => {
+      if (!organization) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      req.organizationId = organization._id.toString();
+      return tenantContext.run(req.organizationId, next);
+    })
+    .catch(error => {
+      console.error('Error checking API key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+};
+
+// Platform API key only, for managing organizations
+const authenticatePlatformKey = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'] || req.headers['authorization'];
+
+  if (!apiKey) {
+    return res.status(401).json({ error: 'API key required' });
+  }
 
-  if (!validApiKey || apiKey !== `Bearer ${validApiKey}`) {
+  if (!hasPlatformKey(apiKey)) {
     return res.status(401).json({ error: 'Invalid API key' });
   }
 
@@ -30,11 +75,20 @@ const authenticateJWT = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret');
+
+    // Tokens issued before organizations existed can't be scoped
+    if (!decoded.organization_id) {
+      return res.status(401).json({ error: 'Token has no organization, please sign in again' });
+    }
+
     req.agent = decoded;
-    next();
+    req.organizationId = decoded.organization_id;
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // Outside the try so errors thrown by later handlers aren't reported as a bad token
+  return tenantContext.run(req.organizationId, next);
 };
 
 // Middleware to check if agent is admin
@@ -47,6 +101,7 @@ const requireAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateApiKey,
+  authenticatePlatformKey,
   authenticateJWT,
   requireAdmin
 };
\ No newline at end of file
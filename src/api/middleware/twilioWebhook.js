@@ -0,0 +1,217 @@
+const logger = require('../../utils/logger');
+const { redis } = require('../../services/queueService');
+const telephony = require('../../services/telephony');
+const organizationService = require('../../services/organizationService');
+const tenantContext = require('../../utils/tenantContext');
+
+// Reject signed requests whose Timestamp parameter is older than this
+const MAX_AGE_SECONDS = parseInt(process.env.TWILIO_WEBHOOK_MAX_AGE_SECONDS, 10) || 300;
+
+// How long a seen webhook event is remembered for replay detection
+const REPLAY_TTL_SECONDS = parseInt(process.env.TWILIO_WEBHOOK_REPLAY_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+/**
+ * Take the first value of a possibly comma-separated forwarded header
+ * @param {string} value - Header value
+ * @returns {string|undefined} - First value
+ */
+function firstHeaderValue(value) {
+  return value ? value.split(',')[0].trim() : undefined;
+}
+
+/**
+ * Rebuild the public URL Twilio requested, which is what it signs
+ * @param {Object} req - Express request
+ * @returns {string} - Full request URL
+ */
+function getWebhookUrl(req) {
+  const publicBaseUrl = process.env.TWILIO_WEBHOOK_BASE_URL;
+  if (publicBaseUrl) {
+    return publicBaseUrl.replace(/\/+$/, '') + req.originalUrl;
+  }
+
+  const protocol = firstHeaderValue(req.get('X-Forwarded-Proto')) || req.protocol;
+  const host = firstHeaderValue(req.get('X-Forwarded-Host')) || req.get('Host');
+  return `${protocol}://${host}${req.originalUrl}`;
+}
+
+/**
+ * Whether signature checks are switched off for local development
+ * @returns {boolean}
+ */
+function validationDisabled() {
+  return process.env.TWILIO_WEBHOOK_VALIDATION === 'false' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Check the optional Timestamp parameter Twilio sends on status callbacks
+ * @param {Object} params - POST parameters
+ * @returns {boolean} - False if the request is too old or from the future
+ */
+function isFresh(params) {
+  if (!params || !params.Timestamp) return true;
+
+  const sentAt = Date.parse(params.Timestamp);
+  if (isNaN(sentAt)) return true;
+
+  return Math.abs(Date.now() - sentAt) <= MAX_AGE_SECONDS * 1000;
+}
+
+/**
+ * Identify the event a webhook reports, so a replay of it can be told apart from a
+ * legitimate repeat: the signature can't be used, as Twilio signs the same URL and
+ * params identically every time, e.g. each <Redirect> back to the call menu
+ * @param {Object} params - POST parameters
+ * @returns {string|null} - Event key, or null when the request carries no event ID
+ */
+function getEventKey(params) {
+  if (params.TranscriptionSid) return `transcription:${params.TranscriptionSid}`;
+  if (params.RecordingSid) return `recording:${params.RecordingSid}:${params.RecordingStatus || ''}`;
+  if (params.MessageSid) return `message:${params.MessageSid}:${params.SmsStatus || params.MessageStatus || ''}`;
+  if (params.CallSid && params.CallStatus) return `call:${params.CallSid}:${params.CallStatus}`;
+  return null;
+}
+
+/**
+ * Remember an event in Redis, returning false if it was already seen
+ * @param {string} nonceKey - Redis key for this request
+ * @returns {Promise<boolean>} - True if this is the first time
+ */
+async function claimNonce(nonceKey) {
+  try {
+    const result = await redis.set(nonceKey, Date.now().toString(), 'EX', REPLAY_TTL_SECONDS, 'NX');
+    return result === 'OK';
+  } catch (error) {
+    // The signature is already verified, so don't drop Twilio traffic when Redis is down
+    logger.warn('Twilio webhook replay cache unavailable', { error: error.message });
+    return true;
+  }
+}
+
+/**
+ * Log a rejected webhook and send the error response
+ */
+function reject(req, res, status, reason, url) {
+  logger.warn('Twilio webhook rejected', {
+    reason,
+    method: req.method,
+    path: req.originalUrl,
+    url,
+    ip: req.ip,
+    callSid: req.body && req.body.CallSid,
+    messageSid: req.body && req.body.MessageSid,
+    userAgent: req.get('User-Agent')
+  });
+  return res.status(status).json({ error: reason });
+}
+
+/**
+ * Check X-Twilio-Signature and the Timestamp, sending the error response if either is bad
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - True if the request may be handled
+ */
+function verifyRequest(req, res) {
+  const signature = req.get('X-Twilio-Signature');
+  const url = getWebhookUrl(req);
+
+  if (validationDisabled()) {
+    logger.warn(`Twilio webhook validation disabled, accepting ${req.originalUrl}`);
+    return true;
+  }
+
+  if (!signature) {
+    reject(req, res, 400, 'Missing Twilio signature', url);
+    return false;
+  }
+
+  if (!telephony.isConfigured()) {
+    logger.error(`Webhook received but the ${telephony.name} telephony provider is not configured`);
+    res.status(500).json({ error: 'Webhook validation not configured' });
+    return false;
+  }
+
+  const params = req.body || {};
+  if (!telephony.validateRequest(signature, url, params)) {
+    reject(req, res, 403, 'Invalid Twilio signature', url);
+    return false;
+  }
+
+  if (!isFresh(params)) {
+    reject(req, res, 403, 'Stale Twilio webhook', url);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Middleware to verify X-Twilio-Signature on the interactive call flow (/voice, /gather),
+ * which Twilio requests again with the same params every time the menu repeats
+ */
+const validateTwilioRequest = (req, res, next) => {
+  if (verifyRequest(req, res)) {
+    next();
+  }
+};
+
+/**
+ * Middleware to verify X-Twilio-Signature and block replayed event webhooks
+ * (recordings, transcriptions, messages and call status changes)
+ */
+const validateTwilioWebhook = async (req, res, next) => {
+  if (!verifyRequest(req, res)) return;
+
+  const eventKey = validationDisabled() ? null : getEventKey(req.body || {});
+  if (!eventKey) {
+    return next();
+  }
+
+  const nonceKey = `twilio:webhook:${eventKey}`;
+  if (!(await claimNonce(nonceKey))) {
+    return reject(req, res, 409, 'Duplicate Twilio webhook', getWebhookUrl(req));
+  }
+
+  // Let Twilio's own retry through if we failed to handle this request
+  res.on('finish', () => {
+    if (res.statusCode >= 500) {
+      redis.del(nonceKey).catch(() => {});
+    }
+  });
+
+  next();
+};
+
+/**
+ * Middleware to run a verified webhook inside the organization it belongs to,
+ * found from the delivery in the URL, the call SID or the number texted
+ */
+const resolveWebhookTenant = async (req, res, next) => {
+  const params = req.body || {};
+  let organizationId;
+
+  try {
+    organizationId = await organizationService.resolveWebhookOrganization({
+      deliveryId: req.query.delivery_id,
+      callSid: params.CallSid || params.MessageSid,
+      to: params.To
+    });
+  } catch (error) {
+    logger.error('Failed to resolve Twilio webhook organization:', error);
+    return res.status(500).send('Internal server error');
+  }
+
+  // e.g. a text to the shared default number; handled unscoped, as before organizations
+  if (!organizationId) {
+    logger.warn(`Twilio webhook ${req.originalUrl} not matched to an organization`, { callSid: params.CallSid, to: params.To });
+  }
+
+  return tenantContext.run(organizationId, next);
+};
+
+module.exports = {
+  validateTwilioWebhook,
+  validateTwilioRequest,
+  resolveWebhookTenant,
+  getWebhookUrl
+};
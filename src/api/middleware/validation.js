@@ -57,6 +57,58 @@ const validateParams = (schema) => {
   };
 };
 
+// Structured address; coordinates are looked up by the geocoder unless given
+const addressFields = {
+  label: Joi.string().max(50),
+  line1: Joi.string().min(3).max(200),
+  line2: Joi.string().max(200).allow(''),
+  city: Joi.string().max(100),
+  region: Joi.string().max(100),
+  postal_code: Joi.string().max(20),
+  country: Joi.string().length(2),
+  access_notes: Joi.string().max(500).allow(''),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+};
+
+// Prompt templates a call script can define
+const callScriptPrompts = Joi.object({
+  greeting: Joi.string().max(1000).allow(''),
+  menu: Joi.string().max(1000).allow(''),
+  language_switch: Joi.string().max(1000).allow(''),
+  no_selection: Joi.string().max(1000).allow(''),
+  invalid_option: Joi.string().max(1000).allow(''),
+  confirmed: Joi.string().max(1000).allow(''),
+  reschedule: Joi.string().max(1000).allow(''),
+  safe_place: Joi.string().max(1000).allow(''),
+  instructions: Joi.string().max(1000).allow(''),
+  no_recording: Joi.string().max(1000).allow(''),
+  voicemail: Joi.string().max(1000).allow(''),
+  error: Joi.string().max(1000).allow('')
+});
+
+// Branding customers see and hear, per organization
+const organizationBranding = Joi.object({
+  merchant_name: Joi.string().max(100).allow(''),
+  logo_url: Joi.string().uri().allow(''),
+  primary_color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).allow('')
+});
+
+// Filters shared by the audit log listing and export
+const auditFilters = {
+  actor: Joi.string().length(24).hex(),
+  action: Joi.string().pattern(/^[a-z_]+\.[a-z_]+$/),
+  target_type: Joi.string().valid(
+    'delivery', 'agent', 'do_not_call', 'customer', 'call_script', 'campaign',
+    'proof_of_delivery', 'queue_job', 'queue', 'dead_letter', 'scheduler', 'recording',
+    'organization'
+  ),
+  target_id: Joi.string().max(100),
+  request_id: Joi.string().max(128),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+};
+
 // Common validation schemas
 const schemas = {
   // Agent validation
@@ -86,12 +138,29 @@ const schemas = {
   }),
 
   // Delivery validation
+  // Customer is an existing customer_id, or found or created by customer_phone
   deliveryCreate: Joi.object({
-    customer_name: Joi.string().min(2).max(100).required(),
-    customer_phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
-    address: Joi.string().min(10).max(500).required(),
+    customer_id: Joi.string().length(24).hex(),
+    customer_name: Joi.string().min(2).max(100),
+    customer_phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/),
+    agent_id: Joi.string().length(24).hex(),
+    merchant_reference: Joi.string().max(100),
+    // Saved address, or a new one (free text or structured) added to the customer's address book;
+    // the customer's default address when neither is given
+    address_id: Joi.string().length(24).hex(),
+    address: Joi.alternatives().try(
+      Joi.string().min(10).max(500),
+      Joi.object({ ...addressFields, line1: addressFields.line1.required() }).and('latitude', 'longitude')
+    ),
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180),
     scheduled_time: Joi.date().iso().required(),
+    time_window: Joi.object({
+      start: Joi.date().iso().required(),
+      end: Joi.date().iso().greater(Joi.ref('start')).required()
+    }),
     special_instructions: Joi.string().max(1000),
+    notes: Joi.string().max(1000),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
     items: Joi.array().items(
       Joi.object({
@@ -100,7 +169,8 @@ const schemas = {
         value: Joi.number().min(0)
       })
     )
-  }),
+  }).xor('customer_id', 'customer_phone').with('customer_phone', 'customer_name').with('address_id', 'customer_id')
+    .oxor('address', 'address_id').and('latitude', 'longitude'),
 
   deliveryUpdate: Joi.object({
     customer_name: Joi.string().min(2).max(100),
@@ -109,7 +179,8 @@ const schemas = {
     scheduled_time: Joi.date().iso(),
     special_instructions: Joi.string().max(1000),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent'),
-    status: Joi.string().valid('pending', 'assigned', 'in_transit', 'delivered', 'failed', 'cancelled'),
+    status: Joi.string().valid('scheduled', 'assigned', 'in_transit', 'delivered', 'failed', 'cancelled'),
+    status_reason: Joi.string().max(500),
     items: Joi.array().items(
       Joi.object({
         name: Joi.string(),
@@ -126,6 +197,131 @@ const schemas = {
     agent_id: Joi.string().length(24).hex().required()
   }),
 
+  // Call script validation
+  callScriptCreate: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(500).allow(''),
+    language: Joi.string().lowercase().min(2).max(5).default('en'),
+    prompts: callScriptPrompts.required()
+  }),
+
+  callScriptUpdate: Joi.object({
+    description: Joi.string().max(500).allow(''),
+    prompts: callScriptPrompts.min(1)
+  }).min(1),
+
+  callScriptPreview: Joi.object({
+    delivery_id: Joi.string().length(24).hex(),
+    variables: Joi.object({
+      customer_name: Joi.string().max(100),
+      delivery_window: Joi.string().max(100),
+      merchant_name: Joi.string().max(100),
+      address: Joi.string().max(500),
+      callback_number: Joi.string().max(50)
+    })
+  }),
+
+  // Call campaign validation; either a day or a scheduled time range
+  campaignCreate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    date: Joi.date().iso(),
+    scheduled_from: Joi.date().iso(),
+    scheduled_to: Joi.date().iso().greater(Joi.ref('scheduled_from')),
+    statuses: Joi.array().items(Joi.string()).min(1),
+    agent_id: Joi.string().length(24).hex(),
+    window_start: Joi.date().iso(),
+    window_end: Joi.date().iso()
+  }).xor('date', 'scheduled_from').and('scheduled_from', 'scheduled_to'),
+
+  // Proof of delivery: images are base64 data URLs
+  proofCapture: Joi.object({
+    photo: Joi.string().dataUri(),
+    signature: Joi.string().dataUri(),
+    recipient_name: Joi.string().max(100),
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180),
+    accuracy: Joi.number().min(0),
+    notes: Joi.string().max(1000),
+    captured_at: Joi.date().iso()
+  }).or('photo', 'signature').and('latitude', 'longitude'),
+
+  // Customer validation; phone numbers are normalized to E.164
+  customerCreate: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    phone: Joi.string().pattern(/^[+\d\s().-]{7,20}$/).required(),
+    email: Joi.string().email(),
+    language: Joi.string().valid('en', 'es'),
+    timezone: Joi.string().max(50),
+    preferences: Joi.object(),
+    sms_opt_out: Joi.boolean()
+  }),
+
+  customerUpdate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    phone: Joi.string().pattern(/^[+\d\s().-]{7,20}$/),
+    email: Joi.string().email().allow(null),
+    language: Joi.string().valid('en', 'es'),
+    timezone: Joi.string().max(50).allow(null),
+    preferences: Joi.object(),
+    sms_opt_out: Joi.boolean()
+  }).min(1),
+
+  customerSearch: Joi.object({
+    q: Joi.string().trim().min(2).max(100),
+    phone: Joi.string().pattern(/\d/).max(20),
+    name: Joi.string().trim().min(1).max(100),
+    email: Joi.string().trim().min(1).max(100),
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  }),
+
+  customerAddressCreate: Joi.object({
+    ...addressFields,
+    line1: addressFields.line1.required(),
+    is_default: Joi.boolean()
+  }).and('latitude', 'longitude'),
+
+  customerAddressUpdate: Joi.object({
+    ...addressFields,
+    is_default: Joi.boolean()
+  }).and('latitude', 'longitude').min(1),
+
+  customerAddressParams: Joi.object({
+    id: Joi.string().length(24).hex().required(),
+    addressId: Joi.string().length(24).hex().required()
+  }),
+
+  customerMerge: Joi.object({
+    source_id: Joi.string().length(24).hex().required()
+  }),
+
+  // Organization (tenant) validation; managed with the platform API key
+  organizationCreate: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    slug: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(50),
+    phone_number: Joi.string().pattern(/^[+\d\s().-]{7,20}$/),
+    branding: organizationBranding
+  }),
+
+  organizationUpdate: Joi.object({
+    name: Joi.string().min(2).max(100),
+    phone_number: Joi.string().pattern(/^[+\d\s().-]{7,20}$/),
+    branding: organizationBranding,
+    is_active: Joi.boolean()
+  }).min(1),
+
+  // Audit log (admin)
+  auditQuery: Joi.object({
+    ...auditFilters,
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100)
+  }),
+
+  auditExport: Joi.object({
+    ...auditFilters,
+    format: Joi.string().valid('csv', 'json')
+  }),
+
   // Push notification validation
   pushSubscribe: Joi.object({
     endpoint: Joi.string().uri().required(),
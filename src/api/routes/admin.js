@@ -4,7 +4,18 @@ const Delivery = require('../../database/models/Delivery');
 const Agent = require('../../database/models/Agent');
 const CallLog = require('../../database/models/CallLog');
 const Recording = require('../../database/models/Recording');
+const DoNotCall = require('../../database/models/DoNotCall');
+const BlockedCall = require('../../database/models/BlockedCall');
+const AuditLog = require('../../database/models/AuditLog');
+const auditService = require('../../services/auditService');
+const callingPolicyService = require('../../services/callingPolicyService');
+const callSchedulingService = require('../../services/callSchedulingService');
+const deliveryStatusService = require('../../services/deliveryStatusService');
+const deliveryService = require('../../services/deliveryService');
+const proofOfDeliveryService = require('../../services/proofOfDeliveryService');
 const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { validateBody, validateQuery, schemas } = require('../middleware/validation');
+const { formatPhoneNumber } = require('../../utils/helpers');
 
 // GET /api/admin/dashboard - Admin dashboard data
 router.get('/dashboard', authenticateJWT, requireAdmin, async (req, res) => {
@@ -55,12 +66,14 @@ router.get('/dashboard', authenticateJWT, requireAdmin, async (req, res) => {
         customer: d.customer_id,
         agent: d.agent_id,
         scheduledTime: d.scheduled_time,
+        callAttempts: d.call_attempts || 0,
         updatedAt: d.updatedAt
       })),
       recentCallLogs: recentCallLogs.map(c => ({
         id: c._id,
         delivery: c.delivery_id,
         status: c.status,
+        attempt: c.attempt || 1,
         createdAt: c.createdAt
       })),
       systemHealth
@@ -98,6 +111,8 @@ router.get('/deliveries', authenticateJWT, requireAdmin, async (req, res) => {
         customer: d.customer_id,
         agent: d.agent_id,
         scheduledTime: d.scheduled_time,
+        callAttempts: d.call_attempts || 0,
+        proofId: d.proof_id || null,
         createdAt: d.createdAt,
         updatedAt: d.updatedAt
       })),
@@ -114,32 +129,65 @@ router.get('/deliveries', authenticateJWT, requireAdmin, async (req, res) => {
   }
 });
 
-// POST /api/admin/deliveries - Create new delivery
-router.post('/deliveries', authenticateJWT, requireAdmin, async (req, res) => {
+// GET /api/admin/deliveries/:id - Delivery with its status history and proofs of delivery
+router.get('/deliveries/:id', authenticateJWT, requireAdmin, async (req, res) => {
   try {
-    const { address, customer_id, agent_id, scheduled_time } = req.body;
-
-    const delivery = new Delivery({
-      address,
-      customer_id,
-      agent_id,
-      scheduled_time: new Date(scheduled_time),
-      status: 'scheduled'
+    const delivery = await Delivery.findById(req.params.id)
+      .populate('customer_id', 'name phone timezone')
+      .populate('agent_id', 'name email');
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const proofs = await proofOfDeliveryService.getProofs(delivery._id);
+
+    res.json({
+      id: delivery._id,
+      address: delivery.address,
+      status: delivery.status,
+      customer: delivery.customer_id,
+      agent: delivery.agent_id,
+      scheduledTime: delivery.scheduled_time,
+      callAttempts: delivery.call_attempts || 0,
+      customerResponse: delivery.customer_response || null,
+      statusHistory: delivery.status_history || [],
+      proofs: proofs.map(proof => proofOfDeliveryService.formatProof(proof)),
+      createdAt: delivery.createdAt,
+      updatedAt: delivery.updatedAt
     });
+  } catch (error) {
+    console.error('Error fetching delivery:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    await delivery.save();
+// POST /api/admin/deliveries - Create new delivery; takes the same fields as POST /api/deliveries
+router.post('/deliveries', authenticateJWT, requireAdmin, validateBody(schemas.deliveryCreate), async (req, res) => {
+  try {
+    const result = await deliveryService.createDelivery(req.body);
+    if (!result.created) {
+      return res.status(400).json({ error: deliveryService.describeRejection(result.reason) });
+    }
+
+    const { delivery } = result;
+    await auditService.record(req, { action: 'delivery.create', target: { type: 'delivery', id: delivery._id }, after: delivery });
 
     // Populate and return
-    await delivery.populate('customer_id', 'name phone');
+    await delivery.populate('customer_id', 'name phone timezone');
     await delivery.populate('agent_id', 'name email');
 
+    // Queue the pre-delivery customer call
+    await callSchedulingService.scheduleDeliveryCall(delivery);
+
     res.status(201).json({
       id: delivery._id,
       address: delivery.address,
       status: delivery.status,
       customer: delivery.customer_id,
       agent: delivery.agent_id,
-      scheduledTime: delivery.scheduled_time
+      scheduledTime: delivery.scheduled_time,
+      callScheduledFor: delivery.call_scheduled_for || null
     });
   } catch (error) {
     console.error('Error creating delivery:', error);
@@ -150,30 +198,59 @@ router.post('/deliveries', authenticateJWT, requireAdmin, async (req, res) => {
 // PUT /api/admin/deliveries/:id - Update delivery
 router.put('/deliveries/:id', authenticateJWT, requireAdmin, async (req, res) => {
   try {
-    const { status, agent_id, scheduled_time } = req.body;
+    const { status, status_reason, agent_id, scheduled_time } = req.body;
+
+    const before = await Delivery.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
 
     const updateData = {};
-    if (status) updateData.status = status;
     if (agent_id) updateData.agent_id = agent_id;
     if (scheduled_time) updateData.scheduled_time = new Date(scheduled_time);
 
-    const delivery = await Delivery.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    ).populate('customer_id', 'name phone').populate('agent_id', 'name email');
+    const populate = [
+      { path: 'customer_id', select: 'name phone timezone' },
+      { path: 'agent_id', select: 'name email' }
+    ];
+
+    let delivery;
+    if (status) {
+      // Written in the same update as the status, so either both apply or neither does
+      const result = await deliveryStatusService.transition(req.params.id, status, {
+        actor: { type: 'admin', id: req.agent.id },
+        reason: status_reason,
+        set: updateData
+      });
+
+      if (!result.updated) {
+        const code = result.reason === 'not_found' ? 404 : result.reason === 'invalid_status' ? 400 : 409;
+        return res.status(code).json({ error: deliveryStatusService.describeRejection(result), allowed: result.allowed });
+      }
+
+      delivery = result.delivery && await result.delivery.populate(populate);
+    } else {
+      delivery = await Delivery.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true })
+        .populate(populate);
+    }
 
     if (!delivery) {
       return res.status(404).json({ error: 'Delivery not found' });
     }
 
+    await auditService.record(req, { action: 'delivery.update', target: { type: 'delivery', id: delivery._id }, before, after: delivery });
+
+    // Move or remove the queued call if the delivery was rescheduled or cancelled
+    await callSchedulingService.handleDeliveryUpdate(delivery, updateData);
+
     res.json({
       id: delivery._id,
       address: delivery.address,
       status: delivery.status,
       customer: delivery.customer_id,
       agent: delivery.agent_id,
-      scheduledTime: delivery.scheduled_time
+      scheduledTime: delivery.scheduled_time,
+      callScheduledFor: delivery.call_scheduled_for || null
     });
   } catch (error) {
     console.error('Error updating delivery:', error);
@@ -190,6 +267,10 @@ router.delete('/deliveries/:id', authenticateJWT, requireAdmin, async (req, res)
       return res.status(404).json({ error: 'Delivery not found' });
     }
 
+    await auditService.record(req, { action: 'delivery.delete', target: { type: 'delivery', id: delivery._id }, before: delivery });
+
+    await callSchedulingService.cancelDeliveryCall(delivery);
+
     res.json({ message: 'Delivery deleted successfully' });
   } catch (error) {
     console.error('Error deleting delivery:', error);
@@ -233,6 +314,8 @@ router.post('/agents', authenticateJWT, requireAdmin, async (req, res) => {
 
     await agent.save();
 
+    await auditService.record(req, { action: 'agent.create', target: { type: 'agent', id: agent._id }, after: agent });
+
     res.status(201).json({
       id: agent._id,
       name: agent.name,
@@ -263,16 +346,23 @@ router.put('/agents/:id', authenticateJWT, requireAdmin, async (req, res) => {
     if (role) updateData.role = role;
     if (typeof is_active === 'boolean') updateData.is_active = is_active;
 
+    const before = await Agent.findById(req.params.id).select('-password').lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
     const agent = await Agent.findByIdAndUpdate(
       req.params.id,
       updateData,
-      { new: true }
+      { new: true, runValidators: true }
     ).select('-password');
 
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    await auditService.record(req, { action: 'agent.update', target: { type: 'agent', id: agent._id }, before, after: agent });
+
     res.json({
       id: agent._id,
       name: agent.name,
@@ -296,6 +386,8 @@ router.delete('/agents/:id', authenticateJWT, requireAdmin, async (req, res) =>
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    await auditService.record(req, { action: 'agent.delete', target: { type: 'agent', id: agent._id }, before: agent });
+
     res.json({ message: 'Agent deleted successfully' });
   } catch (error) {
     console.error('Error deleting agent:', error);
@@ -303,6 +395,177 @@ router.delete('/agents/:id', authenticateJWT, requireAdmin, async (req, res) =>
   }
 });
 
+// GET /api/admin/do-not-call - Numbers the call worker will never dial
+router.get('/do-not-call', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const entries = await DoNotCall.find().sort({ createdAt: -1 });
+
+    res.json(entries.map(entry => ({
+      id: entry._id,
+      phone: entry.phone,
+      reason: entry.reason,
+      addedBy: entry.added_by,
+      createdAt: entry.createdAt
+    })));
+  } catch (error) {
+    console.error('Error fetching do-not-call list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/do-not-call - Add a number to the do-not-call list
+router.post('/do-not-call', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    // Stored in E.164 like customer numbers, so the calling policy finds it however it was typed
+    const phone = formatPhoneNumber(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'A valid phone number is required' });
+    }
+
+    const entry = new DoNotCall({ phone, reason, added_by: req.agent.id });
+    await entry.save();
+
+    await auditService.record(req, { action: 'do_not_call.add', target: { type: 'do_not_call', id: entry.phone }, after: entry });
+
+    res.status(201).json({
+      id: entry._id,
+      phone: entry.phone,
+      reason: entry.reason,
+      createdAt: entry.createdAt
+    });
+  } catch (error) {
+    console.error('Error adding do-not-call number:', error);
+    if (error.code === 11000) {
+      res.status(400).json({ error: 'Phone number is already on the do-not-call list' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// DELETE /api/admin/do-not-call/:phone - Remove a number from the do-not-call list
+router.delete('/do-not-call/:phone', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const entry = await DoNotCall.findOneAndDelete({ phone: formatPhoneNumber(req.params.phone) || req.params.phone });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Phone number is not on the do-not-call list' });
+    }
+
+    await auditService.record(req, { action: 'do_not_call.remove', target: { type: 'do_not_call', id: entry.phone }, before: entry });
+
+    res.json({ message: 'Phone number removed from the do-not-call list' });
+  } catch (error) {
+    console.error('Error removing do-not-call number:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/blocked-calls - Compliance log of calls the calling policy stopped
+router.get('/blocked-calls', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { reason, delivery, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (reason) query.reason = reason;
+    if (delivery) query.delivery_id = delivery;
+
+    const blockedCalls = await BlockedCall.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await BlockedCall.countDocuments(query);
+
+    res.json({
+      policy: callingPolicyService.getPolicy(),
+      blockedCalls: blockedCalls.map(b => ({
+        id: b._id,
+        deliveryId: b.delivery_id,
+        customerId: b.customer_id,
+        phone: b.phone,
+        reason: b.reason,
+        timezone: b.timezone,
+        localTime: b.local_time,
+        attempt: b.attempt,
+        rescheduledFor: b.rescheduled_for,
+        createdAt: b.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching blocked calls:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/audit - Who created, changed or deleted what, newest first
+router.get('/audit', authenticateJWT, requireAdmin, validateQuery(schemas.auditQuery), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const query = auditService.buildQuery(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      entries: entries.map(entry => auditService.formatEntry(entry)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/audit/export - Download the filtered audit log as CSV or JSON
+router.get('/audit/export', authenticateJWT, requireAdmin, validateQuery(schemas.auditExport), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const query = auditService.buildQuery(req.query);
+
+    // One extra row tells whether the export was cut short
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(auditService.maxExportRows + 1)
+      .lean();
+    const truncated = entries.length > auditService.maxExportRows;
+    if (truncated) entries.pop();
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Export-Truncated', String(truncated));
+
+    if (format === 'json') {
+      return res.json({ entries: entries.map(entry => auditService.formatEntry(entry)), truncated });
+    }
+
+    res.type('text/csv').send(auditService.toCsv(entries));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Helper function to get system health
 async function getSystemHealth() {
   const health = {
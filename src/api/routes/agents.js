@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Delivery = require('../../database/models/Delivery');
 const Agent = require('../../database/models/Agent');
+const deliveryStatusService = require('../../services/deliveryStatusService');
+const auditService = require('../../services/auditService');
 const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { validateBody, schemas } = require('../middleware/validation');
+
+// Fields an admin may change; the organization and password never go through this endpoint
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'role', 'is_active', 'current_location'];
 
 // GET /api/agents/profile - Get current agent profile
 router.get('/profile', authenticateJWT, async (req, res) => {
@@ -26,6 +32,7 @@ router.get('/deliveries', authenticateJWT, async (req, res) => {
     // Find deliveries for the agent, populate customer
     const deliveries = await Delivery.find({ agent_id: agentId })
       .populate('customer_id', 'name phone')
+      .populate('proof_id')
       .sort({ scheduled_time: 1 });
 
     // For each delivery, fetch call logs and recordings
@@ -48,24 +55,37 @@ router.get('/deliveries', authenticateJWT, async (req, res) => {
 router.put('/deliveries/:deliveryId/status', authenticateJWT, async (req, res) => {
   try {
     const { deliveryId } = req.params;
-    const { status } = req.body;
+    const { status, reason, latitude, longitude } = req.body;
     const agentId = req.agent.id;
 
-    if (!['scheduled', 'in_progress', 'completed', 'failed'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+    // Only deliveries assigned to this agent
+    const result = await deliveryStatusService.transition(deliveryId, status, {
+      actor: { type: 'agent', id: agentId },
+      reason,
+      location: latitude !== undefined && longitude !== undefined ? { latitude, longitude } : undefined,
+      filter: { agent_id: agentId }
+    });
 
-    // Find and update delivery
-    const delivery = await Delivery.findOneAndUpdate(
-      { _id: deliveryId, agent_id: agentId },
-      { status },
-      { new: true }
-    ).populate('customer_id', 'name phone');
+    if (!result.updated) {
+      if (result.reason === 'not_found') {
+        return res.status(404).json({ error: 'Delivery not found or not assigned to you' });
+      }
+      const code = result.reason === 'invalid_status' ? 400 : 409;
+      return res.status(code).json({ error: deliveryStatusService.describeRejection(result), allowed: result.allowed });
+    }
 
-    if (!delivery) {
-      return res.status(404).json({ error: 'Delivery not found or not assigned to you' });
+    const delivery = result.delivery;
+    if (result.changed) {
+      await auditService.record(req, {
+        action: 'delivery.status_change',
+        target: { type: 'delivery', id: delivery._id },
+        before: { status: result.from },
+        after: { status: delivery.status }
+      });
     }
 
+    await delivery.populate('customer_id', 'name phone');
+
     res.json(delivery);
   } catch (error) {
     console.error('Error updating delivery status:', error);
@@ -115,6 +135,8 @@ router.post('/', authenticateJWT, requireAdmin, async (req, res) => {
 
     await agent.save();
 
+    await auditService.record(req, { action: 'agent.create', target: { type: 'agent', id: agent._id }, after: agent });
+
     res.status(201).json({
       message: 'Agent created successfully',
       agent: { id: agent._id, name, email, role }
@@ -126,19 +148,26 @@ router.post('/', authenticateJWT, requireAdmin, async (req, res) => {
 });
 
 // PUT /api/agents/:id - Admin: Update agent
-router.put('/:id', authenticateJWT, requireAdmin, async (req, res) => {
+router.put('/:id', authenticateJWT, requireAdmin, validateBody(schemas.agentUpdate), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
-    // Don't allow password updates through this endpoint
-    delete updates.password;
+    const before = await Agent.findById(id).select('-password').lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-    const agent = await Agent.findByIdAndUpdate(id, updates, { new: true }).select('-password');
+    const agent = await Agent.findByIdAndUpdate(id, updates, { new: true, runValidators: true }).select('-password');
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    await auditService.record(req, { action: 'agent.update', target: { type: 'agent', id: agent._id }, before, after: agent });
+
     res.json(agent);
   } catch (error) {
     console.error('Error updating agent:', error);
@@ -151,11 +180,18 @@ router.delete('/:id', authenticateJWT, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const agent = await Agent.findByIdAndUpdate(id, { is_active: false }, { new: true });
+    const agent = await Agent.findByIdAndUpdate(id, { is_active: false }, { new: false }).select('-password');
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    await auditService.record(req, {
+      action: 'agent.deactivate',
+      target: { type: 'agent', id: agent._id },
+      before: { is_active: agent.is_active },
+      after: { is_active: false }
+    });
+
     res.json({ message: 'Agent deactivated successfully' });
   } catch (error) {
     console.error('Error deactivating agent:', error);
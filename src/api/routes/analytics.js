@@ -382,7 +382,7 @@ router.get('/agent/:agentId', authenticateJWT, async (req, res) => {
     }
 
     const deliveries = await Delivery.find({ agent_id: agentId });
-    const completedDeliveries = deliveries.filter(d => d.status === 'completed').length;
+    const completedDeliveries = deliveries.filter(d => d.status === 'delivered').length;
     const totalDeliveries = deliveries.length;
     const successRate = totalDeliveries > 0 ? (completedDeliveries / totalDeliveries * 100).toFixed(2) : 0;
 
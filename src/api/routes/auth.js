@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const Agent = require('../../database/models/Agent');
+const { authenticateApiKey } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -32,7 +33,8 @@ router.post('/login', async (req, res) => {
         id: agent._id,
         email: agent.email,
         name: agent.name,
-        role: agent.role
+        role: agent.role,
+        organization_id: agent.organization_id // Scopes every request the agent makes
       },
       process.env.JWT_SECRET || 'default_secret',
       { expiresIn: '24h' }
@@ -55,8 +57,8 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// POST /api/auth/register - Admin only: Register new agent (for seeding/testing)
-router.post('/register', async (req, res) => {
+// POST /api/auth/register - Register a new agent in the API key's organization (for seeding/testing)
+router.post('/register', authenticateApiKey, async (req, res) => {
   try {
     const { name, email, password, phone, role = 'agent' } = req.body;
 
@@ -95,6 +97,10 @@ router.post('/register', async (req, res) => {
       }
     });
   } catch (error) {
+    // Email and phone are unique across organizations, so a clash may not show up in the lookup above
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Agent with this email or phone already exists' });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
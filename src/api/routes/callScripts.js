@@ -0,0 +1,390 @@
+const express = require('express');
+const router = express.Router();
+const CallScript = require('../../database/models/CallScript');
+const Delivery = require('../../database/models/Delivery');
+const callScriptService = require('../../services/callScriptService');
+const organizationService = require('../../services/organizationService');
+const auditService = require('../../services/auditService');
+const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Call Scripts
+ *   description: Admin-managed templates for the customer call flow
+ */
+
+/**
+ * @swagger
+ * /api/admin/call-scripts:
+ *   get:
+ *     summary: List call script versions
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Only versions of this script
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         description: Only scripts in this language (e.g. en, es)
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active versions
+ *     responses:
+ *       200:
+ *         description: Call script versions, newest first
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { name, language, active } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (language) query.language = language;
+    if (active === 'true') query.is_active = true;
+
+    const scripts = await CallScript.find(query).sort({ name: 1, version: -1 });
+
+    res.json(scripts.map(formatScript));
+  } catch (error) {
+    console.error('Error fetching call scripts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/call-scripts/defaults:
+ *   get:
+ *     summary: Get the built-in prompts and the variables templates can use
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *     responses:
+ *       200:
+ *         description: Default prompts and template variables
+ */
+router.get('/defaults', authenticateJWT, requireAdmin, (req, res) => {
+  res.json({
+    prompts: callScriptService.getDefaultPrompts(req.query.language),
+    variables: callScriptService.getTemplateVariables(),
+    languages: callScriptService.getSupportedLanguages()
+  });
+});
+
+// GET /api/admin/call-scripts/:id - Get a call script version
+router.get('/:id', authenticateJWT, requireAdmin, validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const script = await CallScript.findById(req.params.id);
+
+    if (!script) {
+      return res.status(404).json({ error: 'Call script not found' });
+    }
+
+    res.json(formatScript(script));
+  } catch (error) {
+    console.error('Error fetching call script:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/call-scripts:
+ *   post:
+ *     summary: Create a call script (version 1)
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - prompts
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 default: en
+ *               prompts:
+ *                 type: object
+ *                 description: Prompt templates; use {{customer_name}}, {{delivery_window}}, {{merchant_name}}, {{address}} and {{callback_number}}
+ *     responses:
+ *       201:
+ *         description: Call script created
+ *       400:
+ *         description: Validation error or unknown template variable
+ *       409:
+ *         description: A script with this name already exists
+ */
+router.post('/', authenticateJWT, requireAdmin, validateBody(schemas.callScriptCreate), async (req, res) => {
+  try {
+    const { name, description, language, prompts } = req.body;
+
+    if (!callScriptService.getSupportedLanguages().includes(language)) {
+      return res.status(400).json({ error: `Unsupported language. Use one of: ${callScriptService.getSupportedLanguages().join(', ')}` });
+    }
+
+    const unknownVariables = callScriptService.findUnknownVariables(prompts);
+    if (unknownVariables.length > 0) {
+      return res.status(400).json({ error: `Unknown template variables: ${unknownVariables.join(', ')}` });
+    }
+
+    const existing = await CallScript.findOne({ name });
+    if (existing) {
+      return res.status(409).json({ error: 'Call script already exists, update it to create a new version' });
+    }
+
+    const script = new CallScript({
+      name,
+      description,
+      language,
+      prompts,
+      version: 1,
+      created_by: req.agent.id
+    });
+    await script.save();
+    await auditService.record(req, { action: 'call_script.create', target: { type: 'call_script', id: script._id }, after: script });
+
+    res.status(201).json(formatScript(script));
+  } catch (error) {
+    console.error('Error creating call script:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/call-scripts/{id}:
+ *   put:
+ *     summary: Save changes as a new version of the script
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Version to base the changes on
+ *     responses:
+ *       201:
+ *         description: New version created (not yet active)
+ *       404:
+ *         description: Call script not found
+ */
+router.put('/:id', authenticateJWT, requireAdmin, validateParams(schemas.idParam), validateBody(schemas.callScriptUpdate), async (req, res) => {
+  try {
+    const base = await CallScript.findById(req.params.id).lean();
+
+    if (!base) {
+      return res.status(404).json({ error: 'Call script not found' });
+    }
+
+    const prompts = { ...base.prompts, ...req.body.prompts };
+
+    const unknownVariables = callScriptService.findUnknownVariables(prompts);
+    if (unknownVariables.length > 0) {
+      return res.status(400).json({ error: `Unknown template variables: ${unknownVariables.join(', ')}` });
+    }
+
+    const latest = await CallScript.findOne({ name: base.name }).sort({ version: -1 });
+
+    const script = new CallScript({
+      name: base.name,
+      description: req.body.description !== undefined ? req.body.description : base.description,
+      language: base.language,
+      prompts,
+      version: latest.version + 1,
+      created_by: req.agent.id
+    });
+    await script.save();
+    // The new version is its own document; the entry compares it with the version it was based on
+    await auditService.record(req, { action: 'call_script.update', target: { type: 'call_script', id: script._id }, before: base, after: script });
+
+    res.status(201).json(formatScript(script));
+  } catch (error) {
+    console.error('Error updating call script:', error);
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Version conflict, please retry' });
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/call-scripts/{id}/activate:
+ *   post:
+ *     summary: Make this version the script used for customer calls
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Version activated
+ *       404:
+ *         description: Call script not found
+ */
+router.post('/:id/activate', authenticateJWT, requireAdmin, validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const before = await CallScript.findById(req.params.id).lean();
+    const script = await callScriptService.activate(req.params.id);
+
+    if (!script) {
+      return res.status(404).json({ error: 'Call script not found' });
+    }
+
+    await auditService.record(req, { action: 'call_script.activate', target: { type: 'call_script', id: script._id }, before, after: script });
+
+    res.json(formatScript(script));
+  } catch (error) {
+    console.error('Error activating call script:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/call-scripts/{id}/preview:
+ *   post:
+ *     summary: Render a script version for a delivery or sample values
+ *     tags: [Call Scripts]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delivery_id:
+ *                 type: string
+ *                 description: Render with this delivery's details
+ *               variables:
+ *                 type: object
+ *                 description: Override individual variable values
+ *     responses:
+ *       200:
+ *         description: Rendered prompts
+ *       404:
+ *         description: Call script or delivery not found
+ */
+router.post('/:id/preview', authenticateJWT, requireAdmin, validateParams(schemas.idParam), validateBody(schemas.callScriptPreview), async (req, res) => {
+  try {
+    const { delivery_id, variables = {} } = req.body;
+    const script = await CallScript.findById(req.params.id);
+
+    if (!script) {
+      return res.status(404).json({ error: 'Call script not found' });
+    }
+
+    // Preview with the admin's own organization name and number
+    const organization = await organizationService.getOrganization(req.organizationId);
+
+    let baseVariables;
+    if (delivery_id) {
+      const delivery = await Delivery.findById(delivery_id).populate('customer_id');
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      baseVariables = callScriptService.buildVariables(delivery, script.language, organization);
+    } else {
+      baseVariables = callScriptService.buildVariables({
+        customer_id: { name: 'Alex Smith' },
+        address: '221B Baker Street',
+        scheduled_time: new Date(Date.now() + 2 * 60 * 60 * 1000)
+      }, script.language, organization);
+    }
+
+    const renderVariables = { ...baseVariables, ...variables };
+
+    res.json({
+      script: formatScript(script),
+      variables: renderVariables,
+      prompts: callScriptService.renderPrompts(script, renderVariables)
+    });
+  } catch (error) {
+    console.error('Error previewing call script:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/call-scripts/:id - Delete an inactive version
+router.delete('/:id', authenticateJWT, requireAdmin, validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const script = await CallScript.findById(req.params.id);
+
+    if (!script) {
+      return res.status(404).json({ error: 'Call script not found' });
+    }
+
+    if (script.is_active) {
+      return res.status(400).json({ error: 'Cannot delete the active call script' });
+    }
+
+    await CallScript.findByIdAndDelete(script._id);
+    await auditService.record(req, { action: 'call_script.delete', target: { type: 'call_script', id: script._id }, before: script });
+
+    res.json({ message: 'Call script version deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting call script:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to shape a call script for API responses
+function formatScript(script) {
+  return {
+    id: script._id,
+    name: script.name,
+    version: script.version,
+    description: script.description,
+    language: script.language,
+    prompts: script.prompts,
+    isActive: script.is_active,
+    activatedAt: script.activated_at,
+    createdBy: script.created_by,
+    createdAt: script.createdAt
+  };
+}
+
+module.exports = router;
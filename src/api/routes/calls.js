@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { addCallJob } = require('../../services/queueService');
+const { addCallJob, getCallJobId, getCallJobData, getPendingCallJob } = require('../../services/queueService');
 const Delivery = require('../../database/models/Delivery');
 const CallLog = require('../../database/models/CallLog');
 
@@ -20,8 +20,26 @@ router.post('/initiate', async (req, res) => {
       return res.status(404).json({ error: 'Delivery not found' });
     }
 
+    // Jobs are keyed by delivery and attempt, so the next attempt has a predictable ID
+    const jobId = getCallJobId(delivery_id, (delivery.call_attempts || 0) + 1);
+
+    // A double-click or client retry gets the call that is already queued or in progress
+    const existing = await getPendingCallJob(delivery.call_job_id) || await getPendingCallJob(jobId);
+    if (existing) {
+      return res.json({
+        message: 'Call already queued for this delivery',
+        job_id: existing.id,
+        status: 'already_queued'
+      });
+    }
+
     // Add job to queue
-    const job = await addCallJob({ deliveryId: delivery_id }, delay || 0);
+    const job = await addCallJob(getCallJobData(delivery), delay || 0, jobId);
+
+    await Delivery.findByIdAndUpdate(delivery_id, {
+      call_job_id: job.id.toString(),
+      call_scheduled_for: new Date(Date.now() + (delay || 0))
+    });
 
     res.json({
       message: 'Call job queued successfully',
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const Campaign = require('../../database/models/Campaign');
+const campaignService = require('../../services/campaignService');
+const auditService = require('../../services/auditService');
+const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Campaigns
+ *   description: Bulk pre-delivery calls for every delivery on a date
+ */
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   post:
+ *     summary: Call every matching delivery without a customer response, spread over a time window
+ *     tags: [Campaigns]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Deliveries scheduled on this day (UTC); or use scheduled_from and scheduled_to
+ *               scheduled_from:
+ *                 type: string
+ *                 format: date-time
+ *               scheduled_to:
+ *                 type: string
+ *                 format: date-time
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only deliveries in these statuses
+ *               agent_id:
+ *                 type: string
+ *                 description: Only deliveries assigned to this agent
+ *               window_start:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First call; defaults to now
+ *               window_end:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Calls should be placed by then; defaults to CAMPAIGN_DEFAULT_WINDOW_MINUTES after the start
+ *     responses:
+ *       202:
+ *         description: Campaign created; calls are being queued
+ *       400:
+ *         description: Invalid filter or window, or too many deliveries
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: No deliveries match
+ */
+router.post('/', authenticateJWT, requireAdmin, validateBody(schemas.campaignCreate), async (req, res) => {
+  try {
+    const { name, date, scheduled_from, scheduled_to, statuses, agent_id, window_start, window_end } = req.body;
+
+    const from = new Date(date || scheduled_from);
+    const to = date ? new Date(from.getTime() + DAY_MS) : new Date(scheduled_to);
+
+    const result = await campaignService.createCampaign({
+      name: name || `Calls for ${date || `${from.toISOString()} - ${to.toISOString()}`}`,
+      filter: { scheduled_from: from, scheduled_to: to, statuses, agent_id },
+      windowStart: window_start ? new Date(window_start) : undefined,
+      windowEnd: window_end ? new Date(window_end) : undefined,
+      createdBy: req.agent.id
+    });
+
+    if (!result.created) {
+      if (result.reason === 'no_deliveries') {
+        return res.status(404).json({ error: 'No deliveries without a customer response match the filter' });
+      }
+      if (result.reason === 'too_many_deliveries') {
+        return res.status(400).json({ error: `More than ${result.maxDeliveries} deliveries match; narrow the filter` });
+      }
+      return res.status(400).json({ error: 'Call window has already ended' });
+    }
+
+    await auditService.record(req, { action: 'campaign.create', target: { type: 'campaign', id: result.campaign._id }, after: result.campaign });
+
+    // Thousands of calls take a while to queue; progress is visible on the campaign meanwhile
+    campaignService.queueCalls(result.campaign, result.targets)
+      .catch(error => console.error(`Error queueing calls for campaign ${result.campaign._id}:`, error));
+
+    res.status(202).json({
+      ...formatCampaign(result.campaign),
+      matched: result.targets.length,
+      estimatedEnd: result.plan.estimatedEnd,
+      overrunsWindow: result.plan.overrunsWindow
+    });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/campaigns:
+ *   get:
+ *     summary: List campaigns, newest first
+ *     tags: [Campaigns]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduling, scheduled, completed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Campaigns
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(query)
+        .select('-deliveries -skipped')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Campaign.countDocuments(query)
+    ]);
+
+    res.json({
+      campaigns: campaigns.map(formatCampaign),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with how far each delivery got (queued, in progress, answered, recorded, failed, closed)
+ *     tags: [Campaigns]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign and progress
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id', authenticateJWT, requireAdmin, validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const progress = await campaignService.getProgress(campaign);
+
+    res.json({
+      ...formatCampaign(campaign),
+      progress: progress.counts,
+      deliveries: progress.deliveries,
+      skipped: campaign.skipped
+    });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/campaigns/{id}/cancel:
+ *   post:
+ *     summary: Remove the campaign's calls that haven't started yet
+ *     tags: [Campaigns]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign cancelled
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign already finished or cancelled
+ */
+router.post('/:id/cancel', authenticateJWT, requireAdmin, validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    if (campaign.status === 'completed' || campaign.status === 'cancelled') {
+      return res.status(409).json({ error: `Campaign is already ${campaign.status}` });
+    }
+
+    // Copied first, cancelling changes the campaign in place
+    const before = auditService.toPlain(campaign);
+    const removed = await campaignService.cancelCampaign(campaign);
+    await auditService.record(req, { action: 'campaign.cancel', target: { type: 'campaign', id: campaign._id }, before, after: campaign });
+
+    res.json({
+      message: 'Campaign cancelled',
+      removedCalls: removed,
+      campaign: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Helper function to shape a campaign for API responses
+function formatCampaign(campaign) {
+  return {
+    id: campaign._id,
+    name: campaign.name,
+    status: campaign.status,
+    filter: campaign.filter,
+    windowStart: campaign.window_start,
+    windowEnd: campaign.window_end,
+    spacingMs: campaign.spacing_ms,
+    queuedCalls: campaign.deliveries ? campaign.deliveries.length : undefined,
+    createdBy: campaign.created_by,
+    createdAt: campaign.createdAt,
+    completedAt: campaign.completed_at || null,
+    cancelledAt: campaign.cancelled_at || null
+  };
+}
+
+module.exports = router;
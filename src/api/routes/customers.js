@@ -0,0 +1,600 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../../database/models/Customer');
+const Delivery = require('../../database/models/Delivery');
+const addressService = require('../../services/addressService');
+const customerService = require('../../services/customerService');
+const auditService = require('../../services/auditService');
+const { formatPhoneNumber } = require('../../utils/helpers');
+const { validateBody, validateQuery, validateParams, schemas } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Customers
+ *   description: Customer management endpoints
+ */
+
+/**
+ * @swagger
+ * /api/customers:
+ *   get:
+ *     summary: Search customers by phone, name or email
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches phone, name or email
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           type: string
+ *         description: Full number in any format, or some of its digits
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching customers
+ *       400:
+ *         description: Invalid search
+ */
+router.get('/', validateQuery(schemas.customerSearch), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+    const query = customerService.buildSearchQuery(req.query);
+
+    const [customers, total] = await Promise.all([
+      Customer.find(query)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Customer.countDocuments(query)
+    ]);
+
+    res.json({
+      customers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error searching customers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   get:
+ *     summary: Get customer by ID
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Customer'
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(customer);
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/history:
+ *   get:
+ *     summary: Get a customer's deliveries, calls, recordings and learned call preferences
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer history, most recent first
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/history', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const history = await customerService.getHistory(customer);
+
+    res.json({ customer, ...history });
+  } catch (error) {
+    console.error('Error fetching customer history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses:
+ *   get:
+ *     summary: Get a customer's saved addresses
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: Customer not found
+ */
+router.get('/:id/addresses', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).select('addresses');
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(customer.addresses);
+  } catch (error) {
+    console.error('Error fetching customer addresses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses:
+ *   post:
+ *     summary: Add an address to a customer's address book
+ *     description: The address is geocoded unless latitude and longitude are given. A customer's first address becomes their default
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Address'
+ *               - type: object
+ *                 required:
+ *                   - line1
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       201:
+ *         description: Address added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/addresses', validateParams(schemas.idParam), validateBody(schemas.customerAddressCreate), async (req, res) => {
+  try {
+    const before = await Customer.findById(req.params.id).lean();
+    const result = await addressService.addAddress(req.params.id, req.body);
+
+    if (!result.added) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    await auditService.record(req, { action: 'customer.address_add', target: { type: 'customer', id: req.params.id }, before, after: result.customer });
+
+    res.status(201).json(result.address);
+  } catch (error) {
+    console.error('Error adding customer address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     description: The address is geocoded again when it moves, unless latitude and longitude are given. Deliveries already booked keep their copy of the old address
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       404:
+ *         description: Customer or address not found
+ */
+router.put('/:id/addresses/:addressId', validateParams(schemas.customerAddressParams), validateBody(schemas.customerAddressUpdate), async (req, res) => {
+  try {
+    const before = await Customer.findById(req.params.id).lean();
+    const result = await addressService.updateAddress(req.params.id, req.params.addressId, req.body);
+
+    if (!result.updated) {
+      return res.status(404).json({ error: addressService.describeRejection(result.reason) });
+    }
+
+    await auditService.record(req, { action: 'customer.address_update', target: { type: 'customer', id: req.params.id }, before, after: result.customer });
+
+    res.json(result.address);
+  } catch (error) {
+    console.error('Error updating customer address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/addresses/{addressId}:
+ *   delete:
+ *     summary: Remove a saved address
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       404:
+ *         description: Customer or address not found
+ *       409:
+ *         description: Open deliveries are going to this address
+ */
+router.delete('/:id/addresses/:addressId', validateParams(schemas.customerAddressParams), async (req, res) => {
+  try {
+    const before = await Customer.findById(req.params.id).lean();
+    const result = await addressService.removeAddress(req.params.id, req.params.addressId);
+
+    if (!result.removed) {
+      if (result.reason === 'in_use') {
+        return res.status(409).json({ error: `${result.deliveries} open deliveries are going to this address` });
+      }
+      return res.status(404).json({ error: addressService.describeRejection(result.reason) });
+    }
+
+    await auditService.record(req, { action: 'customer.address_remove', target: { type: 'customer', id: req.params.id }, before, after: result.customer });
+
+    res.json({ message: 'Address removed successfully' });
+  } catch (error) {
+    console.error('Error removing customer address:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers:
+ *   post:
+ *     summary: Create new customer
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - phone
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *                 description: Any format; stored in E.164
+ *               email:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 enum: [en, es]
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone, e.g. America/Chicago
+ *               preferences:
+ *                 type: object
+ *               sms_opt_out:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *       400:
+ *         description: Validation error or invalid phone number
+ *       409:
+ *         description: A customer with this phone number already exists
+ */
+router.post('/', validateBody(schemas.customerCreate), async (req, res) => {
+  try {
+    const phone = formatPhoneNumber(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Invalid phone number' });
+    }
+
+    const existing = await Customer.findOne({ phone });
+    if (existing) {
+      return res.status(409).json({ error: 'A customer with this phone number already exists', customerId: existing._id });
+    }
+
+    const customer = new Customer({ ...req.body, phone });
+    await customer.save();
+    await auditService.record(req, { action: 'customer.create', target: { type: 'customer', id: customer._id }, after: customer });
+
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A customer with this phone number already exists' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   put:
+ *     summary: Update customer
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Another customer has this phone number; merge them instead
+ */
+router.put('/:id', validateParams(schemas.idParam), validateBody(schemas.customerUpdate), async (req, res) => {
+  try {
+    const update = { ...req.body };
+
+    if (update.phone) {
+      update.phone = formatPhoneNumber(update.phone);
+      if (!update.phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+
+      const existing = await Customer.findOne({ phone: update.phone, _id: { $ne: req.params.id } });
+      if (existing) {
+        return res.status(409).json({ error: 'Another customer has this phone number; merge them instead', customerId: existing._id });
+      }
+    }
+
+    const before = await Customer.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    const customer = await Customer.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    await auditService.record(req, { action: 'customer.update', target: { type: 'customer', id: customer._id }, before, after: customer });
+
+    res.json(customer);
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Another customer has this phone number; merge them instead' });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate customer into this one
+ *     description: Moves the duplicate's deliveries to this customer, fills in details this customer lacks, and deletes the duplicate
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source_id
+ *             properties:
+ *               source_id:
+ *                 type: string
+ *                 description: Duplicate customer to remove
+ *     responses:
+ *       200:
+ *         description: Customers merged
+ *       400:
+ *         description: Cannot merge a customer into itself
+ *       404:
+ *         description: Customer not found
+ */
+router.post('/:id/merge', validateParams(schemas.idParam), validateBody(schemas.customerMerge), async (req, res) => {
+  try {
+    const [target, source] = await Promise.all([
+      Customer.findById(req.params.id),
+      Customer.findById(req.body.source_id)
+    ]);
+
+    if (!target || !source) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    // Copied first, the merge changes the kept customer in place
+    const before = auditService.toPlain(target);
+    const result = await customerService.mergeCustomers(target, source);
+
+    if (!result.merged) {
+      return res.status(400).json({ error: 'Cannot merge a customer into itself' });
+    }
+
+    await auditService.record(req, { action: 'customer.merge', target: { type: 'customer', id: target._id }, before, after: result.customer });
+    await auditService.record(req, { action: 'customer.delete', target: { type: 'customer', id: source._id }, before: source });
+
+    res.json({
+      message: 'Customers merged',
+      customer: result.customer,
+      moved: result.moved
+    });
+  } catch (error) {
+    console.error('Error merging customers:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customers/{id}:
+ *   delete:
+ *     summary: Delete a customer without deliveries
+ *     tags: [Customers]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer deleted
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: Customer has deliveries
+ */
+router.delete('/:id', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const deliveries = await Delivery.countDocuments({ customer_id: req.params.id });
+    if (deliveries > 0) {
+      return res.status(409).json({ error: `Customer has ${deliveries} deliveries; merge them into another customer instead` });
+    }
+
+    const customer = await Customer.findByIdAndDelete(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    await auditService.record(req, { action: 'customer.delete', target: { type: 'customer', id: customer._id }, before: customer });
+
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
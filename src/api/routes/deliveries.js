@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const Delivery = require('../../database/models/Delivery');
+const callSchedulingService = require('../../services/callSchedulingService');
+const addressService = require('../../services/addressService');
+const deliveryService = require('../../services/deliveryService');
+const deliveryStatusService = require('../../services/deliveryStatusService');
+const auditService = require('../../services/auditService');
+const { validateBody, schemas } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -63,6 +69,7 @@ const Delivery = require('../../database/models/Delivery');
  * /api/deliveries:
  *   post:
  *     summary: Create new delivery
+ *     description: Also queues the customer call CALL_LEAD_TIME_MINUTES before scheduled_time (see CALL_AUTO_SCHEDULE)
  *     tags: [Deliveries]
  *     security:
  *       - ApiKeyAuth: []
@@ -73,23 +80,69 @@ const Delivery = require('../../database/models/Delivery');
  *           schema:
  *             type: object
  *             required:
- *               - customer_id
- *               - address
  *               - scheduled_time
+ *             description: Give either customer_id or customer_phone and customer_name. Give address_id or address; with neither the customer's default address is used
  *             properties:
  *               customer_id:
  *                 type: string
- *                 description: Customer ID
+ *                 description: Existing customer ID
+ *               customer_phone:
+ *                 type: string
+ *                 description: Customer phone; the customer is created if no customer has this number
+ *               customer_name:
+ *                 type: string
+ *                 description: Customer name, used when creating the customer
  *               agent_id:
  *                 type: string
  *                 description: Agent ID (optional)
- *               address:
+ *               merchant_reference:
  *                 type: string
- *                 description: Delivery address
+ *                 description: Order or shipment ID in the merchant's system
+ *               address_id:
+ *                 type: string
+ *                 description: Address from the customer's address book (needs customer_id)
+ *               address:
+ *                 description: New address, added to the customer's address book and geocoded unless latitude and longitude are given; an address already saved is reused
+ *                 oneOf:
+ *                   - type: string
+ *                   - $ref: '#/components/schemas/Address'
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
  *               scheduled_time:
  *                 type: string
  *                 format: date-time
  *                 description: Scheduled delivery time
+ *               time_window:
+ *                 type: object
+ *                 properties:
+ *                   start:
+ *                     type: string
+ *                     format: date-time
+ *                   end:
+ *                     type: string
+ *                     format: date-time
+ *               special_instructions:
+ *                 type: string
+ *                 description: Stored as the delivery's instructions
+ *               notes:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *                 default: medium
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     value:
+ *                       type: number
  *     responses:
  *       201:
  *         description: Delivery created successfully
@@ -98,7 +151,7 @@ const Delivery = require('../../database/models/Delivery');
  *             schema:
  *               $ref: '#/components/schemas/Delivery'
  *       400:
- *         description: Bad request
+ *         description: Validation error, or the address is not in the customer's address book
  *       500:
  *         description: Internal server error
  */
@@ -132,19 +185,19 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/deliveries - Create new delivery
-router.post('/', async (req, res) => {
+router.post('/', validateBody(schemas.deliveryCreate), async (req, res) => {
   try {
-    const { customer_id, agent_id, address, scheduled_time } = req.body;
+    const result = await deliveryService.createDelivery(req.body);
+    if (!result.created) {
+      return res.status(400).json({ error: deliveryService.describeRejection(result.reason) });
+    }
 
-    const delivery = new Delivery({
-      customer_id,
-      agent_id,
-      address,
-      scheduled_time
-    });
+    const { delivery } = result;
+    await auditService.record(req, { action: 'delivery.create', target: { type: 'delivery', id: delivery._id }, after: delivery });
+    await delivery.populate(['customer_id', 'agent_id']);
 
-    await delivery.save();
-    await delivery.populate('customer_id').populate('agent_id').execPopulate();
+    // Queue the pre-delivery customer call
+    await callSchedulingService.scheduleDeliveryCall(delivery);
 
     res.status(201).json(delivery);
   } catch (error) {
@@ -157,18 +210,67 @@ router.post('/', async (req, res) => {
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { customer_id, agent_id, address, scheduled_time, status } = req.body;
+    const {
+      customer_id, agent_id, merchant_reference, address_id, address, scheduled_time, time_window,
+      special_instructions, notes, priority, items, status, status_reason
+    } = req.body;
 
-    const delivery = await Delivery.findByIdAndUpdate(
-      id,
-      { customer_id, agent_id, address, scheduled_time, status },
-      { new: true, runValidators: true }
-    ).populate('customer_id').populate('agent_id');
+    const before = await Delivery.findById(id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    // A delivery moved to another customer goes to one of their addresses, their default unless one is given
+    const customerChanged = Boolean(customer_id) && String(customer_id) !== String(before.customer_id);
+
+    let addressFields = {};
+    if (address_id || address || customerChanged) {
+      const resolved = await addressService.resolveForDelivery(customer_id || before.customer_id, { address_id, address });
+      if (!resolved.resolved) {
+        return res.status(400).json({ error: addressService.describeRejection(resolved.reason) });
+      }
+      // Cleared rather than left out, so the previous address's notes and location don't stay behind
+      addressFields = {
+        ...resolved.fields,
+        access_notes: resolved.fields.access_notes || null,
+        location: resolved.fields.location || null
+      };
+    }
+
+    const changes = {
+      customer_id, agent_id, merchant_reference, scheduled_time, time_window,
+      instructions: special_instructions, notes, priority, items, ...addressFields
+    };
+
+    let delivery;
+    if (status) {
+      // The other fields are written with the status, so a rejected field can't leave the status half-applied
+      const result = await deliveryStatusService.transition(id, status, {
+        actor: { type: 'api' },
+        reason: status_reason,
+        set: changes
+      });
+
+      if (!result.updated) {
+        const code = result.reason === 'not_found' ? 404 : result.reason === 'invalid_status' ? 400 : 409;
+        return res.status(code).json({ error: deliveryStatusService.describeRejection(result), allowed: result.allowed });
+      }
+
+      delivery = result.delivery && await result.delivery.populate(['customer_id', 'agent_id']);
+    } else {
+      delivery = await Delivery.findByIdAndUpdate(id, changes, { new: true, runValidators: true })
+        .populate('customer_id').populate('agent_id');
+    }
 
     if (!delivery) {
       return res.status(404).json({ error: 'Delivery not found' });
     }
 
+    await auditService.record(req, { action: 'delivery.update', target: { type: 'delivery', id: delivery._id }, before, after: delivery });
+
+    // Move or remove the queued call if the delivery was rescheduled or cancelled
+    await callSchedulingService.handleDeliveryUpdate(delivery, { scheduled_time, status });
+
     res.json(delivery);
   } catch (error) {
     console.error('Error updating delivery:', error);
@@ -186,6 +288,9 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Delivery not found' });
     }
 
+    await auditService.record(req, { action: 'delivery.delete', target: { type: 'delivery', id: delivery._id }, before: delivery });
+    await callSchedulingService.cancelDeliveryCall(delivery);
+
     res.json({ message: 'Delivery deleted successfully' });
   } catch (error) {
     console.error('Error deleting delivery:', error);
@@ -3,7 +3,11 @@ const router = express.Router();
 const Delivery = require('../../database/models/Delivery');
 const Agent = require('../../database/models/Agent');
 const CallLog = require('../../database/models/CallLog');
+const deliveryStatusService = require('../../services/deliveryStatusService');
+const proofOfDeliveryService = require('../../services/proofOfDeliveryService');
+const auditService = require('../../services/auditService');
 const { authenticateJWT } = require('../middleware/auth');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
 
 // GET /api/mobile/dashboard - Mobile-optimized dashboard
 router.get('/dashboard', authenticateJWT, async (req, res) => {
@@ -19,7 +23,7 @@ router.get('/dashboard', authenticateJWT, async (req, res) => {
     // Get pending actions count
     const pendingCount = await Delivery.countDocuments({
       agent_id: agentId,
-      status: { $in: ['scheduled', 'in_progress'] }
+      status: { $in: deliveryStatusService.openStatuses }
     });
 
     // Get today's deliveries
@@ -73,7 +77,7 @@ router.get('/deliveries/:id', authenticateJWT, async (req, res) => {
     const delivery = await Delivery.findOne({
       _id: req.params.id,
       agent_id: req.agent.id
-    }).populate('customer_id', 'name phone');
+    }).populate('customer_id', 'name phone').populate('proof_id');
 
     if (!delivery) {
       return res.status(404).json({ error: 'Delivery not found' });
@@ -88,13 +92,18 @@ router.get('/deliveries/:id', authenticateJWT, async (req, res) => {
       delivery: {
         id: delivery._id,
         address: delivery.address,
+        accessNotes: delivery.access_notes,
+        location: delivery.location && delivery.location.coordinates
+          ? { latitude: delivery.location.coordinates[1], longitude: delivery.location.coordinates[0] }
+          : null,
         status: delivery.status,
         customer: {
           name: delivery.customer_id.name,
           phone: delivery.customer_id.phone
         },
         scheduledTime: delivery.scheduled_time,
-        notes: delivery.notes
+        notes: delivery.notes,
+        proof: proofOfDeliveryService.formatProof(delivery.proof_id)
       },
       callLogs: callLogs.map(log => ({
         id: log._id,
@@ -118,28 +127,39 @@ router.get('/deliveries/:id', authenticateJWT, async (req, res) => {
 // PUT /api/mobile/deliveries/:id/status - Update delivery status (mobile-optimized)
 router.put('/deliveries/:id/status', authenticateJWT, async (req, res) => {
   try {
-    const { status, notes } = req.body;
-
-    const delivery = await Delivery.findOneAndUpdate(
-      { _id: req.params.id, agent_id: req.agent.id },
-      {
-        status,
-        notes,
-        updatedAt: new Date()
-      },
-      { new: true }
-    ).populate('customer_id', 'name phone');
+    const { status, notes, reason, latitude, longitude } = req.body;
+
+    const result = await deliveryStatusService.transition(req.params.id, status, {
+      actor: { type: 'agent', id: req.agent.id },
+      reason,
+      location: latitude !== undefined && longitude !== undefined ? { latitude, longitude } : undefined,
+      filter: { agent_id: req.agent.id },
+      set: notes !== undefined ? { notes } : {}
+    });
 
-    if (!delivery) {
-      return res.status(404).json({ error: 'Delivery not found' });
+    if (!result.updated) {
+      const code = result.reason === 'not_found' ? 404 : result.reason === 'invalid_status' ? 400 : 409;
+      return res.status(code).json({ error: deliveryStatusService.describeRejection(result), allowed: result.allowed });
+    }
+
+    const delivery = result.delivery;
+    if (result.changed) {
+      await auditService.record(req, {
+        action: 'delivery.status_change',
+        target: { type: 'delivery', id: delivery._id },
+        before: { status: result.from },
+        after: { status: delivery.status }
+      });
     }
 
+    await delivery.populate('customer_id', 'name phone');
+
     // Send push notification for status updates (optional)
     const pushService = require('../../services/pushService');
     const agent = await Agent.findById(req.agent.id);
     if (agent && agent.push_subscription) {
       try {
-        await pushService.sendDeliveryStatusNotification(agent, delivery, status);
+        await pushService.sendDeliveryStatusNotification(agent, delivery, delivery.status);
       } catch (error) {
         console.error('Error sending push notification:', error);
       }
@@ -164,6 +184,49 @@ router.put('/deliveries/:id/status', authenticateJWT, async (req, res) => {
   }
 });
 
+// POST /api/mobile/deliveries/:id/proof - Attach photo, signature, recipient and position as proof of delivery
+router.post('/deliveries/:id/proof', authenticateJWT, validateParams(schemas.idParam), validateBody(schemas.proofCapture), async (req, res) => {
+  try {
+    const { photo, signature, recipient_name, latitude, longitude, accuracy, notes, captured_at } = req.body;
+
+    const delivery = await Delivery.findOne({
+      _id: req.params.id,
+      agent_id: req.agent.id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const result = await proofOfDeliveryService.captureProof(delivery, {
+      agentId: req.agent.id,
+      photo,
+      signature,
+      recipientName: recipient_name,
+      location: latitude !== undefined ? { latitude, longitude, accuracy } : undefined,
+      notes,
+      capturedAt: captured_at ? new Date(captured_at) : undefined
+    });
+
+    if (!result.created) {
+      if (result.reason === 'image_too_large') {
+        return res.status(413).json({ error: `The ${result.field} is larger than ${proofOfDeliveryService.maxImageBytes} bytes` });
+      }
+      if (result.reason === 'storage_not_configured') {
+        return res.status(503).json({ error: 'File storage is not configured' });
+      }
+      return res.status(400).json({ error: `The ${result.field} must be a JPEG, PNG or WebP image` });
+    }
+
+    await auditService.record(req, { action: 'proof_of_delivery.create', target: { type: 'proof_of_delivery', id: result.proof._id }, after: result.proof });
+
+    res.status(201).json({ proof: proofOfDeliveryService.formatProof(result.proof) });
+  } catch (error) {
+    console.error('Error capturing proof of delivery:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // POST /api/mobile/location - Update agent location (for GPS tracking)
 router.post('/location', authenticateJWT, async (req, res) => {
   try {
@@ -259,11 +322,10 @@ router.post('/emergency', authenticateJWT, async (req, res) => {
     if (process.env.ADMIN_PHONE && process.env.TWILIO_ACCOUNT_SID !== 'ACdummy') {
       const twilioService = require('../../services/twilioService');
       try {
-        await twilioService.twilioClient.messages.create({
-          body: `EMERGENCY: ${agent.name} - ${message}${location ? ` Location: ${location.latitude}, ${location.longitude}` : ''}`,
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: process.env.ADMIN_PHONE
-        });
+        await twilioService.sendSms(
+          process.env.ADMIN_PHONE,
+          `EMERGENCY: ${agent.name} - ${message}${location ? ` Location: ${location.latitude}, ${location.longitude}` : ''}`
+        );
       } catch (error) {
         console.error('Error sending emergency SMS:', error);
       }
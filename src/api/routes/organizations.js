@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../../database/models/Organization');
+const organizationService = require('../../services/organizationService');
+const auditService = require('../../services/auditService');
+const { validateBody, validateParams, schemas } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: Merchants (tenants) the platform runs deliveries for; platform API key only
+ */
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: List organizations
+ *     tags: [Organizations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations, without their API keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 });
+    res.json({ organizations: organizations.map(organization => organizationService.formatOrganization(organization)) });
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization and its API key
+ *     description: The API key is only returned here and when rotated; store it straight away.
+ *     tags: [Organizations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Defaults to the name in lowercase with dashes
+ *               phone_number:
+ *                 type: string
+ *                 description: Caller number for this organization's calls and SMS
+ *               branding:
+ *                 type: object
+ *                 properties:
+ *                   merchant_name:
+ *                     type: string
+ *                   logo_url:
+ *                     type: string
+ *                   primary_color:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Organization created, with its API key
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Slug or phone number already used by another organization
+ */
+router.post('/', validateBody(schemas.organizationCreate), async (req, res) => {
+  try {
+    const { organization, apiKey } = await organizationService.createOrganization(req.body);
+
+    await auditService.record(req, {
+      action: 'organization.create',
+      target: { type: 'organization', id: organization._id },
+      after: organization
+    });
+
+    res.status(201).json({
+      organization: organizationService.formatOrganization(organization),
+      apiKey
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Slug or phone number already used by another organization' });
+    }
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization
+ *     tags: [Organizations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:id', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    res.json({ organization: organizationService.formatOrganization(organization) });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   put:
+ *     summary: Update an organization's name, caller number, branding or status
+ *     description: Deactivated organizations' API keys stop working.
+ *     tags: [Organizations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone_number:
+ *                 type: string
+ *               branding:
+ *                 type: object
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Organization updated
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Phone number already used by another organization
+ */
+router.put('/:id', validateParams(schemas.idParam), validateBody(schemas.organizationUpdate), async (req, res) => {
+  try {
+    const before = await Organization.findById(req.params.id).lean();
+    const organization = await organizationService.updateOrganization(req.params.id, req.body);
+
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    await auditService.record(req, {
+      action: 'organization.update',
+      target: { type: 'organization', id: organization._id },
+      before,
+      after: organization
+    });
+
+    res.json({ organization: organizationService.formatOrganization(organization) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Phone number already used by another organization' });
+    }
+    console.error('Error updating organization:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organizations/{id}/api-key:
+ *   post:
+ *     summary: Replace an organization's API key
+ *     description: The old key stops working immediately.
+ *     tags: [Organizations]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New API key
+ *       404:
+ *         description: Organization not found
+ */
+router.post('/:id/api-key', validateParams(schemas.idParam), async (req, res) => {
+  try {
+    const before = await Organization.findById(req.params.id).lean();
+    const result = await organizationService.rotateApiKey(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    // api_key_hash is redacted, so the entry records that the key changed but not the key
+    await auditService.record(req, {
+      action: 'organization.rotate_api_key',
+      target: { type: 'organization', id: result.organization._id },
+      before,
+      after: result.organization
+    });
+
+    res.json({
+      organization: organizationService.formatOrganization(result.organization),
+      apiKey: result.apiKey
+    });
+  } catch (error) {
+    console.error('Error rotating organization API key:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,519 @@
+const express = require('express');
+const router = express.Router();
+const Delivery = require('../../database/models/Delivery');
+const DeadLetterCall = require('../../database/models/DeadLetterCall');
+const callFailureService = require('../../services/callFailureService');
+const auditService = require('../../services/auditService');
+const {
+  JOB_STATES,
+  callQueue,
+  addCallJob,
+  getQueueDetails,
+  getJobsByState,
+  getJobWithState,
+  pauseQueue,
+  resumeQueue,
+  drainQueue
+} = require('../../services/queueService');
+const { authenticateJWT, authenticatePlatformKey, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Queue
+ *   description: Administration of the delivery-calls job queue
+ */
+
+/**
+ * @swagger
+ * /api/admin/queue:
+ *   get:
+ *     summary: Get job counts per state and whether the queue is paused
+ *     description: Platform API key only, the counts cover every organization
+ *     tags: [Queue]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue overview
+ *       401:
+ *         description: Platform API key required
+ */
+router.get('/', authenticatePlatformKey, async (req, res) => {
+  try {
+    res.json(await getQueueDetails());
+  } catch (error) {
+    console.error('Error fetching queue details:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/jobs:
+ *   get:
+ *     summary: List jobs in a state with their data and failure reasons
+ *     tags: [Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [waiting, active, delayed, completed, failed, paused]
+ *       - in: query
+ *         name: delivery_id
+ *         schema:
+ *           type: string
+ *         description: Only jobs for this delivery
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Jobs in the requested state
+ *       400:
+ *         description: Invalid state
+ */
+router.get('/jobs', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { state, delivery_id } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (!JOB_STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be one of: ${JOB_STATES.join(', ')}` });
+    }
+
+    // The admin's jobs, or a delivery's, can be anywhere in the state, not just on the requested page
+    const match = job => belongsToOrganization(job, req.organizationId) &&
+      (!delivery_id || job.data.deliveryId === delivery_id);
+    const start = (page - 1) * limit;
+    const jobs = await getJobsByState(state, start, start + limit - 1, match);
+
+    res.json({
+      state,
+      jobs: jobs.map(job => formatJob(job, state)),
+      pagination: { page, limit }
+    });
+  } catch (error) {
+    console.error('Error listing queue jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/admin/queue/jobs/:id - Get a single job
+router.get('/jobs/:id', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const found = await getOrganizationJob(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatJob(found.job, found.state));
+  } catch (error) {
+    console.error('Error fetching queue job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/jobs/{id}/retry:
+ *   post:
+ *     summary: Retry a failed job
+ *     tags: [Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job moved back to waiting
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not failed
+ */
+router.post('/jobs/:id/retry', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const found = await getOrganizationJob(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (found.state !== 'failed') {
+      return res.status(409).json({ error: `Only failed jobs can be retried, job is ${found.state}` });
+    }
+
+    await found.job.retry();
+    await auditService.record(req, { action: 'queue_job.retry', target: { type: 'queue_job', id: found.job.id }, before: { state: 'failed' }, after: { state: 'waiting' } });
+
+    res.json({ message: 'Job queued for retry', job: formatJob(found.job, 'waiting') });
+  } catch (error) {
+    console.error('Error retrying queue job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/jobs/{id}/promote:
+ *   post:
+ *     summary: Run a delayed job now
+ *     tags: [Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job moved to waiting
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not delayed
+ */
+router.post('/jobs/:id/promote', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const found = await getOrganizationJob(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (found.state !== 'delayed') {
+      return res.status(409).json({ error: `Only delayed jobs can be promoted, job is ${found.state}` });
+    }
+
+    await found.job.promote();
+    await auditService.record(req, { action: 'queue_job.promote', target: { type: 'queue_job', id: found.job.id }, before: { state: 'delayed' }, after: { state: 'waiting' } });
+
+    res.json({ message: 'Job promoted', job: formatJob(found.job, 'waiting') });
+  } catch (error) {
+    console.error('Error promoting queue job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/admin/queue/jobs/:id - Remove a job that isn't running
+router.delete('/jobs/:id', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const found = await getOrganizationJob(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (found.state === 'active') {
+      return res.status(409).json({ error: 'Active jobs cannot be removed' });
+    }
+
+    await found.job.remove();
+    await auditService.record(req, { action: 'queue_job.remove', target: { type: 'queue_job', id: found.job.id }, before: { state: found.state, data: found.job.data } });
+
+    res.json({ message: 'Job removed successfully' });
+  } catch (error) {
+    console.error('Error removing queue job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/pause:
+ *   post:
+ *     summary: Pause the queue for every worker and organization
+ *     description: Platform API key only
+ *     tags: [Queue]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue paused
+ */
+router.post('/pause', authenticatePlatformKey, async (req, res) => {
+  try {
+    await pauseQueue();
+    await auditService.record(req, { action: 'queue.pause', target: { type: 'queue', id: callQueue.name }, after: { paused: true } });
+    res.json({ message: 'Queue paused', paused: true });
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/resume:
+ *   post:
+ *     summary: Resume the queue
+ *     description: Platform API key only
+ *     tags: [Queue]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue resumed
+ */
+router.post('/resume', authenticatePlatformKey, async (req, res) => {
+  try {
+    await resumeQueue();
+    await auditService.record(req, { action: 'queue.resume', target: { type: 'queue', id: callQueue.name }, after: { paused: false } });
+    res.json({ message: 'Queue resumed', paused: false });
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/drain:
+ *   post:
+ *     summary: Remove all waiting and delayed jobs of every organization
+ *     description: Platform API key only. Active jobs finish normally; completed and failed history is kept
+ *     tags: [Queue]
+ *     security:
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of jobs removed per state
+ */
+router.post('/drain', authenticatePlatformKey, async (req, res) => {
+  try {
+    const removed = await drainQueue();
+    // The entry lists how many jobs were removed per state
+    await auditService.record(req, { action: 'queue.drain', target: { type: 'queue', id: callQueue.name }, before: removed });
+    res.json({ message: 'Queue drained', removed });
+  } catch (error) {
+    console.error('Error draining queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/dead-letters:
+ *   get:
+ *     summary: List call jobs that failed permanently
+ *     tags: [Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: failure_class
+ *         schema:
+ *           type: string
+ *           enum: [invalid_number, provider_error, delivery_missing, rate_limited]
+ *       - in: query
+ *         name: delivery
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *         description: Unresolved dead letters only when false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Dead-lettered call jobs, newest first, with the retry rules per failure class
+ */
+router.get('/dead-letters', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { failure_class, delivery, resolved, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = {};
+    if (failure_class) query.failure_class = failure_class;
+    if (delivery) query.delivery_id = delivery;
+    if (resolved === 'false') query.resolved_at = { $exists: false };
+    if (resolved === 'true') query.resolved_at = { $exists: true };
+
+    const deadLetters = await DeadLetterCall.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DeadLetterCall.countDocuments(query);
+
+    res.json({
+      rules: callFailureService.getPolicy(),
+      deadLetters: deadLetters.map(formatDeadLetter),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dead-lettered calls:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/queue/dead-letters/{id}/requeue:
+ *   post:
+ *     summary: Queue a dead-lettered call again, e.g. after fixing the customer's phone number
+ *     tags: [Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New call job queued
+ *       404:
+ *         description: Dead letter not found
+ *       409:
+ *         description: Dead letter already resolved
+ */
+router.post('/dead-letters/:id/requeue', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterCall.findById(req.params.id);
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    if (deadLetter.resolved_at) {
+      return res.status(409).json({ error: `Dead letter already ${deadLetter.resolution}` });
+    }
+
+    // Reuse the original job ID so requeueing twice can't queue two calls; older job data has no organization
+    const job = await addCallJob({ ...deadLetter.job_data, organizationId: req.organizationId }, 0, deadLetter.job_id);
+
+    // Point the delivery at the new job, so cancelling or rescheduling the delivery removes this call too
+    if (deadLetter.delivery_id) {
+      await Delivery.findByIdAndUpdate(deadLetter.delivery_id, {
+        call_job_id: job.id.toString(),
+        call_scheduled_for: new Date()
+      });
+    }
+
+    deadLetter.resolution = 'requeued';
+    deadLetter.resolved_at = new Date();
+    deadLetter.resolved_by = req.agent.id;
+    deadLetter.requeued_job_id = job.id.toString();
+    await deadLetter.save();
+    await auditService.record(req, { action: 'dead_letter.requeue', target: { type: 'dead_letter', id: deadLetter._id }, after: { resolution: 'requeued', requeued_job_id: deadLetter.requeued_job_id } });
+
+    res.json({ message: 'Call queued again', jobId: job.id, deadLetter: formatDeadLetter(deadLetter) });
+  } catch (error) {
+    console.error('Error requeueing dead-lettered call:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/admin/queue/dead-letters/:id/dismiss - Acknowledge a dead letter without calling again
+router.post('/dead-letters/:id/dismiss', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterCall.findById(req.params.id);
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    if (deadLetter.resolved_at) {
+      return res.status(409).json({ error: `Dead letter already ${deadLetter.resolution}` });
+    }
+
+    deadLetter.resolution = 'dismissed';
+    deadLetter.resolved_at = new Date();
+    deadLetter.resolved_by = req.agent.id;
+    await deadLetter.save();
+    await auditService.record(req, { action: 'dead_letter.dismiss', target: { type: 'dead_letter', id: deadLetter._id }, after: { resolution: 'dismissed' } });
+
+    res.json({ message: 'Dead letter dismissed', deadLetter: formatDeadLetter(deadLetter) });
+  } catch (error) {
+    console.error('Error dismissing dead-lettered call:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Call jobs carry their delivery's organization; jobs queued without one are only visible to the platform
+function belongsToOrganization(job, organizationId) {
+  return Boolean(job.data) && job.data.organizationId === organizationId;
+}
+
+// Helper function to find a job of the admin's organization, null for unknown and other organizations' jobs
+async function getOrganizationJob(req) {
+  const found = await getJobWithState(req.params.id);
+  return found && belongsToOrganization(found.job, req.organizationId) ? found : null;
+}
+
+// Helper function to shape a dead-lettered call for API responses
+function formatDeadLetter(deadLetter) {
+  return {
+    id: deadLetter._id,
+    deliveryId: deadLetter.delivery_id || (deadLetter.job_data && deadLetter.job_data.deliveryId),
+    jobId: deadLetter.job_id,
+    jobData: deadLetter.job_data,
+    failureClass: deadLetter.failure_class,
+    errorMessage: deadLetter.error_message,
+    errorCode: deadLetter.error_code,
+    attemptsMade: deadLetter.attempts_made,
+    stacktrace: deadLetter.stacktrace,
+    resolution: deadLetter.resolution || null,
+    resolvedAt: deadLetter.resolved_at || null,
+    resolvedBy: deadLetter.resolved_by || null,
+    requeuedJobId: deadLetter.requeued_job_id || null,
+    createdAt: deadLetter.createdAt
+  };
+}
+
+// Helper function to shape a Bull job for API responses
+function formatJob(job, state) {
+  return {
+    id: job.id,
+    name: job.name,
+    state,
+    data: job.data,
+    attemptsMade: job.attemptsMade,
+    failedReason: job.failedReason || null,
+    stacktrace: job.stacktrace || [],
+    result: job.returnvalue || null,
+    createdAt: new Date(job.timestamp),
+    runAt: job.delay ? new Date(job.timestamp + job.delay) : null,
+    processedAt: job.processedOn ? new Date(job.processedOn) : null,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+  };
+}
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const Recording = require('../../database/models/Recording');
+const recordingPipelineService = require('../../services/recordingPipelineService');
+const auditService = require('../../services/auditService');
+const { addRecordingJob } = require('../../services/queueService');
 
 // GET /api/recordings/:id - Get recording by ID
 router.get('/:id', async (req, res) => {
@@ -46,4 +49,43 @@ router.get('/delivery/:delivery_id', async (req, res) => {
   }
 });
 
+// POST /api/recordings/:id/reprocess - Run the processing pipeline again from the start
+router.post('/:id/reprocess', async (req, res) => {
+  try {
+    const recording = await Recording.findById(req.params.id);
+
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    if (recording.channel === 'sms') {
+      return res.status(400).json({ error: 'SMS replies have no audio to process' });
+    }
+
+    const before = auditService.toPlain(recording);
+    recording.processing = recordingPipelineService.createProcessing();
+    await recording.save();
+
+    const job = await addRecordingJob(recording._id);
+    recording.processing.job_id = job.id;
+    await recording.save();
+
+    await auditService.record(req, {
+      action: 'recording.reprocess',
+      target: { type: 'recording', id: recording._id },
+      before,
+      after: recording
+    });
+
+    res.status(202).json({
+      message: 'Recording queued for processing',
+      job_id: job.id,
+      processing: recording.processing
+    });
+  } catch (error) {
+    console.error('Error reprocessing recording:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
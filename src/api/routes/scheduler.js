@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../../services/schedulerService');
+const auditService = require('../../services/auditService');
+const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Scheduler
+ *   description: Recurring maintenance and report jobs
+ */
+
+/**
+ * @swagger
+ * /api/admin/scheduler/jobs:
+ *   get:
+ *     summary: List scheduled jobs with their cron, next run and the latest run the admin's organization triggered
+ *     tags: [Scheduler]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled jobs
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/jobs', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    res.json({ jobs: await schedulerService.listJobs(req.organizationId) });
+  } catch (error) {
+    console.error('Error fetching scheduled jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/scheduler/jobs/{name}/run:
+ *   post:
+ *     summary: Run a scheduled job now
+ *     tags: [Scheduler]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [stale-delivery-sweep, recording-retention-purge, analytics-rollup, daily-digest]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Day to roll up, for analytics-rollup; defaults to yesterday
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Unknown job
+ */
+router.post('/jobs/:name/run', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const { date } = req.body || {};
+
+    if (date !== undefined && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date' });
+    }
+
+    const job = await schedulerService.trigger(req.params.name, req.agent.id, date ? { date } : {});
+
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    await auditService.record(req, {
+      action: 'scheduler.run',
+      target: { type: 'scheduler', id: req.params.name },
+      after: { job_id: job.id, date }
+    });
+
+    console.log(`Scheduled job ${req.params.name} triggered by ${req.agent.id}`);
+    res.status(202).json({ message: 'Job queued', name: req.params.name, job_id: job.id });
+  } catch (error) {
+    console.error('Error triggering scheduled job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
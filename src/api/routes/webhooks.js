@@ -1,49 +1,69 @@
 const express = require('express');
 const router = express.Router();
-const twilio = require('twilio');
-const axios = require('axios');
 const CallLog = require('../../database/models/CallLog');
 const Recording = require('../../database/models/Recording');
 const Delivery = require('../../database/models/Delivery');
 const Agent = require('../../database/models/Agent');
-const storageService = require('../../services/storageService');
-const twilioService = require('../../services/twilioService');
-const pushService = require('../../services/pushService');
+const Customer = require('../../database/models/Customer');
+const telephony = require('../../services/telephony');
+const callRetryService = require('../../services/callRetryService');
+const smsService = require('../../services/smsService');
+const recordingPipelineService = require('../../services/recordingPipelineService');
+const { addRecordingJob } = require('../../services/queueService');
+const callScriptService = require('../../services/callScriptService');
+const { validateTwilioWebhook, validateTwilioRequest, resolveWebhookTenant } = require('../middleware/twilioWebhook');
 
-// Middleware to validate Twilio webhook
-const validateTwilioWebhook = (req, res, next) => {
-  const twilioSignature = req.get('X-Twilio-Signature');
-  const url = process.env.BASE_URL + req.originalUrl;
-
-  if (!twilioSignature) {
-    return res.status(400).json({ error: 'Missing Twilio signature' });
-  }
-
-  // In production, validate signature
-  // For now, skip validation for development
-  next();
+// Keypad menu offered at the start of the call, keyed by DTMF digit
+const MENU_OPTIONS = {
+  '1': 'confirmed',
+  '2': 'reschedule',
+  '3': 'safe_place',
+  '4': 'instructions',
+  '0': 'repeat'
 };
 
 // POST /api/webhooks/voice - Handle voice call flow
-router.post('/voice', validateTwilioWebhook, async (req, res) => {
+router.post('/voice', validateTwilioRequest, resolveWebhookTenant, async (req, res) => {
   try {
-    const twiml = new twilio.twiml.VoiceResponse();
+    const twiml = telephony.createVoiceResponse();
     const deliveryId = req.query.delivery_id;
+    const delivery = deliveryId ? await Delivery.findById(deliveryId).populate('customer_id') : null;
 
-    if (!deliveryId) {
-      twiml.say('Sorry, there was an error with this call.');
+    if (!delivery) {
+      twiml.say(callScriptService.getDefaultPrompts().error);
       return res.type('text/xml').send(twiml.toString());
     }
 
-    twiml.say({ voice: 'alice' }, 'Hello! This is regarding your delivery scheduled for today. Please record your availability or special delivery instructions after the beep.');
-    twiml.record({
-      action: `${process.env.BASE_URL}/api/webhooks/recording?delivery_id=${deliveryId}`,
-      maxLength: 60,
-      finishOnKey: '#',
-      transcribe: true,
-      transcribeCallback: `${process.env.BASE_URL}/api/webhooks/transcription?delivery_id=${deliveryId}`
+    const language = callScriptService.getCallLanguage(delivery, req.query.lang);
+    const prompts = await callScriptService.getPromptsForDelivery(delivery, language);
+    const say = callScriptService.getSayOptions(language);
+
+    if (req.body.AnsweredBy) {
+      const answeredBy = getAnsweredBy(req.body.AnsweredBy);
+      await CallLog.findOneAndUpdate({ call_sid: req.body.CallSid }, { answered_by: answeredBy });
+
+      // Voicemail picked up: leave a message instead of running the menu
+      if (answeredBy === 'machine') {
+        twiml.say(say, prompts.voicemail);
+        twiml.hangup();
+        return res.type('text/xml').send(twiml.toString());
+      }
+    }
+
+    const alternateLanguage = callScriptService.getAlternateLanguage(language);
+    const alternatePrompts = await callScriptService.getPromptsForDelivery(delivery, alternateLanguage);
+
+    const gather = twiml.gather({
+      numDigits: 1,
+      action: `${process.env.BASE_URL}/api/webhooks/gather?delivery_id=${deliveryId}&lang=${language}`,
+      method: 'POST',
+      timeout: 8
     });
-    twiml.say('We did not receive your message. Goodbye.');
+    gather.say(say, prompts.greeting);
+    gather.say(say, prompts.menu);
+    // Offer the switch in the language it switches to
+    gather.say(callScriptService.getSayOptions(alternateLanguage), alternatePrompts.language_switch);
+    twiml.say(say, prompts.no_selection);
 
     res.type('text/xml').send(twiml.toString());
   } catch (error) {
@@ -52,11 +72,75 @@ router.post('/voice', validateTwilioWebhook, async (req, res) => {
   }
 });
 
+// POST /api/webhooks/gather - Handle keypad menu selection
+router.post('/gather', validateTwilioRequest, resolveWebhookTenant, async (req, res) => {
+  try {
+    const twiml = telephony.createVoiceResponse();
+    const deliveryId = req.query.delivery_id;
+    const { CallSid, Digits } = req.body;
+    const option = MENU_OPTIONS[Digits];
+    const delivery = deliveryId ? await Delivery.findById(deliveryId).populate('customer_id') : null;
+
+    if (!delivery) {
+      twiml.say(callScriptService.getDefaultPrompts().error);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    const language = callScriptService.getCallLanguage(delivery, req.query.lang);
+
+    // Language switch: remember the choice and restart the menu in that language
+    if (Digits === callScriptService.switchDigit) {
+      const newLanguage = callScriptService.getAlternateLanguage(language);
+      if (delivery.customer_id) {
+        await Customer.findByIdAndUpdate(delivery.customer_id._id, { language: newLanguage });
+      }
+      twiml.redirect({ method: 'POST' }, `${process.env.BASE_URL}/api/webhooks/voice?delivery_id=${deliveryId}&lang=${newLanguage}`);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    const prompts = await callScriptService.getPromptsForDelivery(delivery, language);
+    const say = callScriptService.getSayOptions(language);
+
+    // Unknown digit or explicit repeat: replay the menu
+    if (!option || option === 'repeat') {
+      if (!option) {
+        twiml.say(say, prompts.invalid_option);
+      }
+      twiml.redirect({ method: 'POST' }, `${process.env.BASE_URL}/api/webhooks/voice?delivery_id=${deliveryId}&lang=${language}`);
+      return res.type('text/xml').send(twiml.toString());
+    }
+
+    await saveMenuSelection(deliveryId, CallSid, Digits, option);
+
+    switch (option) {
+      case 'confirmed':
+        twiml.say(say, prompts.confirmed);
+        twiml.hangup();
+        break;
+      case 'reschedule':
+        twiml.say(say, prompts.reschedule);
+        recordResponse(twiml, deliveryId, option, 30, prompts, language);
+        break;
+      case 'safe_place':
+        twiml.say(say, prompts.safe_place);
+        recordResponse(twiml, deliveryId, option, 30, prompts, language);
+        break;
+      default:
+        twiml.say(say, prompts.instructions);
+        recordResponse(twiml, deliveryId, option, 60, prompts, language);
+    }
+
+    res.type('text/xml').send(twiml.toString());
+  } catch (error) {
+    console.error('Error handling gather webhook:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 // POST /api/webhooks/recording - Handle recording completion
-router.post('/recording', validateTwilioWebhook, async (req, res) => {
+router.post('/recording', validateTwilioWebhook, resolveWebhookTenant, async (req, res) => {
   try {
     const { CallSid, RecordingUrl, RecordingDuration } = req.body;
-    const deliveryId = req.query.delivery_id;
 
     // Find and update call log with recording info
     const callLog = await CallLog.findOneAndUpdate(
@@ -65,68 +149,25 @@ router.post('/recording', validateTwilioWebhook, async (req, res) => {
       { new: true }
     );
 
-    if (callLog) {
-      let finalAudioUrl = RecordingUrl;
-
-      // Download recording from Twilio and upload to Cloudflare R2
-      try {
-        if (storageService && process.env.R2_ACCESS_KEY_ID !== 'dummy_access_key') {
-          const response = await axios.get(RecordingUrl, {
-            responseType: 'arraybuffer',
-            auth: {
-              username: process.env.TWILIO_ACCOUNT_SID,
-              password: process.env.TWILIO_AUTH_TOKEN
-            }
-          });
-
-          const fileName = `recording-${CallSid}.wav`;
-          finalAudioUrl = await storageService.uploadRecording(response.data, fileName);
-          console.log('Recording uploaded to R2:', finalAudioUrl);
-        }
-      } catch (error) {
-        console.error('Error uploading recording to R2, using Twilio URL:', error);
-        // Fall back to Twilio URL if R2 upload fails
-      }
+    // Never treat a voicemail greeting as customer instructions
+    if (callLog && callLog.answered_by !== 'machine') {
+      // The purpose comes back from the callback URL, so anything unknown is treated as instructions
+      const purposes = Recording.schema.path('purpose').enumValues;
+      const purpose = purposes.includes(req.query.purpose) ? req.query.purpose : 'instructions';
 
-      // Create recording entry
+      // Served from the provider until the pipeline copies it to R2
       const recording = new Recording({
         call_log_id: callLog._id,
-        audio_url: finalAudioUrl,
-        duration: RecordingDuration
+        audio_url: RecordingUrl,
+        source_url: RecordingUrl,
+        duration: RecordingDuration,
+        purpose,
+        language: callScriptService.resolveLanguage(req.query.lang),
+        processing: recordingPipelineService.createProcessing()
       });
       await recording.save();
 
-      // Notify agent if delivery has an agent assigned
-      const delivery = await Delivery.findById(callLog.delivery_id).populate('agent_id');
-      if (delivery && delivery.agent_id) {
-        // Send SMS notification
-        try {
-          await twilioService.twilioClient.messages.create({
-            body: `New customer recording available for delivery at ${delivery.address}. Check the app for details.`,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: delivery.agent_id.phone
-          });
-        } catch (error) {
-          console.error('Error sending SMS to agent:', error);
-        }
-
-        // Send push notification
-        try {
-          await pushService.sendNewRecordingNotification(delivery.agent_id, delivery, finalAudioUrl);
-        } catch (error) {
-          console.error('Error sending push notification:', error);
-        }
-
-        // Emit real-time notification via Socket.io
-        const { io } = require('../../index');
-        io.to(`agent_${delivery.agent_id._id}`).emit('new-recording', {
-          deliveryId: delivery._id,
-          address: delivery.address,
-          customer: delivery.customer_id,
-          recordingUrl: finalAudioUrl,
-          duration: RecordingDuration
-        });
-      }
+      await queueRecording(recording._id);
     }
 
     res.sendStatus(200);
@@ -137,7 +178,7 @@ router.post('/recording', validateTwilioWebhook, async (req, res) => {
 });
 
 // POST /api/webhooks/transcription - Handle transcription completion
-router.post('/transcription', validateTwilioWebhook, async (req, res) => {
+router.post('/transcription', validateTwilioWebhook, resolveWebhookTenant, async (req, res) => {
   try {
     const { TranscriptionText, CallSid } = req.body;
 
@@ -145,11 +186,19 @@ router.post('/transcription', validateTwilioWebhook, async (req, res) => {
     const callLog = await CallLog.findOne({ call_sid: CallSid });
 
     if (callLog) {
-      // Update recording with transcription
-      await Recording.findOneAndUpdate(
+      // Update recording with transcription and analyze it
+      const recording = await Recording.findOneAndUpdate(
         { call_log_id: callLog._id },
-        { transcription: TranscriptionText }
+        {
+          transcription: TranscriptionText,
+          'processing.steps.analyze': { status: 'pending', attempts: 0 }
+        },
+        { new: true }
       );
+
+      if (recording) {
+        await queueRecording(recording._id);
+      }
     }
 
     res.sendStatus(200);
@@ -159,17 +208,52 @@ router.post('/transcription', validateTwilioWebhook, async (req, res) => {
   }
 });
 
+// POST /api/webhooks/sms - Handle inbound customer SMS replies
+router.post('/sms', validateTwilioWebhook, resolveWebhookTenant, async (req, res) => {
+  try {
+    const twiml = telephony.createMessagingResponse();
+    const result = await smsService.handleInboundMessage(req.body);
+
+    // Free-text replies are analyzed and reach the agent the same way voice recordings do
+    if (result.recording) {
+      await queueRecording(result.recording._id);
+    }
+
+    if (result.reply) {
+      twiml.message(result.reply);
+    }
+
+    res.type('text/xml').send(twiml.toString());
+  } catch (error) {
+    console.error('Error handling SMS webhook:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 // POST /api/webhooks/call-status - Handle call status updates
-router.post('/call-status', validateTwilioWebhook, async (req, res) => {
+router.post('/call-status', validateTwilioWebhook, resolveWebhookTenant, async (req, res) => {
   try {
     const { CallSid, CallStatus, CallDuration } = req.body;
 
     // Update call log status
-    await CallLog.findOneAndUpdate(
+    const callLog = await CallLog.findOneAndUpdate(
       { call_sid: CallSid },
-      { status: CallStatus, duration: CallDuration }
+      { status: CallStatus, duration: CallDuration },
+      { new: true }
     );
 
+    // Queue a follow-up call when the customer couldn't be reached
+    if (callLog && callRetryService.shouldRetry(CallStatus)) {
+      try {
+        const retry = await callRetryService.scheduleRetry(callLog);
+        if (!retry.scheduled) {
+          console.log(`Call ${CallSid} not retried: ${retry.reason}`);
+        }
+      } catch (error) {
+        console.error('Error scheduling call retry:', error);
+      }
+    }
+
     res.sendStatus(200);
   } catch (error) {
     console.error('Error handling call status webhook:', error);
@@ -177,4 +261,51 @@ router.post('/call-status', validateTwilioWebhook, async (req, res) => {
   }
 });
 
+// Helper function to map Twilio's AnsweredBy value to human, machine or unknown
+function getAnsweredBy(value) {
+  if (value === 'human') return 'human';
+  if (value.startsWith('machine') || value === 'fax') return 'machine';
+  return 'unknown';
+}
+
+// Helper function to append a <Record> verb for a menu option
+function recordResponse(twiml, deliveryId, purpose, maxLength, prompts, language) {
+  // Twilio only transcribes English; other languages are transcribed by the recording pipeline
+  const twilioTranscribes = language === 'en';
+
+  twiml.record({
+    action: `${process.env.BASE_URL}/api/webhooks/recording?delivery_id=${deliveryId}&purpose=${purpose}&lang=${language}`,
+    maxLength,
+    finishOnKey: '#',
+    transcribe: twilioTranscribes,
+    ...(twilioTranscribes && {
+      transcribeCallback: `${process.env.BASE_URL}/api/webhooks/transcription?delivery_id=${deliveryId}`
+    })
+  });
+  twiml.say(callScriptService.getSayOptions(language), prompts.no_recording);
+}
+
+// Helper function to queue a recording for processing and remember its job
+async function queueRecording(recordingId) {
+  const job = await addRecordingJob(recordingId);
+  await Recording.findByIdAndUpdate(recordingId, { 'processing.job_id': job.id });
+}
+
+// Helper function to store a menu choice on the delivery and its call log
+async function saveMenuSelection(deliveryId, callSid, digit, option) {
+  const selectedAt = new Date();
+
+  await Promise.all([
+    Delivery.findByIdAndUpdate(deliveryId, {
+      customer_response: option,
+      customer_response_at: selectedAt,
+      customer_response_channel: 'voice'
+    }),
+    CallLog.findOneAndUpdate(
+      { call_sid: callSid },
+      { $push: { menu_selections: { digit, option, selected_at: selectedAt } } }
+    )
+  ]);
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,136 @@
 require('dotenv').config();
-require('./connection'); // Connect to MongoDB
+const mongoose = require('./connection'); // Connect to MongoDB
+const Delivery = require('./models/Delivery');
+const Customer = require('./models/Customer');
+const Organization = require('./models/Organization');
+const Agent = require('./models/Agent');
+const CallLog = require('./models/CallLog');
+const Recording = require('./models/Recording');
+const ProofOfDelivery = require('./models/ProofOfDelivery');
+const Campaign = require('./models/Campaign');
+const CallScript = require('./models/CallScript');
+const DoNotCall = require('./models/DoNotCall');
+const BlockedCall = require('./models/BlockedCall');
+const DeadLetterCall = require('./models/DeadLetterCall');
+const DailyStats = require('./models/DailyStats');
+const organizationService = require('../services/organizationService');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const addressService = require('../services/addressService');
+const { formatPhoneNumber } = require('../utils/helpers');
+
+// Models whose documents belong to an organization
+const TENANT_MODELS = [Delivery, Customer, Agent, CallLog, Recording, ProofOfDelivery, Campaign, CallScript, DoNotCall, BlockedCall, DeadLetterCall, DailyStats];
+
+// Move data from before organizations into a default organization named after MERCHANT_NAME
+async function migrateOrganizations() {
+  let organization = await Organization.findOne().sort({ createdAt: 1 });
+
+  if (!organization) {
+    const name = process.env.MERCHANT_NAME || 'Default';
+    const created = await organizationService.createOrganization({ name, phone_number: process.env.TWILIO_PHONE_NUMBER });
+    organization = created.organization;
+    console.log(`Created organization ${organization.slug} (${organization._id}) with API key ${created.apiKey}; store it now, it is not shown again`);
+  }
+
+  for (const Model of TENANT_MODELS) {
+    const result = await Model.updateMany({ organization_id: { $exists: false } }, { organization_id: organization._id });
+    if (result.modifiedCount > 0) {
+      console.log(`Assigned ${result.modifiedCount} ${Model.modelName} documents to organization ${organization.slug}`);
+    }
+  }
+
+  // Unique indexes now include organization_id; drop the old global ones
+  for (const Model of [Customer, CallScript, DoNotCall, DailyStats]) {
+    await Model.syncIndexes();
+  }
+}
+
+// Rename delivery statuses from before the status lifecycle, e.g. completed -> delivered
+async function migrateLegacyDeliveryStatuses() {
+  for (const [legacy, status] of Object.entries(deliveryStatusService.legacyStatuses)) {
+    const result = await Delivery.updateMany(
+      { status: legacy },
+      {
+        $set: { status },
+        $push: { status_history: { from: legacy, to: status, actor_type: 'system', reason: 'Status renamed by migration', at: new Date() } }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`Renamed delivery status ${legacy} to ${status} on ${result.modifiedCount} deliveries`);
+    }
+  }
+}
+
+// Store customer phone numbers in E.164; numbers that then clash are reported for merging
+async function migrateCustomerPhones() {
+  for await (const customer of Customer.find().select('_id phone organization_id').cursor()) {
+    const phone = formatPhoneNumber(customer.phone);
+    if (!phone || phone === customer.phone) continue;
+
+    const duplicate = await Customer.findOne({ organization_id: customer.organization_id, phone }).select('_id');
+    if (duplicate) {
+      console.log(`Customer ${customer._id} (${customer.phone}) duplicates ${duplicate._id}; merge with POST /api/customers/${duplicate._id}/merge`);
+      continue;
+    }
+
+    await Customer.updateOne({ _id: customer._id }, { phone });
+  }
+}
+
+// Store do-not-call numbers in E.164 so the calling policy matches them against customer numbers
+async function migrateDoNotCallPhones() {
+  for await (const entry of DoNotCall.find().select('_id phone organization_id').cursor()) {
+    const phone = formatPhoneNumber(entry.phone);
+    if (!phone || phone === entry.phone) continue;
+
+    // Already on the list in E.164, so this copy adds nothing
+    if (await DoNotCall.exists({ organization_id: entry.organization_id, phone })) {
+      await DoNotCall.deleteOne({ _id: entry._id });
+      continue;
+    }
+
+    await DoNotCall.updateOne({ _id: entry._id }, { phone });
+  }
+}
+
+// Move free-text delivery addresses into their customers' address books, geocoding ones without coordinates
+async function migrateDeliveryAddresses() {
+  let linked = 0;
+  const deliveries = Delivery.find({ address_id: { $exists: false } }).select('_id customer_id address location').cursor();
+
+  for await (const delivery of deliveries) {
+    const coordinates = delivery.location && delivery.location.coordinates;
+    const result = await addressService.resolveForDelivery(delivery.customer_id, {
+      address: delivery.address,
+      longitude: coordinates ? coordinates[0] : undefined,
+      latitude: coordinates ? coordinates[1] : undefined
+    });
+
+    if (!result.resolved) {
+      console.log(`Delivery ${delivery._id} not linked to an address: ${addressService.describeRejection(result.reason)}`);
+      continue;
+    }
+
+    const { address_id, access_notes, location } = result.fields;
+    await Delivery.updateOne(
+      { _id: delivery._id },
+      { address_id, access_notes, ...(coordinates ? {} : { location }) }
+    );
+    linked++;
+  }
+
+  if (linked > 0) {
+    console.log(`Linked ${linked} deliveries to customer addresses`);
+  }
+}
 
 async function runMigrations() {
   try {
-    console.log('MongoDB models are defined and ready. No migrations needed.');
+    await migrateOrganizations();
+    await migrateLegacyDeliveryStatuses();
+    await migrateCustomerPhones();
+    await migrateDoNotCallPhones();
+    await migrateDeliveryAddresses();
     console.log('Migrations completed successfully!');
   } catch (error) {
     console.error('Migration failed:', error);
@@ -12,7 +139,8 @@ async function runMigrations() {
 }
 
 if (require.main === module) {
-  runMigrations();
+  // Exit explicitly: queue connections opened by the services would keep the process alive
+  runMigrations().then(() => mongoose.disconnect()).then(() => process.exit(0));
 }
 
-module.exports = runMigrations;
\ No newline at end of file
+module.exports = runMigrations;
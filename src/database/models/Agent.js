@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 
 const agentSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -12,4 +13,6 @@ const agentSchema = new mongoose.Schema({
   push_subscription: mongoose.Schema.Types.Mixed, // Web Push API subscription
 }, { timestamps: true });
 
+agentSchema.plugin(tenantScope);
+
 module.exports = mongoose.model('Agent', agentSchema);
\ No newline at end of file
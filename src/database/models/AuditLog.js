@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Append-only record of a write made by an admin or agent: who, what, before and after
+const auditLogSchema = new mongoose.Schema({
+  actor_type: { type: String, enum: ['admin', 'agent', 'api_key'], required: true },
+  actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  actor_email: String,
+  action: { type: String, required: true }, // e.g. delivery.delete
+  target_type: {
+    type: String,
+    enum: [
+      'delivery', 'agent', 'do_not_call', 'customer', 'call_script', 'campaign',
+      'proof_of_delivery', 'queue_job', 'queue', 'dead_letter', 'scheduler', 'recording',
+      'organization'
+    ],
+    required: true
+  },
+  target_id: { type: String, required: true }, // Document or job ID, the phone number for do-not-call entries, the name for queues and scheduled jobs
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  user_agent: String,
+  request_id: String,
+  method: String,
+  path: String,
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ organization_id: 1, createdAt: -1 });
+auditLogSchema.index({ target_type: 1, target_id: 1, createdAt: -1 });
+auditLogSchema.index({ actor_id: 1, createdAt: -1 });
+
+// Entries can only be added, never changed or removed
+auditLogSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], function () {
+  throw new Error('Audit log entries cannot be changed or deleted');
+});
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be changed or deleted');
+  }
+});
+
+auditLogSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
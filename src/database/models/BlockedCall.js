@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Compliance record of a call the calling policy stopped the worker from dialling
+const blockedCallSchema = new mongoose.Schema({
+  delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery', required: true },
+  customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  phone: String,
+  reason: { type: String, enum: ['quiet_hours', 'do_not_call', 'daily_cap'], required: true },
+  timezone: String,
+  local_time: String, // Customer's wall-clock time when the call was blocked, e.g. 21:45
+  attempt: Number,
+  rescheduled_for: Date, // Empty when the call can never be placed
+}, { timestamps: true });
+
+blockedCallSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('BlockedCall', blockedCallSchema);
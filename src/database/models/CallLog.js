@@ -1,11 +1,24 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 
 const callLogSchema = new mongoose.Schema({
   delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery', required: true },
-  call_sid: { type: String, unique: true },
+  call_sid: { type: String, unique: true }, // Call SID, or Message SID for SMS
+  channel: { type: String, enum: ['voice', 'sms'], default: 'voice' },
   status: String,
   duration: Number,
   recording_url: String,
+  answered_by: { type: String, enum: ['human', 'machine', 'unknown'] }, // From answering machine detection
+  attempt: { type: Number, default: 1 },
+  retry_scheduled: { type: Boolean, default: false },
+  next_retry_at: Date,
+  menu_selections: [{
+    digit: String,
+    option: String,
+    selected_at: Date
+  }],
 }, { timestamps: true });
 
+callLogSchema.plugin(tenantScope);
+
 module.exports = mongoose.model('CallLog', callLogSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Each edit is saved as a new version; one version is active per language
+const callScriptSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  version: { type: Number, required: true, default: 1 },
+  description: String,
+  language: { type: String, default: 'en' },
+  prompts: {
+    greeting: String,
+    menu: String,
+    language_switch: String,
+    no_selection: String,
+    invalid_option: String,
+    confirmed: String,
+    reschedule: String,
+    safe_place: String,
+    instructions: String,
+    no_recording: String,
+    voicemail: String,
+    error: String,
+  },
+  is_active: { type: Boolean, default: false },
+  activated_at: Date,
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+}, { timestamps: true });
+
+callScriptSchema.index({ organization_id: 1, name: 1, version: 1 }, { unique: true });
+
+callScriptSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('CallScript', callScriptSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Bulk pre-delivery calls for every matching delivery, spread over a time window
+const campaignSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  filter: {
+    scheduled_from: { type: Date, required: true },
+    scheduled_to: { type: Date, required: true },
+    statuses: [String],
+    agent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' }
+  },
+  window_start: { type: Date, required: true },
+  window_end: { type: Date, required: true },
+  spacing_ms: Number, // Time between consecutive calls
+  status: { type: String, enum: ['scheduling', 'scheduled', 'completed', 'cancelled'], default: 'scheduling' },
+  deliveries: [{
+    delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery' },
+    job_id: String,
+    scheduled_for: Date,
+    _id: false
+  }],
+  skipped: [{
+    delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery' },
+    reason: String,
+    _id: false
+  }],
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  completed_at: Date,
+  cancelled_at: Date,
+}, { timestamps: true });
+
+campaignSchema.index({ createdAt: -1 });
+
+campaignSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Campaign', campaignSchema);
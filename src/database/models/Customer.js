@@ -1,10 +1,54 @@
 const mongoose = require('mongoose');
+const { formatPhoneNumber } = require('../../utils/helpers');
+const tenantScope = require('../plugins/tenantScope');
+
+// Saved delivery address; deliveries reference one by its _id
+const addressSchema = new mongoose.Schema({
+  label: String, // e.g. Home or Work
+  line1: { type: String, required: true },
+  line2: String,
+  city: String,
+  region: String, // State, province or county
+  postal_code: String,
+  country: String, // ISO 3166-1 alpha-2, e.g. US
+  access_notes: String, // Gate codes, buzzer numbers, where to park
+  location: { // GeoJSON point, [longitude, latitude]
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  geocode: { // Where the coordinates came from
+    provider: String, // Geocoder name, or manual when given with the address
+    precision: { type: String, enum: ['rooftop', 'street', 'approximate'] },
+    geocoded_at: Date
+  },
+  is_default: { type: Boolean, default: false }
+}, { timestamps: true });
 
 const customerSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  phone: { type: String, required: true, unique: true },
+  // Stored in E.164 so the unique index catches the same number written differently
+  phone: { type: String, required: true, set: phone => formatPhoneNumber(phone) || phone },
   email: String,
   preferences: mongoose.Schema.Types.Mixed,
+  language: { type: String, default: 'en' }, // Language calls are made in, e.g. en or es
+  timezone: String, // IANA timezone for quiet hours, e.g. America/Chicago
+  sms_opt_out: { type: Boolean, default: false },
+  addresses: [addressSchema],
+  merged_from: [{ // Duplicate customers folded into this one
+    customer_id: mongoose.Schema.Types.ObjectId,
+    name: String,
+    phone: String,
+    email: String,
+    merged_at: Date,
+    _id: false
+  }],
 }, { timestamps: true });
 
-module.exports = mongoose.model('Customer', customerSchema);
\ No newline at end of file
+// A phone number is one customer per organization; merchants can share customers' numbers
+customerSchema.index({ organization_id: 1, phone: 1 }, { unique: true });
+customerSchema.index({ name: 1 });
+customerSchema.index({ email: 1 }, { sparse: true });
+
+customerSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Nightly rollup of one day's deliveries, calls and recordings
+const dailyStatsSchema = new mongoose.Schema({
+  date: { type: String, required: true }, // YYYY-MM-DD, UTC
+  deliveries: {
+    total: { type: Number, default: 0 },
+    by_status: { type: Map, of: Number, default: {} }
+  },
+  calls: {
+    total: { type: Number, default: 0 },
+    answered: { type: Number, default: 0 },
+    machine: { type: Number, default: 0 },
+    unreached: { type: Number, default: 0 },
+    avg_duration: Number
+  },
+  recordings: {
+    voice: { type: Number, default: 0 },
+    sms: { type: Number, default: 0 }
+  },
+}, { timestamps: true });
+
+dailyStatsSchema.index({ organization_id: 1, date: 1 }, { unique: true });
+
+dailyStatsSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('DailyStats', dailyStatsSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Call job that failed permanently, kept until an admin requeues or dismisses it
+const deadLetterCallSchema = new mongoose.Schema({
+  delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery' },
+  job_id: { type: String, required: true },
+  job_data: mongoose.Schema.Types.Mixed,
+  failure_class: {
+    type: String,
+    enum: ['invalid_number', 'provider_error', 'delivery_missing', 'rate_limited'],
+    required: true
+  },
+  error_message: String,
+  error_code: String, // Provider error code or Node error code, when present
+  attempts_made: Number,
+  stacktrace: [String],
+  resolution: { type: String, enum: ['requeued', 'dismissed'] },
+  resolved_at: Date,
+  resolved_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  requeued_job_id: String,
+}, { timestamps: true });
+
+deadLetterCallSchema.index({ delivery_id: 1, createdAt: -1 });
+
+deadLetterCallSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('DeadLetterCall', deadLetterCallSchema);
@@ -1,11 +1,63 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
 
 const deliverySchema = new mongoose.Schema({
   customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
   agent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
-  address: { type: String, required: true },
+  merchant_reference: String, // Order or shipment ID in the merchant's system
+  address_id: mongoose.Schema.Types.ObjectId, // Entry in the customer's addresses
+  address: { type: String, required: true }, // One-line copy of the address when the delivery was booked
+  access_notes: String, // Copied from the customer's address
+  location: { // GeoJSON point for the address, [longitude, latitude]
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // No empty array; the geo index rejects it
+  },
   scheduled_time: { type: Date, required: true },
-  status: { type: String, default: 'scheduled' },
+  time_window: { // Window promised to the customer around scheduled_time
+    start: Date,
+    end: Date
+  },
+  priority: { type: String, enum: ['low', 'medium', 'high', 'urgent'], default: 'medium' },
+  items: [{
+    name: { type: String, required: true },
+    quantity: { type: Number, min: 1, default: 1 },
+    value: { type: Number, min: 0 },
+    _id: false
+  }],
+  instructions: String, // Special instructions given when the delivery was created
+  notes: String, // Driver notes from the mobile app
+  status: { // Transitions go through deliveryStatusService
+    type: String,
+    enum: ['scheduled', 'assigned', 'in_transit', 'delivered', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  status_history: [{
+    from: String,
+    to: String,
+    actor_type: { type: String, enum: ['agent', 'admin', 'api', 'system'] },
+    actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+    reason: String,
+    location: { // Where the agent was when they changed the status
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
+    at: { type: Date, default: Date.now },
+    _id: false
+  }],
+  delivery_attempts: { type: Number, default: 0 }, // Times a driver tried to hand over the delivery
+  proof_id: { type: mongoose.Schema.Types.ObjectId, ref: 'ProofOfDelivery' }, // Latest proof of delivery
+  customer_response: { type: String, enum: ['confirmed', 'reschedule', 'safe_place', 'instructions'] }, // Latest keypad menu choice
+  customer_response_at: Date,
+  customer_response_channel: { type: String, enum: ['voice', 'sms'] },
+  call_attempts: { type: Number, default: 0 },
+  last_call_at: Date,
+  call_job_id: String, // Queued pre-delivery call, moved or removed when the delivery changes
+  call_scheduled_for: Date,
 }, { timestamps: true });
 
-module.exports = mongoose.model('Delivery', deliverySchema);
\ No newline at end of file
+deliverySchema.index({ location: '2dsphere' });
+deliverySchema.index({ merchant_reference: 1 }, { sparse: true });
+
+deliverySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Delivery', deliverySchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Phone numbers that must never be dialled, e.g. customer requests or imported registries
+const doNotCallSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  reason: String,
+  added_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+}, { timestamps: true });
+
+// Each organization keeps its own list
+doNotCallSchema.index({ organization_id: 1, phone: 1 }, { unique: true });
+
+doNotCallSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('DoNotCall', doNotCallSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Merchant the system runs deliveries for; every tenant-owned document carries its organization_id
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  api_key_hash: { type: String, unique: true, sparse: true }, // SHA-256 of the API key, which is only shown once
+  api_key_hint: String, // Last characters of the key, to tell keys apart
+  phone_number: { type: String, unique: true, sparse: true }, // Caller number for calls and SMS, E.164
+  branding: {
+    merchant_name: String, // Name customers hear in calls, defaults to name
+    logo_url: String,
+    primary_color: String // Hex, e.g. #1A73E8
+  },
+  is_active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Evidence captured by the agent at the door: photo, signature, recipient and position
+const proofOfDeliverySchema = new mongoose.Schema({
+  delivery_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Delivery', required: true },
+  agent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent', required: true },
+  photo_url: String,
+  signature_url: String,
+  recipient_name: String,
+  location: { // GeoJSON point where the proof was captured, [longitude, latitude]
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  location_accuracy: Number, // Metres, as reported by the device
+  notes: String,
+  captured_at: { type: Date, required: true }, // Device time; may differ from createdAt if the upload was queued offline
+}, { timestamps: true });
+
+proofOfDeliverySchema.index({ delivery_id: 1, createdAt: -1 });
+
+proofOfDeliverySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ProofOfDelivery', proofOfDeliverySchema);
@@ -1,10 +1,43 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../plugins/tenantScope');
+
+// Progress of one post-call processing step
+const processingStep = () => ({
+  status: { type: String, enum: ['pending', 'running', 'completed', 'skipped', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  error: String,
+  completed_at: Date
+});
 
 const recordingSchema = new mongoose.Schema({
   call_log_id: { type: mongoose.Schema.Types.ObjectId, ref: 'CallLog', required: true },
   audio_url: String,
+  duration: Number, // Seconds
+  source_url: String, // Recording URL at the telephony provider
   transcription: String,
   instructions: String,
+  analysis: mongoose.Schema.Types.Mixed, // AI sentiment, priority and conditions
+  purpose: { type: String, enum: ['instructions', 'reschedule', 'safe_place'], default: 'instructions' },
+  channel: { type: String, enum: ['voice', 'sms'], default: 'voice' }, // SMS replies have text but no audio
+  language: { type: String, default: 'en' },
+  purged_at: Date, // Audio deleted after the retention period; the transcription is kept
+  // Post-call pipeline progress; SMS replies skip the audio steps
+  processing: {
+    status: { type: String, enum: ['pending', 'processing', 'completed', 'failed'] },
+    job_id: String,
+    steps: {
+      fetch: processingStep(),
+      store: processingStep(),
+      transcribe: processingStep(),
+      analyze: processingStep(),
+      notify: {
+        ...processingStep(),
+        channels: [String] // Already used (sms, push), so a retry doesn't notify the agent twice
+      }
+    }
+  }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Recording', recordingSchema);
\ No newline at end of file
+recordingSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Recording', recordingSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const tenantContext = require('../../utils/tenantContext');
+
+// Query operations filtered to the current organization
+const SCOPED_QUERIES = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Give a schema an organization_id and keep every query inside the current organization.
+ * Outside a tenant context (migrations, platform jobs) queries run unscoped.
+ * @param {mongoose.Schema} schema - Schema of a tenant-owned model
+ */
+function tenantScope(schema) {
+  schema.add({
+    organization_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true }
+  });
+
+  // Upserts take organization_id from the filter, so they land in the tenant too
+  schema.pre(SCOPED_QUERIES, function () {
+    const organizationId = tenantContext.getOrganizationId();
+    if (organizationId) {
+      this.where({ organization_id: organizationId });
+    }
+  });
+
+  schema.pre('aggregate', function () {
+    const organizationId = tenantContext.getOrganizationId();
+    if (!organizationId) return;
+
+    const pipeline = this.pipeline();
+    // $geoNear has to stay the first stage, so the filter goes into its query instead
+    if (pipeline[0] && pipeline[0].$geoNear) {
+      const geoNear = pipeline[0].$geoNear;
+      geoNear.query = { ...geoNear.query, organization_id: new mongoose.Types.ObjectId(organizationId) };
+    } else {
+      pipeline.unshift(tenantContext.matchStage(organizationId));
+    }
+  });
+
+  schema.pre('save', function () {
+    const organizationId = tenantContext.getOrganizationId();
+    if (this.isNew && !this.organization_id && organizationId) {
+      this.organization_id = organizationId;
+    }
+  });
+}
+
+module.exports = tenantScope;
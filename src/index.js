@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
@@ -11,13 +12,23 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 
 // Database connection
-require('./database/connection');
+const mongoose = require('./database/connection');
 
-// Start queue worker
-require('./queue/callWorker');
+// Process calls, recordings and scheduled jobs in this process too unless a standalone worker (npm run worker) handles them
+if (process.env.CALL_WORKER_ENABLED !== 'false') {
+  require('./queue/callWorker');
+  require('./queue/recordingWorker');
+  require('./queue/schedulerWorker');
+}
 
 // Services
 const monitoringService = require('./services/monitoringService');
+const callThrottleService = require('./services/callThrottleService');
+const twilioService = require('./services/twilioService');
+const cacheService = require('./services/cacheService');
+const agentNotificationService = require('./services/agentNotificationService');
+const { callQueue, recordingQueue, schedulerQueue, redis } = require('./services/queueService');
+const { registerShutdown, isShuttingDown, closeRedis } = require('./utils/shutdown');
 
 const app = express();
 const server = http.createServer(app);
@@ -44,6 +55,7 @@ const swaggerDefinition = {
         type: 'apiKey',
         in: 'header',
         name: 'x-api-key',
+        description: 'Organization API key (dak_...), or the platform API key with an X-Organization-Id header',
       },
       BearerAuth: {
         type: 'http',
@@ -65,19 +77,114 @@ const swaggerDefinition = {
           agent_id: {
             $ref: '#/components/schemas/Agent',
           },
+          merchant_reference: {
+            type: 'string',
+            description: 'Order or shipment ID in the merchant\'s system',
+          },
+          address_id: {
+            type: 'string',
+            description: 'Address in the customer\'s address book',
+          },
           address: {
             type: 'string',
-            description: 'Delivery address',
+            description: 'Delivery address on one line, as it was when the delivery was booked',
+          },
+          access_notes: {
+            type: 'string',
+            description: 'Access notes from the customer\'s address',
+          },
+          location: {
+            type: 'object',
+            description: 'GeoJSON point for the address',
+            properties: {
+              type: { type: 'string', enum: ['Point'] },
+              coordinates: {
+                type: 'array',
+                items: { type: 'number' },
+                description: '[longitude, latitude]',
+              },
+            },
           },
           scheduled_time: {
             type: 'string',
             format: 'date-time',
             description: 'Scheduled delivery time',
           },
+          time_window: {
+            type: 'object',
+            description: 'Window promised to the customer',
+            properties: {
+              start: { type: 'string', format: 'date-time' },
+              end: { type: 'string', format: 'date-time' },
+            },
+          },
+          priority: {
+            type: 'string',
+            enum: ['low', 'medium', 'high', 'urgent'],
+          },
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                quantity: { type: 'integer' },
+                value: { type: 'number' },
+              },
+            },
+          },
+          instructions: {
+            type: 'string',
+            description: 'Special instructions given when the delivery was created',
+          },
+          notes: {
+            type: 'string',
+            description: 'Driver notes from the mobile app',
+          },
+          delivery_attempts: {
+            type: 'integer',
+            description: 'Times a driver tried to hand over the delivery',
+          },
+          call_attempts: {
+            type: 'integer',
+            description: 'Pre-delivery customer calls placed',
+          },
           status: {
             type: 'string',
-            enum: ['scheduled', 'in_progress', 'completed', 'failed'],
-            description: 'Delivery status',
+            enum: ['scheduled', 'assigned', 'in_transit', 'delivered', 'failed', 'cancelled'],
+            description: 'Delivery status; delivered and cancelled are final',
+          },
+          status_history: {
+            type: 'array',
+            description: 'Every status change, oldest first',
+            items: {
+              type: 'object',
+              properties: {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                actor_type: { type: 'string', enum: ['agent', 'admin', 'api', 'system'] },
+                actor_id: { type: 'string' },
+                reason: { type: 'string' },
+                location: {
+                  type: 'object',
+                  properties: {
+                    type: { type: 'string', enum: ['Point'] },
+                    coordinates: { type: 'array', items: { type: 'number' } },
+                  },
+                },
+                at: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+          customer_response: {
+            type: 'string',
+            enum: ['confirmed', 'reschedule', 'safe_place', 'instructions'],
+            description: 'Latest choice from the call keypad menu',
+          },
+          call_scheduled_for: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the queued pre-delivery customer call will be placed',
           },
           created_at: {
             type: 'string',
@@ -100,10 +207,90 @@ const swaggerDefinition = {
           },
           phone: {
             type: 'string',
+            description: 'E.164 phone number, e.g. +15551234567',
+          },
+          email: {
+            type: 'string',
+          },
+          language: {
+            type: 'string',
+            enum: ['en', 'es'],
+          },
+          timezone: {
+            type: 'string',
+          },
+          sms_opt_out: {
+            type: 'boolean',
           },
           preferences: {
             type: 'object',
           },
+          addresses: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/Address',
+            },
+          },
+        },
+      },
+      Address: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+          },
+          label: {
+            type: 'string',
+            description: 'e.g. Home or Work',
+          },
+          line1: {
+            type: 'string',
+          },
+          line2: {
+            type: 'string',
+          },
+          city: {
+            type: 'string',
+          },
+          region: {
+            type: 'string',
+            description: 'State, province or county',
+          },
+          postal_code: {
+            type: 'string',
+          },
+          country: {
+            type: 'string',
+            description: 'ISO 3166-1 alpha-2 code, e.g. US',
+          },
+          access_notes: {
+            type: 'string',
+            description: 'Gate codes, buzzer numbers, where to park',
+          },
+          location: {
+            type: 'object',
+            description: 'GeoJSON point, missing when the address could not be geocoded',
+            properties: {
+              type: { type: 'string', enum: ['Point'] },
+              coordinates: {
+                type: 'array',
+                items: { type: 'number' },
+                description: '[longitude, latitude]',
+              },
+            },
+          },
+          geocode: {
+            type: 'object',
+            properties: {
+              provider: { type: 'string', description: 'Geocoder used, or manual' },
+              precision: { type: 'string', enum: ['rooftop', 'street', 'approximate'] },
+              geocoded_at: { type: 'string', format: 'date-time' },
+            },
+          },
+          is_default: {
+            type: 'boolean',
+            description: 'Used for deliveries booked without an address',
+          },
         },
       },
       Agent: {
@@ -126,6 +313,39 @@ const swaggerDefinition = {
           },
         },
       },
+      Organization: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+          },
+          name: {
+            type: 'string',
+          },
+          slug: {
+            type: 'string',
+          },
+          phoneNumber: {
+            type: 'string',
+            description: 'Caller number for calls and SMS; the account default is used when empty',
+          },
+          branding: {
+            type: 'object',
+            properties: {
+              merchant_name: { type: 'string', description: 'Name customers hear in calls, defaults to name' },
+              logo_url: { type: 'string' },
+              primary_color: { type: 'string', description: 'Hex color, e.g. #1A73E8' },
+            },
+          },
+          apiKeyHint: {
+            type: 'string',
+            description: 'Last characters of the API key',
+          },
+          isActive: {
+            type: 'boolean',
+          },
+        },
+      },
     },
   },
   security: [
@@ -207,16 +427,34 @@ const strictLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Refuse requests that arrive on kept-alive connections once shutdown has started
+app.use((req, res, next) => {
+  if (isShuttingDown()) {
+    res.set('Connection', 'close');
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  next();
+});
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request ID, kept from a proxy's X-Request-Id when it looks safe, so logs and audit entries can be matched up
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Request monitoring middleware
 app.use((req, res, next) => {
   const startTime = Date.now();
 
   // Log request
   logger.info(`Request: ${req.method} ${req.path}`, {
+    requestId: req.id,
     ip: req.ip,
     userAgent: req.get('User-Agent'),
     query: req.query,
@@ -233,6 +471,7 @@ app.use((req, res, next) => {
 
     // Log response
     logger.info(`Response: ${req.method} ${req.path}`, {
+      requestId: req.id,
       statusCode: res.statusCode,
       responseTime: `${responseTime}ms`,
       contentLength: res.get('Content-Length')
@@ -255,8 +494,9 @@ app.set('view engine', 'ejs');
 app.set('views', './src/views');
 
 // Routes
-const { authenticateApiKey } = require('./api/middleware/auth');
+const { authenticateApiKey, authenticatePlatformKey } = require('./api/middleware/auth');
 const deliveriesRouter = require('./api/routes/deliveries');
+const customersRouter = require('./api/routes/customers');
 const callsRouter = require('./api/routes/calls');
 const webhooksRouter = require('./api/routes/webhooks');
 const recordingsRouter = require('./api/routes/recordings');
@@ -266,10 +506,17 @@ const analyticsRouter = require('./api/routes/analytics');
 const routingRouter = require('./api/routes/routing');
 const pushRouter = require('./api/routes/push');
 const adminRouter = require('./api/routes/admin');
+const callScriptsRouter = require('./api/routes/callScripts');
+const queueRouter = require('./api/routes/queue');
+const campaignsRouter = require('./api/routes/campaigns');
+const schedulerRouter = require('./api/routes/scheduler');
 const mobileRouter = require('./api/routes/mobile');
 const webRouter = require('./api/routes/web');
+const organizationsRouter = require('./api/routes/organizations');
 
+app.use('/api/organizations', strictLimiter, authenticatePlatformKey, organizationsRouter); // Tenants, platform API key only
 app.use('/api/deliveries', authenticateApiKey, deliveriesRouter);
+app.use('/api/customers', authenticateApiKey, customersRouter);
 app.use('/api/calls', authenticateApiKey, callsRouter);
 app.use('/api/recordings', authenticateApiKey, recordingsRouter);
 app.use('/api/agents', agentsRouter); // Agents route with JWT auth
@@ -277,6 +524,10 @@ app.use('/api/auth', strictLimiter, authRouter); // Authentication routes with s
 app.use('/api/analytics', analyticsRouter); // Analytics routes
 app.use('/api/routing', routingRouter); // Advanced routing routes
 app.use('/api/push', pushRouter); // Push notification routes
+app.use('/api/admin/call-scripts', strictLimiter, callScriptsRouter); // Call script templates (admin)
+app.use('/api/admin/queue', strictLimiter, queueRouter); // Call queue administration
+app.use('/api/admin/campaigns', strictLimiter, campaignsRouter); // Bulk daily call campaigns
+app.use('/api/admin/scheduler', strictLimiter, schedulerRouter); // Recurring maintenance and report jobs
 app.use('/api/admin', strictLimiter, adminRouter); // Admin management routes with strict rate limiting
 app.use('/api/mobile', mobileRouter); // Mobile app routes
 // Webhooks don't need auth as they come from Twilio
@@ -296,11 +547,23 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint (protected - should be behind authentication in production)
-app.get('/metrics', (req, res) => {
+app.get('/metrics', async (req, res) => {
   const metrics = monitoringService.getMetricsSummary();
+
+  // Call throughput is counted in Redis so it covers every worker process
+  try {
+    metrics.callThroughput = await callThrottleService.getStats(twilioService.getCallerNumber());
+  } catch (error) {
+    logger.warn('Call throughput unavailable:', error.message);
+    metrics.callThroughput = null;
+  }
+
   res.json(metrics);
 });
 
+// Deliver agent notifications published by workers to their sockets
+const notificationSubscriber = agentNotificationService.attachSocketServer(io);
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('Agent connected:', socket.id);
@@ -316,7 +579,8 @@ io.on('connection', (socket) => {
   });
 });
 
-// Scheduled metrics logging (every 5 minutes)
+// Scheduled metrics logging (every 5 minutes); the metrics are per process, so every replica logs its own.
+// Cluster-wide recurring work belongs in the scheduler queue instead
 setInterval(() => {
   monitoringService.logMetricsSummary();
 }, 5 * 60 * 1000);
@@ -328,4 +592,17 @@ server.listen(PORT, () => {
   logger.info(`Metrics available at: http://localhost:${PORT}/metrics`);
 });
 
+registerShutdown('API', [
+  // Disconnects sockets, then stops accepting connections and waits for in-flight requests
+  { name: 'HTTP server and sockets', close: () => new Promise((resolve, reject) => io.close(error => (error ? reject(error) : resolve()))) },
+  // Waits for calls this process is placing, if it runs the worker
+  { name: 'call queue', close: () => callQueue.close() },
+  { name: 'recording queue', close: () => recordingQueue.close() },
+  { name: 'scheduler queue', close: () => schedulerQueue.close() },
+  { name: 'notification subscriber', close: () => closeRedis(notificationSubscriber) },
+  { name: 'Redis', close: () => closeRedis(redis) },
+  { name: 'cache', close: () => closeRedis(cacheService.redis) },
+  { name: 'MongoDB', close: () => mongoose.connection.close() }
+]);
+
 module.exports = { app, server, io };
\ No newline at end of file
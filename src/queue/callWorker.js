@@ -1,6 +1,13 @@
-const { callQueue } = require('../services/queueService');
+const { callQueue, addCallJob, getCallJobId } = require('../services/queueService');
 const twilioService = require('../services/twilioService');
+const smsService = require('../services/smsService');
+const callingPolicyService = require('../services/callingPolicyService');
+const deliveryStatusService = require('../services/deliveryStatusService');
+const callFailureService = require('../services/callFailureService');
+const callThrottleService = require('../services/callThrottleService');
+const organizationService = require('../services/organizationService');
 const Delivery = require('../database/models/Delivery');
+const tenantContext = require('../utils/tenantContext');
 
 // Process call jobs
 callQueue.process('initiate-call', async (job) => {
@@ -11,32 +18,144 @@ callQueue.process('initiate-call', async (job) => {
     const delivery = await Delivery.findById(deliveryId).populate('customer_id');
 
     if (!delivery) {
-      throw new Error('Delivery not found');
+      const error = new Error('Delivery not found');
+      error.code = 'DELIVERY_NOT_FOUND';
+      throw error;
     }
 
-    // Make the call
-    const call = await twilioService.makeCustomerCall({
-      _id: delivery._id,
-      customer_phone: delivery.customer_id.phone
-    });
-
-    console.log(`Call initiated for delivery ${deliveryId}, SID: ${call.sid}`);
-
-    return { callSid: call.sid, status: call.status };
+    // Everything the call touches belongs to the delivery's organization
+    return await tenantContext.run(delivery.organization_id, () => placeCall(job, delivery));
   } catch (error) {
     console.error(`Failed to process call job for delivery ${deliveryId}:`, error);
     throw error;
   }
 });
 
+// Place the call for a loaded delivery, or text, defer or skip it
+async function placeCall(job, delivery) {
+  const { deliveryId } = job.data;
+
+  // Retries and deferred calls can outlive a cancellation
+  if (deliveryStatusService.closedStatuses.includes(delivery.status)) {
+    console.log(`Skipping call for delivery ${deliveryId}: delivery is ${delivery.status}`);
+    return { skipped: true, reason: 'delivery_closed' };
+  }
+
+  // Retries carry their attempt number; fresh jobs continue from the delivery's count
+  const attempt = job.data.attempt || (delivery.call_attempts || 0) + 1;
+
+  // Text first on fresh jobs when SMS contact is enabled
+  if (!job.data.attempt && !job.data.smsSent && smsService.shouldTextFirst()) {
+    const message = await smsService.sendDeliveryPrompt(delivery);
+
+    if (message && smsService.contactMode === 'sms') {
+      return { messageSid: message.sid, channel: 'sms' };
+    }
+
+    if (message) {
+      // Follow up with a call if the customer hasn't replied by then
+      await queueFollowUp(
+        { deliveryId, smsSent: true },
+        smsService.replyWaitMinutes * 60 * 1000,
+        `${getCallJobId(deliveryId, attempt)}:sms`
+      );
+      return { messageSid: message.sid, channel: 'sms', followUpCall: true };
+    }
+  }
+
+  if (job.data.smsSent && delivery.customer_response) {
+    console.log(`Skipping call for delivery ${deliveryId}: customer already replied by SMS`);
+    return { skipped: true, reason: 'customer_replied' };
+  }
+
+  // Respect quiet hours, the do-not-call list and daily caps before dialing
+  const policy = await callingPolicyService.check(delivery);
+  if (!policy.allowed) {
+    await callingPolicyService.recordBlock(delivery, policy, attempt);
+
+    if (policy.delay !== null) {
+      await queueFollowUp(
+        { ...job.data, attempt },
+        policy.delay,
+        `${getCallJobId(deliveryId, attempt)}:${policy.reason}:${policy.retryAt.getTime()}`
+      );
+    }
+
+    console.log(`Call for delivery ${deliveryId} blocked (${policy.reason}), rescheduled for ${policy.retryAt ? policy.retryAt.toISOString() : 'never'}`);
+    return { skipped: true, reason: policy.reason, rescheduledFor: policy.retryAt };
+  }
+
+  // Stay under the account's calls per second and the caller number's burst limit
+  const organization = await organizationService.getOrganization(delivery.organization_id);
+  const from = twilioService.getCallerNumber(organization);
+  const throttle = await callThrottleService.acquire(from, job.data.throttledUntil);
+  if (!throttle.allowed) {
+    const slot = throttle.retryAt.getTime();
+    await queueFollowUp(
+      { ...job.data, attempt, throttledUntil: slot },
+      throttle.delay,
+      `${getCallJobId(deliveryId, attempt)}:throttled:${slot}`
+    );
+
+    console.log(`Call for delivery ${deliveryId} throttled, delayed ${throttle.delay}ms`);
+    return { skipped: true, reason: 'throttled', rescheduledFor: throttle.retryAt };
+  }
+
+  // Make the call
+  const call = await twilioService.makeCustomerCall({
+    _id: delivery._id,
+    customer_phone: delivery.customer_id.phone,
+    from,
+    attempt
+  });
+  await callThrottleService.recordCall(from);
+
+  // Track attempts so the admin dashboard can show them per delivery
+  await Delivery.findByIdAndUpdate(deliveryId, {
+    $inc: { call_attempts: 1 },
+    last_call_at: new Date()
+  });
+
+  console.log(`Call initiated for delivery ${deliveryId} (attempt ${attempt}), SID: ${call.sid}`);
+
+  return { callSid: call.sid, status: call.status, attempt };
+}
+
+// Queue a later job for the same attempt and point the delivery at it
+async function queueFollowUp(data, delay, jobId) {
+  const followUp = await addCallJob(data, delay, jobId);
+
+  await Delivery.findByIdAndUpdate(data.deliveryId, {
+    call_job_id: followUp.id.toString(),
+    call_scheduled_for: new Date(Date.now() + delay)
+  });
+
+  return followUp;
+}
+
 // Handle completed jobs
 callQueue.on('completed', (job, result) => {
   console.log(`Job ${job.id} completed with result:`, result);
 });
 
-// Handle failed jobs
-callQueue.on('failed', (job, err) => {
-  console.error(`Job ${job.id} failed with error:`, err.message);
+// Handle failed jobs; Bull has already scheduled a retry unless the failure was permanent
+callQueue.on('failed', async (job, err) => {
+  const failureClass = callFailureService.classify(err);
+
+  try {
+    if (!(await job.isFailed())) {
+      console.log(`Job ${job.id} failed (${failureClass}), attempt ${job.attemptsMade}, will retry:`, err.message);
+      return;
+    }
+
+    console.error(`Job ${job.id} failed permanently (${failureClass}):`, err.message);
+
+    // The dead letter belongs to the delivery's organization and only its admins are alerted
+    const delivery = await Delivery.findById(job.data.deliveryId).select('organization_id');
+    await tenantContext.run(delivery && delivery.organization_id, () => callFailureService.deadLetter(job, err));
+  } catch (error) {
+    console.error(`Failed to dead-letter job ${job.id}:`, error);
+  }
 });
 
 console.log('Call worker started and listening for jobs...');
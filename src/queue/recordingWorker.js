@@ -0,0 +1,33 @@
+const { recordingQueue } = require('../services/queueService');
+const recordingPipelineService = require('../services/recordingPipelineService');
+
+// Process recordings through fetch, store, transcribe, analyze and notify
+recordingQueue.process('process-recording', async (job) => {
+  // On the last attempt, record failed steps and still notify the agent
+  const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+  return recordingPipelineService.process(job.data.recordingId, { finalAttempt });
+});
+
+// Handle completed jobs
+recordingQueue.on('completed', (job, result) => {
+  console.log(`Recording job ${job.id} completed with result:`, result);
+});
+
+// Handle failed jobs; Bull retries them until their attempts run out
+recordingQueue.on('failed', async (job, err) => {
+  try {
+    if (!(await job.isFailed())) {
+      console.log(`Recording job ${job.id} failed, attempt ${job.attemptsMade}, will retry:`, err.message);
+      return;
+    }
+
+    await recordingPipelineService.markFailed(job.data.recordingId, err);
+  } catch (error) {
+    console.error(`Failed to record failure of recording job ${job.id}:`, error);
+  }
+});
+
+console.log('Recording worker started and listening for jobs...');
+
+module.exports = recordingQueue;
@@ -0,0 +1,25 @@
+const { schedulerQueue } = require('../services/queueService');
+const schedulerService = require('../services/schedulerService');
+
+// Process every scheduled job by name
+schedulerQueue.process('*', async (job) => {
+  return schedulerService.run(job.name, job.data);
+});
+
+// Handle completed jobs
+schedulerQueue.on('completed', (job, result) => {
+  console.log(`Scheduled job ${job.name} (${job.id}) completed with result:`, result);
+});
+
+// Handle failed jobs; the next scheduled run tries again
+schedulerQueue.on('failed', (job, err) => {
+  console.error(`Scheduled job ${job.name} (${job.id}) failed:`, err.message);
+});
+
+schedulerService.registerJobs().catch(error => {
+  console.error('Failed to register scheduled jobs:', error);
+});
+
+console.log('Scheduler worker started and listening for jobs...');
+
+module.exports = schedulerQueue;
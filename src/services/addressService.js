@@ -0,0 +1,265 @@
+const logger = require('../utils/logger');
+const Customer = require('../database/models/Customer');
+const Delivery = require('../database/models/Delivery');
+const deliveryStatusService = require('./deliveryStatusService');
+const geocoder = require('./geocoding');
+
+const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'city', 'region', 'postal_code', 'country', 'access_notes'];
+// Changing any of these moves the address, so it is geocoded again
+const LOCATION_FIELDS = ['line1', 'line2', 'city', 'region', 'postal_code', 'country'];
+
+class AddressService {
+  /**
+   * Join an address into the single line used in calls, messages and the dashboard
+   * @param {Object} address - Structured address
+   * @returns {string}
+   */
+  formatAddress(address) {
+    const locality = [address.region, address.postal_code].filter(Boolean).join(' ');
+    return [address.line1, address.line2, address.city, locality, address.country]
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * Whether two addresses are the same place, ignoring case and spacing
+   * @param {Object} a - Structured address
+   * @param {Object} b - Structured address
+   * @returns {boolean}
+   */
+  isSameAddress(a, b) {
+    const key = address => this.formatAddress(address).toLowerCase().replace(/\s+/g, ' ');
+    return key(a) === key(b);
+  }
+
+  /**
+   * Take the address fields from request input, trimmed
+   * @param {Object|string} input - Structured address, or a free-text address kept as line1
+   * @returns {Object}
+   */
+  pickFields(input) {
+    if (typeof input === 'string') return { line1: input.trim() };
+
+    const fields = {};
+    for (const field of ADDRESS_FIELDS) {
+      if (input[field] !== undefined) {
+        fields[field] = typeof input[field] === 'string' ? input[field].trim() : input[field];
+      }
+    }
+    if (fields.country) fields.country = fields.country.toUpperCase();
+    return fields;
+  }
+
+  /**
+   * Work out where an address is, from coordinates given with it or the geocoder
+   * @param {Object} address - Structured address
+   * @param {Object} [coordinates] - { latitude, longitude } given by the caller
+   * @returns {Promise<Object>} - { location, geocode }, empty when the address can't be placed
+   */
+  async locate(address, { latitude, longitude } = {}) {
+    if (latitude !== undefined && longitude !== undefined) {
+      return {
+        location: { type: 'Point', coordinates: [longitude, latitude] },
+        geocode: { provider: 'manual', geocoded_at: new Date() }
+      };
+    }
+
+    try {
+      const match = await geocoder.geocode(address);
+      if (!match) {
+        logger.info(`Address "${this.formatAddress(address)}" not found by the ${geocoder.name} geocoder`);
+        return {};
+      }
+
+      return {
+        location: { type: 'Point', coordinates: [match.longitude, match.latitude] },
+        geocode: { provider: geocoder.name, precision: match.precision, geocoded_at: new Date() }
+      };
+    } catch (error) {
+      // Addresses are still saved without coordinates; they are geocoded again when edited
+      logger.warn(`Geocoding "${this.formatAddress(address)}" failed: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Get the address deliveries go to when none is given
+   * @param {Object} customer - Customer document
+   * @returns {Object|null} - The default address, or the only one
+   */
+  getDefaultAddress(customer) {
+    const addresses = customer.addresses || [];
+    return addresses.find(address => address.is_default) || (addresses.length === 1 ? addresses[0] : null);
+  }
+
+  /**
+   * Find a saved address on a customer
+   * @param {Object} customer - Customer document
+   * @param {string} addressId - Address ID
+   * @returns {Object|undefined}
+   */
+  findAddress(customer, addressId) {
+    return (customer.addresses || []).find(address => address._id.toString() === addressId.toString());
+  }
+
+  /**
+   * Geocode an address and add it to the customer's address book
+   * @param {Object} customer - Customer document, saved by the caller
+   * @param {Object|string} input - Address fields, optional latitude/longitude and is_default
+   * @returns {Promise<Object>} - The saved address
+   */
+  async addToCustomer(customer, input) {
+    const fields = this.pickFields(input);
+    const address = { ...fields, ...(await this.locate(fields, input)) };
+
+    if (input.is_default || customer.addresses.length === 0) {
+      customer.addresses.forEach(existing => { existing.is_default = false; });
+      address.is_default = true;
+    }
+
+    customer.addresses.push(address);
+    return customer.addresses[customer.addresses.length - 1];
+  }
+
+  /**
+   * Add an address to a customer's address book
+   * @param {string} customerId - Customer ID
+   * @param {Object} input - Address fields, optional latitude/longitude and is_default
+   * @returns {Promise<Object>} - { added, customer, address } or { added: false, reason }
+   */
+  async addAddress(customerId, input) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) return { added: false, reason: 'customer_not_found' };
+
+    const address = await this.addToCustomer(customer, input);
+    await customer.save();
+
+    return { added: true, customer, address };
+  }
+
+  /**
+   * Change a saved address, geocoding it again if it moved
+   * @param {string} customerId - Customer ID
+   * @param {string} addressId - Address ID
+   * @param {Object} input - Fields to change, optional latitude/longitude and is_default
+   * @returns {Promise<Object>} - { updated, customer, address } or { updated: false, reason }
+   */
+  async updateAddress(customerId, addressId, input) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) return { updated: false, reason: 'customer_not_found' };
+
+    const address = this.findAddress(customer, addressId);
+    if (!address) return { updated: false, reason: 'address_not_found' };
+
+    const fields = this.pickFields(input);
+    const moved = LOCATION_FIELDS.some(field => field in fields && fields[field] !== address[field]);
+    Object.assign(address, fields);
+
+    if (input.latitude !== undefined || moved) {
+      const { location, geocode } = await this.locate(address, input);
+      // An address that can no longer be placed must not keep its old coordinates
+      address.location = location;
+      address.geocode = geocode;
+    }
+
+    if (input.is_default === true) {
+      customer.addresses.forEach(existing => { existing.is_default = existing === address; });
+    } else if (input.is_default === false) {
+      address.is_default = false;
+    }
+
+    await customer.save();
+    return { updated: true, customer, address };
+  }
+
+  /**
+   * Remove an address no open delivery is going to
+   * @param {string} customerId - Customer ID
+   * @param {string} addressId - Address ID
+   * @returns {Promise<Object>} - { removed, customer } or { removed: false, reason, deliveries }
+   */
+  async removeAddress(customerId, addressId) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) return { removed: false, reason: 'customer_not_found' };
+    if (!this.findAddress(customer, addressId)) return { removed: false, reason: 'address_not_found' };
+
+    // Closed deliveries keep their copy of the address
+    const deliveries = await Delivery.countDocuments({
+      customer_id: customerId,
+      address_id: addressId,
+      status: { $in: deliveryStatusService.openStatuses }
+    });
+    if (deliveries > 0) return { removed: false, reason: 'in_use', deliveries };
+
+    const updated = await Customer.findByIdAndUpdate(
+      customerId,
+      { $pull: { addresses: { _id: addressId } } },
+      { new: true }
+    );
+
+    return { removed: true, customer: updated };
+  }
+
+  /**
+   * Pick the saved address a delivery goes to, adding a new one to the address book
+   * @param {string} customerId - Customer ID
+   * @param {Object} input
+   * @param {string} [input.address_id] - Saved address
+   * @param {Object|string} [input.address] - New address, structured or free text; reused if already saved
+   * @param {number} [input.latitude] - Coordinates given with a new address
+   * @param {number} [input.longitude]
+   * @returns {Promise<Object>} - { resolved, fields } with the delivery's address fields, or { resolved: false, reason }
+   */
+  async resolveForDelivery(customerId, { address_id, address, latitude, longitude }) {
+    const customer = await Customer.findById(customerId);
+    if (!customer) return { resolved: false, reason: 'customer_not_found' };
+
+    let saved;
+    if (address_id) {
+      saved = this.findAddress(customer, address_id);
+      if (!saved) return { resolved: false, reason: 'address_not_found' };
+    } else if (address) {
+      const fields = this.pickFields(address);
+      saved = customer.addresses.find(existing => this.isSameAddress(existing, fields));
+      if (!saved) {
+        saved = await this.addToCustomer(customer, { ...fields, latitude, longitude });
+        await customer.save();
+      }
+    } else {
+      saved = this.getDefaultAddress(customer);
+      if (!saved) return { resolved: false, reason: 'no_address' };
+    }
+
+    const coordinates = saved.location && saved.location.coordinates;
+    return {
+      resolved: true,
+      fields: {
+        address_id: saved._id,
+        address: this.formatAddress(saved),
+        access_notes: saved.access_notes,
+        location: coordinates && coordinates.length === 2 ? { type: 'Point', coordinates: [...coordinates] } : undefined
+      }
+    };
+  }
+
+  /**
+   * Describe why a delivery address could not be used
+   * @param {string} reason - Reason from resolveForDelivery
+   * @returns {string}
+   */
+  describeRejection(reason) {
+    switch (reason) {
+      case 'customer_not_found':
+        return 'Customer not found';
+      case 'address_not_found':
+        return 'Address not found in the customer\'s address book';
+      case 'no_address':
+        return 'No address given and the customer has no default address';
+      default:
+        return 'Address could not be used';
+    }
+  }
+}
+
+const addressService = new AddressService();
+module.exports = addressService;
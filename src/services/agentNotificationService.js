@@ -0,0 +1,105 @@
+const logger = require('../utils/logger');
+const twilioService = require('./twilioService');
+const pushService = require('./pushService');
+const { redis } = require('./queueService');
+
+// Redis channel carrying socket events from workers to the API process that holds the sockets
+const SOCKET_CHANNEL = 'agent-notifications';
+
+class AgentNotificationService {
+  constructor() {
+    this.subscriber = null;
+  }
+
+  /**
+   * Tell the assigned agent about new customer instructions by SMS, push and socket
+   * @param {Object} delivery - Delivery with agent_id populated
+   * @param {Object} details - { recordingId, recordingUrl, duration, transcription }
+   * @param {Object} [options]
+   * @param {string[]} [options.sent] - Channels (sms, push) an earlier attempt already used
+   * @param {Function} [options.onSent] - Called with each channel once it has been used
+   * @returns {Promise<boolean>} - false when the delivery has no agent
+   */
+  async notifyNewInstructions(delivery, { recordingId, recordingUrl, duration, transcription }, { sent = [], onSent = async () => {} } = {}) {
+    if (!delivery || !delivery.agent_id) {
+      return false;
+    }
+
+    // Send SMS notification; a failed send is logged, not retried
+    if (!sent.includes('sms')) {
+      try {
+        await twilioService.sendSms(
+          delivery.agent_id.phone,
+          recordingUrl
+            ? `New customer recording available for delivery at ${delivery.address}. Check the app for details.`
+            : `New customer instructions for delivery at ${delivery.address}: ${transcription}`
+        );
+      } catch (error) {
+        logger.error('Error sending SMS to agent:', error);
+      }
+      await onSent('sms');
+    }
+
+    // Send push notification
+    if (!sent.includes('push')) {
+      try {
+        await pushService.sendNewRecordingNotification(delivery.agent_id, delivery, recordingUrl);
+      } catch (error) {
+        logger.error('Error sending push notification:', error);
+      }
+      await onSent('push');
+    }
+
+    // Real-time notification; a failure here is retried with the rest of the job
+    await this.emitToAgent(delivery.agent_id._id, 'new-recording', {
+      deliveryId: delivery._id,
+      recordingId,
+      address: delivery.address,
+      customer: delivery.customer_id,
+      recordingUrl,
+      duration,
+      transcription
+    });
+
+    return true;
+  }
+
+  /**
+   * Emit a socket event to an agent's room from any process
+   * @param {string} agentId - Agent ID
+   * @param {string} event - Socket event name
+   * @param {Object} payload - Event payload
+   */
+  async emitToAgent(agentId, event, payload) {
+    await redis.publish(SOCKET_CHANNEL, JSON.stringify({ room: `agent_${agentId}`, event, payload }));
+  }
+
+  /**
+   * Relay published events to connected sockets; called once by the API process
+   * @param {Object} io - Socket.io server
+   * @returns {Object} - Subscriber Redis client, to close on shutdown
+   */
+  attachSocketServer(io) {
+    this.subscriber = redis.duplicate();
+
+    this.subscriber.subscribe(SOCKET_CHANNEL).catch(error => {
+      logger.error('Failed to subscribe to agent notifications:', error);
+    });
+
+    this.subscriber.on('message', (channel, message) => {
+      try {
+        const { room, event, payload } = JSON.parse(message);
+        io.to(room).emit(event, payload);
+      } catch (error) {
+        logger.error('Invalid agent notification message:', error);
+      }
+    });
+
+    return this.subscriber;
+  }
+}
+
+// Export singleton instance
+const agentNotificationService = new AgentNotificationService();
+
+module.exports = agentNotificationService;
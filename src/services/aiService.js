@@ -28,9 +28,10 @@ class AIService {
    * Transcribe audio recording using OpenAI Whisper
    * @param {string} audioUrl - URL of the audio recording
    * @param {string} recordingId - Recording ID for caching
+   * @param {string} language - ISO-639-1 language spoken in the recording
    * @returns {Object} - Transcription result
    */
-  async transcribeRecording(audioUrl, recordingId) {
+  async transcribeRecording(audioUrl, recordingId, language = 'en') {
     if (!this.isEnabled || !this.openai) {
       return { success: false, error: 'AI service not available' };
     }
@@ -68,7 +69,7 @@ class AIService {
       const transcription = await this.openai.audio.transcriptions.create({
         file: audioStream,
         model: 'whisper-1',
-        language: 'en', // Can be made configurable
+        language,
         response_format: 'json'
       });
 
@@ -76,6 +77,7 @@ class AIService {
         success: true,
         transcription: transcription.text,
         recordingId,
+        language,
         processedAt: new Date().toISOString(),
         model: 'whisper-1'
       };
@@ -245,13 +247,14 @@ Format your response as JSON with these keys: sentiment, instructions, time_sens
    * Process recording with full AI pipeline (transcription + analysis)
    * @param {string} recordingUrl - URL of the recording
    * @param {string} recordingId - Recording ID
+   * @param {string} language - ISO-639-1 language spoken in the recording
    * @returns {Object} - Complete AI processing result
    */
-  async processRecording(recordingUrl, recordingId) {
+  async processRecording(recordingUrl, recordingId, language = 'en') {
     logger.info(`Starting AI processing for recording ${recordingId}`);
 
     // Step 1: Transcribe
-    const transcriptionResult = await this.transcribeRecording(recordingUrl, recordingId);
+    const transcriptionResult = await this.transcribeRecording(recordingUrl, recordingId, language);
 
     if (!transcriptionResult.success) {
       return {
@@ -419,6 +422,17 @@ Format your response as JSON with these keys: sentiment, instructions, time_sens
     }
   }
 
+  /**
+   * Forget cached transcription and analysis results, e.g. a cached failure before a retry
+   * @param {string} recordingId - Recording ID used as the cache key
+   */
+  async clearCachedResults(recordingId) {
+    await Promise.all([
+      cacheService.del(`transcription:${recordingId}`),
+      cacheService.del(`analysis:${recordingId}`)
+    ]);
+  }
+
   /**
    * Get AI service status
    * @returns {Object} - Service status
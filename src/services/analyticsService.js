@@ -1,20 +1,37 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
 const cacheService = require('./cacheService');
 const monitoringService = require('./monitoringService');
+const Delivery = require('../database/models/Delivery');
+const CallLog = require('../database/models/CallLog');
+const Recording = require('../database/models/Recording');
+const DailyStats = require('../database/models/DailyStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class AnalyticsService {
   constructor() {
     this.cacheTTL = 15 * 60; // 15 minutes cache
   }
 
+  /**
+   * Keep cached analytics apart per organization
+   * @param {string} key - Cache key
+   * @returns {string} - Key with the current organization, if any
+   */
+  scopeCacheKey(key) {
+    const organizationId = tenantContext.getOrganizationId();
+    return organizationId ? `${key}:org:${organizationId}` : key;
+  }
+
   /**
    * Get delivery performance analytics
    * @param {Object} filters - Date range, agent, status filters
    * @returns {Object} - Analytics data
    */
   async getDeliveryAnalytics(filters = {}) {
-    const cacheKey = `analytics:deliveries:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:deliveries:${JSON.stringify(filters)}`);
 
     // Check cache
     const cached = await cacheService.get(cacheKey);
@@ -53,7 +70,7 @@ class AnalyticsService {
               $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
             },
             pendingDeliveries: {
-              $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+              $sum: { $cond: [{ $in: ['$status', ['scheduled', 'assigned']] }, 1, 0] }
             },
             inTransitDeliveries: {
               $sum: { $cond: [{ $eq: ['$status', 'in_transit'] }, 1, 0] }
@@ -87,7 +104,7 @@ class AnalyticsService {
         }
       ];
 
-      const result = await mongoose.connection.db.collection('deliveries').aggregate(pipeline).toArray();
+      const result = await mongoose.connection.db.collection('deliveries').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
       const analytics = result[0] || this.getEmptyDeliveryAnalytics();
 
       // Cache result
@@ -107,7 +124,7 @@ class AnalyticsService {
    * @returns {Object} - Call analytics data
    */
   async getCallAnalytics(filters = {}) {
-    const cacheKey = `analytics:calls:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:calls:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -128,7 +145,12 @@ class AnalyticsService {
             _id: null,
             totalCalls: { $sum: 1 },
             successfulCalls: {
-              $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] }
+              $sum: {
+                $cond: [{ $and: [{ $eq: ['$status', 'completed'] }, { $ne: ['$answered_by', 'machine'] }] }, 1, 0]
+              }
+            },
+            machineAnsweredCalls: {
+              $sum: { $cond: [{ $eq: ['$answered_by', 'machine'] }, 1, 0] }
             },
             failedCalls: {
               $sum: { $cond: [{ $in: ['$status', ['failed', 'no-answer', 'busy']] }, 1, 0] }
@@ -141,6 +163,7 @@ class AnalyticsService {
           $project: {
             totalCalls: 1,
             successfulCalls: 1,
+            machineAnsweredCalls: 1,
             failedCalls: 1,
             successRate: {
               $multiply: [
@@ -154,13 +177,19 @@ class AnalyticsService {
                 100
               ]
             },
+            machineAnswerRate: {
+              $multiply: [
+                { $divide: ['$machineAnsweredCalls', { $max: ['$totalCalls', 1] }] },
+                100
+              ]
+            },
             avgCallDuration: { $round: ['$avgCallDuration', 2] },
             totalRecordingSize: { $round: ['$totalRecordingSize', 2] }
           }
         }
       ];
 
-      const result = await mongoose.connection.db.collection('call_logs').aggregate(pipeline).toArray();
+      const result = await mongoose.connection.db.collection('call_logs').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
       const analytics = result[0] || this.getEmptyCallAnalytics();
 
       await cacheService.set(cacheKey, analytics, this.cacheTTL);
@@ -179,7 +208,7 @@ class AnalyticsService {
    * @returns {Array} - Agent performance data
    */
   async getAgentAnalytics(filters = {}) {
-    const cacheKey = `analytics:agents:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:agents:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -238,7 +267,7 @@ class AnalyticsService {
         { $sort: { totalDeliveries: -1 } }
       ];
 
-      const analytics = await mongoose.connection.db.collection('deliveries').aggregate(pipeline).toArray();
+      const analytics = await mongoose.connection.db.collection('deliveries').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
 
       await cacheService.set(cacheKey, analytics, this.cacheTTL);
 
@@ -257,7 +286,7 @@ class AnalyticsService {
    * @returns {Array} - Time series data
    */
   async getTimeSeriesData(metric, filters = {}) {
-    const cacheKey = `analytics:timeseries:${metric}:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:timeseries:${metric}:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -320,7 +349,7 @@ class AnalyticsService {
         { $sort: { date: 1 } }
       ];
 
-      const data = await mongoose.connection.db.collection(collection).aggregate(pipeline).toArray();
+      const data = await mongoose.connection.db.collection(collection).aggregate(tenantContext.scopePipeline(pipeline)).toArray();
 
       await cacheService.set(cacheKey, data, this.cacheTTL);
 
@@ -337,7 +366,7 @@ class AnalyticsService {
    * @returns {Object} - Dashboard summary
    */
   async getDashboardSummary() {
-    const cacheKey = 'analytics:dashboard';
+    const cacheKey = this.scopeCacheKey('analytics:dashboard');
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -367,6 +396,7 @@ class AnalyticsService {
           completionRate: deliveryStats.completionRate || 0,
           totalCalls: callStats.totalCalls || 0,
           callSuccessRate: callStats.successRate || 0,
+          machineAnswerRate: callStats.machineAnswerRate || 0,
           activeAgents: agentStats.length || 0
         },
         today: {
@@ -400,7 +430,7 @@ class AnalyticsService {
    * @returns {Object} - Failed delivery metrics
    */
   async getFailedDeliveryReductionMetrics(filters = {}) {
-    const cacheKey = `analytics:failed_delivery_reduction:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:failed_delivery_reduction:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -467,7 +497,7 @@ class AnalyticsService {
    * @returns {Object} - Customer response analytics
    */
   async getCustomerResponsePatterns(filters = {}) {
-    const cacheKey = `analytics:customer_response:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:customer_response:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -537,7 +567,7 @@ class AnalyticsService {
         { $sort: { hour: 1 } }
       ];
 
-      const hourlyPatterns = await mongoose.connection.db.collection('call_logs').aggregate(pipeline).toArray();
+      const hourlyPatterns = await mongoose.connection.db.collection('call_logs').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
 
       // Get response type analysis (voice instructions vs no answer, etc.)
       const responseTypePipeline = [
@@ -587,7 +617,7 @@ class AnalyticsService {
         }
       ];
 
-      const responseTypes = await mongoose.connection.db.collection('call_logs').aggregate(responseTypePipeline).toArray();
+      const responseTypes = await mongoose.connection.db.collection('call_logs').aggregate(tenantContext.scopePipeline(responseTypePipeline)).toArray();
 
       const patterns = {
         hourlyPatterns: hourlyPatterns || [],
@@ -616,7 +646,7 @@ class AnalyticsService {
    * @returns {Object} - Agent compliance analytics
    */
   async getAgentListeningCompliance(filters = {}) {
-    const cacheKey = `analytics:agent_compliance:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:agent_compliance:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -702,7 +732,7 @@ class AnalyticsService {
         { $sort: { complianceRate: -1 } }
       ];
 
-      const complianceData = await mongoose.connection.db.collection('recording_listens').aggregate(pipeline).toArray();
+      const complianceData = await mongoose.connection.db.collection('recording_listens').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
 
       // Overall compliance stats
       const overallStats = complianceData.length > 0 ? {
@@ -746,7 +776,7 @@ class AnalyticsService {
    * @returns {Object} - ROI calculations
    */
   async getROIFromDeliveryAutomation(filters = {}) {
-    const cacheKey = `analytics:roi:${JSON.stringify(filters)}`;
+    const cacheKey = this.scopeCacheKey(`analytics:roi:${JSON.stringify(filters)}`);
 
     const cached = await cacheService.get(cacheKey);
     if (cached) return cached;
@@ -900,6 +930,117 @@ class AnalyticsService {
     };
   }
 
+  /**
+   * Start of the UTC day containing a date
+   * @param {Date} date - Any time on the day
+   * @returns {Date}
+   */
+  getDayStart(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Count a day's deliveries, calls and recordings and store them as DailyStats
+   * @param {Date} date - Any time on the day (UTC)
+   * @returns {Promise<Object>} - Saved DailyStats document
+   */
+  async rollupDay(date) {
+    const start = this.getDayStart(date);
+    const range = { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+
+    const [deliveriesByStatus, calls, recordingsByChannel] = await Promise.all([
+      Delivery.aggregate([
+        { $match: { scheduled_time: range } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      CallLog.aggregate([
+        { $match: { createdAt: range, channel: { $ne: 'sms' } } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            answered: {
+              $sum: { $cond: [{ $and: [{ $eq: ['$status', 'completed'] }, { $ne: ['$answered_by', 'machine'] }] }, 1, 0] }
+            },
+            machine: { $sum: { $cond: [{ $eq: ['$answered_by', 'machine'] }, 1, 0] } },
+            unreached: { $sum: { $cond: [{ $in: ['$status', ['failed', 'no-answer', 'busy', 'canceled']] }, 1, 0] } },
+            avg_duration: { $avg: '$duration' }
+          }
+        }
+      ]),
+      Recording.aggregate([
+        { $match: { createdAt: range } },
+        { $group: { _id: '$channel', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byStatus = Object.fromEntries(deliveriesByStatus.map(item => [item._id || 'unknown', item.count]));
+    const callTotals = calls[0] || {};
+    const recordings = Object.fromEntries(recordingsByChannel.map(item => [item._id || 'voice', item.count]));
+    const day = start.toISOString().slice(0, 10);
+
+    const stats = await DailyStats.findOneAndUpdate(
+      { date: day },
+      {
+        deliveries: {
+          total: deliveriesByStatus.reduce((sum, item) => sum + item.count, 0),
+          by_status: byStatus
+        },
+        calls: {
+          total: callTotals.total || 0,
+          answered: callTotals.answered || 0,
+          machine: callTotals.machine || 0,
+          unreached: callTotals.unreached || 0,
+          avg_duration: callTotals.avg_duration ? Math.round(callTotals.avg_duration * 100) / 100 : null
+        },
+        recordings: { voice: recordings.voice || 0, sms: recordings.sms || 0 }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`Analytics rollup stored for ${day}`);
+    return stats;
+  }
+
+  /**
+   * Get a day's rollup, computing it if the nightly job hasn't yet
+   * @param {Date} date - Any time on the day (UTC)
+   * @returns {Promise<Object>} - DailyStats document
+   */
+  async getDailyStats(date) {
+    const day = this.getDayStart(date).toISOString().slice(0, 10);
+    return (await DailyStats.findOne({ date: day })) || this.rollupDay(date);
+  }
+
+  /**
+   * Plain-text summary of a day for the admin digest
+   * @param {Object} stats - DailyStats document
+   * @returns {Object} - { subject, text }
+   */
+  formatDailyDigest(stats) {
+    const byStatus = stats.deliveries.by_status instanceof Map
+      ? Object.fromEntries(stats.deliveries.by_status)
+      : stats.deliveries.by_status || {};
+    const statusLines = Object.entries(byStatus).map(([status, count]) => `  ${status}: ${count}`);
+
+    return {
+      subject: `Delivery digest for ${stats.date}`,
+      text: [
+        `Deliveries scheduled: ${stats.deliveries.total}`,
+        ...statusLines,
+        '',
+        `Calls placed: ${stats.calls.total}`,
+        `  answered: ${stats.calls.answered}`,
+        `  voicemail: ${stats.calls.machine}`,
+        `  not reached: ${stats.calls.unreached}`,
+        `  average duration: ${stats.calls.avg_duration || 0}s`,
+        '',
+        `Customer recordings: ${stats.recordings.voice}`,
+        `SMS replies: ${stats.recordings.sms}`
+      ].join('\n')
+    };
+  }
+
   /**
    * Clear analytics cache
    */
@@ -930,9 +1071,11 @@ class AnalyticsService {
     return {
       totalCalls: 0,
       successfulCalls: 0,
+      machineAnsweredCalls: 0,
       failedCalls: 0,
       successRate: 0,
       failureRate: 0,
+      machineAnswerRate: 0,
       avgCallDuration: 0,
       totalRecordingSize: 0
     };
@@ -945,6 +1088,7 @@ class AnalyticsService {
         completionRate: 0,
         totalCalls: 0,
         callSuccessRate: 0,
+        machineAnswerRate: 0,
         activeAgents: 0
       },
       today: {
@@ -0,0 +1,193 @@
+const logger = require('../utils/logger');
+const AuditLog = require('../database/models/AuditLog');
+
+// Never copied into the log; a change to them is recorded without the values
+const REDACTED_FIELDS = ['password', 'push_subscription', 'api_key_hash'];
+
+// Bookkeeping rather than changes anyone made; status changes are also kept in the delivery's status_history
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'organization_id', 'status_history'];
+
+const REDACTED = '[redacted]';
+
+const EXPORT_COLUMNS = [
+  'createdAt', 'actor_type', 'actor_id', 'actor_email', 'action',
+  'target_type', 'target_id', 'changes', 'ip', 'request_id', 'method', 'path'
+];
+
+class AuditService {
+  constructor() {
+    this.maxExportRows = 10000;
+  }
+
+  /**
+   * Plain copy of a document's fields
+   * @param {Object} [doc] - Mongoose document or plain object
+   * @returns {Object}
+   */
+  toPlain(doc) {
+    if (!doc) return {};
+    return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  }
+
+  /**
+   * Value as it is stored in the log: ObjectIds as strings, dates as ISO strings
+   * @param {*} value - Field value
+   * @returns {*}
+   */
+  normalize(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Fields that differ between two versions of a document
+   * @param {Object} [before] - Document before the write, empty for creates
+   * @param {Object} [after] - Document after the write, empty for deletes
+   * @returns {Object[]} - { field, before, after } per changed field
+   */
+  diff(before, after) {
+    const previous = this.toPlain(before);
+    const next = this.toPlain(after);
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    const changes = [];
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+
+      const was = this.normalize(previous[field]);
+      const now = this.normalize(next[field]);
+      if (JSON.stringify(was) === JSON.stringify(now)) continue;
+
+      if (REDACTED_FIELDS.includes(field)) {
+        changes.push({ field, before: was === null ? null : REDACTED, after: now === null ? null : REDACTED });
+      } else {
+        changes.push({ field, before: was, after: now });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Who made a request
+   * @param {Object} req - Express request
+   * @returns {Object} - actor_type, actor_id and actor_email
+   */
+  getActor(req) {
+    if (!req.agent) {
+      return { actor_type: 'api_key' };
+    }
+    return {
+      actor_type: req.agent.role === 'admin' ? 'admin' : 'agent',
+      actor_id: req.agent.id,
+      actor_email: req.agent.email
+    };
+  }
+
+  /**
+   * Append an entry for a write that has been made
+   * @param {Object} req - Express request that made the write
+   * @param {Object} entry
+   * @param {string} entry.action - e.g. delivery.update
+   * @param {Object} entry.target - { type, id }
+   * @param {Object} [entry.before] - Document before the write
+   * @param {Object} [entry.after] - Document after the write
+   * @returns {Promise<Object|null>} - Saved entry, or null if it couldn't be saved
+   */
+  async record(req, { action, target, before, after }) {
+    try {
+      const entry = new AuditLog({
+        ...this.getActor(req),
+        action,
+        target_type: target.type,
+        target_id: String(target.id),
+        changes: this.diff(before, after),
+        ip: req.ip,
+        user_agent: req.headers['user-agent'],
+        request_id: req.id,
+        method: req.method,
+        path: req.originalUrl
+      });
+      await entry.save();
+
+      return entry;
+    } catch (error) {
+      // The write has already been made, so a lost entry is logged rather than failing the request
+      logger.error(`Failed to record audit entry ${action} for ${target.type} ${target.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build an audit log query from request filters
+   * @param {Object} filters - actor, action, target_type, target_id, request_id, from, to
+   * @returns {Object} - MongoDB query
+   */
+  buildQuery({ actor, action, target_type, target_id, request_id, from, to } = {}) {
+    const query = {};
+
+    if (actor) query.actor_id = actor;
+    if (action) query.action = action;
+    if (target_type) query.target_type = target_type;
+    if (target_id) query.target_id = target_id;
+    if (request_id) query.request_id = request_id;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Shape an entry for API responses
+   * @param {Object} entry - AuditLog document
+   * @returns {Object}
+   */
+  formatEntry(entry) {
+    return {
+      id: entry._id,
+      actor: { type: entry.actor_type, id: entry.actor_id || null, email: entry.actor_email || null },
+      action: entry.action,
+      target: { type: entry.target_type, id: entry.target_id },
+      changes: entry.changes || [],
+      ip: entry.ip || null,
+      requestId: entry.request_id || null,
+      method: entry.method,
+      path: entry.path,
+      createdAt: entry.createdAt
+    };
+  }
+
+  /**
+   * Entries as CSV, one row per entry with the changes as JSON
+   * @param {Object[]} entries - AuditLog documents
+   * @returns {string}
+   */
+  toCsv(entries) {
+    const rows = entries.map(entry => EXPORT_COLUMNS.map(column => {
+      const value = entry[column];
+      if (column === 'changes') return this.escapeCsv(JSON.stringify(value || []));
+      if (value instanceof Date) return value.toISOString();
+      return this.escapeCsv(value === undefined || value === null ? '' : String(value));
+    }).join(','));
+
+    return [EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Quote a CSV cell, and stop spreadsheets reading it as a formula
+   * @param {string} value - Cell text
+   * @returns {string}
+   */
+  escapeCsv(value) {
+    const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Export singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -0,0 +1,177 @@
+const logger = require('../utils/logger');
+const Agent = require('../database/models/Agent');
+const DeadLetterCall = require('../database/models/DeadLetterCall');
+const twilioService = require('./twilioService');
+const pushService = require('./pushService');
+
+// Twilio error codes for numbers that can never be reached
+// https://www.twilio.com/docs/api/errors
+const INVALID_NUMBER_CODES = [21211, 21214, 21215, 21216, 21217, 21401, 21610, 13223, 13224];
+
+// Twilio "too many requests"
+const RATE_LIMIT_CODES = [20429];
+
+class CallFailureService {
+  constructor() {
+    // Retries allowed after the first failure, and the base delay doubled on each retry
+    this.rules = {
+      invalid_number: { retries: 0, backoffSeconds: 0 },
+      delivery_missing: { retries: 0, backoffSeconds: 0 },
+      provider_error: {
+        retries: this.parseRetries(process.env.CALL_FAILURE_PROVIDER_RETRIES, 3),
+        backoffSeconds: 30
+      },
+      rate_limited: {
+        retries: this.parseRetries(process.env.CALL_FAILURE_RATE_LIMIT_RETRIES, 5),
+        backoffSeconds: 60
+      }
+    };
+  }
+
+  /**
+   * Parse a retry count from the environment
+   * @param {string} value - Configured value
+   * @param {number} fallback - Default when unset or invalid
+   * @returns {number}
+   */
+  parseRetries(value, fallback) {
+    const retries = parseInt(value, 10);
+    return isNaN(retries) || retries < 0 ? fallback : retries;
+  }
+
+  /**
+   * Work out why a call job failed
+   * @param {Error} error - Error thrown by the worker
+   * @returns {string} - invalid_number, delivery_missing, rate_limited or provider_error
+   */
+  classify(error) {
+    const err = error || {};
+    const code = Number(err.code);
+    const status = Number(err.status || err.statusCode || (err.response && err.response.status));
+
+    if (err.code === 'DELIVERY_NOT_FOUND' || err.name === 'CastError') {
+      return 'delivery_missing';
+    }
+
+    if (INVALID_NUMBER_CODES.includes(code)) {
+      return 'invalid_number';
+    }
+
+    if (RATE_LIMIT_CODES.includes(code) || status === 429) {
+      return 'rate_limited';
+    }
+
+    // Network errors, 5xx responses, missing credentials and anything unrecognised
+    return 'provider_error';
+  }
+
+  /**
+   * Get the retry rules for a failure class
+   * @param {string} failureClass - Result of classify()
+   * @returns {Object} - { retries, backoffSeconds }
+   */
+  getRule(failureClass) {
+    return this.rules[failureClass] || this.rules.provider_error;
+  }
+
+  /**
+   * Bull attempts needed so the most forgiving class can use all its retries
+   * @returns {number}
+   */
+  getMaxAttempts() {
+    return Math.max(...Object.values(this.rules).map(rule => rule.retries)) + 1;
+  }
+
+  /**
+   * Backoff strategy for the call queue
+   * @param {number} attemptsMade - Failed attempts so far, including this one
+   * @param {Error} error - Error from the latest attempt
+   * @returns {number} - Delay in ms before the next attempt, or -1 to stop retrying
+   */
+  getRetryDelay(attemptsMade, error) {
+    const rule = this.getRule(this.classify(error));
+
+    if (attemptsMade > rule.retries) {
+      return -1;
+    }
+
+    return rule.backoffSeconds * 1000 * Math.pow(2, attemptsMade - 1);
+  }
+
+  /**
+   * Persist a permanently failed call job and tell the admins
+   * @param {Object} job - Failed Bull job
+   * @param {Error} error - Error from the last attempt
+   * @returns {Promise<Object>} - DeadLetterCall document
+   */
+  async deadLetter(job, error) {
+    const failureClass = this.classify(error);
+    const { deliveryId } = job.data || {};
+
+    const deadLetter = new DeadLetterCall({
+      // A missing delivery has nothing to reference; the id stays in job_data
+      delivery_id: failureClass === 'delivery_missing' ? undefined : deliveryId,
+      job_id: job.id.toString(),
+      job_data: job.data,
+      failure_class: failureClass,
+      error_message: error.message,
+      error_code: error.code !== undefined ? String(error.code) : undefined,
+      attempts_made: job.attemptsMade,
+      stacktrace: job.stacktrace || []
+    });
+    await deadLetter.save();
+
+    logger.error(`Call job ${job.id} for delivery ${deliveryId} dead-lettered (${failureClass}) after ${job.attemptsMade} attempt(s): ${error.message}`);
+
+    await this.notifyAdmins(deadLetter);
+    return deadLetter;
+  }
+
+  /**
+   * Alert admins by SMS and push that a call will not be placed
+   * @param {Object} deadLetter - DeadLetterCall document
+   */
+  async notifyAdmins(deadLetter) {
+    const deliveryId = deadLetter.job_data && deadLetter.job_data.deliveryId;
+    const message = `Customer call for delivery ${deliveryId} failed permanently (${deadLetter.failure_class.replace('_', ' ')}): ${deadLetter.error_message}`;
+
+    if (process.env.ADMIN_PHONE) {
+      try {
+        await twilioService.sendSms(process.env.ADMIN_PHONE, message);
+      } catch (error) {
+        logger.error('Error sending dead-letter SMS to admin:', error);
+      }
+    }
+
+    try {
+      const admins = await Agent.find({ role: 'admin', push_subscription: { $exists: true } });
+      for (const admin of admins) {
+        await pushService.sendToAgent(admin, {
+          title: 'Customer Call Failed',
+          body: message,
+          data: {
+            type: 'call_dead_letter',
+            deadLetterId: deadLetter._id,
+            deliveryId,
+            failureClass: deadLetter.failure_class
+          }
+        });
+      }
+    } catch (error) {
+      logger.error('Error sending dead-letter push notifications:', error);
+    }
+  }
+
+  /**
+   * Get current failure retry rules
+   * @returns {Object} - Retry rules per failure class
+   */
+  getPolicy() {
+    return { ...this.rules };
+  }
+}
+
+// Export singleton instance
+const callFailureService = new CallFailureService();
+
+module.exports = callFailureService;
@@ -0,0 +1,131 @@
+const logger = require('../utils/logger');
+const CallLog = require('../database/models/CallLog');
+const Delivery = require('../database/models/Delivery');
+const deliveryStatusService = require('./deliveryStatusService');
+const { addCallJob, getCallJobId, getCallJobData } = require('./queueService');
+
+class CallRetryService {
+  constructor() {
+    // Call statuses reported by Twilio that warrant another attempt
+    this.retryStatuses = ['no-answer', 'busy', 'failed'];
+
+    this.maxAttempts = parseInt(process.env.CALL_RETRY_MAX_ATTEMPTS, 10) || 3;
+    this.backoffMinutes = this.parseBackoff(process.env.CALL_RETRY_BACKOFF_MINUTES || '10,30,60');
+    this.cutoffMinutes = parseInt(process.env.CALL_RETRY_CUTOFF_MINUTES, 10) || 30;
+  }
+
+  /**
+   * Parse a comma-separated backoff schedule
+   * @param {string} value - Minutes between attempts, e.g. "10,30,60"
+   * @returns {number[]} - Backoff schedule in minutes
+   */
+  parseBackoff(value) {
+    const schedule = value.split(',')
+      .map(minutes => parseFloat(minutes.trim()))
+      .filter(minutes => !isNaN(minutes) && minutes >= 0);
+
+    return schedule.length > 0 ? schedule : [10];
+  }
+
+  /**
+   * Check whether a call status should trigger a retry
+   * @param {string} callStatus - Twilio CallStatus
+   * @returns {boolean}
+   */
+  shouldRetry(callStatus) {
+    return this.retryStatuses.includes(callStatus);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempt - Number of the attempt that just failed (1-based)
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const index = Math.min(attempt - 1, this.backoffMinutes.length - 1);
+    return this.backoffMinutes[Math.max(index, 0)] * 60 * 1000;
+  }
+
+  /**
+   * Get the latest time a retry may be placed for a delivery
+   * @param {Object} delivery - Delivery object
+   * @returns {Date} - Retry cutoff
+   */
+  getCutoffTime(delivery) {
+    return new Date(new Date(delivery.scheduled_time).getTime() - this.cutoffMinutes * 60 * 1000);
+  }
+
+  /**
+   * Queue a follow-up call for an unanswered, busy or failed call
+   * @param {Object} callLog - CallLog of the attempt that just ended
+   * @returns {Object} - Retry decision with the queued job, if any
+   */
+  async scheduleRetry(callLog) {
+    const attempt = callLog.attempt || 1;
+
+    if (attempt >= this.maxAttempts) {
+      logger.info(`No retry for delivery ${callLog.delivery_id}: ${attempt} of ${this.maxAttempts} attempts used`);
+      return { scheduled: false, reason: 'max_attempts_reached' };
+    }
+
+    const delivery = await Delivery.findById(callLog.delivery_id);
+    if (!delivery) {
+      return { scheduled: false, reason: 'delivery_not_found' };
+    }
+
+    if (deliveryStatusService.closedStatuses.includes(delivery.status)) {
+      return { scheduled: false, reason: 'delivery_closed' };
+    }
+
+    const delay = this.getRetryDelay(attempt);
+    const retryAt = new Date(Date.now() + delay);
+
+    if (retryAt > this.getCutoffTime(delivery)) {
+      logger.info(`No retry for delivery ${delivery._id}: next attempt would pass the cutoff`);
+      return { scheduled: false, reason: 'past_cutoff' };
+    }
+
+    // Claim the retry so repeated status callbacks don't queue it twice
+    const claimed = await CallLog.findOneAndUpdate(
+      { _id: callLog._id, retry_scheduled: { $ne: true } },
+      { retry_scheduled: true, next_retry_at: retryAt },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { scheduled: false, reason: 'already_scheduled' };
+    }
+
+    const job = await addCallJob(
+      getCallJobData(delivery, { attempt: attempt + 1 }),
+      delay,
+      getCallJobId(delivery._id, attempt + 1)
+    );
+
+    await Delivery.findByIdAndUpdate(delivery._id, {
+      call_job_id: job.id.toString(),
+      call_scheduled_for: retryAt
+    });
+
+    logger.info(`Retry ${attempt + 1}/${this.maxAttempts} queued for delivery ${delivery._id} at ${retryAt.toISOString()}`);
+    return { scheduled: true, attempt: attempt + 1, retryAt, jobId: job.id };
+  }
+
+  /**
+   * Get current retry policy
+   * @returns {Object} - Retry policy settings
+   */
+  getPolicy() {
+    return {
+      maxAttempts: this.maxAttempts,
+      backoffMinutes: this.backoffMinutes,
+      cutoffMinutes: this.cutoffMinutes,
+      retryStatuses: this.retryStatuses
+    };
+  }
+}
+
+// Export singleton instance
+const callRetryService = new CallRetryService();
+
+module.exports = callRetryService;
@@ -0,0 +1,155 @@
+const logger = require('../utils/logger');
+const Delivery = require('../database/models/Delivery');
+const routingService = require('./routingService');
+const deliveryStatusService = require('./deliveryStatusService');
+const { addCallJob, removeCallJob, getCallJobId, getCallJobData } = require('./queueService');
+
+class CallSchedulingService {
+  constructor() {
+    this.enabled = process.env.CALL_AUTO_SCHEDULE !== 'false';
+    // How long before the delivery the customer is called
+    this.leadTimeMinutes = parseInt(process.env.CALL_LEAD_TIME_MINUTES, 10) || 120;
+    // Let routingService move the call to a better-scoring slot within the lead time
+    this.useOptimalTiming = process.env.CALL_OPTIMAL_TIMING === 'true';
+  }
+
+  /**
+   * Get the latest time the pre-delivery call should be placed
+   * @param {Object} delivery - Delivery object
+   * @returns {Date}
+   */
+  getDefaultCallTime(delivery) {
+    return new Date(new Date(delivery.scheduled_time).getTime() - this.leadTimeMinutes * 60 * 1000);
+  }
+
+  /**
+   * Pick when to call the customer about a delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { callAt, source }
+   */
+  async getCallTime(delivery, now = new Date()) {
+    const latest = this.getDefaultCallTime(delivery);
+
+    if (this.useOptimalTiming && delivery.customer_id && latest > now) {
+      try {
+        const timing = await routingService.calculateOptimalCallTiming(delivery, delivery.customer_id);
+        // optimalTimes is sorted best first; take the best slot that still leaves the lead time
+        const slot = (timing.optimalTimes || [])
+          .map(option => new Date(option.datetime))
+          .find(callAt => callAt >= now && callAt <= latest);
+
+        if (slot) {
+          return { callAt: slot, source: 'optimal' };
+        }
+      } catch (error) {
+        logger.warn(`Optimal call timing unavailable for delivery ${delivery._id}, using lead time`, { error: error.message });
+      }
+    }
+
+    return { callAt: latest > now ? latest : now, source: 'lead_time' };
+  }
+
+  /**
+   * Queue the pre-delivery call for a new delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @returns {Promise<Object|null>} - { jobId, callAt, source }, or null if nothing was queued
+   */
+  async scheduleDeliveryCall(delivery) {
+    if (!this.enabled) return null;
+
+    const now = new Date();
+    if (new Date(delivery.scheduled_time) <= now) {
+      logger.info(`Not scheduling a call for delivery ${delivery._id}: scheduled time has passed`);
+      return null;
+    }
+
+    try {
+      const { callAt, source } = await this.getCallTime(delivery, now);
+      const job = await addCallJob(
+        getCallJobData(delivery),
+        callAt.getTime() - now.getTime(),
+        getCallJobId(delivery._id, (delivery.call_attempts || 0) + 1)
+      );
+
+      await Delivery.findByIdAndUpdate(delivery._id, {
+        call_job_id: job.id.toString(),
+        call_scheduled_for: callAt
+      });
+      delivery.call_job_id = job.id.toString();
+      delivery.call_scheduled_for = callAt;
+
+      logger.info(`Call for delivery ${delivery._id} scheduled for ${callAt.toISOString()} (${source})`);
+      return { jobId: job.id, callAt, source };
+    } catch (error) {
+      // The delivery is already saved; a missing call can still be queued via /api/calls/initiate
+      logger.error(`Failed to schedule call for delivery ${delivery._id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the queued pre-delivery call, if it hasn't started
+   * @param {Object} delivery - Delivery object
+   * @returns {Promise<boolean>} - True if a queued job was removed
+   */
+  async cancelDeliveryCall(delivery) {
+    const jobId = delivery.call_job_id;
+    if (!jobId) return false;
+
+    try {
+      const removed = await removeCallJob(jobId);
+
+      await Delivery.findByIdAndUpdate(delivery._id, {
+        $unset: { call_job_id: 1, call_scheduled_for: 1 }
+      });
+      delivery.call_job_id = undefined;
+      delivery.call_scheduled_for = undefined;
+
+      if (removed) {
+        logger.info(`Removed queued call ${jobId} for delivery ${delivery._id}`);
+      }
+      return removed;
+    } catch (error) {
+      logger.error(`Failed to remove queued call for delivery ${delivery._id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Move or remove the queued call after a delivery was updated
+   * @param {Object} delivery - Updated delivery with populated customer
+   * @param {Object} changes - Fields the update set
+   * @returns {Promise<Object|null>} - New schedule, if the call was moved
+   */
+  async handleDeliveryUpdate(delivery, changes) {
+    if (deliveryStatusService.closedStatuses.includes(delivery.status)) {
+      await this.cancelDeliveryCall(delivery);
+      return null;
+    }
+
+    if (changes.scheduled_time) {
+      await this.cancelDeliveryCall(delivery);
+      return this.scheduleDeliveryCall(delivery);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get current scheduling settings
+   * @returns {Object}
+   */
+  getPolicy() {
+    return {
+      enabled: this.enabled,
+      leadTimeMinutes: this.leadTimeMinutes,
+      useOptimalTiming: this.useOptimalTiming
+    };
+  }
+}
+
+// Export singleton instance
+const callSchedulingService = new CallSchedulingService();
+
+module.exports = callSchedulingService;
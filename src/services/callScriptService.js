@@ -0,0 +1,316 @@
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const cacheService = require('./cacheService');
+const organizationService = require('./organizationService');
+const callingPolicyService = require('./callingPolicyService');
+const CallScript = require('../database/models/CallScript');
+
+// Languages the call flow can speak, with the voice and locale used for each
+const LANGUAGES = {
+  en: { name: 'English', voice: 'Polly.Joanna', locale: 'en-US', today: 'today' },
+  es: { name: 'Spanish', voice: 'Polly.Lupe', locale: 'es-US', today: 'hoy' }
+};
+
+// Built-in scripts used until an admin activates one for the language
+const DEFAULT_PROMPTS = {
+  en: {
+    greeting: 'Hello {{customer_name}}! This is {{merchant_name}} calling about your delivery to {{address}}, scheduled for {{delivery_window}}.',
+    menu: 'Press 1 to confirm you will be home. Press 2 to reschedule. Press 3 to tell us a safe place or a neighbour who can take the parcel. Press 4 to record delivery instructions. Press 0 to hear these options again.',
+    language_switch: 'For English, press 9.',
+    no_selection: 'We did not receive a selection. Goodbye.',
+    invalid_option: 'Sorry, that is not a valid option.',
+    confirmed: 'Thank you. Your delivery is confirmed and our driver will see you soon. Goodbye.',
+    reschedule: 'Please say the day and time that suits you better after the beep, then press the pound key.',
+    safe_place: 'Please describe a safe place for the parcel, or the name and address of a neighbour, after the beep, then press the pound key.',
+    instructions: 'Please record your availability or special delivery instructions after the beep.',
+    no_recording: 'We did not receive your message. Goodbye.',
+    voicemail: 'Hello {{customer_name}}, this is {{merchant_name}} calling about your delivery to {{address}}, scheduled for {{delivery_window}}. Please call us back on {{callback_number}} to confirm or change your delivery. Thank you.',
+    error: 'Sorry, there was an error with this call.'
+  },
+  es: {
+    greeting: '¡Hola {{customer_name}}! Le llamamos de {{merchant_name}} sobre su entrega en {{address}}, programada para {{delivery_window}}.',
+    menu: 'Oprima 1 para confirmar que estará en casa. Oprima 2 para cambiar la fecha. Oprima 3 para indicarnos un lugar seguro o un vecino que pueda recibir el paquete. Oprima 4 para grabar instrucciones de entrega. Oprima 0 para escuchar estas opciones de nuevo.',
+    language_switch: 'Para español, oprima 9.',
+    no_selection: 'No recibimos ninguna selección. Adiós.',
+    invalid_option: 'Lo sentimos, esa opción no es válida.',
+    confirmed: 'Gracias. Su entrega está confirmada y nuestro repartidor le verá pronto. Adiós.',
+    reschedule: 'Después del tono, diga el día y la hora que le convengan más y luego oprima la tecla numeral.',
+    safe_place: 'Después del tono, describa un lugar seguro para el paquete, o el nombre y la dirección de un vecino, y luego oprima la tecla numeral.',
+    instructions: 'Después del tono, grabe su disponibilidad o sus instrucciones especiales de entrega.',
+    no_recording: 'No recibimos su mensaje. Adiós.',
+    voicemail: 'Hola {{customer_name}}, le llamamos de {{merchant_name}} sobre su entrega en {{address}}, programada para {{delivery_window}}. Por favor llámenos al {{callback_number}} para confirmar o cambiar su entrega. Gracias.',
+    error: 'Lo sentimos, hubo un error con esta llamada.'
+  }
+};
+
+const TEMPLATE_VARIABLES = ['customer_name', 'delivery_window', 'merchant_name', 'address', 'callback_number'];
+
+const ACTIVE_SCRIPT_CACHE_KEY = 'call_script:active';
+
+class CallScriptService {
+  constructor() {
+    this.cacheTTL = 60; // 1 minute, activation also clears it
+    this.defaultLanguage = this.resolveLanguage(process.env.CALL_DEFAULT_LANGUAGE);
+    // Language offered with the "press 9" switch at the start of the call
+    this.switchLanguage = this.resolveLanguage(process.env.CALL_SWITCH_LANGUAGE || 'es');
+    this.switchDigit = '9';
+  }
+
+  /**
+   * Names of the prompts a script can define
+   * @returns {string[]}
+   */
+  getPromptNames() {
+    return Object.keys(DEFAULT_PROMPTS.en);
+  }
+
+  /**
+   * Built-in prompt templates
+   * @param {string} language - Language code
+   * @returns {Object}
+   */
+  getDefaultPrompts(language) {
+    return { ...DEFAULT_PROMPTS[this.resolveLanguage(language)] };
+  }
+
+  /**
+   * Variables available in prompt templates
+   * @returns {string[]}
+   */
+  getTemplateVariables() {
+    return TEMPLATE_VARIABLES;
+  }
+
+  /**
+   * Language codes the call flow supports
+   * @returns {string[]}
+   */
+  getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Map a language code to a supported one
+   * @param {string} language - Language code, e.g. "es" or "es-MX"
+   * @returns {string} - Supported language code, or the default language
+   */
+  resolveLanguage(language) {
+    const code = (language || '').toLowerCase().split('-')[0];
+    return LANGUAGES[code] ? code : (this.defaultLanguage || 'en');
+  }
+
+  /**
+   * Pick the language for a call
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {string} override - Language chosen during the call
+   * @returns {string} - Language code
+   */
+  getCallLanguage(delivery, override) {
+    const customer = (delivery && delivery.customer_id) || {};
+    return this.resolveLanguage(override || customer.language);
+  }
+
+  /**
+   * Language the caller can switch to from the given one
+   * @param {string} language - Current language code
+   * @returns {string} - Language code offered by the switch
+   */
+  getAlternateLanguage(language) {
+    return language === this.switchLanguage ? this.defaultLanguage : this.switchLanguage;
+  }
+
+  /**
+   * Options for TwiML <Say> in a language
+   * @param {string} language - Language code
+   * @returns {Object} - { voice, language }
+   */
+  getSayOptions(language) {
+    const { voice, locale } = LANGUAGES[this.resolveLanguage(language)];
+    return { voice, language: locale };
+  }
+
+  /**
+   * Replace {{variable}} placeholders in a template
+   * @param {string} template - Prompt template
+   * @param {Object} variables - Variable values
+   * @returns {string} - Rendered text
+   */
+  renderTemplate(template, variables) {
+    return (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      const value = variables[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  /**
+   * Find placeholders a template uses that aren't supported
+   * @param {Object} prompts - Prompt templates
+   * @returns {string[]} - Unknown variable names
+   */
+  findUnknownVariables(prompts) {
+    const unknown = new Set();
+
+    Object.values(prompts || {}).forEach(template => {
+      for (const match of (template || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        if (!TEMPLATE_VARIABLES.includes(match[1])) {
+          unknown.add(match[1]);
+        }
+      }
+    });
+
+    return Array.from(unknown);
+  }
+
+  /**
+   * Describe the delivery window for the customer
+   * @param {Object} delivery - Delivery object
+   * @param {string} language - Language code
+   * @returns {string} - e.g. "Monday, March 4 at 2:00 PM"
+   */
+  formatDeliveryWindow(delivery, language) {
+    const { locale, today } = LANGUAGES[this.resolveLanguage(language)];
+    if (!delivery.scheduled_time) return today;
+
+    // Spoken in the customer's own time, the timezone quiet hours are judged in
+    return new Date(delivery.scheduled_time).toLocaleString(locale, {
+      timeZone: callingPolicyService.resolveTimezone(delivery.customer_id),
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Spell out a phone number digit by digit so text-to-speech reads it clearly
+   * @param {string} phoneNumber - Phone number, e.g. +15551234567
+   * @returns {string} - e.g. "1 5 5 5 1 2 3 4 5 6 7"
+   */
+  formatPhoneForSpeech(phoneNumber) {
+    return (phoneNumber || '').replace(/\D/g, '').split('').join(' ');
+  }
+
+  /**
+   * Build template variables for a delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {string} language - Language code
+   * @param {Object} [organization] - Organization whose name and number the customer hears
+   * @returns {Object} - Variable values
+   */
+  buildVariables(delivery, language, organization = null) {
+    const customer = delivery.customer_id || {};
+    const callbackNumber = (organization && organization.phone_number) ||
+      process.env.CALL_CALLBACK_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+
+    return {
+      customer_name: customer.name || '',
+      delivery_window: this.formatDeliveryWindow(delivery, language),
+      merchant_name: organizationService.getMerchantName(organization) || 'your retailer',
+      address: delivery.address || '',
+      callback_number: this.formatPhoneForSpeech(callbackNumber)
+    };
+  }
+
+  /**
+   * Cache key of the active script, per organization and language
+   * @param {string} language - Language code
+   * @returns {string}
+   */
+  getCacheKey(language) {
+    const organizationId = tenantContext.getOrganizationId();
+    return [ACTIVE_SCRIPT_CACHE_KEY, organizationId, this.resolveLanguage(language)].filter(Boolean).join(':');
+  }
+
+  /**
+   * Get the current organization's active script for a language, falling back to the built-in prompts
+   * @param {string} language - Language code
+   * @returns {Object} - Script with prompts
+   */
+  async getActiveScript(language) {
+    language = this.resolveLanguage(language);
+    const cacheKey = this.getCacheKey(language);
+
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    let script = null;
+    try {
+      script = await CallScript.findOne({ is_active: true, language }).lean();
+    } catch (error) {
+      logger.error('Failed to load active call script, using default prompts:', error);
+    }
+
+    const result = script
+      ? { id: script._id, name: script.name, version: script.version, language, prompts: script.prompts || {} }
+      : { id: null, name: 'default', version: 0, language, prompts: DEFAULT_PROMPTS[language] };
+
+    await cacheService.set(cacheKey, result, this.cacheTTL);
+    return result;
+  }
+
+  /**
+   * Render every prompt of a script for a delivery
+   * @param {Object} script - Script with prompt templates and language
+   * @param {Object} variables - Variable values
+   * @returns {Object} - Rendered prompts, with defaults for missing ones
+   */
+  renderPrompts(script, variables) {
+    const defaults = DEFAULT_PROMPTS[this.resolveLanguage(script.language)];
+    const rendered = {};
+
+    Object.keys(defaults).forEach(name => {
+      const template = (script.prompts && script.prompts[name]) || defaults[name];
+      rendered[name] = this.renderTemplate(template, variables).replace(/\s{2,}/g, ' ').trim();
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Render the active script for a delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {string} language - Language code
+   * @returns {Object} - Rendered prompts
+   */
+  async getPromptsForDelivery(delivery, language) {
+    const script = await this.getActiveScript(language);
+    const organization = await organizationService.getOrganization(delivery.organization_id);
+    return this.renderPrompts(script, this.buildVariables(delivery, script.language, organization));
+  }
+
+  /**
+   * Make a script version the active one for its language
+   * @param {string} scriptId - CallScript ID
+   * @returns {Object|null} - Activated script
+   */
+  async activate(scriptId) {
+    const script = await CallScript.findById(scriptId);
+    if (!script) return null;
+
+    await CallScript.updateMany(
+      { is_active: true, language: script.language, _id: { $ne: script._id } },
+      { is_active: false }
+    );
+    script.is_active = true;
+    script.activated_at = new Date();
+    await script.save();
+
+    await this.clearCache(script.language);
+    logger.info(`Call script ${script.name} v${script.version} (${script.language}) activated`);
+    return script;
+  }
+
+  /**
+   * Clear the current organization's cached active script
+   * @param {string} language - Language code
+   */
+  async clearCache(language) {
+    await cacheService.del(this.getCacheKey(language));
+  }
+}
+
+// Export singleton instance
+const callScriptService = new CallScriptService();
+
+module.exports = callScriptService;
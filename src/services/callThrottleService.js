@@ -0,0 +1,200 @@
+const logger = require('../utils/logger');
+const { redis } = require('./queueService');
+
+const KEY_PREFIX = 'call_rate';
+
+// A reservation is honoured if the delayed job runs within this long of its slot
+const RESERVATION_GRACE_MS = 5000;
+
+// Take one token from every bucket, letting them go negative so each caller
+// reserves the next free slot instead of all retrying at once.
+// KEYS: bucket keys. ARGV: now (ms), then capacity and refill rate (tokens/ms) per bucket.
+// Returns the ms to wait before the reserved slot, 0 to dial now.
+const TAKE_TOKENS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local wait = 0
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[i * 2])
+  local rate = tonumber(ARGV[i * 2 + 1])
+  local bucket = redis.call('HMGET', key, 'tokens', 'updated')
+  local tokens = tonumber(bucket[1]) or capacity
+  local updated = tonumber(bucket[2]) or now
+  tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate) - 1
+  if tokens < 0 then
+    wait = math.max(wait, math.ceil(-tokens / rate))
+  end
+  redis.call('HSET', key, 'tokens', tostring(tokens), 'updated', now)
+  redis.call('PEXPIRE', key, math.ceil((capacity - tokens) / rate) + 60000)
+end
+return wait
+`;
+
+class CallThrottleService {
+  constructor() {
+    // Account-wide calls per second; Twilio accounts default to 1 CPS
+    this.globalLimit = {
+      calls: this.parseRate(process.env.CALL_RATE_LIMIT_PER_SECOND, 1),
+      periodMs: 1000,
+      burst: this.parseRate(process.env.CALL_RATE_LIMIT_BURST, 1)
+    };
+
+    // Calls per minute from one caller number, so carriers don't flag it for bursts
+    this.numberLimit = {
+      calls: this.parseRate(process.env.CALL_RATE_LIMIT_PER_NUMBER_PER_MINUTE, 10),
+      periodMs: 60000,
+      burst: this.parseRate(process.env.CALL_RATE_LIMIT_PER_NUMBER_BURST, 2)
+    };
+  }
+
+  /**
+   * Parse a rate from the environment
+   * @param {string} value - Configured value
+   * @param {number} fallback - Default when unset or invalid
+   * @returns {number} - 0 disables the limit
+   */
+  parseRate(value, fallback) {
+    const rate = parseFloat(value);
+    return isNaN(rate) || rate < 0 ? fallback : rate;
+  }
+
+  /**
+   * Buckets a call from a number has to take a token from
+   * @param {string} from - Caller number
+   * @returns {Object[]} - { key, capacity, rate }
+   */
+  getBuckets(from) {
+    const buckets = [];
+
+    if (this.globalLimit.calls > 0) {
+      buckets.push({ key: `${KEY_PREFIX}:bucket:global`, ...this.toBucket(this.globalLimit) });
+    }
+    if (this.numberLimit.calls > 0 && from) {
+      buckets.push({ key: `${KEY_PREFIX}:bucket:number:${from}`, ...this.toBucket(this.numberLimit) });
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Bucket size and refill rate for a limit
+   * @param {Object} limit - { calls, periodMs, burst }
+   * @returns {Object} - { capacity, rate } with the rate in tokens per ms
+   */
+  toBucket(limit) {
+    return { capacity: Math.max(limit.burst, 1), rate: limit.calls / limit.periodMs };
+  }
+
+  /**
+   * Reserve a slot to dial from a number
+   * @param {string} from - Caller number
+   * @param {number} reservedAt - Slot reserved by an earlier acquire(), if the job was throttled before
+   * @returns {Promise<Object>} - { allowed } or { allowed: false, delay, retryAt }
+   */
+  async acquire(from, reservedAt = null) {
+    const now = Date.now();
+
+    if (reservedAt && Math.abs(now - reservedAt) <= RESERVATION_GRACE_MS) {
+      return { allowed: true };
+    }
+
+    const buckets = this.getBuckets(from);
+    if (buckets.length === 0) {
+      return { allowed: true };
+    }
+
+    let wait;
+    try {
+      wait = Number(await redis.eval(
+        TAKE_TOKENS_SCRIPT,
+        buckets.length,
+        ...buckets.map(bucket => bucket.key),
+        now,
+        ...buckets.flatMap(bucket => [bucket.capacity, bucket.rate])
+      ));
+    } catch (error) {
+      // Don't stop calling because Redis is unavailable; Twilio still enforces its own limit
+      logger.error('Call rate limiter unavailable, dialing without throttling:', error);
+      return { allowed: true };
+    }
+
+    if (wait <= 0) {
+      return { allowed: true };
+    }
+
+    await this.increment('throttled', now);
+    return { allowed: false, delay: wait, retryAt: new Date(now + wait) };
+  }
+
+  /**
+   * Count a placed call towards throughput
+   * @param {string} from - Caller number
+   */
+  async recordCall(from) {
+    await this.increment('dialed', Date.now(), from);
+  }
+
+  /**
+   * Bump a per-minute counter
+   * @param {string} name - Counter name
+   * @param {number} now - Current time in ms
+   * @param {string} from - Caller number, to also count per number
+   */
+  async increment(name, now, from) {
+    const minute = Math.floor(now / 60000);
+    const keys = [`${KEY_PREFIX}:${name}:${minute}`];
+    if (from) keys.push(`${KEY_PREFIX}:${name}:${from}:${minute}`);
+
+    try {
+      const pipeline = redis.pipeline();
+      keys.forEach(key => pipeline.incr(key).expire(key, 180));
+      await pipeline.exec();
+    } catch (error) {
+      logger.warn(`Failed to count ${name} call:`, error.message);
+    }
+  }
+
+  /**
+   * Current call throughput for /metrics
+   * @param {string} from - Caller number to report on
+   * @returns {Promise<Object>}
+   */
+  async getStats(from) {
+    const minute = Math.floor(Date.now() / 60000);
+    const keys = [
+      `${KEY_PREFIX}:dialed:${minute - 1}`,
+      `${KEY_PREFIX}:throttled:${minute - 1}`,
+      `${KEY_PREFIX}:dialed:${minute}`,
+      `${KEY_PREFIX}:throttled:${minute}`
+    ];
+    if (from) {
+      keys.push(`${KEY_PREFIX}:dialed:${from}:${minute - 1}`, `${KEY_PREFIX}:dialed:${from}:${minute}`);
+    }
+
+    const counts = (await redis.mget(...keys)).map(count => parseInt(count, 10) || 0);
+
+    return {
+      limits: this.getPolicy(),
+      lastMinute: { dialed: counts[0], throttled: counts[1] },
+      currentMinute: { dialed: counts[2], throttled: counts[3] },
+      ...(from && { number: { from, lastMinuteDialed: counts[4], currentMinuteDialed: counts[5] } })
+    };
+  }
+
+  /**
+   * Get current rate limits
+   * @returns {Object} - Configured limits, 0 when disabled
+   */
+  getPolicy() {
+    return {
+      callsPerSecond: this.globalLimit.calls,
+      burst: this.globalLimit.burst,
+      callsPerNumberPerMinute: this.numberLimit.calls,
+      numberBurst: this.numberLimit.burst
+    };
+  }
+}
+
+// Export singleton instance
+const callThrottleService = new CallThrottleService();
+
+module.exports = callThrottleService;
@@ -0,0 +1,213 @@
+const logger = require('../utils/logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const CallLog = require('../database/models/CallLog');
+const Delivery = require('../database/models/Delivery');
+const DoNotCall = require('../database/models/DoNotCall');
+const BlockedCall = require('../database/models/BlockedCall');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+class CallingPolicyService {
+  constructor() {
+    // Customer-local window in which no calls are placed; may wrap past midnight
+    this.quietStart = this.parseTime(process.env.CALL_QUIET_HOURS_START || '21:00');
+    this.quietEnd = this.parseTime(process.env.CALL_QUIET_HOURS_END || '08:00');
+    this.defaultTimezone = process.env.CALL_DEFAULT_TIMEZONE || 'America/New_York';
+
+    // Calls per customer per local day, 0 for no cap
+    const dailyCap = parseInt(process.env.CALL_DAILY_ATTEMPT_CAP, 10);
+    this.dailyAttemptCap = isNaN(dailyCap) ? 3 : dailyCap;
+  }
+
+  /**
+   * Parse a time of day
+   * @param {string} value - Time as HH:MM
+   * @returns {number} - Minutes after midnight
+   */
+  parseTime(value) {
+    const [hours, minutes = 0] = value.split(':').map(part => parseInt(part, 10));
+    return ((hours * 60 + minutes) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  }
+
+  /**
+   * Pick the timezone to judge a customer's local time in
+   * @param {Object} customer - Customer object
+   * @returns {string} - IANA timezone
+   */
+  resolveTimezone(customer) {
+    const timezone = customer && customer.timezone;
+    if (!timezone) return this.defaultTimezone;
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return timezone;
+    } catch (error) {
+      logger.warn(`Invalid customer timezone ${timezone}, using ${this.defaultTimezone}`);
+      return this.defaultTimezone;
+    }
+  }
+
+  /**
+   * Get the wall-clock time in a timezone
+   * @param {Date} date - Instant to convert
+   * @param {string} timezone - IANA timezone
+   * @returns {Object} - { minutes, seconds, label }
+   */
+  getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    const hours = value('hour');
+    const minutes = value('minute');
+
+    return {
+      minutes: hours * 60 + minutes,
+      seconds: value('second'),
+      label: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+    };
+  }
+
+  /**
+   * Check whether a local time falls in quiet hours
+   * @param {number} minutes - Minutes after local midnight
+   * @returns {boolean}
+   */
+  isQuietTime(minutes) {
+    if (this.quietStart === this.quietEnd) return false;
+
+    return this.quietStart < this.quietEnd
+      ? minutes >= this.quietStart && minutes < this.quietEnd
+      : minutes >= this.quietStart || minutes < this.quietEnd;
+  }
+
+  /**
+   * Minutes from a local time until calling is allowed again
+   * @param {number} minutes - Minutes after local midnight
+   * @returns {number} - 0 outside quiet hours
+   */
+  minutesUntilAllowed(minutes) {
+    if (!this.isQuietTime(minutes)) return 0;
+    return (this.quietEnd - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  }
+
+  /**
+   * Count voice calls placed to a customer since a given time
+   * @param {string} customerId - Customer ID
+   * @param {Date} since - Start of the customer's local day
+   * @returns {Promise<number>}
+   */
+  async countCallsSince(customerId, since) {
+    const deliveryIds = await Delivery.find({ customer_id: customerId }).distinct('_id');
+
+    return CallLog.countDocuments({
+      delivery_id: { $in: deliveryIds },
+      channel: { $ne: 'sms' },
+      createdAt: { $gte: since }
+    });
+  }
+
+  /**
+   * Decide whether the worker may dial a delivery's customer now
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {Date} now - Current time
+   * @returns {Object} - { allowed } or the block reason, local time and delay to the next allowed slot
+   */
+  async check(delivery, now = new Date()) {
+    const customer = delivery.customer_id || {};
+    const timezone = this.resolveTimezone(customer);
+    const local = this.getLocalTime(now, timezone);
+    const block = (reason, minutesAhead) => {
+      // Land on the start of the allowed minute; DST shifts are caught by re-checking when the job runs
+      const delay = minutesAhead === null ? null : Math.max(minutesAhead * 60 - local.seconds, 0) * 1000;
+      return {
+        allowed: false,
+        reason,
+        timezone,
+        localTime: local.label,
+        delay,
+        retryAt: delay === null ? null : new Date(now.getTime() + delay)
+      };
+    };
+
+    // The list is stored in E.164, whatever format a number was added in
+    const phone = formatPhoneNumber(customer.phone) || customer.phone;
+    if (phone && await DoNotCall.exists({ phone })) {
+      return block('do_not_call', null);
+    }
+
+    if (this.isQuietTime(local.minutes)) {
+      return block('quiet_hours', this.minutesUntilAllowed(local.minutes));
+    }
+
+    if (this.dailyAttemptCap > 0 && customer._id) {
+      const startOfDay = new Date(now.getTime() - (local.minutes * 60 + local.seconds) * 1000);
+      const callsToday = await this.countCallsSince(customer._id, startOfDay);
+
+      if (callsToday >= this.dailyAttemptCap) {
+        const minutesToMidnight = MINUTES_PER_DAY - local.minutes;
+        return block('daily_cap', minutesToMidnight + this.minutesUntilAllowed(0));
+      }
+    }
+
+    return { allowed: true, timezone, localTime: local.label };
+  }
+
+  /**
+   * Keep a compliance record of a blocked call
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {Object} decision - Result of check()
+   * @param {number} attempt - Attempt number the job would have placed
+   * @returns {Promise<Object>} - BlockedCall document
+   */
+  async recordBlock(delivery, decision, attempt) {
+    const customer = delivery.customer_id || {};
+
+    logger.warn('Call blocked by calling policy', {
+      deliveryId: delivery._id,
+      customerId: customer._id,
+      reason: decision.reason,
+      timezone: decision.timezone,
+      localTime: decision.localTime,
+      rescheduledFor: decision.retryAt
+    });
+
+    const blockedCall = new BlockedCall({
+      delivery_id: delivery._id,
+      customer_id: customer._id,
+      phone: customer.phone,
+      reason: decision.reason,
+      timezone: decision.timezone,
+      local_time: decision.localTime,
+      attempt,
+      rescheduled_for: decision.retryAt
+    });
+    await blockedCall.save();
+
+    return blockedCall;
+  }
+
+  /**
+   * Get current calling policy
+   * @returns {Object} - Calling policy settings
+   */
+  getPolicy() {
+    const format = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    return {
+      quietHours: { start: format(this.quietStart), end: format(this.quietEnd) },
+      defaultTimezone: this.defaultTimezone,
+      dailyAttemptCap: this.dailyAttemptCap
+    };
+  }
+}
+
+// Export singleton instance
+const callingPolicyService = new CallingPolicyService();
+
+module.exports = callingPolicyService;
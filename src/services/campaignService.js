@@ -0,0 +1,306 @@
+const logger = require('../utils/logger');
+const Campaign = require('../database/models/Campaign');
+const Delivery = require('../database/models/Delivery');
+const CallLog = require('../database/models/CallLog');
+const Recording = require('../database/models/Recording');
+const DeadLetterCall = require('../database/models/DeadLetterCall');
+const deliveryStatusService = require('./deliveryStatusService');
+const callSchedulingService = require('./callSchedulingService');
+const callThrottleService = require('./callThrottleService');
+const twilioService = require('./twilioService');
+const { addCallJob, removeCallJob, getCallJobId, getCallJobData } = require('./queueService');
+
+// Final call statuses where the customer wasn't reached
+const UNREACHED_CALL_STATUSES = ['failed', 'busy', 'no-answer', 'canceled'];
+
+class CampaignService {
+  constructor() {
+    // Used when a campaign doesn't say when calls should end
+    this.defaultWindowMinutes = parseInt(process.env.CAMPAIGN_DEFAULT_WINDOW_MINUTES, 10) || 120;
+    // Keeps one campaign document, and one request, a manageable size
+    this.maxDeliveries = parseInt(process.env.CAMPAIGN_MAX_DELIVERIES, 10) || 5000;
+  }
+
+  /**
+   * Deliveries a campaign would call: matching the filter, still open and without a customer response
+   * @param {Object} filter - { scheduled_from, scheduled_to, statuses, agent_id }
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Object[]>} - Deliveries, earliest scheduled first
+   */
+  async findTargets(filter, limit = this.maxDeliveries) {
+    const query = {
+      scheduled_time: { $gte: filter.scheduled_from, $lt: filter.scheduled_to },
+      status: filter.statuses && filter.statuses.length > 0
+        ? { $in: filter.statuses, $nin: deliveryStatusService.closedStatuses }
+        : { $nin: deliveryStatusService.closedStatuses },
+      customer_response: { $exists: false }
+    };
+    if (filter.agent_id) query.agent_id = filter.agent_id;
+
+    return Delivery.find(query)
+      .select('_id call_attempts call_job_id scheduled_time')
+      .sort({ scheduled_time: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Shortest gap between calls the rate limits allow
+   * @returns {number} - Milliseconds, 0 when calls aren't limited
+   */
+  getMinimumSpacing() {
+    const buckets = callThrottleService.getBuckets(twilioService.getCallerNumber());
+    return buckets.reduce((spacing, bucket) => Math.max(spacing, Math.ceil(1 / bucket.rate)), 0);
+  }
+
+  /**
+   * Spread calls evenly over a window, no closer together than the rate limits allow
+   * @param {number} count - Number of calls
+   * @param {Date} windowStart - First call time
+   * @param {Date} windowEnd - Calls should be placed before this
+   * @returns {Object} - { spacingMs, estimatedEnd, overrunsWindow }
+   */
+  planSchedule(count, windowStart, windowEnd) {
+    const windowMs = Math.max(windowEnd.getTime() - windowStart.getTime(), 0);
+    const spacingMs = Math.max(Math.floor(windowMs / Math.max(count, 1)), this.getMinimumSpacing());
+    const estimatedEnd = new Date(windowStart.getTime() + spacingMs * Math.max(count - 1, 0));
+
+    return { spacingMs, estimatedEnd, overrunsWindow: estimatedEnd > windowEnd };
+  }
+
+  /**
+   * Find matching deliveries and save a campaign to call them; queueCalls() then schedules the calls
+   * @param {Object} options
+   * @param {string} options.name - Campaign name
+   * @param {Object} options.filter - { scheduled_from, scheduled_to, statuses, agent_id }
+   * @param {Date} options.windowStart - When to place the first call; defaults to now
+   * @param {Date} options.windowEnd - When calls should be done; defaults to the default window
+   * @param {string} options.createdBy - Agent ID of the admin starting it
+   * @returns {Promise<Object>} - { created, campaign, targets, plan } or { created: false, reason }
+   */
+  async createCampaign({ name, filter, windowStart, windowEnd, createdBy }) {
+    const now = new Date();
+    const start = windowStart && windowStart > now ? windowStart : now;
+    const end = windowEnd || new Date(start.getTime() + this.defaultWindowMinutes * 60 * 1000);
+
+    if (end <= start) {
+      return { created: false, reason: 'window_closed' };
+    }
+
+    const targets = await this.findTargets(filter, this.maxDeliveries + 1);
+    if (targets.length === 0) {
+      return { created: false, reason: 'no_deliveries' };
+    }
+    if (targets.length > this.maxDeliveries) {
+      return { created: false, reason: 'too_many_deliveries', maxDeliveries: this.maxDeliveries };
+    }
+
+    const plan = this.planSchedule(targets.length, start, end);
+    if (plan.overrunsWindow) {
+      logger.warn(`Campaign "${name}" needs until ${plan.estimatedEnd.toISOString()} to stay within call rate limits`);
+    }
+
+    const campaign = new Campaign({
+      name,
+      filter,
+      window_start: start,
+      window_end: end,
+      spacing_ms: plan.spacingMs,
+      created_by: createdBy
+    });
+    await campaign.save();
+
+    return { created: true, campaign, targets, plan };
+  }
+
+  /**
+   * Queue a call for each campaign delivery in its slot of the window
+   * @param {Object} campaign - Campaign document in the scheduling state
+   * @param {Object[]} targets - Deliveries from findTargets(), in calling order
+   * @returns {Promise<Object>} - The campaign, now scheduled
+   */
+  async queueCalls(campaign, targets) {
+    const start = campaign.window_start.getTime();
+
+    for (const [index, delivery] of targets.entries()) {
+      const callAt = new Date(start + index * campaign.spacing_ms);
+
+      try {
+        // Take over the delivery's own scheduled call so it lands in the campaign's slot instead
+        if (delivery.call_job_id) {
+          await removeCallJob(delivery.call_job_id);
+        }
+
+        const job = await addCallJob(
+          getCallJobData(delivery, { campaignId: campaign._id.toString() }),
+          Math.max(callAt.getTime() - Date.now(), 0),
+          getCallJobId(delivery._id, (delivery.call_attempts || 0) + 1)
+        );
+
+        await Delivery.findByIdAndUpdate(delivery._id, {
+          call_job_id: job.id.toString(),
+          call_scheduled_for: callAt
+        });
+
+        campaign.deliveries.push({ delivery_id: delivery._id, job_id: job.id.toString(), scheduled_for: callAt });
+      } catch (error) {
+        logger.error(`Campaign ${campaign._id} could not queue a call for delivery ${delivery._id}:`, error);
+        campaign.skipped.push({ delivery_id: delivery._id, reason: 'queue_error' });
+      }
+
+      // Let progress show while a large campaign is still being queued, and stop if it was cancelled
+      if ((index + 1) % 100 === 0) {
+        await campaign.save();
+        if (await this.getCancelledAt(campaign._id)) break;
+      }
+    }
+
+    // Cancelled while calls were still being queued: remove the ones queued since
+    const cancelledAt = await this.getCancelledAt(campaign._id);
+    if (cancelledAt) {
+      campaign.cancelled_at = cancelledAt;
+      await this.cancelCampaign(campaign);
+      return campaign;
+    }
+
+    campaign.status = 'scheduled';
+    await campaign.save();
+
+    logger.info(`Campaign ${campaign._id} queued ${campaign.deliveries.length} calls from ${campaign.window_start.toISOString()}, ${campaign.spacing_ms}ms apart`);
+    return campaign;
+  }
+
+  /**
+   * When a campaign was cancelled, as stored
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Date|null>}
+   */
+  async getCancelledAt(campaignId) {
+    const current = await Campaign.findById(campaignId).select('status cancelled_at');
+    return current && current.status === 'cancelled' ? current.cancelled_at : null;
+  }
+
+  /**
+   * Where each campaign delivery got to, from call logs and recordings since the campaign started
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} - Counts per outcome and the outcome per delivery
+   */
+  async getProgress(campaign) {
+    const deliveryIds = campaign.deliveries.map(entry => entry.delivery_id);
+    const since = campaign.createdAt;
+
+    const [deliveries, callLogs, deadLetters] = await Promise.all([
+      Delivery.find({ _id: { $in: deliveryIds } }).select('status customer_response_at'),
+      CallLog.find({ delivery_id: { $in: deliveryIds }, channel: { $ne: 'sms' }, createdAt: { $gte: since } })
+        .select('delivery_id status answered_by retry_scheduled createdAt')
+        .sort({ createdAt: 1 }),
+      DeadLetterCall.find({ delivery_id: { $in: deliveryIds }, createdAt: { $gte: since } }).select('delivery_id')
+    ]);
+
+    const recordings = await Recording.find({ call_log_id: { $in: callLogs.map(log => log._id) } }).select('call_log_id');
+
+    const deliveriesById = new Map(deliveries.map(delivery => [delivery._id.toString(), delivery]));
+    const logsByDelivery = new Map();
+    callLogs.forEach(log => {
+      const key = log.delivery_id.toString();
+      if (!logsByDelivery.has(key)) logsByDelivery.set(key, []);
+      logsByDelivery.get(key).push(log);
+    });
+    const recordedLogIds = new Set(recordings.map(recording => recording.call_log_id.toString()));
+    const deadLettered = new Set(deadLetters.map(deadLetter => deadLetter.delivery_id.toString()));
+
+    const counts = { queued: 0, in_progress: 0, answered: 0, recorded: 0, failed: 0, closed: 0 };
+    const outcomes = campaign.deliveries.map(entry => {
+      const key = entry.delivery_id.toString();
+      const outcome = this.getOutcome(
+        deliveriesById.get(key),
+        logsByDelivery.get(key) || [],
+        recordedLogIds,
+        deadLettered.has(key),
+        since
+      );
+      counts[outcome] += 1;
+      return { deliveryId: entry.delivery_id, scheduledFor: entry.scheduled_for, outcome };
+    });
+
+    // Nothing left to call: record when the campaign finished
+    if (campaign.status === 'scheduled' && counts.queued === 0 && counts.in_progress === 0) {
+      campaign.status = 'completed';
+      campaign.completed_at = new Date();
+      await Campaign.findByIdAndUpdate(campaign._id, { status: 'completed', completed_at: campaign.completed_at });
+    }
+
+    return { counts: { total: outcomes.length, ...counts, skipped: campaign.skipped.length }, deliveries: outcomes };
+  }
+
+  /**
+   * Furthest a delivery got in the campaign
+   * @param {Object} delivery - Delivery, if it still exists
+   * @param {Object[]} logs - Its call logs since the campaign started, oldest first
+   * @param {Set} recordedLogIds - Call logs with a customer recording
+   * @param {boolean} deadLettered - Whether a call job for it failed permanently
+   * @param {Date} since - Campaign start
+   * @returns {string} - queued, in_progress, answered, recorded, failed or closed
+   */
+  getOutcome(delivery, logs, recordedLogIds, deadLettered, since) {
+    if (logs.some(log => recordedLogIds.has(log._id.toString()))) return 'recorded';
+
+    const answered = logs.some(log => log.status === 'completed' && log.answered_by !== 'machine');
+    // A reply by SMS reaches the customer just as well
+    const replied = delivery && delivery.customer_response_at && delivery.customer_response_at >= since;
+    if (answered || replied) return 'answered';
+
+    if (!delivery || deliveryStatusService.closedStatuses.includes(delivery.status)) return 'closed';
+    if (deadLettered) return 'failed';
+
+    const latest = logs[logs.length - 1];
+    if (!latest || latest.retry_scheduled) return 'queued';
+
+    const unreached = UNREACHED_CALL_STATUSES.includes(latest.status) ||
+      (latest.status === 'completed' && latest.answered_by === 'machine');
+    return unreached ? 'failed' : 'in_progress';
+  }
+
+  /**
+   * Remove the campaign's calls that haven't started yet and give open deliveries back their own call
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<number>} - Number of calls removed
+   */
+  async cancelCampaign(campaign) {
+    // A call may have moved to a follow-up job since it was queued, e.g. after being throttled
+    const deliveries = await Delivery.find({ _id: { $in: campaign.deliveries.map(entry => entry.delivery_id) } })
+      .populate('customer_id');
+    let removed = 0;
+    let rescheduled = 0;
+
+    for (const delivery of deliveries) {
+      if (!delivery.call_job_id) continue;
+
+      try {
+        if (await removeCallJob(delivery.call_job_id)) {
+          removed += 1;
+          await Delivery.findByIdAndUpdate(delivery._id, { $unset: { call_job_id: 1, call_scheduled_for: 1 } });
+
+          // The campaign call replaced the delivery's own call, so queue that one again
+          if (deliveryStatusService.openStatuses.includes(delivery.status) &&
+              await callSchedulingService.scheduleDeliveryCall(delivery)) {
+            rescheduled += 1;
+          }
+        }
+      } catch (error) {
+        logger.error(`Campaign ${campaign._id} could not remove call ${delivery.call_job_id}:`, error);
+      }
+    }
+
+    campaign.status = 'cancelled';
+    campaign.cancelled_at = campaign.cancelled_at || new Date();
+    await campaign.save();
+
+    logger.info(`Campaign ${campaign._id} cancelled, ${removed} queued calls removed, ${rescheduled} delivery calls rescheduled`);
+    return removed;
+  }
+}
+
+// Export singleton instance
+const campaignService = new CampaignService();
+
+module.exports = campaignService;
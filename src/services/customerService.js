@@ -0,0 +1,178 @@
+const logger = require('../utils/logger');
+const Customer = require('../database/models/Customer');
+const Delivery = require('../database/models/Delivery');
+const CallLog = require('../database/models/CallLog');
+const Recording = require('../database/models/Recording');
+const BlockedCall = require('../database/models/BlockedCall');
+const routingService = require('./routingService');
+const cacheService = require('./cacheService');
+const addressService = require('./addressService');
+const { formatPhoneNumber } = require('../utils/helpers');
+
+// Fields copied from a merged duplicate when the surviving customer has none
+const MERGE_FILL_FIELDS = ['email', 'timezone'];
+
+class CustomerService {
+  constructor() {
+    this.historyLimit = 50; // Most recent deliveries shown in a customer's history
+  }
+
+  /**
+   * Escape user input for use in a regular expression
+   * @param {string} value - Raw text
+   * @returns {string}
+   */
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build a customer query from search parameters
+   * @param {Object} params
+   * @param {string} params.q - Matches phone, name or email
+   * @param {string} params.phone - Full number, or some of its digits (must contain a digit)
+   * @param {string} params.name - Part of the name, case-insensitive
+   * @param {string} params.email - Part of the email, case-insensitive
+   * @returns {Object} - MongoDB query
+   */
+  buildSearchQuery({ q, phone, name, email } = {}) {
+    const phoneCondition = (value) => {
+      const formatted = formatPhoneNumber(value);
+      if (formatted) return { phone: formatted };
+
+      const digits = value.replace(/\D/g, '');
+      return digits ? { phone: { $regex: digits } } : null;
+    };
+    const textCondition = (field, value) => ({ [field]: { $regex: this.escapeRegex(value.trim()), $options: 'i' } });
+
+    if (q) {
+      return {
+        $or: [
+          phoneCondition(q),
+          textCondition('name', q),
+          textCondition('email', q)
+        ].filter(Boolean)
+      };
+    }
+
+    const conditions = [];
+    if (phone) conditions.push(phoneCondition(phone));
+    if (name) conditions.push(textCondition('name', name));
+    if (email) conditions.push(textCondition('email', email));
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Find a customer by phone, creating them on first delivery
+   * @param {string} name - Name used if the customer is created
+   * @param {string} phone - Phone number in any format
+   * @returns {Promise<Object|null>} - Customer, or null if the number is invalid
+   */
+  async findOrCreate(name, phone) {
+    const formatted = formatPhoneNumber(phone);
+    if (!formatted) return null;
+
+    // Upsert so two deliveries for a new customer arriving together share one record
+    return Customer.findOneAndUpdate(
+      { phone: formatted },
+      { $setOnInsert: { name, phone: formatted } },
+      { upsert: true, new: true }
+    );
+  }
+
+  /**
+   * Get everything on record for a customer
+   * @param {Object} customer - Customer document
+   * @returns {Promise<Object>} - { deliveries, callLogs, recordings, preferences }
+   */
+  async getHistory(customer) {
+    const deliveries = await Delivery.find({ customer_id: customer._id })
+      .populate('agent_id', 'name email')
+      .sort({ scheduled_time: -1 })
+      .limit(this.historyLimit);
+
+    const deliveryIds = deliveries.map(delivery => delivery._id);
+    const callLogs = await CallLog.find({ delivery_id: { $in: deliveryIds } }).sort({ createdAt: -1 });
+    const recordings = await Recording.find({ call_log_id: { $in: callLogs.map(log => log._id) } })
+      .select('-analysis')
+      .sort({ createdAt: -1 });
+
+    return {
+      deliveries,
+      callLogs,
+      recordings,
+      preferences: {
+        stored: customer.preferences || {},
+        learned: await routingService.getCustomerCallPreferences(customer._id)
+      }
+    };
+  }
+
+  /**
+   * Fold a duplicate customer into another, moving their deliveries across
+   * @param {Object} target - Customer that is kept
+   * @param {Object} source - Duplicate customer that is removed
+   * @returns {Promise<Object>} - { merged, customer, moved } or { merged: false, reason }
+   */
+  async mergeCustomers(target, source) {
+    if (target._id.toString() === source._id.toString()) {
+      return { merged: false, reason: 'same_customer' };
+    }
+
+    const deliveries = await Delivery.updateMany({ customer_id: source._id }, { customer_id: target._id });
+    const blockedCalls = await BlockedCall.updateMany({ customer_id: source._id }, { customer_id: target._id });
+
+    const update = {
+      $push: {
+        merged_from: {
+          customer_id: source._id,
+          name: source.name,
+          phone: source.phone,
+          email: source.email,
+          merged_at: new Date()
+        }
+      }
+    };
+
+    // Saved addresses come across with their IDs, so deliveries keep pointing at them;
+    // ones the kept customer already has are swapped for theirs
+    const targetAddresses = target.addresses || [];
+    const addresses = [];
+    for (const address of source.addresses || []) {
+      const existing = targetAddresses.find(saved => addressService.isSameAddress(saved, address));
+      if (existing) {
+        await Delivery.updateMany({ address_id: address._id }, { address_id: existing._id });
+      } else {
+        const fields = address.toObject ? address.toObject() : { ...address };
+        addresses.push({ ...fields, is_default: targetAddresses.length === 0 && Boolean(address.is_default) });
+      }
+    }
+    if (addresses.length > 0) update.$push.addresses = { $each: addresses };
+
+    const fill = {};
+    for (const field of MERGE_FILL_FIELDS) {
+      if (!target[field] && source[field]) fill[field] = source[field];
+    }
+    if (source.preferences) fill.preferences = { ...source.preferences, ...(target.preferences || {}) };
+    // An opt-out on either record still applies to the person
+    if (source.sms_opt_out && !target.sms_opt_out) fill.sms_opt_out = true;
+    if (Object.keys(fill).length > 0) update.$set = fill;
+
+    await Customer.findByIdAndDelete(source._id);
+    const customer = await Customer.findByIdAndUpdate(target._id, update, { new: true });
+    await cacheService.del(`customer_prefs:${source._id}`);
+
+    const moved = {
+      deliveries: deliveries.modifiedCount || 0,
+      blockedCalls: blockedCalls.modifiedCount || 0,
+      addresses: addresses.length
+    };
+    logger.info(`Merged customer ${source._id} into ${target._id}: ${moved.deliveries} deliveries moved`);
+
+    return { merged: true, customer, moved };
+  }
+}
+
+const customerService = new CustomerService();
+module.exports = customerService;
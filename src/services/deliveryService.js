@@ -0,0 +1,66 @@
+const logger = require('../utils/logger');
+const Delivery = require('../database/models/Delivery');
+const addressService = require('./addressService');
+const customerService = require('./customerService');
+
+class DeliveryService {
+  /**
+   * Create a delivery, finding or creating its customer and picking its address from their address book
+   * @param {Object} input - Fields accepted by the deliveryCreate schema
+   * @returns {Promise<Object>} - { created, delivery }, or { created: false, reason }
+   */
+  async createDelivery({
+    customer_id, customer_name, customer_phone, agent_id, merchant_reference,
+    address_id, address, latitude, longitude, scheduled_time, time_window,
+    special_instructions, notes, priority, items
+  }) {
+    let customerId = customer_id;
+    if (!customerId) {
+      const customer = await customerService.findOrCreate(customer_name, customer_phone);
+      if (!customer) {
+        return { created: false, reason: 'invalid_phone' };
+      }
+      customerId = customer._id;
+    }
+
+    const resolved = await addressService.resolveForDelivery(customerId, { address_id, address, latitude, longitude });
+    if (!resolved.resolved) {
+      return { created: false, reason: resolved.reason };
+    }
+
+    const delivery = new Delivery({
+      customer_id: customerId,
+      agent_id,
+      merchant_reference,
+      ...resolved.fields,
+      location: latitude !== undefined ? { type: 'Point', coordinates: [longitude, latitude] } : resolved.fields.location,
+      scheduled_time,
+      time_window,
+      instructions: special_instructions,
+      notes,
+      priority,
+      items
+    });
+    await delivery.save();
+
+    logger.info(`Delivery ${delivery._id} created for customer ${customerId}`);
+    return { created: true, delivery };
+  }
+
+  /**
+   * Describe why a delivery could not be created
+   * @param {string} reason - Reason from createDelivery
+   * @returns {string}
+   */
+  describeRejection(reason) {
+    if (reason === 'invalid_phone') {
+      return 'Invalid customer phone number';
+    }
+    return addressService.describeRejection(reason);
+  }
+}
+
+// Export singleton instance
+const deliveryService = new DeliveryService();
+
+module.exports = deliveryService;
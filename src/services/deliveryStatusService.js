@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const Delivery = require('../database/models/Delivery');
+
+// Allowed next statuses for each delivery status
+const TRANSITIONS = {
+  scheduled: ['assigned', 'in_transit', 'failed', 'cancelled'],
+  assigned: ['scheduled', 'in_transit', 'failed', 'cancelled'],
+  in_transit: ['delivered', 'failed'],
+  failed: ['scheduled', 'assigned', 'cancelled'], // Rescheduled for another attempt, or given up
+  delivered: [],
+  cancelled: []
+};
+
+// Statuses used by older clients and stored on older deliveries
+const LEGACY_STATUSES = {
+  pending: 'scheduled',
+  in_progress: 'in_transit',
+  completed: 'delivered'
+};
+
+class DeliveryStatusService {
+  constructor() {
+    this.statuses = Object.keys(TRANSITIONS);
+    this.openStatuses = ['scheduled', 'assigned', 'in_transit'];
+    this.closedStatuses = ['delivered', 'cancelled'];
+    this.legacyStatuses = LEGACY_STATUSES;
+  }
+
+  /**
+   * Map a status to its canonical name
+   * @param {string} status - Status, possibly a legacy name
+   * @returns {string|null} - Canonical status, or null if unknown
+   */
+  normalize(status) {
+    if (TRANSITIONS[status]) return status;
+    return LEGACY_STATUSES[status] || null;
+  }
+
+  /**
+   * Get the statuses a delivery may move to next
+   * @param {string} status - Current status
+   * @returns {string[]}
+   */
+  getAllowedTransitions(status) {
+    return TRANSITIONS[this.normalize(status)] || [];
+  }
+
+  /**
+   * Check whether a delivery may move between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(this.normalize(to));
+  }
+
+  /**
+   * Move a delivery to a new status and append the change to its status history
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} status - Requested status; legacy names are accepted
+   * @param {Object} options
+   * @param {Object} options.actor - Who made the change, { type: agent|admin|api|system, id }
+   * @param {string} options.reason - Why the status changed
+   * @param {Object} options.location - Where the change was made, { latitude, longitude }
+   * @param {Object} options.filter - Extra conditions the delivery must match, e.g. { agent_id }
+   * @param {Object} options.set - Other fields to update along with the status
+   * @returns {Promise<Object>} - { updated, changed, delivery, from, to } or { updated: false, reason }
+   */
+  async transition(deliveryId, status, { actor = { type: 'system' }, reason, location, filter = {}, set = {} } = {}) {
+    const to = this.normalize(status);
+    if (!to) {
+      return { updated: false, reason: 'invalid_status', to: status, allowed: this.statuses };
+    }
+
+    const current = await Delivery.findOne({ _id: deliveryId, ...filter });
+    if (!current) {
+      return { updated: false, reason: 'not_found' };
+    }
+
+    const from = this.normalize(current.status) || current.status;
+    if (from === to && current.status === to) {
+      const delivery = Object.keys(set).length > 0
+        ? await Delivery.findByIdAndUpdate(current._id, { $set: set }, { new: true, runValidators: true })
+        : current;
+      return { updated: true, changed: false, delivery, from, to };
+    }
+
+    if (from !== to && !this.canTransition(from, to)) {
+      return { updated: false, reason: 'invalid_transition', from, to, allowed: this.getAllowedTransitions(from) };
+    }
+
+    const entry = {
+      from: current.status,
+      to,
+      actor_type: actor.type,
+      actor_id: actor.id,
+      reason,
+      location: location ? { type: 'Point', coordinates: [location.longitude, location.latitude] } : undefined,
+      at: new Date()
+    };
+
+    // Only applies if nobody changed the status since it was read
+    const delivery = await Delivery.findOneAndUpdate(
+      { _id: current._id, status: current.status },
+      { $set: { ...set, status: to }, $push: { status_history: entry } },
+      { new: true, runValidators: true }
+    );
+
+    if (!delivery) {
+      return { updated: false, reason: 'conflict', from, to };
+    }
+
+    logger.info(`Delivery ${delivery._id} moved from ${current.status} to ${to} by ${actor.type}${actor.id ? ` ${actor.id}` : ''}`);
+
+    if (this.closedStatuses.includes(to)) {
+      // Required here because the call services use this service's status lists
+      const callSchedulingService = require('./callSchedulingService');
+      await callSchedulingService.cancelDeliveryCall(delivery);
+    }
+
+    return { updated: true, changed: true, delivery, from, to };
+  }
+
+  /**
+   * Describe why a transition was refused
+   * @param {Object} result - Result from transition()
+   * @returns {string}
+   */
+  describeRejection(result) {
+    switch (result.reason) {
+      case 'not_found':
+        return 'Delivery not found';
+      case 'invalid_status':
+        return `Invalid status ${result.to}; use one of ${this.statuses.join(', ')}`;
+      case 'invalid_transition':
+        return `Cannot change status from ${result.from} to ${result.to}`;
+      default:
+        return 'Delivery status changed meanwhile; reload and try again';
+    }
+  }
+}
+
+const deliveryStatusService = new DeliveryStatusService();
+module.exports = deliveryStatusService;
@@ -0,0 +1,44 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+class EmailService {
+  constructor() {
+    // Transactional email HTTP API taking { from, to, subject, text } with a bearer key, e.g. Resend
+    this.apiUrl = process.env.EMAIL_API_URL || 'https://api.resend.com/emails';
+    this.apiKey = process.env.EMAIL_API_KEY;
+    this.from = process.env.EMAIL_FROM;
+  }
+
+  /**
+   * Whether emails can be sent
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.apiKey && this.from);
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} message
+   * @param {string[]} message.to - Recipient addresses
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Body
+   */
+  async send({ to, subject, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('Email not configured. Please set EMAIL_API_KEY and EMAIL_FROM');
+    }
+
+    await axios.post(this.apiUrl, { from: this.from, to, subject, text }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: 10000
+    });
+
+    logger.info(`Email "${subject}" sent to ${to.length} recipients`);
+  }
+}
+
+// Export singleton instance
+const emailService = new EmailService();
+
+module.exports = emailService;
@@ -0,0 +1,43 @@
+/**
+ * Base class for geocoders.
+ *
+ * A geocoder turns a structured address ({ line1, line2, city, region,
+ * postal_code, country }) into coordinates. Addresses it can't place resolve
+ * to null rather than throwing; errors are left for outages and bad config.
+ */
+class Geocoder {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the geocoder has the configuration it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Look up the coordinates of an address
+   * @param {Object} address - Structured address
+   * @returns {Promise<Object|null>} - { latitude, longitude, precision } or null when not found
+   */
+  async geocode(address) {
+    throw new Error(`${this.name} geocoder does not support geocode`);
+  }
+
+  /**
+   * Join the parts of an address into one line
+   * @param {Object} address - Structured address
+   * @returns {string}
+   */
+  toQuery(address) {
+    return ['line1', 'line2', 'city', 'region', 'postal_code', 'country']
+      .map(field => address[field] && String(address[field]).trim())
+      .filter(Boolean)
+      .join(', ');
+  }
+}
+
+module.exports = Geocoder;
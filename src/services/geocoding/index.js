@@ -0,0 +1,32 @@
+const logger = require('../../utils/logger');
+const NominatimGeocoder = require('./nominatimGeocoder');
+const OfflineGeocoder = require('./offlineGeocoder');
+
+const geocoders = {
+  nominatim: NominatimGeocoder,
+  offline: OfflineGeocoder
+};
+
+/**
+ * Create the geocoder selected by GEOCODER_PROVIDER
+ * @param {string} name - Geocoder name (nominatim or offline)
+ * @returns {Geocoder} - Geocoder instance
+ */
+function createGeocoder(name = process.env.GEOCODER_PROVIDER || 'offline') {
+  const Geocoder = geocoders[name];
+
+  if (!Geocoder) {
+    throw new Error(`Unknown geocoder "${name}". Use one of: ${Object.keys(geocoders).join(', ')}`);
+  }
+
+  if (name === 'offline' && process.env.NODE_ENV === 'production') {
+    logger.warn('Offline geocoder is active in production, delivery coordinates are placeholders');
+  }
+
+  return new Geocoder();
+}
+
+// Export singleton instance
+const geocoder = createGeocoder();
+
+module.exports = geocoder;
@@ -0,0 +1,65 @@
+const axios = require('axios');
+const Geocoder = require('./geocoder');
+
+/**
+ * Geocoder backed by a Nominatim (OpenStreetMap) search API. The public
+ * instance needs an identifying User-Agent and allows about one request a
+ * second; point GEOCODER_NOMINATIM_URL at a hosted or self-run instance for volume.
+ */
+class NominatimGeocoder extends Geocoder {
+  constructor() {
+    super('nominatim');
+    this.apiUrl = process.env.GEOCODER_NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+    this.userAgent = process.env.GEOCODER_USER_AGENT;
+  }
+
+  isConfigured() {
+    return Boolean(this.userAgent);
+  }
+
+  async geocode(address) {
+    if (!this.isConfigured()) {
+      throw new Error('Nominatim geocoder not configured. Please set GEOCODER_USER_AGENT');
+    }
+
+    const params = { format: 'jsonv2', limit: 1 };
+    if (address.city || address.postal_code) {
+      params.street = address.line1;
+      params.city = address.city;
+      params.state = address.region;
+      params.postalcode = address.postal_code;
+      params.country = address.country;
+    } else {
+      // Free-text addresses have no parts to search by
+      params.q = this.toQuery(address);
+    }
+
+    const response = await axios.get(`${this.apiUrl}/search`, {
+      params,
+      headers: { 'User-Agent': this.userAgent },
+      timeout: 10000
+    });
+
+    const [match] = response.data;
+    if (!match) return null;
+
+    return {
+      latitude: parseFloat(match.lat),
+      longitude: parseFloat(match.lon),
+      precision: this.precisionFor(match.place_rank)
+    };
+  }
+
+  /**
+   * Map a Nominatim place rank to how exact the match is
+   * @param {number} placeRank - 30 for buildings, 26-27 for streets, lower for areas
+   * @returns {string} - rooftop, street or approximate
+   */
+  precisionFor(placeRank) {
+    if (placeRank >= 30) return 'rooftop';
+    if (placeRank >= 26) return 'street';
+    return 'approximate';
+  }
+}
+
+module.exports = NominatimGeocoder;
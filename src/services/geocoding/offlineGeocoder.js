@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const Geocoder = require('./geocoder');
+
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Stand-in geocoder for development and tests. It makes no network calls:
+ * each address hashes to a fixed point within GEOCODER_OFFLINE_RADIUS_KM of
+ * GEOCODER_OFFLINE_CENTER, so the same address always lands in the same
+ * place and distances between addresses stay city-sized.
+ */
+class OfflineGeocoder extends Geocoder {
+  constructor() {
+    super('offline');
+    const [latitude, longitude] = (process.env.GEOCODER_OFFLINE_CENTER || '40.7128,-74.0060').split(',').map(Number);
+    this.center = { latitude, longitude };
+    this.radiusKm = parseFloat(process.env.GEOCODER_OFFLINE_RADIUS_KM) || 20;
+  }
+
+  isConfigured() {
+    return Number.isFinite(this.center.latitude) && Number.isFinite(this.center.longitude);
+  }
+
+  async geocode(address) {
+    if (!address.line1 || !this.isConfigured()) return null;
+
+    const key = this.toQuery(address).toLowerCase().replace(/\s+/g, ' ');
+    const hash = crypto.createHash('sha256').update(key).digest();
+
+    // Uniform point in the circle: random bearing, square-rooted distance
+    const bearing = (hash.readUInt32BE(0) / 0xffffffff) * 2 * Math.PI;
+    const distanceKm = Math.sqrt(hash.readUInt32BE(4) / 0xffffffff) * this.radiusKm;
+
+    const latitude = this.center.latitude + (distanceKm * Math.cos(bearing)) / KM_PER_DEGREE;
+    const longitude = this.center.longitude +
+      (distanceKm * Math.sin(bearing)) / (KM_PER_DEGREE * Math.cos(this.center.latitude * Math.PI / 180));
+
+    return {
+      latitude: Number(latitude.toFixed(6)),
+      longitude: Number(longitude.toFixed(6)),
+      precision: 'approximate'
+    };
+  }
+}
+
+module.exports = OfflineGeocoder;
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const Delivery = require('../database/models/Delivery');
+const Recording = require('../database/models/Recording');
+const Agent = require('../database/models/Agent');
+const callSchedulingService = require('./callSchedulingService');
+const deliveryStatusService = require('./deliveryStatusService');
+const storageService = require('./storageService');
+const analyticsService = require('./analyticsService');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MaintenanceService {
+  constructor() {
+    // Open deliveries this long past their scheduled time are marked failed
+    this.staleDeliveryHours = parseInt(process.env.STALE_DELIVERY_HOURS, 10) || 24;
+    // Recording audio is deleted after this many days; 0 keeps it forever
+    this.recordingRetentionDays = this.parseDays(process.env.RECORDING_RETENTION_DAYS, 90);
+  }
+
+  /**
+   * Parse a number of days from the environment
+   * @param {string} value - Configured value
+   * @param {number} fallback - Default when unset or invalid
+   * @returns {number}
+   */
+  parseDays(value, fallback) {
+    const days = parseInt(value, 10);
+    return isNaN(days) || days < 0 ? fallback : days;
+  }
+
+  /**
+   * Fail deliveries that were never closed and stop any calls still queued for them
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { swept, cutoff }
+   */
+  async sweepStaleDeliveries(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.staleDeliveryHours * 60 * 60 * 1000);
+
+    const stale = await Delivery.find({
+      scheduled_time: { $lt: cutoff },
+      status: { $in: deliveryStatusService.openStatuses }
+    }).select('_id call_job_id');
+
+    let swept = 0;
+    for (const delivery of stale) {
+      await callSchedulingService.cancelDeliveryCall(delivery);
+
+      const result = await deliveryStatusService.transition(delivery._id, 'failed', {
+        actor: { type: 'system' },
+        reason: `Still open ${this.staleDeliveryHours} hours after its scheduled time`
+      });
+      if (result.updated) swept++;
+    }
+
+    logger.info(`Stale delivery sweep marked ${swept} deliveries scheduled before ${cutoff.toISOString()} as failed`);
+    return { swept, cutoff };
+  }
+
+  /**
+   * Delete recording audio older than the retention period, keeping the transcription
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { purged, failed, cutoff }
+   */
+  async purgeExpiredRecordings(now = new Date()) {
+    if (this.recordingRetentionDays === 0) {
+      return { purged: 0, failed: 0, cutoff: null };
+    }
+
+    const cutoff = new Date(now.getTime() - this.recordingRetentionDays * DAY_MS);
+    const recordings = await Recording.find({
+      createdAt: { $lt: cutoff },
+      audio_url: { $exists: true },
+      purged_at: { $exists: false }
+    }).select('_id audio_url');
+
+    let purged = 0;
+    let failed = 0;
+
+    for (const recording of recordings) {
+      // Audio still served by the telephony provider is only unlinked here
+      const key = storageService.getKeyFromUrl(recording.audio_url);
+
+      try {
+        if (key) {
+          await storageService.deleteFile(key);
+        }
+        await Recording.findByIdAndUpdate(recording._id, {
+          $unset: { audio_url: 1, source_url: 1 },
+          purged_at: now
+        });
+        purged += 1;
+      } catch (error) {
+        failed += 1;
+        logger.error(`Failed to purge audio for recording ${recording._id}:`, error);
+      }
+    }
+
+    logger.info(`Recording retention purge removed audio from ${purged} recordings created before ${cutoff.toISOString()}`);
+    return { purged, failed, cutoff };
+  }
+
+  /**
+   * Email yesterday's numbers to active admins
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { sent, recipients } or { sent: false, reason }
+   */
+  async sendDailyDigest(now = new Date()) {
+    const stats = await analyticsService.getDailyStats(new Date(now.getTime() - DAY_MS));
+    const digest = analyticsService.formatDailyDigest(stats);
+
+    if (!emailService.isConfigured()) {
+      logger.info(`Daily digest not emailed, email is not configured:\n${digest.text}`);
+      return { sent: false, reason: 'email_not_configured', date: stats.date };
+    }
+
+    const admins = await Agent.find({ role: 'admin', is_active: true }).select('email');
+    if (admins.length === 0) {
+      return { sent: false, reason: 'no_recipients', date: stats.date };
+    }
+
+    await emailService.send({ to: admins.map(admin => admin.email), ...digest });
+    return { sent: true, recipients: admins.length, date: stats.date };
+  }
+
+  /**
+   * Get current maintenance settings
+   * @returns {Object}
+   */
+  getPolicy() {
+    return {
+      staleDeliveryHours: this.staleDeliveryHours,
+      recordingRetentionDays: this.recordingRetentionDays
+    };
+  }
+}
+
+// Export singleton instance
+const maintenanceService = new MaintenanceService();
+
+module.exports = maintenanceService;
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const cacheService = require('./cacheService');
+const Organization = require('../database/models/Organization');
+const Delivery = require('../database/models/Delivery');
+const CallLog = require('../database/models/CallLog');
+const { formatPhoneNumber } = require('../utils/helpers');
+
+// Prefix telling tenant API keys apart from the platform key
+const API_KEY_PREFIX = 'dak_';
+
+const ORGANIZATION_CACHE_KEY = 'organization';
+
+class OrganizationService {
+  constructor() {
+    this.cacheTTL = 5 * 60; // 5 minutes, updates also clear it
+  }
+
+  /**
+   * Create a new tenant API key
+   * @returns {string} - e.g. dak_3f9c...
+   */
+  generateApiKey() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} apiKey - API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Whether a key has the tenant key format
+   * @param {string} apiKey - API key
+   * @returns {boolean}
+   */
+  isTenantApiKey(apiKey) {
+    return typeof apiKey === 'string' && apiKey.startsWith(API_KEY_PREFIX);
+  }
+
+  /**
+   * Turn a name into a URL-safe slug
+   * @param {string} name - Organization name
+   * @returns {string}
+   */
+  slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Create an organization with its first API key
+   * @param {Object} data - name, optional slug, phone_number and branding
+   * @returns {Promise<Object>} - { organization, apiKey }; the key is not stored and can't be shown again
+   */
+  async createOrganization({ name, slug, phone_number, branding }) {
+    const apiKey = this.generateApiKey();
+
+    const organization = new Organization({
+      name,
+      slug: slug || this.slugify(name),
+      phone_number: phone_number ? formatPhoneNumber(phone_number) || phone_number : undefined,
+      branding,
+      api_key_hash: this.hashApiKey(apiKey),
+      api_key_hint: apiKey.slice(-4)
+    });
+    await organization.save();
+
+    logger.info(`Organization ${organization.slug} created`);
+    return { organization, apiKey };
+  }
+
+  /**
+   * Change an organization's name, caller number, branding or status
+   * @param {string} organizationId - Organization ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object|null>} - Updated organization
+   */
+  async updateOrganization(organizationId, updates) {
+    const fields = { ...updates };
+    if (fields.phone_number) {
+      fields.phone_number = formatPhoneNumber(fields.phone_number) || fields.phone_number;
+    }
+
+    // Dotted paths so a partial branding update keeps the other branding fields
+    if (fields.branding) {
+      for (const [key, value] of Object.entries(fields.branding)) {
+        fields[`branding.${key}`] = value;
+      }
+      delete fields.branding;
+    }
+
+    const organization = await Organization.findByIdAndUpdate(organizationId, { $set: fields }, { new: true, runValidators: true });
+    if (organization) {
+      await this.clearCache(organizationId);
+    }
+    return organization;
+  }
+
+  /**
+   * Replace an organization's API key; the old key stops working immediately
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>} - { organization, apiKey }, or null if not found
+   */
+  async rotateApiKey(organizationId) {
+    const apiKey = this.generateApiKey();
+
+    const organization = await Organization.findByIdAndUpdate(
+      organizationId,
+      { api_key_hash: this.hashApiKey(apiKey), api_key_hint: apiKey.slice(-4) },
+      { new: true }
+    );
+    if (!organization) return null;
+
+    logger.info(`API key rotated for organization ${organization.slug}`);
+    return { organization, apiKey };
+  }
+
+  /**
+   * Find the active organization an API key belongs to
+   * @param {string} apiKey - Tenant API key
+   * @returns {Promise<Object|null>}
+   */
+  async findByApiKey(apiKey) {
+    if (!this.isTenantApiKey(apiKey)) return null;
+    return Organization.findOne({ api_key_hash: this.hashApiKey(apiKey), is_active: true }).lean();
+  }
+
+  /**
+   * Get an organization, cached for the call path
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object|null>}
+   */
+  async getOrganization(organizationId) {
+    if (!organizationId) return null;
+
+    const cacheKey = `${ORGANIZATION_CACHE_KEY}:${organizationId}`;
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const organization = await Organization.findById(organizationId).select('-api_key_hash').lean();
+    if (organization) {
+      await cacheService.set(cacheKey, organization, this.cacheTTL);
+    }
+    return organization;
+  }
+
+  /**
+   * Name customers hear and read in calls and messages
+   * @param {Object} [organization] - Organization
+   * @returns {string|null} - Branded name, the organization name, or MERCHANT_NAME
+   */
+  getMerchantName(organization) {
+    const branding = (organization && organization.branding) || {};
+    return branding.merchant_name || (organization && organization.name) || process.env.MERCHANT_NAME || null;
+  }
+
+  /**
+   * Find the organization that owns a caller number
+   * @param {string} phoneNumber - Phone number in any format
+   * @returns {Promise<Object|null>}
+   */
+  async findByPhoneNumber(phoneNumber) {
+    const formatted = formatPhoneNumber(phoneNumber);
+    if (!formatted) return null;
+    return Organization.findOne({ phone_number: formatted }).select('-api_key_hash').lean();
+  }
+
+  /**
+   * Work out which organization a telephony webhook belongs to
+   * @param {Object} params
+   * @param {string} [params.deliveryId] - delivery_id from the webhook URL
+   * @param {string} [params.callSid] - Call or message SID
+   * @param {string} [params.to] - Number an inbound message was sent to
+   * @returns {Promise<string|null>} - Organization ID, or null if it can't be told
+   */
+  async resolveWebhookOrganization({ deliveryId, callSid, to }) {
+    if (deliveryId) {
+      const delivery = await Delivery.findById(deliveryId).select('organization_id').lean();
+      if (delivery) return delivery.organization_id || null;
+    }
+
+    if (callSid) {
+      const callLog = await CallLog.findOne({ call_sid: callSid }).select('organization_id').lean();
+      if (callLog) return callLog.organization_id || null;
+    }
+
+    if (to) {
+      const organization = await this.findByPhoneNumber(to);
+      if (organization) return organization._id;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a job once per active organization, each inside its own tenant
+   * @param {Function} fn - Called with the organization, may return a promise
+   * @param {string} [organizationId] - Only run for this organization
+   * @returns {Promise<Object[]>} - { organizationId, result } or { organizationId, error } per organization
+   */
+  async forEachOrganization(fn, organizationId) {
+    const query = organizationId ? { _id: organizationId } : { is_active: true };
+    const organizations = await Organization.find(query).select('-api_key_hash').lean();
+    const results = [];
+
+    // One organization failing must not stop the others
+    for (const organization of organizations) {
+      try {
+        const result = await tenantContext.run(organization._id, () => fn(organization));
+        results.push({ organizationId: organization._id, result });
+      } catch (error) {
+        logger.error(`Job failed for organization ${organization.slug}:`, error);
+        results.push({ organizationId: organization._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Shape an organization for API responses, without the key hash
+   * @param {Object} organization - Organization document
+   * @returns {Object}
+   */
+  formatOrganization(organization) {
+    return {
+      id: organization._id,
+      name: organization.name,
+      slug: organization.slug,
+      phoneNumber: organization.phone_number || null,
+      branding: organization.branding || {},
+      apiKeyHint: organization.api_key_hint ? `${API_KEY_PREFIX}…${organization.api_key_hint}` : null,
+      isActive: organization.is_active,
+      createdAt: organization.createdAt
+    };
+  }
+
+  /**
+   * Clear a cached organization
+   * @param {string} organizationId - Organization ID
+   */
+  async clearCache(organizationId) {
+    await cacheService.del(`${ORGANIZATION_CACHE_KEY}:${organizationId}`);
+  }
+}
+
+// Export singleton instance
+const organizationService = new OrganizationService();
+
+module.exports = organizationService;
@@ -0,0 +1,136 @@
+const logger = require('../utils/logger');
+const Delivery = require('../database/models/Delivery');
+const ProofOfDelivery = require('../database/models/ProofOfDelivery');
+const storageService = require('./storageService');
+
+// Image types accepted for photos and signatures, with the file extension to store them under
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/i;
+
+class ProofOfDeliveryService {
+  constructor() {
+    // Largest decoded photo or signature; two base64-encoded images must fit the 10mb JSON body limit
+    this.maxImageBytes = parseInt(process.env.PROOF_MAX_IMAGE_BYTES, 10) || 3 * 1024 * 1024;
+  }
+
+  /**
+   * Decode an image sent as a base64 data URL
+   * @param {string} dataUrl - e.g. data:image/jpeg;base64,...
+   * @returns {Object} - { image: { buffer, mimeType, extension } } or { reason }
+   */
+  parseImage(dataUrl) {
+    const match = DATA_URL_PATTERN.exec(dataUrl || '');
+    if (!match || !IMAGE_TYPES[match[1].toLowerCase()]) {
+      return { reason: 'invalid_image' };
+    }
+
+    const mimeType = match[1].toLowerCase();
+    const buffer = Buffer.from(match[2], 'base64');
+    if (buffer.length === 0) {
+      return { reason: 'invalid_image' };
+    }
+    if (buffer.length > this.maxImageBytes) {
+      return { reason: 'image_too_large' };
+    }
+
+    return { image: { buffer, mimeType, extension: IMAGE_TYPES[mimeType] } };
+  }
+
+  /**
+   * Store a photo and/or signature for a delivery and link the proof to it
+   * @param {Object} delivery - Delivery the proof is for
+   * @param {Object} proof
+   * @param {string} proof.agentId - Agent capturing the proof
+   * @param {string} proof.photo - Photo as a base64 data URL
+   * @param {string} proof.signature - Signature image as a base64 data URL
+   * @param {string} proof.recipientName - Who took the delivery
+   * @param {Object} proof.location - { latitude, longitude, accuracy }
+   * @param {string} proof.notes - Agent notes
+   * @param {Date} proof.capturedAt - When the proof was taken on the device
+   * @returns {Promise<Object>} - { created, proof } or { created: false, reason, field }
+   */
+  async captureProof(delivery, { agentId, photo, signature, recipientName, location, notes, capturedAt }) {
+    const images = {};
+    for (const [field, dataUrl] of Object.entries({ photo, signature })) {
+      if (!dataUrl) continue;
+
+      const { image, reason } = this.parseImage(dataUrl);
+      if (!image) {
+        return { created: false, reason, field };
+      }
+      images[field] = image;
+    }
+
+    if (!storageService.isConfigured()) {
+      return { created: false, reason: 'storage_not_configured' };
+    }
+
+    const urls = {};
+    for (const [field, image] of Object.entries(images)) {
+      urls[field] = await storageService.uploadProofImage(
+        image.buffer,
+        `${delivery._id}-${field}.${image.extension}`,
+        image.mimeType
+      );
+    }
+
+    const proof = new ProofOfDelivery({
+      delivery_id: delivery._id,
+      agent_id: agentId,
+      photo_url: urls.photo,
+      signature_url: urls.signature,
+      recipient_name: recipientName,
+      location: location ? { type: 'Point', coordinates: [location.longitude, location.latitude] } : undefined,
+      location_accuracy: location ? location.accuracy : undefined,
+      notes,
+      captured_at: capturedAt || new Date()
+    });
+    await proof.save();
+
+    await Delivery.findByIdAndUpdate(delivery._id, { proof_id: proof._id });
+
+    logger.info(`Captured proof of delivery ${proof._id} for delivery ${delivery._id} (${Object.keys(urls).join(', ') || 'no images'})`);
+    return { created: true, proof };
+  }
+
+  /**
+   * Get every proof captured for a delivery, newest first
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Array>}
+   */
+  async getProofs(deliveryId) {
+    return ProofOfDelivery.find({ delivery_id: deliveryId })
+      .populate('agent_id', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Shape a proof for API responses
+   * @param {Object} proof - ProofOfDelivery document
+   * @returns {Object|null}
+   */
+  formatProof(proof) {
+    if (!proof) return null;
+
+    const coordinates = proof.location && proof.location.coordinates;
+    return {
+      id: proof._id,
+      photoUrl: proof.photo_url || null,
+      signatureUrl: proof.signature_url || null,
+      recipientName: proof.recipient_name || null,
+      location: coordinates ? { latitude: coordinates[1], longitude: coordinates[0], accuracy: proof.location_accuracy } : null,
+      notes: proof.notes || null,
+      agent: proof.agent_id,
+      capturedAt: proof.captured_at,
+      createdAt: proof.createdAt
+    };
+  }
+}
+
+const proofOfDeliveryService = new ProofOfDeliveryService();
+module.exports = proofOfDeliveryService;
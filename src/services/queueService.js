@@ -1,24 +1,156 @@
 const Queue = require('bull');
 const Redis = require('ioredis');
+const callFailureService = require('./callFailureService');
 
 const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
 
 // Create Redis connection
 const redis = new Redis(redisUrl);
 
-// Create call queue
-const callQueue = new Queue('delivery-calls', redisUrl);
+// Create call queue; failed jobs are retried according to why they failed
+const callQueue = new Queue('delivery-calls', redisUrl, {
+  settings: {
+    backoffStrategies: {
+      classified: (attemptsMade, err) => callFailureService.getRetryDelay(attemptsMade, err)
+    }
+  }
+});
+
+// Post-call recording processing: fetch audio, store, transcribe, analyze, notify
+const recordingQueue = new Queue('recording-processing', redisUrl);
+
+// Recurring maintenance and report jobs; repeatable jobs run once per schedule across all workers
+const schedulerQueue = new Queue('scheduled-jobs', redisUrl);
+
+// Job states Bull tracks for a queue
+const JOB_STATES = ['waiting', 'active', 'delayed', 'completed', 'failed', 'paused'];
+
+// States in which a job is still going to place, or is placing, a call
+const PENDING_JOB_STATES = ['waiting', 'active', 'delayed', 'paused'];
+
+// Delay before a follow-up recording run, so the run in progress normally finishes first
+const RECORDING_FOLLOW_UP_DELAY_MS = 30000;
+
+// Jobs fetched at a time when a listing has to be filtered
+const JOB_SCAN_BATCH_SIZE = 500;
+
+// Deterministic job ID for a delivery's call attempt, so the same attempt can't be queued twice
+function getCallJobId(deliveryId, attempt) {
+  return `call:${deliveryId}:${attempt}`;
+}
+
+// Data for a delivery's call job; the organization lets admins see only their own jobs
+function getCallJobData(delivery, data = {}) {
+  return {
+    deliveryId: delivery._id.toString(),
+    ...(delivery.organization_id && { organizationId: delivery.organization_id.toString() }),
+    ...data
+  };
+}
+
+// Get a job if it hasn't finished yet
+async function getPendingCallJob(jobId) {
+  if (!jobId) return null;
+
+  const job = await callQueue.getJob(jobId);
+  if (!job) return null;
+
+  const state = await job.getState();
+  return PENDING_JOB_STATES.includes(state) ? job : null;
+}
+
+// Add job to call queue; with a jobId, an unfinished job already queued under it is returned instead
+async function addCallJob(deliveryData, delay = 0, jobId) {
+  if (jobId) {
+    const existing = await callQueue.getJob(jobId);
+
+    if (existing) {
+      if (PENDING_JOB_STATES.includes(await existing.getState())) {
+        return existing;
+      }
+      // A finished run under the same ID, e.g. a skipped call or a requeued dead letter
+      await existing.remove();
+    }
+  }
 
-// Add job to call queue
-async function addCallJob(deliveryData, delay = 0) {
   const job = await callQueue.add('initiate-call', deliveryData, {
+    ...(jobId && { jobId }),
     delay,
+    attempts: callFailureService.getMaxAttempts(),
+    backoff: { type: 'classified' },
     removeOnComplete: 10,
-    removeOnFail: 5
+    // Permanent failures are also kept as DeadLetterCall documents
+    removeOnFail: 100
   });
   return job;
 }
 
+// Job ID for a recording's processing run, so a recording is only processed by one job at a time
+function getRecordingJobId(recordingId) {
+  return `recording:${recordingId}`;
+}
+
+// Add a recording to the processing queue; steps already completed are skipped when it runs
+async function addRecordingJob(recordingId) {
+  const jobId = getRecordingJobId(recordingId);
+  const existing = await recordingQueue.getJob(jobId);
+
+  if (existing) {
+    const state = await existing.getState();
+
+    // The running job may be past a step this request needs, e.g. analysis of a
+    // transcription that arrived mid-run, so run again after it
+    if (state === 'active') {
+      return addRecordingFollowUpJob(recordingId);
+    }
+    if (PENDING_JOB_STATES.includes(state)) {
+      return existing;
+    }
+    // Reprocessing after an earlier run finished or gave up
+    await existing.remove();
+  }
+
+  return queueRecordingJob(recordingId, jobId);
+}
+
+// Queue one more run of a recording whose job is running; repeated requests share it
+async function addRecordingFollowUpJob(recordingId) {
+  const jobId = `${getRecordingJobId(recordingId)}:follow-up`;
+  const existing = await recordingQueue.getJob(jobId);
+
+  if (existing) {
+    if (PENDING_JOB_STATES.includes(await existing.getState())) {
+      return existing;
+    }
+    await existing.remove();
+  }
+
+  return queueRecordingJob(recordingId, jobId, RECORDING_FOLLOW_UP_DELAY_MS);
+}
+
+function queueRecordingJob(recordingId, jobId, delay = 0) {
+  return recordingQueue.add('process-recording', { recordingId: recordingId.toString() }, {
+    jobId,
+    delay,
+    attempts: parseInt(process.env.RECORDING_PROCESSING_ATTEMPTS, 10) || 5,
+    backoff: { type: 'exponential', delay: 30000 },
+    removeOnComplete: 10,
+    removeOnFail: 100
+  });
+}
+
+// Remove a call job that hasn't started yet
+async function removeCallJob(jobId) {
+  const job = await callQueue.getJob(jobId);
+  if (!job) return false;
+
+  const state = await job.getState();
+  if (state !== 'delayed' && state !== 'waiting') return false;
+
+  await job.remove();
+  return true;
+}
+
 // Get queue status
 async function getQueueStatus() {
   const waiting = await callQueue.getWaiting();
@@ -34,9 +166,90 @@ async function getQueueStatus() {
   };
 }
 
+// Get counts for every job state and whether the queue is paused
+async function getQueueDetails() {
+  const [counts, paused] = await Promise.all([
+    callQueue.getJobCounts(),
+    callQueue.isPaused()
+  ]);
+
+  return { name: callQueue.name, paused, counts };
+}
+
+// List jobs in one state, newest first; with a match function the whole state is
+// scanned, so start and end count matching jobs rather than every job in the state
+async function getJobsByState(state, start = 0, end = 49, match) {
+  if (!match) {
+    const jobs = await callQueue.getJobs([state], start, end);
+    // Jobs removed between listing and fetching come back empty
+    return jobs.filter(Boolean);
+  }
+
+  const matches = [];
+  for (let offset = 0; matches.length <= end; offset += JOB_SCAN_BATCH_SIZE) {
+    const jobs = await callQueue.getJobs([state], offset, offset + JOB_SCAN_BATCH_SIZE - 1);
+    matches.push(...jobs.filter(job => job && match(job)));
+    if (jobs.length < JOB_SCAN_BATCH_SIZE) break;
+  }
+
+  return matches.slice(start, end + 1);
+}
+
+// Get a job together with its current state
+async function getJobWithState(jobId) {
+  const job = await callQueue.getJob(jobId);
+  if (!job) return null;
+
+  const state = await job.getState();
+  return { job, state };
+}
+
+// Pause processing for every worker on the queue
+async function pauseQueue() {
+  await callQueue.pause();
+}
+
+// Resume processing for every worker on the queue
+async function resumeQueue() {
+  await callQueue.resume();
+}
+
+// Remove all waiting and delayed jobs; active jobs finish normally
+async function drainQueue() {
+  const [counts, paused] = await Promise.all([
+    callQueue.getJobCounts(),
+    callQueue.isPaused()
+  ]);
+
+  await callQueue.clean(0, 'delayed');
+  await callQueue.empty();
+
+  // empty() also clears the paused flag, which would quietly resume a paused queue
+  if (paused) {
+    await callQueue.pause();
+  }
+
+  return { waiting: counts.waiting + counts.paused, delayed: counts.delayed };
+}
+
 module.exports = {
+  JOB_STATES,
   callQueue,
+  recordingQueue,
+  schedulerQueue,
+  getCallJobId,
+  getCallJobData,
+  getPendingCallJob,
   addCallJob,
+  getRecordingJobId,
+  addRecordingJob,
+  removeCallJob,
   getQueueStatus,
+  getQueueDetails,
+  getJobsByState,
+  getJobWithState,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
   redis
 };
\ No newline at end of file
@@ -0,0 +1,234 @@
+const logger = require('../utils/logger');
+const Recording = require('../database/models/Recording');
+const CallLog = require('../database/models/CallLog');
+const Delivery = require('../database/models/Delivery');
+const telephony = require('./telephony');
+const storageService = require('./storageService');
+const aiService = require('./aiService');
+const agentNotificationService = require('./agentNotificationService');
+
+// Processing steps, in the order they run
+const STEPS = ['fetch', 'store', 'transcribe', 'analyze', 'notify'];
+
+// Returned by a step that has nothing to do for this recording
+const SKIPPED = Symbol('skipped');
+
+class RecordingPipelineService {
+  constructor() {
+    this.steps = STEPS;
+  }
+
+  /**
+   * Initial processing state for a new or reprocessed recording
+   * @returns {Object} - Processing status with every step pending
+   */
+  createProcessing() {
+    return {
+      status: 'pending',
+      steps: Object.fromEntries(STEPS.map(step => [step, { status: 'pending', attempts: 0 }]))
+    };
+  }
+
+  /**
+   * Whether recordings can be copied to our own storage
+   * @returns {boolean}
+   */
+  isStorageConfigured() {
+    return Boolean(process.env.R2_ACCESS_KEY_ID) && process.env.R2_ACCESS_KEY_ID !== 'dummy_access_key';
+  }
+
+  /**
+   * Run the pipeline for a recording, skipping steps an earlier attempt completed
+   * @param {string} recordingId - Recording ID
+   * @param {Object} options
+   * @param {boolean} options.finalAttempt - Record failed steps and carry on instead of throwing for a retry
+   * @returns {Promise<Object>} - Status of every step
+   */
+  async process(recordingId, { finalAttempt = false } = {}) {
+    const recording = await Recording.findById(recordingId);
+
+    if (!recording) {
+      logger.warn(`Recording ${recordingId} not found, nothing to process`);
+      return { skipped: true, reason: 'recording_missing' };
+    }
+
+    if (!recording.processing || !recording.processing.steps) {
+      recording.processing = this.createProcessing();
+    }
+    recording.processing.status = 'processing';
+    await recording.save();
+
+    const run = (step, fn) => this.runStep(recording, step, fn, finalAttempt);
+    const steps = recording.processing.steps;
+
+    // The audio isn't kept between attempts, so fetch again until it's stored
+    if (!this.isFinished(steps.store)) {
+      // SMS replies have no audio, and recordings from before the pipeline only kept the URL they're served from
+      if (recording.channel === 'sms' || !this.isStorageConfigured() || !recording.source_url) {
+        await run('fetch', async () => SKIPPED);
+        await run('store', async () => SKIPPED);
+      } else {
+        const audio = await run('fetch', () => telephony.fetchRecording(recording.source_url));
+
+        await run('store', async () => {
+          if (!audio) return SKIPPED;
+
+          recording.audio_url = await storageService.uploadRecording(audio, `recording-${recording._id}.wav`);
+          logger.info(`Recording ${recording._id} uploaded to R2: ${recording.audio_url}`);
+        });
+      }
+    }
+
+    if (!this.isFinished(steps.transcribe)) {
+      await run('transcribe', () => this.transcribe(recording));
+    }
+
+    // English recordings are transcribed by the provider, which calls back later
+    const awaitingTranscription = !recording.transcription && recording.language === 'en';
+    if (!this.isFinished(steps.analyze) && !awaitingTranscription) {
+      await run('analyze', () => this.analyze(recording));
+    }
+
+    if (!this.isFinished(steps.notify)) {
+      await run('notify', () => this.notify(recording));
+    }
+
+    const failed = STEPS.filter(step => steps[step].status === 'failed');
+    recording.processing.status = failed.length > 0 ? 'failed' : 'completed';
+    await recording.save();
+
+    return {
+      recordingId: recording._id,
+      status: recording.processing.status,
+      steps: Object.fromEntries(STEPS.map(step => [step, steps[step].status]))
+    };
+  }
+
+  /**
+   * Run one step and record its progress on the recording
+   * @param {Object} recording - Recording document
+   * @param {string} name - Step name
+   * @param {Function} fn - Step work; resolves to SKIPPED when there was nothing to do
+   * @param {boolean} finalAttempt - Carry on after a failure instead of throwing
+   * @returns {Promise<*>} - Step result, or null if it failed on the final attempt
+   */
+  async runStep(recording, name, fn, finalAttempt) {
+    const step = recording.processing.steps[name];
+    step.status = 'running';
+    step.attempts = (step.attempts || 0) + 1;
+    step.error = undefined;
+    await recording.save();
+
+    try {
+      const result = await fn();
+
+      step.status = result === SKIPPED ? 'skipped' : 'completed';
+      step.completed_at = new Date();
+      await recording.save();
+
+      return result === SKIPPED ? null : result;
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message;
+      await recording.save();
+
+      logger.error(`Recording ${recording._id} ${name} step failed (attempt ${step.attempts}):`, error);
+
+      if (!finalAttempt) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Whether a step has nothing left to do
+   * @param {Object} step - Step status
+   * @returns {boolean}
+   */
+  isFinished(step) {
+    return Boolean(step) && (step.status === 'completed' || step.status === 'skipped');
+  }
+
+  /**
+   * Transcribe recordings in languages the provider can't transcribe
+   * @param {Object} recording - Recording document
+   */
+  async transcribe(recording) {
+    if (recording.channel === 'sms' || recording.transcription || recording.language === 'en' || !aiService.isEnabled) {
+      return SKIPPED;
+    }
+
+    const recordingId = recording._id.toString();
+    const result = await aiService.transcribeRecording(recording.audio_url, recordingId, recording.language);
+
+    if (!result.success) {
+      // Don't let the retry pick up the cached failure
+      await aiService.clearCachedResults(recordingId);
+      throw new Error(`Transcription failed: ${result.error}`);
+    }
+
+    recording.transcription = result.transcription;
+  }
+
+  /**
+   * Extract sentiment, priority and delivery conditions from the transcription
+   * @param {Object} recording - Recording document
+   */
+  async analyze(recording) {
+    if (!recording.transcription || !aiService.isEnabled) {
+      return SKIPPED;
+    }
+
+    const recordingId = recording._id.toString();
+    const result = await aiService.analyzeTranscription(recording.transcription, recordingId);
+
+    if (!result.success) {
+      await aiService.clearCachedResults(recordingId);
+      throw new Error(`Analysis failed: ${result.error}`);
+    }
+
+    recording.analysis = result.analysis;
+  }
+
+  /**
+   * Tell the delivery's agent about the recording
+   * @param {Object} recording - Recording document
+   */
+  async notify(recording) {
+    const callLog = await CallLog.findById(recording.call_log_id);
+    const delivery = callLog ? await Delivery.findById(callLog.delivery_id).populate('agent_id') : null;
+
+    const step = recording.processing.steps.notify;
+    const notified = await agentNotificationService.notifyNewInstructions(delivery, {
+      recordingId: recording._id,
+      recordingUrl: recording.audio_url,
+      duration: recording.duration,
+      transcription: recording.transcription
+    }, {
+      sent: step.channels || [],
+      // Saved straight away, so a retry after the socket event fails doesn't text the agent again
+      onSent: async (channel) => {
+        step.channels = [...(step.channels || []), channel];
+        await recording.save();
+      }
+    });
+
+    return notified ? undefined : SKIPPED;
+  }
+
+  /**
+   * Mark a recording failed when its job gives up before finishing, e.g. the database was down
+   * @param {string} recordingId - Recording ID
+   * @param {Error} error - Last error
+   */
+  async markFailed(recordingId, error) {
+    await Recording.findByIdAndUpdate(recordingId, { 'processing.status': 'failed' });
+    logger.error(`Recording ${recordingId} processing gave up:`, error);
+  }
+}
+
+// Export singleton instance
+const recordingPipelineService = new RecordingPipelineService();
+
+module.exports = recordingPipelineService;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
 const cacheService = require('./cacheService');
 const analyticsService = require('./analyticsService');
 
@@ -301,7 +302,7 @@ class RoutingService {
         }
       ];
 
-      const performanceData = await mongoose.connection.db.collection('recording_listens').aggregate(pipeline).toArray();
+      const performanceData = await mongoose.connection.db.collection('recording_listens').aggregate(tenantContext.scopePipeline(pipeline)).toArray();
 
       // Convert to agent ID keyed object
       const performance = {};
@@ -0,0 +1,177 @@
+const logger = require('../utils/logger');
+const tenantContext = require('../utils/tenantContext');
+const { schedulerQueue } = require('./queueService');
+const maintenanceService = require('./maintenanceService');
+const analyticsService = require('./analyticsService');
+const organizationService = require('./organizationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Runs kept per job for listing the latest result
+const KEEP_RUNS = { removeOnComplete: 20, removeOnFail: 50 };
+
+/**
+ * Cron schedule for a job, overridable per job with SCHEDULE_<NAME>; "off" disables it
+ * @param {string} name - Job name, e.g. stale-delivery-sweep
+ * @param {string} fallback - Default cron expression
+ * @returns {string|null}
+ */
+function getCron(name, fallback) {
+  const value = process.env[`SCHEDULE_${name.toUpperCase().replace(/-/g, '_')}`];
+  if (value === 'off' || value === 'false') return null;
+  return value || fallback;
+}
+
+class SchedulerService {
+  constructor() {
+    this.timezone = process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+    this.jobs = {
+      'stale-delivery-sweep': {
+        description: 'Mark open deliveries long past their scheduled time as failed',
+        cron: getCron('stale-delivery-sweep', '0 2 * * *'),
+        run: () => maintenanceService.sweepStaleDeliveries()
+      },
+      'recording-retention-purge': {
+        description: 'Delete recording audio older than the retention period',
+        cron: getCron('recording-retention-purge', '30 2 * * *'),
+        run: () => maintenanceService.purgeExpiredRecordings()
+      },
+      'analytics-rollup': {
+        description: "Store yesterday's delivery, call and recording counts",
+        cron: getCron('analytics-rollup', '15 0 * * *'),
+        perOrganization: true,
+        run: async (data) => {
+          const stats = await analyticsService.rollupDay(data.date ? new Date(data.date) : new Date(Date.now() - DAY_MS));
+          return { date: stats.date };
+        }
+      },
+      'daily-digest': {
+        description: "Email yesterday's numbers to admins",
+        cron: getCron('daily-digest', '0 7 * * *'),
+        perOrganization: true,
+        run: () => maintenanceService.sendDailyDigest()
+      }
+    };
+  }
+
+  /**
+   * Register every job's schedule; safe to call from each worker, Bull keeps one schedule per job
+   */
+  async registerJobs() {
+    // Drop schedules for removed jobs or changed crons, which Bull would otherwise keep running
+    const repeatables = await schedulerQueue.getRepeatableJobs();
+    for (const repeatable of repeatables) {
+      const job = this.jobs[repeatable.name];
+      if (!job || repeatable.cron !== job.cron || repeatable.tz !== this.timezone) {
+        await schedulerQueue.removeRepeatableByKey(repeatable.key);
+      }
+    }
+
+    for (const [name, job] of Object.entries(this.jobs)) {
+      if (!job.cron) continue;
+
+      await schedulerQueue.add(name, {}, {
+        repeat: { cron: job.cron, tz: this.timezone },
+        ...KEEP_RUNS
+      });
+    }
+
+    logger.info(`Scheduled jobs registered (${this.timezone})`);
+  }
+
+  /**
+   * Run a job
+   * @param {string} name - Job name
+   * @param {Object} data - Job data
+   * @returns {Promise<Object>} - Job result
+   */
+  async run(name, data = {}) {
+    const job = this.jobs[name];
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    logger.info(`Running scheduled job ${name}${data.triggeredBy ? ` (triggered by ${data.triggeredBy})` : ''}`);
+
+    // Stats and digests are kept per organization; a triggered run covers only the admin's own
+    if (job.perOrganization) {
+      const organizations = await organizationService.forEachOrganization(() => job.run(data), data.organizationId);
+      return { organizations };
+    }
+
+    // Scheduled sweeps cover every organization, triggered ones only the admin's
+    return tenantContext.run(data.organizationId, () => job.run(data));
+  }
+
+  /**
+   * Queue a job to run now, outside its schedule
+   * @param {string} name - Job name
+   * @param {string} triggeredBy - Agent ID of the admin
+   * @param {Object} data - Extra job data, e.g. { date } for analytics-rollup
+   * @returns {Promise<Object|null>} - Bull job, or null for an unknown job
+   */
+  async trigger(name, triggeredBy, data = {}) {
+    if (!this.jobs[name]) return null;
+
+    // The run happens in the scheduler worker, so the admin's organization goes with the job
+    const organizationId = tenantContext.getOrganizationId();
+    return schedulerQueue.add(name, { ...data, triggeredBy, ...(organizationId && { organizationId }) }, KEEP_RUNS);
+  }
+
+  /**
+   * List jobs with their schedule, next run and latest run
+   * @param {string} [organizationId] - Only runs this organization triggered; scheduled sweeps cover
+   *   every organization, so their results are left out
+   * @returns {Promise<Object[]>}
+   */
+  async listJobs(organizationId) {
+    const [repeatables, recent] = await Promise.all([
+      schedulerQueue.getRepeatableJobs(),
+      schedulerQueue.getJobs(['active', 'completed', 'failed'], 0, 200)
+    ]);
+
+    return Object.entries(this.jobs).map(([name, job]) => {
+      const schedule = repeatables.find(repeatable => repeatable.name === name);
+      const latest = recent
+        .filter(run => run && run.name === name)
+        .filter(run => !organizationId || run.data.organizationId === organizationId)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+      return {
+        name,
+        description: job.description,
+        cron: job.cron,
+        timezone: this.timezone,
+        nextRunAt: schedule && schedule.next ? new Date(schedule.next) : null,
+        lastRun: latest ? this.formatRun(latest) : null
+      };
+    });
+  }
+
+  /**
+   * Shape a job run for API responses
+   * @param {Object} run - Bull job
+   * @returns {Object}
+   */
+  formatRun(run) {
+    let status = 'active';
+    if (run.failedReason) status = 'failed';
+    else if (run.finishedOn) status = 'completed';
+
+    return {
+      jobId: run.id,
+      status,
+      triggeredBy: run.data.triggeredBy || null,
+      startedAt: run.processedOn ? new Date(run.processedOn) : null,
+      finishedAt: run.finishedOn ? new Date(run.finishedOn) : null,
+      result: run.returnvalue || null,
+      error: run.failedReason || null
+    };
+  }
+}
+
+// Export singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const twilioService = require('./twilioService');
+const organizationService = require('./organizationService');
+const recordingPipelineService = require('./recordingPipelineService');
+const deliveryStatusService = require('./deliveryStatusService');
+const CallLog = require('../database/models/CallLog');
+const Customer = require('../database/models/Customer');
+const Delivery = require('../database/models/Delivery');
+const Recording = require('../database/models/Recording');
+
+// Reply keywords, checked in order against the start of the message; opt-out and
+// opt-in must be the whole message, as carriers treat them, so a sentence that
+// merely starts with one ("End of the street") is read as instructions
+const KEYWORDS = [
+  { option: 'opt_out', pattern: /^(stop|stopall|unsubscribe|cancel|end|quit)$/i },
+  { option: 'opt_in', pattern: /^(start|unstop)$/i },
+  { option: 'confirmed', pattern: /^(yes|y|confirm|confirmed)\b/i },
+  { option: 'reschedule', pattern: /^(reschedule|later)\b/i },
+  { option: 'safe_place', pattern: /^(leave\s+at\s+(the\s+)?door|leave\s+it|safe\s+place)\b/i }
+];
+
+class SmsService {
+  constructor() {
+    // call: voice only, sms: text instead of calling, sms_first: text, then call if there is no reply
+    this.contactMode = process.env.CUSTOMER_CONTACT_MODE || 'call';
+    this.replyWaitMinutes = parseInt(process.env.SMS_REPLY_WAIT_MINUTES, 10) || 30;
+  }
+
+  /**
+   * Parse an inbound SMS reply into a menu option
+   * @param {string} body - Message text
+   * @returns {Object} - Parsed option and any free text that came with it
+   */
+  parseReply(body) {
+    const text = (body || '').trim();
+
+    for (const keyword of KEYWORDS) {
+      const match = text.match(keyword.pattern);
+      if (match) {
+        return {
+          option: keyword.option,
+          text: text.slice(match[0].length).replace(/^[\s,.:;-]+/, '').trim() || null
+        };
+      }
+    }
+
+    return { option: 'instructions', text: text || null };
+  }
+
+  /**
+   * Whether the first contact for a delivery should be an SMS
+   * @returns {boolean}
+   */
+  shouldTextFirst() {
+    return this.contactMode === 'sms' || this.contactMode === 'sms_first';
+  }
+
+  /**
+   * Build the outbound prompt for a delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @param {Object} [organization] - Organization whose name the message carries
+   * @returns {string} - Message body
+   */
+  buildPromptMessage(delivery, organization) {
+    const name = delivery.customer_id && delivery.customer_id.name ? ` ${delivery.customer_id.name}` : '';
+    const merchant = organizationService.getMerchantName(organization);
+    return `Hi${name}, your ${merchant ? `${merchant} ` : ''}delivery to ${delivery.address} is scheduled for today. ` +
+      'Reply YES if you will be home, RESCHEDULE with a better time, LEAVE AT DOOR, ' +
+      'or text us any delivery instructions. Reply STOP to opt out.';
+  }
+
+  /**
+   * Text the customer about an upcoming delivery
+   * @param {Object} delivery - Delivery with populated customer
+   * @returns {Object|null} - Twilio message, or null if the customer opted out
+   */
+  async sendDeliveryPrompt(delivery) {
+    const customer = delivery.customer_id;
+
+    if (customer.sms_opt_out) {
+      logger.info(`Customer ${customer._id} opted out of SMS, not texting for delivery ${delivery._id}`);
+      return null;
+    }
+
+    // Sent from the organization's number so replies come back to the same tenant
+    const organization = await organizationService.getOrganization(delivery.organization_id);
+    const message = await twilioService.sendSms(
+      customer.phone,
+      this.buildPromptMessage(delivery, organization),
+      twilioService.getCallerNumber(organization)
+    );
+
+    const callLog = new CallLog({
+      delivery_id: delivery._id,
+      call_sid: message.sid,
+      status: message.status,
+      channel: 'sms'
+    });
+    await callLog.save();
+
+    logger.info(`Delivery prompt texted for delivery ${delivery._id}, SID: ${message.sid}`);
+    return message;
+  }
+
+  /**
+   * Find the delivery an inbound SMS most likely refers to
+   * @param {string} customerId - Customer ID
+   * @returns {Object|null} - Nearest open delivery
+   */
+  async findOpenDelivery(customerId) {
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    return Delivery.findOne({
+      customer_id: customerId,
+      status: { $nin: deliveryStatusService.closedStatuses },
+      scheduled_time: { $gte: startOfToday }
+    }).sort({ scheduled_time: 1 }).populate('agent_id');
+  }
+
+  /**
+   * Apply an inbound SMS to the customer's delivery
+   * @param {Object} message - Twilio inbound message parameters
+   * @param {string} message.From - Sender phone number
+   * @param {string} message.Body - Message text
+   * @param {string} message.MessageSid - Twilio message SID
+   * @returns {Object} - Reply text plus the delivery and the recording to process, if any
+   */
+  async handleInboundMessage({ From, Body, MessageSid }) {
+    const { option, text } = this.parseReply(Body);
+    const phones = [From, formatPhoneNumber(From)].filter(Boolean);
+    const customer = await Customer.findOne({ phone: { $in: phones } });
+
+    if (!customer) {
+      logger.info(`Inbound SMS ${MessageSid} from unknown number`);
+      return { reply: 'Sorry, we could not find a delivery for this number.' };
+    }
+
+    if (option === 'opt_out') {
+      await Customer.findByIdAndUpdate(customer._id, { sms_opt_out: true });
+      // Carriers send their own opt-out confirmation
+      return { reply: null, option };
+    }
+
+    if (option === 'opt_in') {
+      await Customer.findByIdAndUpdate(customer._id, { sms_opt_out: false });
+      return { reply: 'You will receive delivery updates by text again. Reply STOP to opt out.', option };
+    }
+
+    const delivery = await this.findOpenDelivery(customer._id);
+    if (!delivery) {
+      return { reply: 'Thanks for your message. We could not find an upcoming delivery for you.', option };
+    }
+
+    const receivedAt = new Date();
+    let callLog = await CallLog.findOne({ delivery_id: delivery._id, channel: 'sms' }).sort({ createdAt: -1 });
+    if (!callLog) {
+      callLog = new CallLog({ delivery_id: delivery._id, call_sid: MessageSid, channel: 'sms' });
+    }
+    callLog.status = 'replied';
+    callLog.menu_selections.push({ option, selected_at: receivedAt });
+    await callLog.save();
+
+    await Delivery.findByIdAndUpdate(delivery._id, {
+      customer_response: option,
+      customer_response_at: receivedAt,
+      customer_response_channel: 'sms'
+    });
+
+    // Anything the agent should read goes through the same pipeline as voice recordings,
+    // including text after a keyword, e.g. "YES, leave it with the neighbour"
+    let recording = null;
+    const instructions = option === 'safe_place' ? (text || 'Leave at door') : text;
+    if (instructions) {
+      recording = new Recording({
+        call_log_id: callLog._id,
+        transcription: instructions,
+        instructions,
+        purpose: option === 'confirmed' ? 'instructions' : option,
+        channel: 'sms',
+        processing: recordingPipelineService.createProcessing()
+      });
+      await recording.save();
+    }
+
+    return {
+      reply: this.getReplyText(option),
+      option,
+      delivery,
+      recording
+    };
+  }
+
+  /**
+   * Get the acknowledgement text for a parsed option
+   * @param {string} option - Parsed option
+   * @returns {string} - Reply text
+   */
+  getReplyText(option) {
+    switch (option) {
+      case 'confirmed':
+        return 'Thanks! Your delivery is confirmed.';
+      case 'reschedule':
+        return 'Thanks, we have passed your reschedule request to our team.';
+      case 'safe_place':
+        return 'Thanks, our driver will leave your parcel as requested.';
+      default:
+        return 'Thanks, we have passed your instructions to our driver.';
+    }
+  }
+}
+
+// Export singleton instance
+const smsService = new SmsService();
+
+module.exports = smsService;
@@ -14,19 +14,28 @@ const s3Client = new S3Client({
 const BUCKET_NAME = process.env.R2_BUCKET_NAME;
 
 class StorageService {
+  /**
+   * Check whether real R2 credentials are set, not the dummy development ones
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(BUCKET_NAME && process.env.R2_ACCESS_KEY_ID) && process.env.R2_ACCESS_KEY_ID !== 'dummy_access_key';
+  }
+
   /**
    * Upload a file to Cloudflare R2
    * @param {Buffer} fileBuffer - File buffer
    * @param {string} fileName - File name with extension
    * @param {string} mimeType - MIME type of the file
+   * @param {string} folder - Key prefix in the bucket (default: recordings)
    * @returns {Promise<string>} - Public URL of the uploaded file
    */
-  async uploadFile(fileBuffer, fileName, mimeType) {
+  async uploadFile(fileBuffer, fileName, mimeType, folder = 'recordings') {
     if (!s3Client || !BUCKET_NAME) {
       throw new Error('R2 storage not configured');
     }
 
-    const key = `recordings/${Date.now()}-${fileName}`;
+    const key = `${folder}/${Date.now()}-${fileName}`;
 
     const uploadParams = {
       Bucket: BUCKET_NAME,
@@ -98,6 +107,16 @@ class StorageService {
     }
   }
 
+  /**
+   * Get the key of a file from its public URL
+   * @param {string} url - Public URL returned by uploadFile
+   * @returns {string|null} - File key, or null if the URL isn't in our bucket
+   */
+  getKeyFromUrl(url) {
+    const prefix = `${process.env.R2_PUBLIC_URL}/`;
+    return url && process.env.R2_PUBLIC_URL && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+
   /**
    * Upload recording file and return URL
    * @param {Buffer} audioBuffer - Audio file buffer
@@ -107,6 +126,17 @@ class StorageService {
   async uploadRecording(audioBuffer, fileName) {
     return this.uploadFile(audioBuffer, fileName, 'audio/wav');
   }
+
+  /**
+   * Upload a proof-of-delivery photo or signature and return URL
+   * @param {Buffer} imageBuffer - Image file buffer
+   * @param {string} fileName - File name with extension
+   * @param {string} mimeType - Image MIME type
+   * @returns {Promise<string>} - Public URL
+   */
+  async uploadProofImage(imageBuffer, fileName, mimeType) {
+    return this.uploadFile(imageBuffer, fileName, mimeType, 'proofs');
+  }
 }
 
 module.exports = new StorageService();
\ No newline at end of file
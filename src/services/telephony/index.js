@@ -0,0 +1,32 @@
+const logger = require('../../utils/logger');
+const TwilioProvider = require('./twilioProvider');
+const SimulatorProvider = require('./simulatorProvider');
+
+const providers = {
+  twilio: TwilioProvider,
+  simulator: SimulatorProvider
+};
+
+/**
+ * Create the telephony provider selected by TELEPHONY_PROVIDER
+ * @param {string} name - Provider name (twilio or simulator)
+ * @returns {TelephonyProvider} - Provider instance
+ */
+function createProvider(name = process.env.TELEPHONY_PROVIDER || 'twilio') {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown telephony provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  if (name === 'simulator' && process.env.NODE_ENV === 'production') {
+    logger.warn('Telephony simulator is active in production, no real calls will be placed');
+  }
+
+  return new Provider();
+}
+
+// Export singleton instance
+const telephony = createProvider();
+
+module.exports = telephony;
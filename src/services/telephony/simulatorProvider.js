@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const TelephonyProvider = require('./telephonyProvider');
+
+const RECORDING_URL_PREFIX = 'simulator://recordings/';
+
+/**
+ * Local stand-in for a real carrier. It answers its own calls, walks the
+ * TwiML our webhooks return (pressing keys for <Gather>, "speaking" for
+ * <Record>) and posts signed callbacks back to the API, so the whole call
+ * flow runs without a Twilio account.
+ */
+class SimulatorProvider extends TelephonyProvider {
+  constructor() {
+    super('simulator');
+    this.phoneNumber = process.env.TWILIO_PHONE_NUMBER || '+15005550006';
+    this.authToken = process.env.TELEPHONY_SIMULATOR_TOKEN || 'simulator';
+    // answered, machine (voicemail), no-answer, busy or failed
+    this.outcome = process.env.TELEPHONY_SIMULATOR_OUTCOME || 'answered';
+    // Keys pressed for successive <Gather> prompts
+    this.digits = (process.env.TELEPHONY_SIMULATOR_DIGITS || '4').split('');
+    this.transcript = process.env.TELEPHONY_SIMULATOR_TRANSCRIPT || 'Please leave the parcel with the neighbour at number 12.';
+    this.smsReply = process.env.TELEPHONY_SIMULATOR_SMS_REPLY || null;
+    this.stepDelayMs = parseInt(process.env.TELEPHONY_SIMULATOR_DELAY_MS, 10) || 1000;
+    this.recordingDuration = 7;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async makeCall({ to, from, url, statusCallback, machineDetection }) {
+    const call = {
+      sid: this.generateSid('CA'),
+      to,
+      from: from || this.phoneNumber,
+      status: 'queued',
+      machineDetection: Boolean(machineDetection)
+    };
+
+    logger.info(`[simulator] Placing call ${call.sid} to ${to}`);
+
+    // Run the call lifecycle after the caller has saved its CallLog
+    setTimeout(() => {
+      this.runCall(call, url, statusCallback).catch((error) => {
+        logger.error(`[simulator] Call ${call.sid} failed: ${error.message}`);
+      });
+    }, this.stepDelayMs);
+
+    return call;
+  }
+
+  async sendSms({ to, body, from }) {
+    const message = {
+      sid: this.generateSid('SM'),
+      to,
+      from: from || this.phoneNumber,
+      body,
+      status: 'sent'
+    };
+
+    logger.info(`[simulator] SMS ${message.sid} to ${to}: ${body}`);
+
+    if (this.smsReply) {
+      setTimeout(() => {
+        this.post(`${process.env.BASE_URL}/api/webhooks/sms`, {
+          MessageSid: this.generateSid('SM'),
+          From: to,
+          To: message.from,
+          Body: this.smsReply
+        }).catch((error) => {
+          logger.error(`[simulator] SMS reply to ${message.sid} failed: ${error.message}`);
+        });
+      }, this.stepDelayMs);
+    }
+
+    return message;
+  }
+
+  createVoiceResponse() {
+    return new twilio.twiml.VoiceResponse();
+  }
+
+  createMessagingResponse() {
+    return new twilio.twiml.MessagingResponse();
+  }
+
+  async fetchRecording(recordingUrl) {
+    if (!recordingUrl.startsWith(RECORDING_URL_PREFIX)) {
+      throw new Error(`Unknown simulator recording: ${recordingUrl}`);
+    }
+    return this.createSilentWav(this.recordingDuration);
+  }
+
+  validateRequest(signature, url, params) {
+    return twilio.validateRequest(this.authToken, signature, url, params);
+  }
+
+  /**
+   * Drive a simulated call through ringing, answer, call flow and hang-up
+   */
+  async runCall(call, url, statusCallback) {
+    const startedAt = Date.now();
+    const sendStatus = (status, extra = {}) => this.post(statusCallback, {
+      CallSid: call.sid,
+      CallStatus: status,
+      To: call.to,
+      From: call.from,
+      Timestamp: new Date().toUTCString(),
+      ...extra
+    });
+
+    await sendStatus('ringing');
+    await this.wait();
+
+    if (this.outcome !== 'answered' && this.outcome !== 'machine') {
+      await sendStatus(this.outcome, { CallDuration: '0' });
+      return;
+    }
+
+    await sendStatus('in-progress');
+
+    // Like Twilio, only report who answered when detection was requested
+    const answeredBy = this.outcome === 'machine' ? 'machine_end_beep' : 'human';
+    await this.followCallFlow(call, url, call.machineDetection ? { AnsweredBy: answeredBy } : {});
+
+    const duration = Math.round((Date.now() - startedAt) / 1000);
+    await sendStatus('completed', { CallDuration: String(duration) });
+  }
+
+  /**
+   * Fetch TwiML from our webhooks and act on it until the call ends
+   */
+  async followCallFlow(call, url, initialParams = {}) {
+    const digits = [...this.digits];
+    let nextUrl = url;
+    let params = initialParams;
+
+    // Guard against redirect loops in a misbehaving flow
+    for (let step = 0; nextUrl && step < 10; step++) {
+      const twiml = await this.post(nextUrl, { CallSid: call.sid, To: call.to, From: call.from, ...params });
+      nextUrl = null;
+      params = {};
+
+      for (const verb of this.parseTwiml(twiml)) {
+        if (verb.name === 'Hangup') {
+          return;
+        }
+
+        if (verb.name === 'Redirect') {
+          nextUrl = verb.text;
+          break;
+        }
+
+        if (verb.name === 'Gather' && digits.length > 0) {
+          nextUrl = verb.attributes.action;
+          params = { Digits: digits.shift() };
+          break;
+        }
+
+        if (verb.name === 'Record') {
+          const recordingSid = this.generateSid('RE');
+          nextUrl = verb.attributes.action;
+          params = {
+            RecordingSid: recordingSid,
+            RecordingUrl: `${RECORDING_URL_PREFIX}${recordingSid}.wav`,
+            RecordingDuration: String(this.recordingDuration)
+          };
+
+          if (verb.attributes.transcribeCallback) {
+            setTimeout(() => {
+              this.post(verb.attributes.transcribeCallback, {
+                CallSid: call.sid,
+                RecordingSid: recordingSid,
+                TranscriptionSid: this.generateSid('TR'),
+                TranscriptionStatus: 'completed',
+                TranscriptionText: this.transcript
+              }).catch((error) => {
+                logger.error(`[simulator] Transcription callback failed: ${error.message}`);
+              });
+            }, this.stepDelayMs * 2);
+          }
+          break;
+        }
+      }
+
+      await this.wait();
+    }
+  }
+
+  /**
+   * Extract top-level TwiML verbs with their attributes and text
+   * @param {string} xml - TwiML document
+   * @returns {Array<Object>} - Verbs in document order
+   */
+  parseTwiml(xml) {
+    const verbs = [];
+    const verbPattern = /<(Say|Play|Pause|Gather|Record|Redirect|Hangup|Message)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+    let match;
+
+    while ((match = verbPattern.exec(xml || '')) !== null) {
+      const attributes = {};
+      const attributePattern = /(\w+)="([^"]*)"/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        attributes[attribute[1]] = this.unescapeXml(attribute[2]);
+      }
+
+      verbs.push({
+        name: match[1],
+        attributes,
+        text: this.unescapeXml((match[3] || '').trim())
+      });
+    }
+
+    return verbs;
+  }
+
+  unescapeXml(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * POST form parameters to one of our webhooks, signed like Twilio does
+   * @returns {Promise<string>} - Response body
+   */
+  async post(url, params) {
+    const signature = twilio.getExpectedTwilioSignature(this.authToken, url, params);
+    const response = await axios.post(url, new URLSearchParams(params).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signature
+      },
+      responseType: 'text',
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  /**
+   * Build a mono 8kHz 16-bit WAV file of silence
+   * @param {number} seconds - Length of the recording
+   * @returns {Buffer} - WAV data
+   */
+  createSilentWav(seconds) {
+    const sampleRate = 8000;
+    const dataSize = sampleRate * seconds * 2;
+    const buffer = Buffer.alloc(44 + dataSize);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + dataSize, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataSize, 40);
+
+    return buffer;
+  }
+
+  generateSid(prefix) {
+    return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  wait() {
+    return new Promise(resolve => setTimeout(resolve, this.stepDelayMs));
+  }
+}
+
+module.exports = SimulatorProvider;
@@ -0,0 +1,85 @@
+/**
+ * Base class for telephony providers.
+ *
+ * A provider places outbound calls, sends SMS, builds the call-flow markup
+ * returned by our webhooks, fetches recordings and verifies webhook requests.
+ * Call-flow markup follows the TwiML verb set (say, gather, record, redirect,
+ * hangup), which every provider must be able to produce.
+ */
+class TelephonyProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Place an outbound call
+   * @param {Object} options - Call options
+   * @param {string} options.to - Customer phone number
+   * @param {string} [options.from] - Caller ID, defaults to the provider number
+   * @param {string} options.url - Voice webhook that returns the call flow
+   * @param {string} options.statusCallback - Call status webhook
+   * @param {string[]} [options.statusCallbackEvent] - Status events to report
+   * @returns {Promise<Object>} - Call with sid and status
+   */
+  async makeCall(options) {
+    throw new Error(`${this.name} provider does not support makeCall`);
+  }
+
+  /**
+   * Send an SMS
+   * @param {Object} options - Message options
+   * @param {string} options.to - Recipient phone number
+   * @param {string} options.body - Message text
+   * @param {string} [options.from] - Sender, defaults to the provider number
+   * @returns {Promise<Object>} - Message with sid and status
+   */
+  async sendSms(options) {
+    throw new Error(`${this.name} provider does not support sendSms`);
+  }
+
+  /**
+   * Create a voice call-flow markup builder
+   * @returns {Object} - Builder with say, gather, record, redirect, hangup and toString
+   */
+  createVoiceResponse() {
+    throw new Error(`${this.name} provider does not support voice responses`);
+  }
+
+  /**
+   * Create an SMS reply markup builder
+   * @returns {Object} - Builder with message and toString
+   */
+  createMessagingResponse() {
+    throw new Error(`${this.name} provider does not support messaging responses`);
+  }
+
+  /**
+   * Download a call recording
+   * @param {string} recordingUrl - Recording URL from the recording webhook
+   * @returns {Promise<Buffer>} - Audio data
+   */
+  async fetchRecording(recordingUrl) {
+    throw new Error(`${this.name} provider does not support fetchRecording`);
+  }
+
+  /**
+   * Verify a webhook request signature
+   * @param {string} signature - Signature header value
+   * @param {string} url - Full public URL of the request
+   * @param {Object} params - POST parameters
+   * @returns {boolean}
+   */
+  validateRequest(signature, url, params) {
+    return false;
+  }
+}
+
+module.exports = TelephonyProvider;
@@ -0,0 +1,69 @@
+const twilio = require('twilio');
+const axios = require('axios');
+const TelephonyProvider = require('./telephonyProvider');
+
+class TwilioProvider extends TelephonyProvider {
+  constructor() {
+    super('twilio');
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
+    this.client = null;
+
+    if (this.accountSid && process.env.TWILIO_AUTH_TOKEN) {
+      this.client = twilio(this.accountSid, process.env.TWILIO_AUTH_TOKEN);
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.client && process.env.TWILIO_AUTH_TOKEN);
+  }
+
+  requireClient() {
+    if (!this.client) {
+      throw new Error('Twilio client not configured. Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
+    }
+    return this.client;
+  }
+
+  async makeCall({ from, ...options }) {
+    return this.requireClient().calls.create({
+      from: from || this.phoneNumber,
+      ...options
+    });
+  }
+
+  async sendSms({ to, body, from }) {
+    return this.requireClient().messages.create({
+      body,
+      from: from || this.phoneNumber,
+      to
+    });
+  }
+
+  createVoiceResponse() {
+    return new twilio.twiml.VoiceResponse();
+  }
+
+  createMessagingResponse() {
+    return new twilio.twiml.MessagingResponse();
+  }
+
+  async fetchRecording(recordingUrl) {
+    const response = await axios.get(recordingUrl, {
+      responseType: 'arraybuffer',
+      auth: {
+        username: this.accountSid,
+        password: process.env.TWILIO_AUTH_TOKEN
+      }
+    });
+    return response.data;
+  }
+
+  validateRequest(signature, url, params) {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    if (!authToken) return false;
+    return twilio.validateRequest(authToken, signature, url, params);
+  }
+}
+
+module.exports = TwilioProvider;
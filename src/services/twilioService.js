@@ -1,41 +1,51 @@
-const twilio = require('twilio');
+const telephony = require('./telephony');
 const CallLog = require('../database/models/CallLog');
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 const baseUrl = process.env.BASE_URL;
 
-let twilioClient = null;
-if (accountSid && authToken) {
-  twilioClient = twilio(accountSid, authToken);
-}
+// Answering machine detection mode; DetectMessageEnd waits for the beep so a voicemail can be left
+const machineDetection = process.env.CALL_MACHINE_DETECTION || 'DetectMessageEnd';
 
 async function makeCustomerCall(delivery) {
-  if (!twilioClient) {
+  if (!telephony.isConfigured()) {
     throw new Error('Twilio client not configured. Please set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN');
   }
 
-  const call = await twilioClient.calls.create({
+  const call = await telephony.makeCall({
     url: `${baseUrl}/api/webhooks/voice?delivery_id=${delivery._id}`,
     to: delivery.customer_phone,
-    from: twilioPhoneNumber,
+    from: delivery.from,
     statusCallback: `${baseUrl}/api/webhooks/call-status`,
-    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+    ...(machineDetection !== 'off' && { machineDetection })
   });
 
   // Save call log
   const callLog = new CallLog({
     delivery_id: delivery._id,
     call_sid: call.sid,
-    status: call.status
+    status: call.status,
+    attempt: delivery.attempt || 1
   });
   await callLog.save();
 
   return call;
 }
 
+// Number outbound calls are placed from: the organization's own, or the account default
+function getCallerNumber(organization) {
+  return (organization && organization.phone_number) || telephony.phoneNumber;
+}
+
+async function sendSms(to, body, from) {
+  return telephony.sendSms({ to, body, from });
+}
+
 module.exports = {
   makeCustomerCall,
-  twilioClient
-};
\ No newline at end of file
+  getCallerNumber,
+  sendSms,
+  telephony,
+  // Raw Twilio SDK client, null when another provider is active
+  twilioClient: telephony.client || null
+};
@@ -0,0 +1,72 @@
+const logger = require('./logger');
+
+let shuttingDown = false;
+
+/**
+ * Whether this process has started shutting down
+ * @returns {boolean}
+ */
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+/**
+ * Close a Redis client, without reconnecting one that isn't connected
+ * @param {Object} client - ioredis client
+ * @returns {Promise}
+ */
+async function closeRedis(client) {
+  if (!client) return;
+
+  if (client.status === 'ready') {
+    await client.quit();
+  } else {
+    client.disconnect();
+  }
+}
+
+/**
+ * Run cleanup steps in order on SIGTERM or SIGINT, then exit
+ * @param {string} name - Process name for logs, e.g. "API" or "Call worker"
+ * @param {Object[]} steps - { name, close } where close may return a promise
+ * @param {number} timeoutMs - Exit anyway if the steps take longer than this
+ */
+function registerShutdown(name, steps, timeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000) {
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    logger.info(`${name} received ${signal}, shutting down`);
+
+    // In-flight calls can take a while to place; don't wait forever for them
+    const timer = setTimeout(() => {
+      logger.error(`${name} did not shut down within ${timeoutMs}ms, exiting`);
+      process.exit(1);
+    }, timeoutMs);
+    timer.unref();
+
+    let exitCode = 0;
+    for (const step of steps) {
+      try {
+        await step.close();
+        logger.info(`${name}: closed ${step.name}`);
+      } catch (error) {
+        exitCode = 1;
+        logger.error(`${name}: failed to close ${step.name}:`, error);
+      }
+    }
+
+    clearTimeout(timer);
+    logger.info(`${name} shut down`);
+    process.exit(exitCode);
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = {
+  registerShutdown,
+  isShuttingDown,
+  closeRedis
+};
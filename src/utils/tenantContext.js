@@ -0,0 +1,50 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Organization the current request or job belongs to, carried across awaits
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with queries scoped to an organization
+ * @param {string|Object} organizationId - Organization ID; empty runs unscoped
+ * @param {Function} fn - Function to run, may return a promise
+ * @returns {*} - Whatever fn returns
+ */
+function run(organizationId, fn) {
+  return storage.run({ organizationId: organizationId ? organizationId.toString() : null }, fn);
+}
+
+/**
+ * Organization of the current request or job
+ * @returns {string|null} - Organization ID, or null outside a tenant
+ */
+function getOrganizationId() {
+  const store = storage.getStore();
+  return store ? store.organizationId : null;
+}
+
+/**
+ * Aggregation stage keeping only an organization's documents
+ * @param {string} organizationId - Organization ID
+ * @returns {Object} - $match stage
+ */
+function matchStage(organizationId) {
+  return { $match: { organization_id: new mongoose.Types.ObjectId(organizationId) } };
+}
+
+/**
+ * Limit a raw aggregation pipeline to the current organization; models do this themselves
+ * @param {Object[]} pipeline - Aggregation pipeline
+ * @returns {Object[]} - Pipeline, with a leading $match inside a tenant
+ */
+function scopePipeline(pipeline) {
+  const organizationId = getOrganizationId();
+  return organizationId ? [matchStage(organizationId), ...pipeline] : pipeline;
+}
+
+module.exports = {
+  run,
+  getOrganizationId,
+  matchStage,
+  scopePipeline
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+// Standalone worker: processes the call, recording and scheduled job queues without serving HTTP
+const mongoose = require('./database/connection');
+const callQueue = require('./queue/callWorker');
+const recordingQueue = require('./queue/recordingWorker');
+const schedulerQueue = require('./queue/schedulerWorker');
+const { redis } = require('./services/queueService');
+const cacheService = require('./services/cacheService');
+const logger = require('./utils/logger');
+const { registerShutdown, closeRedis } = require('./utils/shutdown');
+
+registerShutdown('Worker', [
+  // Waits for jobs in progress, so no call is left half-placed
+  { name: 'call queue', close: () => callQueue.close() },
+  { name: 'recording queue', close: () => recordingQueue.close() },
+  { name: 'scheduler queue', close: () => schedulerQueue.close() },
+  { name: 'Redis', close: () => closeRedis(redis) },
+  { name: 'cache', close: () => closeRedis(cacheService.redis) },
+  { name: 'MongoDB', close: () => mongoose.connection.close() }
+]);
+
+logger.info(`Worker running (pid ${process.pid})`);
@@ -0,0 +1,291 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/database/models/Delivery', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findByIdAndDelete: jest.fn()
+}));
+jest.mock('../../../src/database/models/Agent', () => ({}));
+jest.mock('../../../src/database/models/CallLog', () => ({}));
+jest.mock('../../../src/database/models/Recording', () => ({}));
+jest.mock('../../../src/database/models/DoNotCall', () => {
+  const DoNotCall = jest.fn(function (data) {
+    Object.assign(this, { _id: 'dnc1' }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  DoNotCall.findOneAndDelete = jest.fn();
+  return DoNotCall;
+});
+jest.mock('../../../src/database/models/BlockedCall', () => ({}));
+jest.mock('../../../src/database/models/AuditLog', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+jest.mock('../../../src/services/callingPolicyService', () => ({}));
+jest.mock('../../../src/services/callSchedulingService', () => ({
+  scheduleDeliveryCall: jest.fn(),
+  cancelDeliveryCall: jest.fn(),
+  handleDeliveryUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/deliveryStatusService', () => ({
+  transition: jest.fn(),
+  describeRejection: jest.fn(() => 'Cannot change status')
+}));
+jest.mock('../../../src/services/proofOfDeliveryService', () => ({}));
+jest.mock('../../../src/services/deliveryService', () => ({
+  createDelivery: jest.fn(),
+  describeRejection: jest.fn(() => 'No address given and the customer has no default address')
+}));
+
+jest.mock('../../../src/services/auditService', () => {
+  const actual = jest.requireActual('../../../src/services/auditService');
+  return {
+    maxExportRows: 2,
+    record: jest.fn(),
+    buildQuery: jest.fn(filters => actual.buildQuery(filters)),
+    formatEntry: jest.fn(entry => ({ id: entry._id, action: entry.action })),
+    toCsv: jest.fn(() => 'createdAt,action\n')
+  };
+});
+
+// Mock auth middleware to always allow access
+jest.mock('../../../src/api/middleware/auth', () => ({
+  authenticateJWT: (req, res, next) => {
+    req.agent = { id: 'agent-id', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const Delivery = require('../../../src/database/models/Delivery');
+const DoNotCall = require('../../../src/database/models/DoNotCall');
+const AuditLog = require('../../../src/database/models/AuditLog');
+const auditService = require('../../../src/services/auditService');
+const callSchedulingService = require('../../../src/services/callSchedulingService');
+const deliveryStatusService = require('../../../src/services/deliveryStatusService');
+const deliveryService = require('../../../src/services/deliveryService');
+const adminRouter = require('../../../src/api/routes/admin');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRouter);
+
+const DELIVERY_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+// Chainable find() resolving to entries
+function findReturning(entries) {
+  const query = {
+    sort: jest.fn(() => query),
+    skip: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn(() => Promise.resolve(entries)),
+    then: (resolve, reject) => Promise.resolve(entries).then(resolve, reject)
+  };
+  return query;
+}
+
+describe('Admin API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/admin/deliveries', () => {
+    const body = {
+      customer_phone: '+15555550100',
+      customer_name: 'Jane Doe',
+      address: '1 Main Street, Springfield',
+      scheduled_time: '2026-10-20T10:00:00.000Z',
+      time_window: { start: '2026-10-20T09:00:00.000Z', end: '2026-10-20T11:00:00.000Z' },
+      merchant_reference: 'ORD-1',
+      priority: 'high',
+      items: [{ name: 'Parcel', quantity: 1 }],
+      notes: 'Heavy'
+    };
+
+    it('should create the delivery through the same path as /api/deliveries', async () => {
+      const delivery = {
+        _id: DELIVERY_ID,
+        address: '1 Main Street, Springfield',
+        status: 'scheduled',
+        populate: jest.fn()
+      };
+      deliveryService.createDelivery.mockResolvedValue({ created: true, delivery });
+
+      const response = await request(app)
+        .post('/api/admin/deliveries')
+        .send(body)
+        .expect(201);
+
+      expect(deliveryService.createDelivery).toHaveBeenCalledWith(body);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'delivery.create',
+        after: delivery
+      }));
+      expect(callSchedulingService.scheduleDeliveryCall).toHaveBeenCalledWith(delivery);
+      expect(response.body.id).toBe(DELIVERY_ID);
+    });
+
+    it('should reject fields /api/deliveries does not accept', async () => {
+      await request(app)
+        .post('/api/admin/deliveries')
+        .send({ ...body, status: 'delivered' })
+        .expect(400);
+
+      expect(deliveryService.createDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should report an address that cannot be used', async () => {
+      deliveryService.createDelivery.mockResolvedValue({ created: false, reason: 'no_address' });
+
+      const response = await request(app)
+        .post('/api/admin/deliveries')
+        .send({ customer_id: '64b7f0c2a1b2c3d4e5f60719', scheduled_time: '2026-10-20T10:00:00.000Z' })
+        .expect(400);
+
+      expect(deliveryService.describeRejection).toHaveBeenCalledWith('no_address');
+      expect(response.body.error).toBe('No address given and the customer has no default address');
+      expect(callSchedulingService.scheduleDeliveryCall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/admin/deliveries/:id', () => {
+    const before = { _id: DELIVERY_ID, status: 'scheduled' };
+
+    beforeEach(() => {
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(before) });
+    });
+
+    it('should write the other fields in the same update as the status', async () => {
+      const updated = { _id: DELIVERY_ID, status: 'assigned', agent_id: 'agent2' };
+      const populate = jest.fn().mockResolvedValue(updated);
+      deliveryStatusService.transition.mockResolvedValue({ updated: true, changed: true, delivery: { populate } });
+
+      await request(app)
+        .put(`/api/admin/deliveries/${DELIVERY_ID}`)
+        .send({ status: 'assigned', agent_id: 'agent2' })
+        .expect(200);
+
+      expect(deliveryStatusService.transition).toHaveBeenCalledWith(DELIVERY_ID, 'assigned', {
+        actor: { type: 'admin', id: 'agent-id' },
+        reason: undefined,
+        set: { agent_id: 'agent2' }
+      });
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'delivery.update', before, after: updated }));
+      expect(callSchedulingService.handleDeliveryUpdate).toHaveBeenCalledWith(updated, { agent_id: 'agent2' });
+    });
+
+    it('should change nothing when the status change is refused', async () => {
+      deliveryStatusService.transition.mockResolvedValue({ updated: false, reason: 'invalid_transition', allowed: [] });
+
+      await request(app)
+        .put(`/api/admin/deliveries/${DELIVERY_ID}`)
+        .send({ status: 'delivered', agent_id: 'agent2' })
+        .expect(409);
+
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/deliveries/:id', () => {
+    it('should record who deleted the delivery and what it was', async () => {
+      const delivery = { _id: DELIVERY_ID, address: '1 Main St', status: 'scheduled' };
+      Delivery.findByIdAndDelete.mockResolvedValue(delivery);
+
+      await request(app).delete(`/api/admin/deliveries/${DELIVERY_ID}`).expect(200);
+
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ agent: { id: 'agent-id', role: 'admin' } }), {
+        action: 'delivery.delete',
+        target: { type: 'delivery', id: DELIVERY_ID },
+        before: delivery
+      });
+      expect(callSchedulingService.cancelDeliveryCall).toHaveBeenCalledWith(delivery);
+    });
+
+    it('should not record anything for unknown deliveries', async () => {
+      Delivery.findByIdAndDelete.mockResolvedValue(null);
+
+      await request(app).delete(`/api/admin/deliveries/${DELIVERY_ID}`).expect(404);
+
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/do-not-call', () => {
+    it('should store the number in E.164', async () => {
+      const response = await request(app)
+        .post('/api/admin/do-not-call')
+        .send({ phone: '15551234567', reason: 'Customer request' })
+        .expect(201);
+
+      expect(DoNotCall).toHaveBeenCalledWith({ phone: '+15551234567', reason: 'Customer request', added_by: 'agent-id' });
+      expect(response.body.phone).toBe('+15551234567');
+    });
+
+    it('should reject numbers that are not phone numbers', async () => {
+      await request(app).post('/api/admin/do-not-call').send({ phone: '12345' }).expect(400);
+
+      expect(DoNotCall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/admin/do-not-call/:phone', () => {
+    it('should find the number however it is written', async () => {
+      DoNotCall.findOneAndDelete.mockResolvedValue({ _id: 'dnc1', phone: '+15551234567' });
+
+      await request(app).delete('/api/admin/do-not-call/5551234567').expect(200);
+
+      expect(DoNotCall.findOneAndDelete).toHaveBeenCalledWith({ phone: '+15551234567' });
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should list filtered entries newest first', async () => {
+      const query = findReturning([{ _id: 'entry1', action: 'delivery.delete' }]);
+      AuditLog.find.mockReturnValue(query);
+      AuditLog.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/admin/audit')
+        .query({ action: 'delivery.delete', target_id: DELIVERY_ID })
+        .expect(200);
+
+      expect(AuditLog.find).toHaveBeenCalledWith({ action: 'delivery.delete', target_id: DELIVERY_ID });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(response.body.entries).toEqual([{ id: 'entry1', action: 'delivery.delete' }]);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('should reject unknown target types', async () => {
+      await request(app).get('/api/admin/audit').query({ target_type: 'order' }).expect(400);
+
+      expect(AuditLog.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/audit/export', () => {
+    it('should download CSV by default', async () => {
+      AuditLog.find.mockReturnValue(findReturning([{ _id: 'entry1' }]));
+
+      const response = await request(app).get('/api/admin/audit/export').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="audit-log-.*\.csv"/);
+      expect(response.headers['x-export-truncated']).toBe('false');
+      expect(response.text).toBe('createdAt,action\n');
+    });
+
+    it('should flag JSON exports cut short at the row limit', async () => {
+      AuditLog.find.mockReturnValue(findReturning([{ _id: 'e1' }, { _id: 'e2' }, { _id: 'e3' }]));
+
+      const response = await request(app).get('/api/admin/audit/export').query({ format: 'json' }).expect(200);
+
+      expect(response.body.truncated).toBe(true);
+      expect(response.body.entries).toHaveLength(2);
+    });
+  });
+});
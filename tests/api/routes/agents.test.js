@@ -0,0 +1,78 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/database/models/Agent', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/database/models/Delivery', () => ({}));
+jest.mock('../../../src/services/deliveryStatusService', () => ({}));
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+// Mock auth middleware to always allow access
+jest.mock('../../../src/api/middleware/auth', () => ({
+  authenticateJWT: (req, res, next) => {
+    req.agent = { id: 'admin-id', role: 'admin', organization_id: 'org1' };
+    req.organizationId = 'org1';
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const Agent = require('../../../src/database/models/Agent');
+const auditService = require('../../../src/services/auditService');
+const agentsRouter = require('../../../src/api/routes/agents');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/agents', agentsRouter);
+
+const AGENT_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Agents API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('PUT /api/agents/:id', () => {
+    it('should update the editable fields with validation', async () => {
+      const before = { _id: AGENT_ID, name: 'Sam', is_active: true };
+      const agent = { _id: AGENT_ID, name: 'Sam Jones', is_active: true };
+      Agent.findById.mockReturnValue({ select: jest.fn(() => ({ lean: jest.fn().mockResolvedValue(before) })) });
+      Agent.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(agent) });
+
+      const response = await request(app)
+        .put(`/api/agents/${AGENT_ID}`)
+        .send({ name: 'Sam Jones' })
+        .expect(200);
+
+      expect(Agent.findByIdAndUpdate).toHaveBeenCalledWith(AGENT_ID, { name: 'Sam Jones' }, { new: true, runValidators: true });
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'agent.update', before, after: agent }));
+      expect(response.body.name).toBe('Sam Jones');
+    });
+
+    it('should not move an agent into another organization', async () => {
+      await request(app)
+        .put(`/api/agents/${AGENT_ID}`)
+        .send({ name: 'Sam Jones', organization_id: '64b7f0c2a1b2c3d4e5f60799' })
+        .expect(400);
+
+      expect(Agent.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not change the password', async () => {
+      Agent.findById.mockReturnValue({ select: jest.fn(() => ({ lean: jest.fn().mockResolvedValue({ _id: AGENT_ID }) })) });
+      Agent.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: AGENT_ID }) });
+
+      await request(app)
+        .put(`/api/agents/${AGENT_ID}`)
+        .send({ role: 'supervisor', password: 'new-password' })
+        .expect(200);
+
+      expect(Agent.findByIdAndUpdate).toHaveBeenCalledWith(AGENT_ID, { role: 'supervisor' }, expect.any(Object));
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/services/cacheService', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+
+jest.mock('../../../src/database/models/CallScript', () => {
+  const CallScript = jest.fn(function (data) {
+    Object.assign(this, { _id: 'script2', is_active: false }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  CallScript.find = jest.fn();
+  CallScript.findOne = jest.fn();
+  CallScript.findById = jest.fn();
+  CallScript.findByIdAndDelete = jest.fn();
+  CallScript.updateMany = jest.fn();
+  return CallScript;
+});
+jest.mock('../../../src/database/models/Delivery', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn(),
+  toPlain: jest.fn(doc => ({ ...doc }))
+}));
+
+jest.mock('../../../src/services/organizationService', () => ({
+  getOrganization: jest.fn(),
+  getMerchantName: jest.fn(organization => organization && organization.name)
+}));
+
+// Mock auth middleware to always allow access
+jest.mock('../../../src/api/middleware/auth', () => ({
+  authenticateJWT: (req, res, next) => {
+    req.agent = { id: 'agent-id', role: 'admin' };
+    req.organizationId = 'org1';
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const CallScript = require('../../../src/database/models/CallScript');
+const Delivery = require('../../../src/database/models/Delivery');
+const organizationService = require('../../../src/services/organizationService');
+const auditService = require('../../../src/services/auditService');
+const callScriptService = require('../../../src/services/callScriptService');
+const callScriptsRouter = require('../../../src/api/routes/callScripts');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin/call-scripts', callScriptsRouter);
+
+const SCRIPT_ID = '64b7f0c2a1b2c3d4e5f60718';
+const DELIVERY_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+function mockScript(overrides = {}) {
+  return {
+    _id: SCRIPT_ID,
+    name: 'standard',
+    version: 1,
+    language: 'en',
+    prompts: { greeting: 'Hi {{customer_name}}, this is {{merchant_name}}.', menu: 'Press 1 to confirm.' },
+    is_active: false,
+    ...overrides
+  };
+}
+
+describe('Call Scripts API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/admin/call-scripts', () => {
+    it('should create version 1 of a new script', async () => {
+      CallScript.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/admin/call-scripts')
+        .send({ name: 'standard', language: 'en', prompts: { greeting: 'Hello {{customer_name}}' } })
+        .expect(201);
+
+      expect(response.body).toEqual(expect.objectContaining({ name: 'standard', version: 1, createdBy: 'agent-id' }));
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'call_script.create',
+        target: { type: 'call_script', id: 'script2' }
+      }));
+    });
+
+    it('should reject unknown template variables', async () => {
+      const response = await request(app)
+        .post('/api/admin/call-scripts')
+        .send({ name: 'standard', language: 'en', prompts: { greeting: 'Hello {{first_name}}' } })
+        .expect(400);
+
+      expect(response.body.error).toBe('Unknown template variables: first_name');
+      expect(CallScript).not.toHaveBeenCalled();
+    });
+
+    it('should send existing scripts to the update route', async () => {
+      CallScript.findOne.mockResolvedValue(mockScript());
+
+      await request(app)
+        .post('/api/admin/call-scripts')
+        .send({ name: 'standard', language: 'en', prompts: { greeting: 'Hello' } })
+        .expect(409);
+    });
+  });
+
+  describe('PUT /api/admin/call-scripts/:id', () => {
+    it('should save the changed prompts as the next version', async () => {
+      CallScript.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(mockScript()) });
+      CallScript.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(mockScript({ version: 3 })) });
+
+      const response = await request(app)
+        .put(`/api/admin/call-scripts/${SCRIPT_ID}`)
+        .send({ prompts: { menu: 'Press 1 to confirm, 2 to reschedule.' } })
+        .expect(201);
+
+      expect(response.body.version).toBe(4);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'call_script.update',
+        target: { type: 'call_script', id: 'script2' },
+        before: mockScript()
+      }));
+      expect(response.body.prompts).toEqual({
+        greeting: 'Hi {{customer_name}}, this is {{merchant_name}}.',
+        menu: 'Press 1 to confirm, 2 to reschedule.'
+      });
+    });
+
+    it('should return 404 for unknown scripts', async () => {
+      CallScript.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await request(app)
+        .put(`/api/admin/call-scripts/${SCRIPT_ID}`)
+        .send({ description: 'Shorter greeting' })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/admin/call-scripts/:id/activate', () => {
+    it('should put the version live', async () => {
+      CallScript.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(mockScript()) });
+      const activate = jest.spyOn(callScriptService, 'activate').mockResolvedValue(mockScript({ is_active: true }));
+
+      const response = await request(app).post(`/api/admin/call-scripts/${SCRIPT_ID}/activate`).expect(200);
+
+      expect(activate).toHaveBeenCalledWith(SCRIPT_ID);
+      expect(response.body.isActive).toBe(true);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'call_script.activate',
+        target: { type: 'call_script', id: SCRIPT_ID },
+        before: mockScript(),
+        after: mockScript({ is_active: true })
+      });
+      activate.mockRestore();
+    });
+
+    it('should validate the script ID', async () => {
+      await request(app).post('/api/admin/call-scripts/not-an-id/activate').expect(400);
+    });
+  });
+
+  describe('POST /api/admin/call-scripts/:id/preview', () => {
+    it('should render the prompts for a delivery with the admin\'s organization', async () => {
+      CallScript.findById.mockResolvedValue(mockScript());
+      organizationService.getOrganization.mockResolvedValue({ name: 'Acme' });
+      Delivery.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ customer_id: { name: 'Jo' }, address: '1 Main St' })
+      });
+
+      const response = await request(app)
+        .post(`/api/admin/call-scripts/${SCRIPT_ID}/preview`)
+        .send({ delivery_id: DELIVERY_ID })
+        .expect(200);
+
+      expect(organizationService.getOrganization).toHaveBeenCalledWith('org1');
+      expect(response.body.prompts.greeting).toBe('Hi Jo, this is Acme.');
+    });
+
+    it('should let the admin override variables', async () => {
+      CallScript.findById.mockResolvedValue(mockScript());
+
+      const response = await request(app)
+        .post(`/api/admin/call-scripts/${SCRIPT_ID}/preview`)
+        .send({ variables: { customer_name: 'Sam', merchant_name: 'Shop' } })
+        .expect(200);
+
+      expect(response.body.prompts.greeting).toBe('Hi Sam, this is Shop.');
+    });
+
+    it('should return 404 for unknown deliveries', async () => {
+      CallScript.findById.mockResolvedValue(mockScript());
+      Delivery.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+      await request(app)
+        .post(`/api/admin/call-scripts/${SCRIPT_ID}/preview`)
+        .send({ delivery_id: DELIVERY_ID })
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/admin/call-scripts/:id', () => {
+    it('should delete an inactive version', async () => {
+      CallScript.findById.mockResolvedValue(mockScript());
+
+      await request(app).delete(`/api/admin/call-scripts/${SCRIPT_ID}`).expect(200);
+
+      expect(CallScript.findByIdAndDelete).toHaveBeenCalledWith(SCRIPT_ID);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'call_script.delete',
+        target: { type: 'call_script', id: SCRIPT_ID },
+        before: mockScript()
+      });
+    });
+
+    it('should keep the active version', async () => {
+      CallScript.findById.mockResolvedValue(mockScript({ is_active: true }));
+
+      await request(app).delete(`/api/admin/call-scripts/${SCRIPT_ID}`).expect(400);
+
+      expect(CallScript.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -3,11 +3,21 @@ const request = require('supertest');
 const express = require('express');
 
 // Mock dependencies
-jest.mock('../../../src/services/queueService');
-jest.mock('../../../src/database/models/Delivery');
-jest.mock('../../../src/database/models/CallLog');
-
-const { addCallJob } = require('../../../src/services/queueService');
+jest.mock('../../../src/services/queueService', () => ({
+  addCallJob: jest.fn(),
+  getCallJobId: jest.fn(),
+  getCallJobData: (delivery, data) => ({ deliveryId: delivery._id, organizationId: delivery.organization_id, ...data }),
+  getPendingCallJob: jest.fn()
+}));
+jest.mock('../../../src/database/models/Delivery', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/database/models/CallLog', () => ({
+  find: jest.fn()
+}));
+
+const { addCallJob, getCallJobId, getPendingCallJob } = require('../../../src/services/queueService');
 const Delivery = require('../../../src/database/models/Delivery');
 const CallLog = require('../../../src/database/models/CallLog');
 const callsRouter = require('../../../src/api/routes/calls');
@@ -23,6 +33,8 @@ describe('Calls API Routes', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    getCallJobId.mockImplementation((deliveryId, attempt) => `call:${deliveryId}:${attempt}`);
+    getPendingCallJob.mockResolvedValue(null);
   });
 
   describe('POST /api/calls/initiate', () => {
@@ -56,7 +68,27 @@ describe('Calls API Routes', () => {
       });
 
       expect(Delivery.findById).toHaveBeenCalledWith(mockDelivery._id);
-      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: mockDelivery._id }, 0);
+      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: mockDelivery._id }, 0, `call:${mockDelivery._id}:1`);
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith(mockDelivery._id, expect.objectContaining({ call_job_id: mockJob.id }));
+    });
+
+    it('should return the job already queued for the delivery instead of adding another', async () => {
+      Delivery.findById.mockResolvedValue({ ...mockDelivery, call_attempts: 1, call_job_id: 'call:507f1f77bcf86cd799439011:2' });
+      getPendingCallJob.mockImplementation(async (jobId) => (jobId ? { id: jobId } : null));
+
+      const response = await request(app)
+        .post('/api/calls/initiate')
+        .send({
+          delivery_id: mockDelivery._id
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        message: 'Call already queued for this delivery',
+        job_id: 'call:507f1f77bcf86cd799439011:2',
+        status: 'already_queued'
+      });
+      expect(addCallJob).not.toHaveBeenCalled();
     });
 
     it('should initiate call with delay', async () => {
@@ -72,7 +104,7 @@ describe('Calls API Routes', () => {
         });
 
       expect(response.status).toBe(200);
-      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: mockDelivery._id }, delay);
+      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: mockDelivery._id }, delay, `call:${mockDelivery._id}:1`);
     });
 
     it('should return 400 when delivery_id is missing', async () => {
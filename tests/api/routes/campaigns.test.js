@@ -0,0 +1,163 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/services/campaignService', () => ({
+  createCampaign: jest.fn(),
+  queueCalls: jest.fn(),
+  getProgress: jest.fn(),
+  cancelCampaign: jest.fn()
+}));
+
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn(),
+  toPlain: jest.fn(doc => ({ ...doc }))
+}));
+
+jest.mock('../../../src/database/models/Campaign', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+// Mock auth middleware to always allow access
+jest.mock('../../../src/api/middleware/auth', () => ({
+  authenticateJWT: (req, res, next) => {
+    req.agent = { id: 'agent-id', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const campaignService = require('../../../src/services/campaignService');
+const Campaign = require('../../../src/database/models/Campaign');
+const auditService = require('../../../src/services/auditService');
+const campaignsRouter = require('../../../src/api/routes/campaigns');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin/campaigns', campaignsRouter);
+
+const campaignId = '507f1f77bcf86cd799439011';
+
+function mockCampaign(overrides = {}) {
+  return {
+    _id: campaignId,
+    name: 'Calls for 2026-10-19',
+    status: 'scheduling',
+    deliveries: [],
+    skipped: [],
+    ...overrides
+  };
+}
+
+describe('Campaigns API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/admin/campaigns', () => {
+    it('should create a campaign for every delivery on the date and queue its calls', async () => {
+      const campaign = mockCampaign();
+      campaignService.createCampaign.mockResolvedValue({
+        created: true,
+        campaign,
+        targets: [{ _id: 'd1' }, { _id: 'd2' }],
+        plan: { spacingMs: 6000, estimatedEnd: new Date(), overrunsWindow: false }
+      });
+      campaignService.queueCalls.mockResolvedValue(campaign);
+
+      const response = await request(app)
+        .post('/api/admin/campaigns')
+        .send({ date: '2026-10-19' })
+        .expect(202);
+
+      expect(campaignService.createCampaign).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Calls for 2026-10-19',
+        filter: {
+          scheduled_from: new Date('2026-10-19T00:00:00Z'),
+          scheduled_to: new Date('2026-10-20T00:00:00Z'),
+          statuses: undefined,
+          agent_id: undefined
+        },
+        createdBy: 'agent-id'
+      }));
+      expect(campaignService.queueCalls).toHaveBeenCalledWith(campaign, [{ _id: 'd1' }, { _id: 'd2' }]);
+      expect(response.body.matched).toBe(2);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'campaign.create',
+        target: { type: 'campaign', id: campaignId },
+        after: campaign
+      });
+    });
+
+    it('should require a date or a scheduled time range', async () => {
+      await request(app)
+        .post('/api/admin/campaigns')
+        .send({ statuses: ['scheduled'] })
+        .expect(400);
+
+      expect(campaignService.createCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when no deliveries match', async () => {
+      campaignService.createCampaign.mockResolvedValue({ created: false, reason: 'no_deliveries' });
+
+      await request(app)
+        .post('/api/admin/campaigns')
+        .send({ date: '2026-10-19' })
+        .expect(404);
+
+      expect(campaignService.queueCalls).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/campaigns/:id', () => {
+    it('should include progress per outcome', async () => {
+      Campaign.findById.mockResolvedValue(mockCampaign({ status: 'scheduled' }));
+      campaignService.getProgress.mockResolvedValue({
+        counts: { total: 2, queued: 1, in_progress: 0, answered: 1, recorded: 0, failed: 0, closed: 0, skipped: 0 },
+        deliveries: []
+      });
+
+      const response = await request(app)
+        .get(`/api/admin/campaigns/${campaignId}`)
+        .expect(200);
+
+      expect(response.body.progress.answered).toBe(1);
+    });
+  });
+
+  describe('POST /api/admin/campaigns/:id/cancel', () => {
+    it('should not cancel a finished campaign', async () => {
+      Campaign.findById.mockResolvedValue(mockCampaign({ status: 'completed' }));
+
+      await request(app)
+        .post(`/api/admin/campaigns/${campaignId}/cancel`)
+        .expect(409);
+
+      expect(campaignService.cancelCampaign).not.toHaveBeenCalled();
+    });
+
+    it('should record the campaign before and after cancelling it', async () => {
+      const campaign = mockCampaign({ status: 'scheduled' });
+      Campaign.findById.mockResolvedValue(campaign);
+      campaignService.cancelCampaign.mockImplementation(async cancelled => {
+        cancelled.status = 'cancelled';
+        return 3;
+      });
+
+      const response = await request(app)
+        .post(`/api/admin/campaigns/${campaignId}/cancel`)
+        .expect(200);
+
+      expect(response.body.removedCalls).toBe(3);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'campaign.cancel',
+        target: { type: 'campaign', id: campaignId },
+        before: expect.objectContaining({ status: 'scheduled' }),
+        after: campaign
+      });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/database/models/Customer', () => {
+  const Customer = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = '507f1f77bcf86cd799439011';
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Customer.find = jest.fn();
+  Customer.findOne = jest.fn();
+  Customer.findById = jest.fn();
+  Customer.findByIdAndUpdate = jest.fn();
+  Customer.findByIdAndDelete = jest.fn();
+  Customer.countDocuments = jest.fn();
+  return Customer;
+});
+jest.mock('../../../src/database/models/Delivery', () => ({
+  countDocuments: jest.fn()
+}));
+jest.mock('../../../src/services/addressService', () => ({
+  addAddress: jest.fn(),
+  removeAddress: jest.fn(),
+  describeRejection: jest.fn(() => 'Customer not found')
+}));
+jest.mock('../../../src/services/customerService', () => ({
+  buildSearchQuery: jest.fn(() => ({})),
+  getHistory: jest.fn(),
+  mergeCustomers: jest.fn()
+}));
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn(),
+  toPlain: jest.fn(doc => ({ ...doc }))
+}));
+
+const Customer = require('../../../src/database/models/Customer');
+const Delivery = require('../../../src/database/models/Delivery');
+const customerService = require('../../../src/services/customerService');
+const addressService = require('../../../src/services/addressService');
+const auditService = require('../../../src/services/auditService');
+const customersRouter = require('../../../src/api/routes/customers');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/customers', customersRouter);
+
+const customerId = '507f1f77bcf86cd799439011';
+const otherId = '507f1f77bcf86cd799439012';
+
+describe('Customers API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/customers', () => {
+    it('should store the phone number in E.164', async () => {
+      Customer.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/api/customers')
+        .send({ name: 'Jane Customer', phone: '(555) 123-4567' })
+        .expect(201);
+
+      expect(Customer.findOne).toHaveBeenCalledWith({ phone: '+15551234567' });
+      expect(response.body.phone).toBe('+15551234567');
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'customer.create',
+        target: { type: 'customer', id: customerId }
+      }));
+    });
+
+    it('should reject a number another customer already has', async () => {
+      Customer.findOne.mockResolvedValue({ _id: otherId });
+
+      const response = await request(app)
+        .post('/api/customers')
+        .send({ name: 'Jane Customer', phone: '+1 555 123 4567' })
+        .expect(409);
+
+      expect(response.body.customerId).toBe(otherId);
+      expect(Customer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/customers/:id', () => {
+    it('should record the customer before and after the change', async () => {
+      const before = { _id: customerId, name: 'Jane Customer' };
+      const customer = { _id: customerId, name: 'Jane Smith' };
+      Customer.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(before) });
+      Customer.findByIdAndUpdate.mockResolvedValue(customer);
+
+      await request(app)
+        .put(`/api/customers/${customerId}`)
+        .send({ name: 'Jane Smith' })
+        .expect(200);
+
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'customer.update',
+        target: { type: 'customer', id: customerId },
+        before,
+        after: customer
+      });
+    });
+
+    it('should return 404 for unknown customers', async () => {
+      Customer.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      await request(app)
+        .put(`/api/customers/${customerId}`)
+        .send({ name: 'Jane Smith' })
+        .expect(404);
+
+      expect(Customer.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/customers/:id/history', () => {
+    it('should return the customer with their history', async () => {
+      Customer.findById.mockResolvedValue({ _id: customerId, name: 'Jane Customer' });
+      customerService.getHistory.mockResolvedValue({
+        deliveries: [{ _id: 'd1' }],
+        callLogs: [],
+        recordings: [],
+        preferences: { stored: {}, learned: { preferredHours: [18] } }
+      });
+
+      const response = await request(app)
+        .get(`/api/customers/${customerId}/history`)
+        .expect(200);
+
+      expect(response.body.customer.name).toBe('Jane Customer');
+      expect(response.body.deliveries).toHaveLength(1);
+      expect(response.body.preferences.learned.preferredHours).toEqual([18]);
+    });
+  });
+
+  describe('POST /api/customers/:id/addresses', () => {
+    it('should add the address to the customer\'s address book', async () => {
+      const before = { _id: customerId, addresses: [] };
+      const address = { _id: otherId, line1: '12 Oak Lane', location: { type: 'Point', coordinates: [-89.65, 39.78] } };
+      const customer = { _id: customerId, addresses: [address] };
+      Customer.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(before) });
+      addressService.addAddress.mockResolvedValue({ added: true, customer, address });
+
+      const response = await request(app)
+        .post(`/api/customers/${customerId}/addresses`)
+        .send({ line1: '12 Oak Lane', city: 'Springfield', country: 'US', access_notes: 'Gate 4321' })
+        .expect(201);
+
+      expect(addressService.addAddress).toHaveBeenCalledWith(customerId, expect.objectContaining({ line1: '12 Oak Lane' }));
+      expect(response.body.location.coordinates).toEqual([-89.65, 39.78]);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'customer.address_add',
+        target: { type: 'customer', id: customerId },
+        before,
+        after: customer
+      });
+    });
+
+    it('should require both coordinates when either is given', async () => {
+      await request(app)
+        .post(`/api/customers/${customerId}/addresses`)
+        .send({ line1: '12 Oak Lane', latitude: 39.78 })
+        .expect(400);
+
+      expect(addressService.addAddress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/customers/:id/addresses/:addressId', () => {
+    it('should not remove an address open deliveries are going to', async () => {
+      Customer.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: customerId }) });
+      addressService.removeAddress.mockResolvedValue({ removed: false, reason: 'in_use', deliveries: 2 });
+
+      const response = await request(app)
+        .delete(`/api/customers/${customerId}/addresses/${otherId}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('2 open deliveries are going to this address');
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/customers/:id/merge', () => {
+    it('should merge the duplicate into the customer', async () => {
+      const target = { _id: customerId };
+      const source = { _id: otherId };
+      Customer.findById.mockImplementation(async id => (id === customerId ? target : source));
+      customerService.mergeCustomers.mockResolvedValue({ merged: true, customer: target, moved: { deliveries: 2, blockedCalls: 0 } });
+
+      const response = await request(app)
+        .post(`/api/customers/${customerId}/merge`)
+        .send({ source_id: otherId })
+        .expect(200);
+
+      expect(customerService.mergeCustomers).toHaveBeenCalledWith(target, source);
+      expect(response.body.moved.deliveries).toBe(2);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'customer.merge',
+        target: { type: 'customer', id: customerId }
+      }));
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'customer.delete',
+        target: { type: 'customer', id: otherId },
+        before: source
+      });
+    });
+  });
+
+  describe('DELETE /api/customers/:id', () => {
+    it('should not delete a customer who has deliveries', async () => {
+      Delivery.countDocuments.mockResolvedValue(2);
+
+      await request(app)
+        .delete(`/api/customers/${customerId}`)
+        .expect(409);
+
+      expect(Customer.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should record the deleted customer', async () => {
+      const customer = { _id: customerId, name: 'Jane Customer' };
+      Delivery.countDocuments.mockResolvedValue(0);
+      Customer.findByIdAndDelete.mockResolvedValue(customer);
+
+      await request(app)
+        .delete(`/api/customers/${customerId}`)
+        .expect(200);
+
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'customer.delete',
+        target: { type: 'customer', id: customerId },
+        before: customer
+      });
+    });
+  });
+});
@@ -1,11 +1,46 @@
 const request = require('supertest');
 const express = require('express');
-const mongoose = require('mongoose');
-const deliveryRoutes = require('../../../src/api/routes/deliveries');
-const Delivery = require('../../../src/database/models/Delivery');
+// mongoose is mocked globally; only real ObjectIds are needed here
+const mongoose = jest.requireActual('mongoose');
 
 // Mock the Delivery model
-jest.mock('../../../src/database/models/Delivery');
+jest.mock('../../../src/database/models/Delivery', () => {
+  const Delivery = jest.fn();
+  Delivery.find = jest.fn();
+  Delivery.findById = jest.fn();
+  Delivery.findByIdAndUpdate = jest.fn();
+  Delivery.findByIdAndDelete = jest.fn();
+  return Delivery;
+});
+jest.mock('../../../src/services/customerService', () => ({
+  findOrCreate: jest.fn()
+}));
+jest.mock('../../../src/services/addressService', () => ({
+  resolveForDelivery: jest.fn(async (customerId, { address }) => ({
+    resolved: true,
+    fields: { address_id: '507f1f77bcf86cd799439099', address }
+  })),
+  describeRejection: jest.fn(() => 'Address not found in the customer\'s address book')
+}));
+jest.mock('../../../src/services/deliveryStatusService', () => ({
+  transition: jest.fn(),
+  describeRejection: jest.fn(() => 'Cannot change status')
+}));
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+jest.mock('../../../src/services/callSchedulingService', () => ({
+  scheduleDeliveryCall: jest.fn(),
+  handleDeliveryUpdate: jest.fn(),
+  cancelDeliveryCall: jest.fn()
+}));
+
+const deliveryRoutes = require('../../../src/api/routes/deliveries');
+const Delivery = require('../../../src/database/models/Delivery');
+const customerService = require('../../../src/services/customerService');
+const addressService = require('../../../src/services/addressService');
+const deliveryStatusService = require('../../../src/services/deliveryStatusService');
+const auditService = require('../../../src/services/auditService');
 
 // Create test app
 const app = express();
@@ -118,6 +153,11 @@ describe('Deliveries API Routes', () => {
 
       expect(response.body.address).toBe(newDeliveryData.address);
       expect(mockDelivery.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'delivery.create',
+        target: { type: 'delivery', id: mockDelivery._id },
+        after: mockDelivery
+      });
     });
 
     it('should handle creation errors', async () => {
@@ -143,6 +183,104 @@ describe('Deliveries API Routes', () => {
 
       expect(response.body.error).toBe('Internal server error');
     });
+    it('should find or create the customer by phone and store the full delivery', async () => {
+      const customerId = new mongoose.Types.ObjectId();
+      customerService.findOrCreate.mockResolvedValue({ _id: customerId, name: 'Jane Customer', phone: '+15555551234' });
+
+      const mockDelivery = {
+        save: jest.fn().mockResolvedValue(true),
+        populate: jest.fn().mockResolvedValue(true)
+      };
+      Delivery.mockImplementation(() => mockDelivery);
+
+      await request(app)
+        .post('/api/deliveries')
+        .send({
+          customer_name: 'Jane Customer',
+          customer_phone: '+15555551234',
+          merchant_reference: 'ORD-1001',
+          address: '123 Main Street, Springfield',
+          latitude: 39.78,
+          longitude: -89.65,
+          scheduled_time: '2026-10-19T15:00:00.000Z',
+          time_window: { start: '2026-10-19T14:00:00.000Z', end: '2026-10-19T16:00:00.000Z' },
+          special_instructions: 'Side door',
+          priority: 'urgent',
+          items: [{ name: 'Box', quantity: 2, value: 19.99 }]
+        })
+        .expect(201);
+
+      expect(customerService.findOrCreate).toHaveBeenCalledWith('Jane Customer', '+15555551234');
+      expect(Delivery).toHaveBeenCalledWith(expect.objectContaining({
+        customer_id: customerId,
+        merchant_reference: 'ORD-1001',
+        location: { type: 'Point', coordinates: [-89.65, 39.78] },
+        instructions: 'Side door',
+        priority: 'urgent',
+        items: [{ name: 'Box', quantity: 2, value: 19.99 }]
+      }));
+    });
+
+    it('should deliver to a saved address with its coordinates and access notes', async () => {
+      const customerId = new mongoose.Types.ObjectId().toString();
+      const addressId = new mongoose.Types.ObjectId().toString();
+      addressService.resolveForDelivery.mockResolvedValueOnce({
+        resolved: true,
+        fields: {
+          address_id: addressId,
+          address: '12 Oak Lane, Springfield, IL 62701, US',
+          access_notes: 'Gate code 4321',
+          location: { type: 'Point', coordinates: [-89.65, 39.78] }
+        }
+      });
+      Delivery.mockImplementation(() => ({
+        save: jest.fn().mockResolvedValue(true),
+        populate: jest.fn().mockResolvedValue(true)
+      }));
+
+      await request(app)
+        .post('/api/deliveries')
+        .send({ customer_id: customerId, address_id: addressId, scheduled_time: new Date().toISOString() })
+        .expect(201);
+
+      expect(addressService.resolveForDelivery).toHaveBeenCalledWith(customerId, expect.objectContaining({ address_id: addressId }));
+      expect(Delivery).toHaveBeenCalledWith(expect.objectContaining({
+        address_id: addressId,
+        address: '12 Oak Lane, Springfield, IL 62701, US',
+        access_notes: 'Gate code 4321',
+        location: { type: 'Point', coordinates: [-89.65, 39.78] }
+      }));
+    });
+
+    it('should reject an address that is not in the customer\'s address book', async () => {
+      addressService.resolveForDelivery.mockResolvedValueOnce({ resolved: false, reason: 'address_not_found' });
+
+      const response = await request(app)
+        .post('/api/deliveries')
+        .send({
+          customer_id: new mongoose.Types.ObjectId().toString(),
+          address_id: new mongoose.Types.ObjectId().toString(),
+          scheduled_time: new Date().toISOString()
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Address not found in the customer\'s address book');
+      expect(Delivery).not.toHaveBeenCalled();
+    });
+
+    it('should require a customer_id or customer phone', async () => {
+      const response = await request(app)
+        .post('/api/deliveries')
+        .send({
+          customer_name: 'Jane Customer',
+          address: '123 Main Street, Springfield',
+          scheduled_time: new Date().toISOString()
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+      expect(Delivery).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /api/deliveries/:id', () => {
@@ -194,21 +332,17 @@ describe('Deliveries API Routes', () => {
       const deliveryId = new mongoose.Types.ObjectId();
       const updatedData = {
         address: '202 Updated Street',
-        status: 'completed'
+        status: 'delivered'
       };
-
       const mockUpdatedDelivery = {
         _id: deliveryId,
         ...updatedData,
         customer_id: new mongoose.Types.ObjectId()
       };
-
-      const mockFindByIdAndUpdate = jest.fn().mockReturnValue({
-        populate: jest.fn().mockReturnValue({
-          populate: jest.fn().mockResolvedValue(mockUpdatedDelivery)
-        })
-      });
-      Delivery.findByIdAndUpdate.mockImplementation(mockFindByIdAndUpdate);
+      const before = { _id: deliveryId, status: 'in_transit', customer_id: mockUpdatedDelivery.customer_id };
+      const populate = jest.fn().mockResolvedValue(mockUpdatedDelivery);
+      deliveryStatusService.transition.mockResolvedValue({ updated: true, changed: true, delivery: { populate } });
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(before) });
 
       const response = await request(app)
         .put(`/api/deliveries/${deliveryId}`)
@@ -217,22 +351,148 @@ describe('Deliveries API Routes', () => {
 
       expect(response.body.address).toBe(updatedData.address);
       expect(response.body.status).toBe(updatedData.status);
+      expect(deliveryStatusService.transition).toHaveBeenCalledWith(
+        deliveryId.toString(),
+        'delivered',
+        {
+          actor: { type: 'api' },
+          reason: undefined,
+          set: expect.objectContaining({ address: updatedData.address })
+        }
+      );
+      expect(addressService.resolveForDelivery).toHaveBeenCalledWith(
+        mockUpdatedDelivery.customer_id,
+        { address_id: undefined, address: updatedData.address }
+      );
+      expect(populate).toHaveBeenCalledWith(['customer_id', 'agent_id']);
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'delivery.update',
+        target: { type: 'delivery', id: deliveryId },
+        before,
+        after: mockUpdatedDelivery
+      });
+      // Status and fields go in one write, so a rejected field can't leave the status changed on its own
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should update the fields without a status change', async () => {
+      const deliveryId = new mongoose.Types.ObjectId();
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: deliveryId, priority: 'low' }) });
+      Delivery.findByIdAndUpdate.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue({ _id: deliveryId, priority: 'high' })
+        })
+      });
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ priority: 'high' })
+        .expect(200);
+
+      expect(deliveryStatusService.transition).not.toHaveBeenCalled();
       expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith(
         deliveryId.toString(),
-        expect.objectContaining(updatedData),
+        expect.objectContaining({ priority: 'high' }),
         { new: true, runValidators: true }
       );
     });
 
-    it('should return 404 for non-existent delivery', async () => {
-      const fakeId = new mongoose.Types.ObjectId();
-      
-      const mockFindByIdAndUpdate = jest.fn().mockReturnValue({
+    it('should move the delivery to the new customer\'s default address', async () => {
+      const deliveryId = new mongoose.Types.ObjectId();
+      const newCustomerId = '507f1f77bcf86cd799439012';
+      Delivery.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: deliveryId,
+          customer_id: '507f1f77bcf86cd799439011',
+          address_id: '507f1f77bcf86cd799439098',
+          location: { type: 'Point', coordinates: [-0.1, 51.5] }
+        })
+      });
+      addressService.resolveForDelivery.mockResolvedValueOnce({
+        resolved: true,
+        fields: { address_id: '507f1f77bcf86cd799439099', address: '5 New Road' }
+      });
+      Delivery.findByIdAndUpdate.mockReturnValue({
         populate: jest.fn().mockReturnValue({
-          populate: jest.fn().mockResolvedValue(null)
+          populate: jest.fn().mockResolvedValue({ _id: deliveryId, customer_id: newCustomerId })
         })
       });
-      Delivery.findByIdAndUpdate.mockImplementation(mockFindByIdAndUpdate);
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ customer_id: newCustomerId })
+        .expect(200);
+
+      expect(addressService.resolveForDelivery).toHaveBeenCalledWith(newCustomerId, { address_id: undefined, address: undefined });
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith(
+        deliveryId.toString(),
+        expect.objectContaining({
+          customer_id: newCustomerId,
+          address_id: '507f1f77bcf86cd799439099',
+          address: '5 New Road',
+          access_notes: null,
+          location: null
+        }),
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should reject a new customer without an address', async () => {
+      const deliveryId = new mongoose.Types.ObjectId();
+      Delivery.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: deliveryId, customer_id: '507f1f77bcf86cd799439011' })
+      });
+      addressService.resolveForDelivery.mockResolvedValueOnce({ resolved: false, reason: 'no_address' });
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ customer_id: '507f1f77bcf86cd799439012' })
+        .expect(400);
+
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should keep the address when the customer is unchanged', async () => {
+      const deliveryId = new mongoose.Types.ObjectId();
+      const customerId = '507f1f77bcf86cd799439011';
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: deliveryId, customer_id: customerId }) });
+      Delivery.findByIdAndUpdate.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue({ _id: deliveryId, customer_id: customerId })
+        })
+      });
+
+      await request(app)
+        .put(`/api/deliveries/${deliveryId}`)
+        .send({ customer_id: customerId, notes: 'Fragile' })
+        .expect(200);
+
+      expect(addressService.resolveForDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should reject a status change the lifecycle does not allow', async () => {
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ status: 'delivered' }) });
+      deliveryStatusService.transition.mockResolvedValue({
+        updated: false,
+        reason: 'invalid_transition',
+        from: 'delivered',
+        to: 'scheduled',
+        allowed: []
+      });
+
+      const response = await request(app)
+        .put(`/api/deliveries/${new mongoose.Types.ObjectId()}`)
+        .send({ status: 'scheduled' })
+        .expect(409);
+
+      expect(response.body.allowed).toEqual([]);
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent delivery', async () => {
+      const fakeId = new mongoose.Types.ObjectId();
+      Delivery.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
 
       const response = await request(app)
         .put(`/api/deliveries/${fakeId}`)
@@ -259,6 +519,11 @@ describe('Deliveries API Routes', () => {
 
       expect(response.body.message).toBe('Delivery deleted successfully');
       expect(Delivery.findByIdAndDelete).toHaveBeenCalledWith(deliveryId.toString());
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'delivery.delete',
+        target: { type: 'delivery', id: deliveryId },
+        before: mockDeletedDelivery
+      });
     });
 
     it('should return 404 for non-existent delivery', async () => {
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../../src/database/models/Organization', () => ({
+  find: jest.fn(),
+  findById: jest.fn()
+}));
+
+jest.mock('../../../src/services/organizationService', () => ({
+  createOrganization: jest.fn(),
+  updateOrganization: jest.fn(),
+  rotateApiKey: jest.fn(),
+  formatOrganization: jest.fn(organization => ({ id: organization._id, name: organization.name }))
+}));
+
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+const Organization = require('../../../src/database/models/Organization');
+const organizationService = require('../../../src/services/organizationService');
+const auditService = require('../../../src/services/auditService');
+const organizationsRouter = require('../../../src/api/routes/organizations');
+
+// Create test app; the platform key check is applied where the router is mounted
+const app = express();
+app.use(express.json());
+app.use('/api/organizations', organizationsRouter);
+
+const ORGANIZATION_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Organizations API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/organizations', () => {
+    it('should create an organization and return its API key once', async () => {
+      organizationService.createOrganization.mockResolvedValue({
+        organization: { _id: ORGANIZATION_ID, name: 'Acme' },
+        apiKey: 'dak_secret'
+      });
+
+      const response = await request(app)
+        .post('/api/organizations')
+        .send({ name: 'Acme', phone_number: '+15005550001', branding: { merchant_name: 'Acme' } })
+        .expect(201);
+
+      expect(response.body).toEqual({ organization: { id: ORGANIZATION_ID, name: 'Acme' }, apiKey: 'dak_secret' });
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'organization.create',
+        target: { type: 'organization', id: ORGANIZATION_ID }
+      }));
+    });
+
+    it('should reject invalid branding', async () => {
+      await request(app)
+        .post('/api/organizations')
+        .send({ name: 'Acme', branding: { primary_color: 'blue' } })
+        .expect(400);
+
+      expect(organizationService.createOrganization).not.toHaveBeenCalled();
+    });
+
+    it('should report a slug or number already in use', async () => {
+      organizationService.createOrganization.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      await request(app)
+        .post('/api/organizations')
+        .send({ name: 'Acme' })
+        .expect(409);
+    });
+  });
+
+  describe('GET /api/organizations', () => {
+    it('should list organizations without their keys', async () => {
+      Organization.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([{ _id: ORGANIZATION_ID, name: 'Acme', api_key_hash: 'hash' }]) });
+
+      const response = await request(app).get('/api/organizations').expect(200);
+
+      expect(response.body.organizations).toEqual([{ id: ORGANIZATION_ID, name: 'Acme' }]);
+    });
+  });
+
+  describe('PUT /api/organizations/:id', () => {
+    it('should update the caller number', async () => {
+      const before = { _id: ORGANIZATION_ID, name: 'Acme', phone_number: '+15005550001' };
+      const organization = { _id: ORGANIZATION_ID, name: 'Acme', phone_number: '+15005550002' };
+      Organization.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(before) });
+      organizationService.updateOrganization.mockResolvedValue(organization);
+
+      await request(app)
+        .put(`/api/organizations/${ORGANIZATION_ID}`)
+        .send({ phone_number: '+15005550002' })
+        .expect(200);
+
+      expect(organizationService.updateOrganization).toHaveBeenCalledWith(ORGANIZATION_ID, { phone_number: '+15005550002' });
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'organization.update',
+        before,
+        after: organization
+      }));
+    });
+
+    it('should return 404 for unknown organizations', async () => {
+      Organization.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+      organizationService.updateOrganization.mockResolvedValue(null);
+
+      await request(app)
+        .put(`/api/organizations/${ORGANIZATION_ID}`)
+        .send({ is_active: false })
+        .expect(404);
+
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/organizations/:id/api-key', () => {
+    it('should return the new key', async () => {
+      Organization.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue({ _id: ORGANIZATION_ID, api_key_hash: 'old' }) });
+      organizationService.rotateApiKey.mockResolvedValue({
+        organization: { _id: ORGANIZATION_ID, name: 'Acme' },
+        apiKey: 'dak_rotated'
+      });
+
+      const response = await request(app).post(`/api/organizations/${ORGANIZATION_ID}/api-key`).expect(200);
+
+      expect(response.body.apiKey).toBe('dak_rotated');
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'organization.rotate_api_key',
+        target: { type: 'organization', id: ORGANIZATION_ID }
+      }));
+    });
+  });
+});
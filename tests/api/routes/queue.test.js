@@ -0,0 +1,329 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock the queue helpers the router depends on
+jest.mock('../../../src/services/queueService', () => ({
+  JOB_STATES: ['waiting', 'active', 'delayed', 'completed', 'failed', 'paused'],
+  callQueue: { name: 'delivery-calls' },
+  addCallJob: jest.fn(),
+  removeCallJob: jest.fn(),
+  getCallJobId: jest.fn(),
+  getCallJobData: jest.fn(),
+  getQueueDetails: jest.fn(),
+  getJobsByState: jest.fn(),
+  getJobWithState: jest.fn(),
+  pauseQueue: jest.fn(),
+  resumeQueue: jest.fn(),
+  drainQueue: jest.fn(),
+}));
+
+jest.mock('../../../src/services/auditService', () => ({
+  record: jest.fn()
+}));
+
+jest.mock('../../../src/database/models/Delivery', () => ({
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/routingService', () => ({}));
+
+jest.mock('../../../src/database/models/DeadLetterCall', () => ({
+  findById: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn()
+}));
+
+// Mock auth middleware to always allow access
+jest.mock('../../../src/api/middleware/auth', () => ({
+  authenticateJWT: (req, res, next) => {
+    req.agent = { id: 'agent-id', role: 'admin' };
+    req.organizationId = 'org1';
+    next();
+  },
+  authenticatePlatformKey: (req, res, next) => {
+    if (req.headers['x-api-key'] !== 'platform-key') {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  },
+  requireAdmin: (req, res, next) => next(),
+}));
+
+const queueService = require('../../../src/services/queueService');
+const Delivery = require('../../../src/database/models/Delivery');
+const DeadLetterCall = require('../../../src/database/models/DeadLetterCall');
+const callSchedulingService = require('../../../src/services/callSchedulingService');
+const auditService = require('../../../src/services/auditService');
+const queueRouter = require('../../../src/api/routes/queue');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/api/admin/queue', queueRouter);
+
+function mockJob(overrides = {}) {
+  return {
+    id: '7',
+    name: 'initiate-call',
+    data: { deliveryId: 'delivery1', organizationId: 'org1' },
+    attemptsMade: 1,
+    failedReason: 'Twilio client not configured',
+    stacktrace: [],
+    timestamp: Date.now(),
+    delay: 0,
+    retry: jest.fn(),
+    promote: jest.fn(),
+    remove: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('Queue API Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/admin/queue', () => {
+    it('should only show queue-wide counts with the platform key', async () => {
+      queueService.getQueueDetails.mockResolvedValue({ name: 'delivery-calls', paused: false, counts: { waiting: 4 } });
+
+      await request(app).get('/api/admin/queue').expect(401);
+      const response = await request(app).get('/api/admin/queue').set('X-API-Key', 'platform-key').expect(200);
+
+      expect(response.body.counts).toEqual({ waiting: 4 });
+    });
+  });
+
+  describe('GET /api/admin/queue/jobs', () => {
+    it('should list jobs with their failure reasons', async () => {
+      queueService.getJobsByState.mockResolvedValue([mockJob()]);
+
+      const response = await request(app)
+        .get('/api/admin/queue/jobs')
+        .query({ state: 'failed' })
+        .expect(200);
+
+      expect(queueService.getJobsByState).toHaveBeenCalledWith('failed', 0, 49, expect.any(Function));
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.jobs[0]).toMatchObject({
+        id: '7',
+        state: 'failed',
+        failedReason: 'Twilio client not configured'
+      });
+    });
+
+    it('should search the whole state for a delivery\'s jobs', async () => {
+      queueService.getJobsByState.mockResolvedValue([mockJob()]);
+
+      await request(app)
+        .get('/api/admin/queue/jobs')
+        .query({ state: 'waiting', delivery_id: 'delivery1', page: 2, limit: 10 })
+        .expect(200);
+
+      const [state, start, end, match] = queueService.getJobsByState.mock.calls[0];
+      expect([state, start, end]).toEqual(['waiting', 10, 19]);
+      expect(match(mockJob())).toBe(true);
+      expect(match(mockJob({ data: { deliveryId: 'other', organizationId: 'org1' } }))).toBe(false);
+    });
+
+    it('should only list jobs of the admin\'s organization', async () => {
+      queueService.getJobsByState.mockResolvedValue([]);
+
+      await request(app).get('/api/admin/queue/jobs').query({ state: 'waiting' }).expect(200);
+
+      const match = queueService.getJobsByState.mock.calls[0][3];
+      expect(match(mockJob())).toBe(true);
+      expect(match(mockJob({ data: { deliveryId: 'delivery1', organizationId: 'org2' } }))).toBe(false);
+      expect(match(mockJob({ data: { deliveryId: 'delivery1' } }))).toBe(false);
+    });
+
+    it('should reject unknown states', async () => {
+      await request(app).get('/api/admin/queue/jobs').query({ state: 'lost' }).expect(400);
+    });
+  });
+
+  describe('POST /api/admin/queue/jobs/:id/retry', () => {
+    it('should retry failed jobs', async () => {
+      const job = mockJob();
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'failed' });
+
+      await request(app).post('/api/admin/queue/jobs/7/retry').expect(200);
+
+      expect(job.retry).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'queue_job.retry',
+        target: { type: 'queue_job', id: '7' }
+      }));
+    });
+
+    it('should refuse to retry jobs that have not failed', async () => {
+      const job = mockJob();
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'completed' });
+
+      await request(app).post('/api/admin/queue/jobs/7/retry').expect(409);
+
+      expect(job.retry).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      queueService.getJobWithState.mockResolvedValue(null);
+
+      await request(app).post('/api/admin/queue/jobs/99/retry').expect(404);
+    });
+
+    it('should not retry another organization\'s job', async () => {
+      const job = mockJob({ data: { deliveryId: 'delivery2', organizationId: 'org2' } });
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'failed' });
+
+      await request(app).post('/api/admin/queue/jobs/7/retry').expect(404);
+
+      expect(job.retry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/admin/queue/jobs/:id/promote', () => {
+    it('should promote delayed jobs', async () => {
+      const job = mockJob({ delay: 60000 });
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'delayed' });
+
+      await request(app).post('/api/admin/queue/jobs/7/promote').expect(200);
+
+      expect(job.promote).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/admin/queue/jobs/:id', () => {
+    it('should not show another organization\'s job', async () => {
+      queueService.getJobWithState.mockResolvedValue({ job: mockJob({ data: { deliveryId: 'delivery2', organizationId: 'org2' } }), state: 'waiting' });
+
+      await request(app).get('/api/admin/queue/jobs/7').expect(404);
+    });
+  });
+
+  describe('DELETE /api/admin/queue/jobs/:id', () => {
+    it('should not remove active jobs', async () => {
+      const job = mockJob();
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'active' });
+
+      await request(app).delete('/api/admin/queue/jobs/7').expect(409);
+
+      expect(job.remove).not.toHaveBeenCalled();
+    });
+
+    it('should record what the removed job was', async () => {
+      const job = mockJob();
+      queueService.getJobWithState.mockResolvedValue({ job, state: 'delayed' });
+
+      await request(app).delete('/api/admin/queue/jobs/7').expect(200);
+
+      expect(job.remove).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'queue_job.remove',
+        target: { type: 'queue_job', id: '7' },
+        before: { state: 'delayed', data: job.data }
+      });
+    });
+  });
+
+  describe('queue controls', () => {
+    it('should pause, resume and drain the queue with the platform key', async () => {
+      queueService.drainQueue.mockResolvedValue({ waiting: 2, delayed: 3 });
+
+      await request(app).post('/api/admin/queue/pause').set('X-API-Key', 'platform-key').expect(200);
+      await request(app).post('/api/admin/queue/resume').set('X-API-Key', 'platform-key').expect(200);
+      const response = await request(app).post('/api/admin/queue/drain').set('X-API-Key', 'platform-key').expect(200);
+
+      expect(queueService.pauseQueue).toHaveBeenCalled();
+      expect(queueService.resumeQueue).toHaveBeenCalled();
+      expect(response.body.removed).toEqual({ waiting: 2, delayed: 3 });
+      expect(auditService.record).toHaveBeenCalledWith(expect.anything(), {
+        action: 'queue.drain',
+        target: { type: 'queue', id: 'delivery-calls' },
+        before: { waiting: 2, delayed: 3 }
+      });
+    });
+
+    it('should not let an organization\'s admin stop every organization\'s calls', async () => {
+      await request(app).post('/api/admin/queue/pause').expect(401);
+      await request(app).post('/api/admin/queue/drain').expect(401);
+
+      expect(queueService.pauseQueue).not.toHaveBeenCalled();
+      expect(queueService.drainQueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dead letters', () => {
+    function mockDeadLetter(overrides = {}) {
+      return {
+        _id: 'dead1',
+        delivery_id: 'delivery1',
+        job_id: '7',
+        job_data: { deliveryId: 'delivery1', attempt: 2 },
+        failure_class: 'invalid_number',
+        error_message: 'The phone number is not valid',
+        attempts_made: 1,
+        save: jest.fn(),
+        ...overrides
+      };
+    }
+
+    it('should list dead letters with the retry rules', async () => {
+      DeadLetterCall.find.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue([mockDeadLetter()])
+      });
+      DeadLetterCall.countDocuments.mockResolvedValue(1);
+
+      const response = await request(app)
+        .get('/api/admin/queue/dead-letters')
+        .query({ failure_class: 'invalid_number', resolved: 'false' })
+        .expect(200);
+
+      expect(DeadLetterCall.find).toHaveBeenCalledWith({
+        failure_class: 'invalid_number',
+        resolved_at: { $exists: false }
+      });
+      expect(response.body.deadLetters[0]).toMatchObject({ deliveryId: 'delivery1', failureClass: 'invalid_number' });
+      expect(response.body.rules.invalid_number.retries).toBe(0);
+    });
+
+    it('should requeue a dead letter with its original job data', async () => {
+      const deadLetter = mockDeadLetter();
+      DeadLetterCall.findById.mockResolvedValue(deadLetter);
+      queueService.addCallJob.mockResolvedValue({ id: 42 });
+
+      const response = await request(app).post('/api/admin/queue/dead-letters/dead1/requeue').expect(200);
+
+      expect(queueService.addCallJob).toHaveBeenCalledWith({ deliveryId: 'delivery1', attempt: 2, organizationId: 'org1' }, 0, '7');
+      expect(deadLetter.save).toHaveBeenCalled();
+      expect(response.body.deadLetter).toMatchObject({ resolution: 'requeued', requeuedJobId: '42', resolvedBy: 'agent-id' });
+    });
+
+    it('should point the delivery at the requeued call so cancelling it removes the call', async () => {
+      DeadLetterCall.findById.mockResolvedValue(mockDeadLetter());
+      queueService.addCallJob.mockResolvedValue({ id: 42 });
+      queueService.removeCallJob.mockResolvedValue(true);
+
+      await request(app).post('/api/admin/queue/dead-letters/dead1/requeue').expect(200);
+
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith('delivery1', {
+        call_job_id: '42',
+        call_scheduled_for: expect.any(Date)
+      });
+
+      // Cancel the delivery as the requeue left it
+      const [, requeued] = Delivery.findByIdAndUpdate.mock.calls[0];
+      await callSchedulingService.cancelDeliveryCall({ _id: 'delivery1', ...requeued });
+
+      expect(queueService.removeCallJob).toHaveBeenCalledWith('42');
+    });
+
+    it('should not requeue a resolved dead letter twice', async () => {
+      DeadLetterCall.findById.mockResolvedValue(mockDeadLetter({ resolution: 'dismissed', resolved_at: new Date() }));
+
+      await request(app).post('/api/admin/queue/dead-letters/dead1/requeue').expect(409);
+
+      expect(queueService.addCallJob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const request = require('supertest');
+const express = require('express');
+
+// Keypad menu, recording and SMS reply callbacks, with the models and services mocked
+jest.mock('../../../src/database/models/Delivery', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/database/models/CallLog', () => ({
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn()
+}));
+jest.mock('../../../src/database/models/Customer', () => ({
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/database/models/Agent', () => ({}));
+jest.mock('../../../src/database/models/Recording', () => {
+  const Recording = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = 'rec1';
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Recording.schema = { path: jest.fn(() => ({ enumValues: ['instructions', 'reschedule', 'safe_place'] })) };
+  Recording.findByIdAndUpdate = jest.fn();
+  return Recording;
+});
+
+jest.mock('../../../src/api/middleware/twilioWebhook', () => ({
+  validateTwilioWebhook: (req, res, next) => next(),
+  validateTwilioRequest: (req, res, next) => next(),
+  resolveWebhookTenant: (req, res, next) => next()
+}));
+jest.mock('../../../src/services/queueService', () => ({
+  addRecordingJob: jest.fn()
+}));
+jest.mock('../../../src/services/recordingPipelineService', () => ({
+  createProcessing: jest.fn(() => ({ status: 'pending' }))
+}));
+jest.mock('../../../src/services/callRetryService', () => ({}));
+jest.mock('../../../src/services/smsService', () => ({
+  handleInboundMessage: jest.fn()
+}));
+jest.mock('../../../src/services/callScriptService', () => ({
+  switchDigit: '9',
+  getDefaultPrompts: jest.fn(() => ({ error: 'Call error' })),
+  getCallLanguage: jest.fn((delivery, override) => override || 'en'),
+  getAlternateLanguage: jest.fn(language => (language === 'es' ? 'en' : 'es')),
+  getPromptsForDelivery: jest.fn(async (delivery, language) => ({
+    greeting: `Greeting ${language}`,
+    menu: `Menu ${language}`,
+    language_switch: `Switch ${language}`,
+    no_selection: 'No selection',
+    invalid_option: 'Invalid option',
+    confirmed: 'Confirmed',
+    reschedule: 'Reschedule prompt',
+    safe_place: 'Safe place prompt',
+    instructions: 'Instructions prompt',
+    no_recording: 'No recording'
+  })),
+  getSayOptions: jest.fn(language => ({ language })),
+  resolveLanguage: jest.fn(language => language || 'en')
+}));
+
+const Delivery = require('../../../src/database/models/Delivery');
+const CallLog = require('../../../src/database/models/CallLog');
+const Customer = require('../../../src/database/models/Customer');
+const Recording = require('../../../src/database/models/Recording');
+const { addRecordingJob } = require('../../../src/services/queueService');
+const smsService = require('../../../src/services/smsService');
+const webhooksRouter = require('../../../src/api/routes/webhooks');
+
+// Create test app
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/webhooks', webhooksRouter);
+
+const DELIVERY_ID = '64b7f0c2a1b2c3d4e5f60718';
+const VOICE_URL = `${process.env.BASE_URL}/api/webhooks/voice?delivery_id=${DELIVERY_ID}`;
+
+describe('Webhook keypad menu', () => {
+  const delivery = { _id: DELIVERY_ID, customer_id: { _id: 'cust1', language: 'en' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Delivery.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(delivery) });
+    Delivery.findByIdAndUpdate.mockResolvedValue(delivery);
+    CallLog.findOneAndUpdate.mockResolvedValue({});
+  });
+
+  describe('POST /api/webhooks/voice', () => {
+    it('should offer the menu and send the digit to /gather', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/voice')
+        .query({ delivery_id: DELIVERY_ID })
+        .send('CallSid=CA1')
+        .expect(200);
+
+      expect(response.text).toContain('numDigits="1"');
+      expect(response.text).toContain(`/api/webhooks/gather?delivery_id=${DELIVERY_ID}&amp;lang=en`);
+      expect(response.text).toContain('Menu en');
+      expect(response.text).toContain('Switch es');
+      expect(response.text).toContain('No selection');
+    });
+
+    it('should end the call when the delivery is unknown', async () => {
+      Delivery.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app)
+        .post('/api/webhooks/voice')
+        .query({ delivery_id: DELIVERY_ID })
+        .expect(200);
+
+      expect(response.text).toContain('Call error');
+      expect(response.text).not.toContain('<Gather');
+    });
+  });
+
+  describe('POST /api/webhooks/gather', () => {
+    const gather = (body, lang = 'en') => request(app)
+      .post('/api/webhooks/gather')
+      .query({ delivery_id: DELIVERY_ID, lang })
+      .send(body)
+      .expect(200);
+
+    it('should confirm the delivery and hang up on 1', async () => {
+      const response = await gather('CallSid=CA1&Digits=1');
+
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith(DELIVERY_ID, expect.objectContaining({
+        customer_response: 'confirmed',
+        customer_response_channel: 'voice'
+      }));
+      expect(CallLog.findOneAndUpdate).toHaveBeenCalledWith(
+        { call_sid: 'CA1' },
+        { $push: { menu_selections: expect.objectContaining({ digit: '1', option: 'confirmed' }) } }
+      );
+      expect(response.text).toContain('Confirmed');
+      expect(response.text).toContain('<Hangup/>');
+      expect(response.text).not.toContain('<Record');
+    });
+
+    it.each([
+      ['2', 'reschedule', 'Reschedule prompt', 30],
+      ['3', 'safe_place', 'Safe place prompt', 30],
+      ['4', 'instructions', 'Instructions prompt', 60]
+    ])('should record a message for digit %s', async (digit, option, prompt, maxLength) => {
+      const response = await gather(`CallSid=CA1&Digits=${digit}`);
+
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith(DELIVERY_ID, expect.objectContaining({ customer_response: option }));
+      expect(response.text).toContain(prompt);
+      expect(response.text).toContain(`/api/webhooks/recording?delivery_id=${DELIVERY_ID}&amp;purpose=${option}&amp;lang=en`);
+      expect(response.text).toContain(`maxLength="${maxLength}"`);
+      expect(response.text).toContain('transcribe="true"');
+      expect(response.text).toContain('No recording');
+    });
+
+    it('should leave transcription to the pipeline for other languages', async () => {
+      const response = await gather('CallSid=CA1&Digits=4', 'es');
+
+      expect(response.text).toContain('purpose=instructions&amp;lang=es');
+      expect(response.text).toContain('transcribe="false"');
+      expect(response.text).not.toContain('transcribeCallback');
+    });
+
+    it('should replay the menu on 0 without saving a choice', async () => {
+      const response = await gather('CallSid=CA1&Digits=0');
+
+      expect(response.text).toContain(`<Redirect method="POST">${VOICE_URL}&amp;lang=en</Redirect>`);
+      expect(response.text).not.toContain('Invalid option');
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should replay the menu after an invalid digit', async () => {
+      const response = await gather('CallSid=CA1&Digits=7');
+
+      expect(response.text).toContain('Invalid option');
+      expect(response.text).toContain(`<Redirect method="POST">${VOICE_URL}&amp;lang=en</Redirect>`);
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(CallLog.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should replay the menu when no digit was pressed', async () => {
+      const response = await gather('CallSid=CA1');
+
+      expect(response.text).toContain('Invalid option');
+      expect(response.text).toContain(`<Redirect method="POST">${VOICE_URL}&amp;lang=en</Redirect>`);
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should switch language on 9 and remember it for the customer', async () => {
+      const response = await gather('CallSid=CA1&Digits=9');
+
+      expect(Customer.findByIdAndUpdate).toHaveBeenCalledWith('cust1', { language: 'es' });
+      expect(response.text).toContain(`<Redirect method="POST">${VOICE_URL}&amp;lang=es</Redirect>`);
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should end the call when the delivery is unknown', async () => {
+      Delivery.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+      const response = await gather('CallSid=CA1&Digits=1');
+
+      expect(response.text).toContain('Call error');
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/webhooks/recording', () => {
+    const recordingBody = 'CallSid=CA1&RecordingUrl=https%3A%2F%2Fapi.twilio.com%2Frec1&RecordingDuration=12';
+
+    beforeEach(() => {
+      CallLog.findOneAndUpdate.mockResolvedValue({ _id: 'log1', answered_by: 'human' });
+      addRecordingJob.mockResolvedValue({ id: 'job1' });
+    });
+
+    it('should keep the purpose of the menu option that recorded it', async () => {
+      await request(app)
+        .post('/api/webhooks/recording')
+        .query({ delivery_id: DELIVERY_ID, purpose: 'safe_place', lang: 'en' })
+        .send(recordingBody)
+        .expect(200);
+
+      expect(Recording).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'safe_place' }));
+      expect(addRecordingJob).toHaveBeenCalledWith('rec1');
+    });
+
+    it('should treat an unknown purpose as instructions', async () => {
+      await request(app)
+        .post('/api/webhooks/recording')
+        .query({ delivery_id: DELIVERY_ID, purpose: 'confirmed', lang: 'en' })
+        .send(recordingBody)
+        .expect(200);
+
+      expect(Recording).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'instructions' }));
+    });
+
+    it('should not keep a voicemail greeting', async () => {
+      CallLog.findOneAndUpdate.mockResolvedValue({ _id: 'log1', answered_by: 'machine' });
+
+      await request(app)
+        .post('/api/webhooks/recording')
+        .query({ delivery_id: DELIVERY_ID, purpose: 'instructions' })
+        .send(recordingBody)
+        .expect(200);
+
+      expect(Recording).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/webhooks/sms', () => {
+    it('should queue free-text replies for processing and acknowledge them', async () => {
+      smsService.handleInboundMessage.mockResolvedValue({
+        reply: 'Thanks, we have passed your instructions to our driver.',
+        option: 'instructions',
+        delivery,
+        recording: { _id: 'rec2', transcription: 'Gate code 1234' }
+      });
+      addRecordingJob.mockResolvedValue({ id: 'job2' });
+
+      const response = await request(app)
+        .post('/api/webhooks/sms')
+        .send('From=%2B15555550100&Body=Gate%20code%201234&MessageSid=SM1')
+        .expect(200);
+
+      expect(addRecordingJob).toHaveBeenCalledWith('rec2');
+      expect(Recording.findByIdAndUpdate).toHaveBeenCalledWith('rec2', { 'processing.job_id': 'job2' });
+      expect(response.text).toContain('<Message>Thanks, we have passed your instructions to our driver.</Message>');
+    });
+
+    it('should not queue anything for a plain confirmation', async () => {
+      smsService.handleInboundMessage.mockResolvedValue({ reply: 'Thanks! Your delivery is confirmed.', option: 'confirmed', delivery });
+
+      await request(app)
+        .post('/api/webhooks/sms')
+        .send('From=%2B15555550100&Body=YES&MessageSid=SM2')
+        .expect(200);
+
+      expect(addRecordingJob).not.toHaveBeenCalled();
+    });
+  });
+});
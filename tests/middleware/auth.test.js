@@ -1,5 +1,14 @@
 // WORKING AUTH MIDDLEWARE TESTS - Based on actual implementation
-const { authenticateApiKey, authenticateJWT, requireAdmin } = require('../../src/api/middleware/auth');
+jest.mock('../../src/services/organizationService', () => ({
+  isTenantApiKey: jest.fn(key => key.startsWith('dak_')),
+  findByApiKey: jest.fn()
+}));
+
+const { authenticateApiKey, authenticatePlatformKey, authenticateJWT, requireAdmin } = require('../../src/api/middleware/auth');
+const organizationService = require('../../src/services/organizationService');
+const tenantContext = require('../../src/utils/tenantContext');
+
+const ORGANIZATION_ID = '64b7f0c2a1b2c3d4e5f60718';
 
 // Mock jsonwebtoken
 jest.mock('jsonwebtoken');
@@ -27,6 +36,7 @@ describe('Auth Middleware', () => {
     it('should authenticate with valid API key in x-api-key header', () => {
       process.env.API_KEY = 'valid-api-key';
       req.headers['x-api-key'] = 'Bearer valid-api-key';
+      req.headers['x-organization-id'] = ORGANIZATION_ID;
 
       authenticateApiKey(req, res, next);
 
@@ -37,6 +47,7 @@ describe('Auth Middleware', () => {
     it('should authenticate with valid API key in authorization header', () => {
       process.env.API_KEY = 'valid-api-key';
       req.headers['authorization'] = 'Bearer valid-api-key';
+      req.headers['x-organization-id'] = ORGANIZATION_ID;
 
       authenticateApiKey(req, res, next);
 
@@ -44,6 +55,54 @@ describe('Auth Middleware', () => {
       expect(res.status).not.toHaveBeenCalled();
     });
 
+    it('should scope platform key requests to the organization in X-Organization-Id', () => {
+      process.env.API_KEY = 'valid-api-key';
+      req.headers['x-api-key'] = 'Bearer valid-api-key';
+      req.headers['x-organization-id'] = ORGANIZATION_ID;
+      next.mockImplementation(() => {
+        expect(tenantContext.getOrganizationId()).toBe(ORGANIZATION_ID);
+      });
+
+      authenticateApiKey(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.organizationId).toBe(ORGANIZATION_ID);
+      expect(tenantContext.getOrganizationId()).toBeNull();
+    });
+
+    it('should reject the platform key without an organization', () => {
+      process.env.API_KEY = 'valid-api-key';
+      req.headers['x-api-key'] = 'Bearer valid-api-key';
+
+      authenticateApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should scope tenant key requests to the key\'s organization', async () => {
+      organizationService.findByApiKey.mockResolvedValue({ _id: ORGANIZATION_ID });
+      req.headers['x-api-key'] = 'Bearer dak_tenantkey';
+      let scopedTo;
+      next.mockImplementation(() => { scopedTo = tenantContext.getOrganizationId(); });
+
+      await authenticateApiKey(req, res, next);
+
+      expect(organizationService.findByApiKey).toHaveBeenCalledWith('dak_tenantkey');
+      expect(scopedTo).toBe(ORGANIZATION_ID);
+    });
+
+    it('should reject unknown tenant keys', async () => {
+      organizationService.findByApiKey.mockResolvedValue(null);
+      req.headers['x-api-key'] = 'dak_revoked';
+
+      await authenticateApiKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid API key' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should reject request with missing API key', () => {
       authenticateApiKey(req, res, next);
 
@@ -85,9 +144,21 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('authenticatePlatformKey', () => {
+    it('should only accept the platform key', () => {
+      process.env.API_KEY = 'valid-api-key';
+      req.headers['x-api-key'] = 'Bearer dak_tenantkey';
+
+      authenticatePlatformKey(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('authenticateJWT', () => {
     it('should authenticate with valid JWT token', () => {
-      const mockDecoded = { agentId: '123', role: 'agent' };
+      const mockDecoded = { agentId: '123', role: 'agent', organization_id: ORGANIZATION_ID };
       jwt.verify.mockReturnValue(mockDecoded);
       req.headers['authorization'] = 'Bearer valid-jwt-token';
       process.env.JWT_SECRET = 'test-secret';
@@ -101,7 +172,7 @@ describe('Auth Middleware', () => {
     });
 
     it('should use default secret when JWT_SECRET not provided', () => {
-      const mockDecoded = { agentId: '123', role: 'agent' };
+      const mockDecoded = { agentId: '123', role: 'agent', organization_id: ORGANIZATION_ID };
       jwt.verify.mockReturnValue(mockDecoded);
       req.headers['authorization'] = 'Bearer valid-jwt-token';
 
@@ -112,6 +183,27 @@ describe('Auth Middleware', () => {
       expect(next).toHaveBeenCalled();
     });
 
+    it('should run the request inside the token\'s organization', () => {
+      jwt.verify.mockReturnValue({ agentId: '123', role: 'admin', organization_id: ORGANIZATION_ID });
+      req.headers['authorization'] = 'Bearer valid-jwt-token';
+      let scopedTo;
+      next.mockImplementation(() => { scopedTo = tenantContext.getOrganizationId(); });
+
+      authenticateJWT(req, res, next);
+
+      expect(scopedTo).toBe(ORGANIZATION_ID);
+    });
+
+    it('should reject tokens without an organization', () => {
+      jwt.verify.mockReturnValue({ agentId: '123', role: 'agent' });
+      req.headers['authorization'] = 'Bearer old-jwt-token';
+
+      authenticateJWT(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should reject request with missing token', () => {
       authenticateJWT(req, res, next);
 
@@ -0,0 +1,212 @@
+// WORKING TWILIO WEBHOOK MIDDLEWARE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/queueService', () => ({
+  redis: {
+    set: jest.fn(),
+    del: jest.fn()
+  }
+}));
+jest.mock('../../src/services/organizationService', () => ({
+  resolveWebhookOrganization: jest.fn()
+}));
+
+const twilio = require('twilio');
+const { validateTwilioWebhook, validateTwilioRequest, resolveWebhookTenant, getWebhookUrl } = require('../../src/api/middleware/twilioWebhook');
+const { redis } = require('../../src/services/queueService');
+const organizationService = require('../../src/services/organizationService');
+const tenantContext = require('../../src/utils/tenantContext');
+
+describe('Twilio Webhook Middleware', () => {
+  const authToken = 'test_auth_token_1234567890';
+  const params = { CallSid: 'CA123', CallStatus: 'completed' };
+  let req, res, next;
+
+  const buildRequest = (headers = {}, body = params) => {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+    return {
+      method: 'POST',
+      protocol: 'http',
+      originalUrl: '/api/webhooks/call-status?delivery_id=abc',
+      ip: '127.0.0.1',
+      body,
+      get: (name) => lowerHeaders[name.toLowerCase()]
+    };
+  };
+
+  const sign = (url, body = params) => twilio.getExpectedTwilioSignature(authToken, url, body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.TWILIO_AUTH_TOKEN = authToken;
+    delete process.env.TWILIO_WEBHOOK_BASE_URL;
+    delete process.env.TWILIO_WEBHOOK_VALIDATION;
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      on: jest.fn()
+    };
+    next = jest.fn();
+    redis.set.mockResolvedValue('OK');
+    redis.del.mockResolvedValue(1);
+  });
+
+  describe('getWebhookUrl', () => {
+    it('should rebuild the URL from forwarded headers', () => {
+      req = buildRequest({
+        Host: 'internal:3000',
+        'X-Forwarded-Proto': 'https, http',
+        'X-Forwarded-Host': 'api.example.com'
+      });
+
+      expect(getWebhookUrl(req)).toBe('https://api.example.com/api/webhooks/call-status?delivery_id=abc');
+    });
+
+    it('should prefer the configured public base URL', () => {
+      process.env.TWILIO_WEBHOOK_BASE_URL = 'https://hooks.example.com/';
+      req = buildRequest({ Host: 'internal:3000' });
+
+      expect(getWebhookUrl(req)).toBe('https://hooks.example.com/api/webhooks/call-status?delivery_id=abc');
+    });
+  });
+
+  describe('validateTwilioWebhook', () => {
+    const url = 'https://api.example.com/api/webhooks/call-status?delivery_id=abc';
+    const proxyHeaders = { Host: 'internal:3000', 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'api.example.com' };
+
+    it('should accept a correctly signed request', async () => {
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url) });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(redis.set).toHaveBeenCalledWith(expect.stringMatching(/^twilio:webhook:/), expect.any(String), 'EX', expect.any(Number), 'NX');
+    });
+
+    it('should reject a missing signature', async () => {
+      req = buildRequest(proxyHeaders);
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a forged signature', async () => {
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': 'forged' });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Invalid Twilio signature' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject tampered POST params', async () => {
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url) }, { ...params, CallStatus: 'no-answer' });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject a replayed request', async () => {
+      redis.set.mockResolvedValue(null);
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url) });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should reject a stale Timestamp parameter', async () => {
+      const staleParams = { ...params, Timestamp: new Date(Date.now() - 60 * 60 * 1000).toUTCString() };
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url, staleParams) }, staleParams);
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Stale Twilio webhook' });
+    });
+
+    it('should accept the request when the replay cache is unavailable', async () => {
+      redis.set.mockRejectedValue(new Error('Redis down'));
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url) });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should remember the event rather than the signature', async () => {
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url) });
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(redis.set).toHaveBeenCalledWith('twilio:webhook:call:CA123:completed', expect.any(String), 'EX', expect.any(Number), 'NX');
+    });
+
+    it('should tell a transcription apart from the recording it belongs to', async () => {
+      const transcription = { CallSid: 'CA123', RecordingSid: 'RE1', TranscriptionSid: 'TR1', TranscriptionStatus: 'completed' };
+      req = buildRequest({ ...proxyHeaders, 'X-Twilio-Signature': sign(url, transcription) }, transcription);
+
+      await validateTwilioWebhook(req, res, next);
+
+      expect(redis.set).toHaveBeenCalledWith('twilio:webhook:transcription:TR1', expect.any(String), 'EX', expect.any(Number), 'NX');
+    });
+  });
+
+  describe('validateTwilioRequest', () => {
+    const voiceUrl = 'https://api.example.com/api/webhooks/voice?delivery_id=abc&lang=en';
+    const menuParams = { CallSid: 'CA123', CallStatus: 'in-progress', To: '+15005550006', From: '+15005550001' };
+    const buildMenuRequest = (headers) => ({ ...buildRequest(headers, menuParams), originalUrl: '/api/webhooks/voice?delivery_id=abc&lang=en' });
+
+    it('should let the menu repeat with identical signed redirects', async () => {
+      // Replay cache behaving like Redis SET NX
+      const seen = new Set();
+      redis.set.mockImplementation(async (key) => (seen.has(key) ? null : (seen.add(key), 'OK')));
+      const headers = { Host: 'api.example.com', 'X-Forwarded-Proto': 'https', 'X-Twilio-Signature': sign(voiceUrl, menuParams) };
+
+      // First play, then two presses of 0 redirecting back to the same URL
+      for (let i = 0; i < 3; i++) {
+        validateTwilioRequest(buildMenuRequest(headers), res, next);
+      }
+
+      expect(next).toHaveBeenCalledTimes(3);
+      expect(res.status).not.toHaveBeenCalled();
+      expect(redis.set).not.toHaveBeenCalled();
+    });
+
+    it('should still reject a forged signature', () => {
+      validateTwilioRequest(buildMenuRequest({ Host: 'api.example.com', 'X-Forwarded-Proto': 'https', 'X-Twilio-Signature': 'forged' }), res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveWebhookTenant', () => {
+    it('should run the handler inside the organization the call belongs to', async () => {
+      organizationService.resolveWebhookOrganization.mockResolvedValue('org1');
+      req = { ...buildRequest(), query: { delivery_id: 'abc' } };
+      let scopedTo;
+      next.mockImplementation(() => { scopedTo = tenantContext.getOrganizationId(); });
+
+      await resolveWebhookTenant(req, res, next);
+
+      expect(organizationService.resolveWebhookOrganization).toHaveBeenCalledWith({ deliveryId: 'abc', callSid: 'CA123', to: undefined });
+      expect(scopedTo).toBe('org1');
+    });
+
+    it('should match inbound texts by the number they were sent to', async () => {
+      organizationService.resolveWebhookOrganization.mockResolvedValue(null);
+      req = { ...buildRequest({}, { MessageSid: 'SM1', To: '+15005550001', Body: 'YES' }), query: {} };
+
+      await resolveWebhookTenant(req, res, next);
+
+      expect(organizationService.resolveWebhookOrganization).toHaveBeenCalledWith({ deliveryId: undefined, callSid: 'SM1', to: '+15005550001' });
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,237 @@
+// WORKING ADDRESS SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Customer', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/Delivery', () => ({
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/services/deliveryStatusService', () => ({
+  openStatuses: ['scheduled', 'assigned', 'in_transit', 'failed']
+}));
+jest.mock('../../src/services/geocoding', () => ({
+  name: 'offline',
+  geocode: jest.fn()
+}));
+
+const addressService = require('../../src/services/addressService');
+const Customer = require('../../src/database/models/Customer');
+const Delivery = require('../../src/database/models/Delivery');
+const geocoder = require('../../src/services/geocoding');
+
+let nextId = 1;
+function savedAddress(fields) {
+  return { _id: `a${nextId++}`, ...fields };
+}
+
+function customerWith(addresses = []) {
+  return { _id: 'c1', addresses, save: jest.fn().mockResolvedValue(true) };
+}
+
+describe('AddressService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('formatAddress', () => {
+    it('should join the parts into one line', () => {
+      expect(addressService.formatAddress({
+        line1: '12 Oak Lane',
+        line2: 'Apt 4',
+        city: 'Springfield',
+        region: 'IL',
+        postal_code: '62701',
+        country: 'US'
+      })).toBe('12 Oak Lane, Apt 4, Springfield, IL 62701, US');
+    });
+
+    it('should treat differently written copies of an address as the same', () => {
+      expect(addressService.isSameAddress(
+        { line1: '12 Oak  Lane', city: 'springfield' },
+        { line1: '12 oak lane', city: 'Springfield' }
+      )).toBe(true);
+    });
+  });
+
+  describe('locate', () => {
+    it('should use coordinates given with the address', async () => {
+      const result = await addressService.locate({ line1: '12 Oak Lane' }, { latitude: 39.78, longitude: -89.65 });
+
+      expect(result.location).toEqual({ type: 'Point', coordinates: [-89.65, 39.78] });
+      expect(result.geocode.provider).toBe('manual');
+      expect(geocoder.geocode).not.toHaveBeenCalled();
+    });
+
+    it('should geocode addresses without coordinates', async () => {
+      geocoder.geocode.mockResolvedValue({ latitude: 39.78, longitude: -89.65, precision: 'rooftop' });
+
+      const result = await addressService.locate({ line1: '12 Oak Lane', city: 'Springfield' });
+
+      expect(result.location).toEqual({ type: 'Point', coordinates: [-89.65, 39.78] });
+      expect(result.geocode).toEqual(expect.objectContaining({ provider: 'offline', precision: 'rooftop' }));
+    });
+
+    it('should leave the address unplaced when the geocoder fails', async () => {
+      geocoder.geocode.mockRejectedValue(new Error('timeout'));
+
+      expect(await addressService.locate({ line1: '12 Oak Lane' })).toEqual({});
+    });
+  });
+
+  describe('addAddress', () => {
+    it('should make a customer\'s first address their default', async () => {
+      const customer = customerWith();
+      Customer.findById.mockResolvedValue(customer);
+      geocoder.geocode.mockResolvedValue(null);
+
+      const result = await addressService.addAddress('c1', { line1: ' 12 Oak Lane ', country: 'us', access_notes: 'Gate 4321' });
+
+      expect(result.added).toBe(true);
+      expect(result.address).toEqual({ line1: '12 Oak Lane', country: 'US', access_notes: 'Gate 4321', is_default: true });
+      expect(customer.save).toHaveBeenCalled();
+    });
+
+    it('should move the default to an address added as default', async () => {
+      const home = savedAddress({ line1: '12 Oak Lane', is_default: true });
+      Customer.findById.mockResolvedValue(customerWith([home]));
+      geocoder.geocode.mockResolvedValue(null);
+
+      const result = await addressService.addAddress('c1', { line1: '1 Market St', is_default: true });
+
+      expect(result.address.is_default).toBe(true);
+      expect(home.is_default).toBe(false);
+    });
+
+    it('should report a missing customer', async () => {
+      Customer.findById.mockResolvedValue(null);
+
+      expect(await addressService.addAddress('c1', { line1: '12 Oak Lane' })).toEqual({ added: false, reason: 'customer_not_found' });
+    });
+  });
+
+  describe('updateAddress', () => {
+    it('should geocode an address again when it moves', async () => {
+      const address = savedAddress({
+        line1: '12 Oak Lane',
+        location: { type: 'Point', coordinates: [1, 2] }
+      });
+      Customer.findById.mockResolvedValue(customerWith([address]));
+      geocoder.geocode.mockResolvedValue(null);
+
+      const result = await addressService.updateAddress('c1', address._id, { line1: '14 Oak Lane' });
+
+      expect(result.updated).toBe(true);
+      expect(geocoder.geocode).toHaveBeenCalled();
+      expect(address.location).toBeUndefined();
+    });
+
+    it('should keep the coordinates when only the notes change', async () => {
+      const address = savedAddress({ line1: '12 Oak Lane', location: { type: 'Point', coordinates: [1, 2] } });
+      Customer.findById.mockResolvedValue(customerWith([address]));
+
+      await addressService.updateAddress('c1', address._id, { line1: '12 Oak Lane', access_notes: 'Ring twice' });
+
+      expect(geocoder.geocode).not.toHaveBeenCalled();
+      expect(address.location.coordinates).toEqual([1, 2]);
+      expect(address.access_notes).toBe('Ring twice');
+    });
+  });
+
+  describe('removeAddress', () => {
+    it('should not remove an address open deliveries are going to', async () => {
+      const address = savedAddress({ line1: '12 Oak Lane' });
+      Customer.findById.mockResolvedValue(customerWith([address]));
+      Delivery.countDocuments.mockResolvedValue(2);
+
+      const result = await addressService.removeAddress('c1', address._id);
+
+      expect(result).toEqual({ removed: false, reason: 'in_use', deliveries: 2 });
+      expect(Delivery.countDocuments).toHaveBeenCalledWith({
+        customer_id: 'c1',
+        address_id: address._id,
+        status: { $in: ['scheduled', 'assigned', 'in_transit', 'failed'] }
+      });
+      expect(Customer.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should pull an unused address', async () => {
+      const address = savedAddress({ line1: '12 Oak Lane' });
+      Customer.findById.mockResolvedValue(customerWith([address]));
+      Delivery.countDocuments.mockResolvedValue(0);
+      Customer.findByIdAndUpdate.mockResolvedValue({ _id: 'c1', addresses: [] });
+
+      const result = await addressService.removeAddress('c1', address._id);
+
+      expect(result.removed).toBe(true);
+      expect(Customer.findByIdAndUpdate).toHaveBeenCalledWith('c1', { $pull: { addresses: { _id: address._id } } }, { new: true });
+    });
+  });
+
+  describe('resolveForDelivery', () => {
+    it('should use a saved address by ID', async () => {
+      const address = savedAddress({
+        line1: '12 Oak Lane',
+        city: 'Springfield',
+        access_notes: 'Gate 4321',
+        location: { type: 'Point', coordinates: [-89.65, 39.78] }
+      });
+      Customer.findById.mockResolvedValue(customerWith([address]));
+
+      const result = await addressService.resolveForDelivery('c1', { address_id: address._id });
+
+      expect(result).toEqual({
+        resolved: true,
+        fields: {
+          address_id: address._id,
+          address: '12 Oak Lane, Springfield',
+          access_notes: 'Gate 4321',
+          location: { type: 'Point', coordinates: [-89.65, 39.78] }
+        }
+      });
+    });
+
+    it('should reuse a saved address instead of adding it again', async () => {
+      const address = savedAddress({ line1: '12 Oak Lane, Springfield' });
+      const customer = customerWith([address]);
+      Customer.findById.mockResolvedValue(customer);
+
+      const result = await addressService.resolveForDelivery('c1', { address: '12 oak lane, Springfield' });
+
+      expect(result.fields.address_id).toBe(address._id);
+      expect(customer.save).not.toHaveBeenCalled();
+    });
+
+    it('should add a new free-text address to the address book', async () => {
+      const customer = customerWith();
+      Customer.findById.mockResolvedValue(customer);
+      geocoder.geocode.mockResolvedValue({ latitude: 40.71, longitude: -74.01, precision: 'approximate' });
+
+      const result = await addressService.resolveForDelivery('c1', { address: '1 Market Street, New York' });
+
+      expect(customer.addresses).toHaveLength(1);
+      expect(customer.addresses[0].line1).toBe('1 Market Street, New York');
+      expect(customer.save).toHaveBeenCalled();
+      expect(result.fields.location).toEqual({ type: 'Point', coordinates: [-74.01, 40.71] });
+    });
+
+    it('should fall back to the default address', async () => {
+      const work = savedAddress({ line1: '1 Market St' });
+      const home = savedAddress({ line1: '12 Oak Lane', is_default: true });
+      Customer.findById.mockResolvedValue(customerWith([work, home]));
+
+      const result = await addressService.resolveForDelivery('c1', {});
+
+      expect(result.fields.address_id).toBe(home._id);
+    });
+
+    it('should reject unknown addresses and customers without one', async () => {
+      Customer.findById.mockResolvedValue(customerWith([savedAddress({ line1: '1 Market St' }), savedAddress({ line1: '2 Market St' })]));
+
+      expect(await addressService.resolveForDelivery('c1', { address_id: 'missing' })).toEqual({ resolved: false, reason: 'address_not_found' });
+      expect(await addressService.resolveForDelivery('c1', {})).toEqual({ resolved: false, reason: 'no_address' });
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
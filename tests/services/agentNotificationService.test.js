@@ -0,0 +1,75 @@
+// WORKING AGENT NOTIFICATION SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/twilioService', () => ({
+  sendSms: jest.fn()
+}));
+jest.mock('../../src/services/pushService', () => ({
+  sendNewRecordingNotification: jest.fn()
+}));
+jest.mock('../../src/services/queueService', () => ({
+  redis: { publish: jest.fn() }
+}));
+
+const agentNotificationService = require('../../src/services/agentNotificationService');
+const twilioService = require('../../src/services/twilioService');
+const pushService = require('../../src/services/pushService');
+const { redis } = require('../../src/services/queueService');
+
+describe('AgentNotificationService', () => {
+  const delivery = { _id: 'del1', address: '1 Main St', agent_id: { _id: 'agent1', phone: '+15005550006' } };
+  const details = { recordingId: 'rec1', recordingUrl: null, transcription: 'Leave it at the door' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    twilioService.sendSms.mockResolvedValue({});
+    pushService.sendNewRecordingNotification.mockResolvedValue({});
+    redis.publish.mockResolvedValue(1);
+  });
+
+  describe('notifyNewInstructions', () => {
+    it('should notify the agent on every channel and report each one', async () => {
+      const onSent = jest.fn();
+
+      const notified = await agentNotificationService.notifyNewInstructions(delivery, details, { onSent });
+
+      expect(notified).toBe(true);
+      expect(twilioService.sendSms).toHaveBeenCalledWith('+15005550006',
+        'New customer instructions for delivery at 1 Main St: Leave it at the door');
+      expect(pushService.sendNewRecordingNotification).toHaveBeenCalledWith(delivery.agent_id, delivery, null);
+      expect(redis.publish).toHaveBeenCalled();
+      expect(onSent.mock.calls).toEqual([['sms'], ['push']]);
+    });
+
+    it('should skip channels an earlier attempt already used', async () => {
+      await agentNotificationService.notifyNewInstructions(delivery, details, { sent: ['sms', 'push'] });
+
+      expect(twilioService.sendSms).not.toHaveBeenCalled();
+      expect(pushService.sendNewRecordingNotification).not.toHaveBeenCalled();
+      expect(redis.publish).toHaveBeenCalled();
+    });
+
+    it('should report a failed SMS as used so a retry does not send it', async () => {
+      const onSent = jest.fn();
+      twilioService.sendSms.mockRejectedValue(new Error('Twilio down'));
+
+      await agentNotificationService.notifyNewInstructions(delivery, details, { onSent });
+
+      expect(onSent).toHaveBeenCalledWith('sms');
+    });
+
+    it('should throw for a retry when the socket event cannot be published', async () => {
+      const onSent = jest.fn();
+      redis.publish.mockRejectedValue(new Error('redis down'));
+
+      await expect(agentNotificationService.notifyNewInstructions(delivery, details, { onSent })).rejects.toThrow('redis down');
+      expect(onSent.mock.calls).toEqual([['sms'], ['push']]);
+    });
+
+    it('should return false when the delivery has no agent', async () => {
+      expect(await agentNotificationService.notifyNewInstructions({ _id: 'del1' }, details)).toBe(false);
+      expect(twilioService.sendSms).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,183 @@
+// WORKING AUDIT SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/AuditLog', () => {
+  const AuditLog = jest.fn(function (data) {
+    Object.assign(this, { _id: 'entry1' }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  return AuditLog;
+});
+
+const auditService = require('../../src/services/auditService');
+const AuditLog = require('../../src/database/models/AuditLog');
+const logger = require('../../src/utils/logger');
+
+function mockRequest(overrides = {}) {
+  return {
+    agent: { id: 'agent1', email: 'admin@example.com', role: 'admin' },
+    ip: '203.0.113.7',
+    headers: { 'user-agent': 'jest' },
+    id: 'req-123',
+    method: 'DELETE',
+    originalUrl: '/api/admin/deliveries/d1',
+    ...overrides
+  };
+}
+
+describe('AuditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('diff', () => {
+    it('should list only the fields that changed', () => {
+      const changes = auditService.diff(
+        { _id: 'd1', status: 'scheduled', address: '1 Main St', updatedAt: new Date('2026-01-01') },
+        { _id: 'd1', status: 'cancelled', address: '1 Main St', updatedAt: new Date('2026-01-02') }
+      );
+
+      expect(changes).toEqual([{ field: 'status', before: 'scheduled', after: 'cancelled' }]);
+    });
+
+    it('should keep every field of a deleted document', () => {
+      const scheduled = new Date('2026-03-01T09:00:00Z');
+      const changes = auditService.diff({ address: '1 Main St', scheduled_time: scheduled }, null);
+
+      expect(changes).toEqual([
+        { field: 'address', before: '1 Main St', after: null },
+        { field: 'scheduled_time', before: scheduled.toISOString(), after: null }
+      ]);
+    });
+
+    it('should record a password change without the password', () => {
+      const changes = auditService.diff(null, { email: 'a@example.com', password: '$2a$10$hash' });
+
+      expect(changes).toContainEqual({ field: 'password', before: null, after: '[redacted]' });
+      expect(JSON.stringify(changes)).not.toContain('$2a$10$hash');
+    });
+
+    it('should record an API key rotation without the key hashes', () => {
+      const changes = auditService.diff(
+        { api_key_hash: 'old-hash', api_key_hint: 'ab12' },
+        { api_key_hash: 'new-hash', api_key_hint: 'cd34' }
+      );
+
+      expect(changes).toEqual([
+        { field: 'api_key_hash', before: '[redacted]', after: '[redacted]' },
+        { field: 'api_key_hint', before: 'ab12', after: 'cd34' }
+      ]);
+    });
+
+    it('should compare populated references by ID', () => {
+      const document = {
+        toObject: jest.fn(() => ({ customer_id: 'c1', agent_id: 'a2' }))
+      };
+
+      const changes = auditService.diff({ customer_id: 'c1', agent_id: 'a1' }, document);
+
+      expect(document.toObject).toHaveBeenCalledWith({ depopulate: true });
+      expect(changes).toEqual([{ field: 'agent_id', before: 'a1', after: 'a2' }]);
+    });
+  });
+
+  describe('record', () => {
+    it('should save who did what, from where and in which request', async () => {
+      const entry = await auditService.record(mockRequest(), {
+        action: 'delivery.delete',
+        target: { type: 'delivery', id: 'd1' },
+        before: { status: 'scheduled' }
+      });
+
+      expect(entry).toMatchObject({
+        actor_type: 'admin',
+        actor_id: 'agent1',
+        actor_email: 'admin@example.com',
+        action: 'delivery.delete',
+        target_type: 'delivery',
+        target_id: 'd1',
+        changes: [{ field: 'status', before: 'scheduled', after: null }],
+        ip: '203.0.113.7',
+        user_agent: 'jest',
+        request_id: 'req-123',
+        method: 'DELETE',
+        path: '/api/admin/deliveries/d1'
+      });
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it('should attribute requests without an agent to the API key', () => {
+      expect(auditService.getActor(mockRequest({ agent: undefined }))).toEqual({ actor_type: 'api_key' });
+      expect(auditService.getActor(mockRequest({ agent: { id: 'agent2', role: 'agent' } }))).toMatchObject({ actor_type: 'agent' });
+    });
+
+    it('should log rather than throw when the entry cannot be saved', async () => {
+      AuditLog.mockImplementationOnce(function () {
+        this.save = jest.fn().mockRejectedValue(new Error('db down'));
+      });
+
+      const entry = await auditService.record(mockRequest(), {
+        action: 'agent.update',
+        target: { type: 'agent', id: 'a1' },
+        before: { name: 'A' },
+        after: { name: 'B' }
+      });
+
+      expect(entry).toBeNull();
+      expect(logger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('should filter by actor, action, target and time range', () => {
+      const query = auditService.buildQuery({
+        actor: 'agent1',
+        action: 'delivery.delete',
+        target_type: 'delivery',
+        target_id: 'd1',
+        from: '2026-01-01',
+        to: '2026-01-31'
+      });
+
+      expect(query).toEqual({
+        actor_id: 'agent1',
+        action: 'delivery.delete',
+        target_type: 'delivery',
+        target_id: 'd1',
+        createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-01-31') }
+      });
+    });
+
+    it('should match everything without filters', () => {
+      expect(auditService.buildQuery({ page: '2' })).toEqual({});
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write a header and quote cells that need it', () => {
+      const csv = auditService.toCsv([{
+        createdAt: new Date('2026-02-01T10:00:00Z'),
+        actor_type: 'admin',
+        actor_id: 'agent1',
+        actor_email: 'admin@example.com',
+        action: 'delivery.update',
+        target_type: 'delivery',
+        target_id: 'd1',
+        changes: [{ field: 'address', before: '1 Main St, Springfield', after: '=HYPERLINK("x")' }],
+        request_id: 'req-123'
+      }]);
+
+      const [header, row] = csv.trim().split('\n');
+      expect(header).toBe('createdAt,actor_type,actor_id,actor_email,action,target_type,target_id,changes,ip,request_id,method,path');
+      expect(row.startsWith('2026-02-01T10:00:00.000Z,admin,agent1,admin@example.com,delivery.update,delivery,d1,"[{""field""')).toBe(true);
+      expect(row.endsWith(',,req-123,,')).toBe(true);
+    });
+
+    it('should stop spreadsheets evaluating formulas', () => {
+      expect(auditService.escapeCsv('=1+1')).toBe("'=1+1");
+      expect(auditService.escapeCsv('-2')).toBe("'-2");
+      expect(auditService.escapeCsv('plain')).toBe('plain');
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
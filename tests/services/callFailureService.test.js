@@ -0,0 +1,144 @@
+// WORKING CALL FAILURE SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/twilioService', () => ({
+  sendSms: jest.fn()
+}));
+jest.mock('../../src/services/pushService', () => ({
+  sendToAgent: jest.fn()
+}));
+jest.mock('../../src/database/models/Agent', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/DeadLetterCall', () => jest.fn(function (data) {
+  Object.assign(this, data);
+  this._id = 'dead1';
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+
+const callFailureService = require('../../src/services/callFailureService');
+const twilioService = require('../../src/services/twilioService');
+const pushService = require('../../src/services/pushService');
+const Agent = require('../../src/database/models/Agent');
+const DeadLetterCall = require('../../src/database/models/DeadLetterCall');
+
+function errorWith(properties) {
+  return Object.assign(new Error('Call failed'), properties);
+}
+
+describe('CallFailureService', () => {
+  const originalAdminPhone = process.env.ADMIN_PHONE;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ADMIN_PHONE;
+    Agent.find.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    if (originalAdminPhone === undefined) {
+      delete process.env.ADMIN_PHONE;
+    } else {
+      process.env.ADMIN_PHONE = originalAdminPhone;
+    }
+  });
+
+  describe('classify', () => {
+    it('should classify missing deliveries', () => {
+      expect(callFailureService.classify(errorWith({ code: 'DELIVERY_NOT_FOUND' }))).toBe('delivery_missing');
+      expect(callFailureService.classify(errorWith({ name: 'CastError' }))).toBe('delivery_missing');
+    });
+
+    it('should classify Twilio invalid number errors', () => {
+      expect(callFailureService.classify(errorWith({ code: 21211, status: 400 }))).toBe('invalid_number');
+      expect(callFailureService.classify(errorWith({ code: 13224 }))).toBe('invalid_number');
+    });
+
+    it('should classify rate limiting by code or HTTP status', () => {
+      expect(callFailureService.classify(errorWith({ code: 20429 }))).toBe('rate_limited');
+      expect(callFailureService.classify(errorWith({ status: 429 }))).toBe('rate_limited');
+    });
+
+    it('should treat everything else as a provider error', () => {
+      expect(callFailureService.classify(errorWith({ code: 'ECONNRESET' }))).toBe('provider_error');
+      expect(callFailureService.classify(errorWith({ status: 503 }))).toBe('provider_error');
+      expect(callFailureService.classify(new Error('Twilio client not configured'))).toBe('provider_error');
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should never retry permanent failures', () => {
+      expect(callFailureService.getRetryDelay(1, errorWith({ code: 21211 }))).toBe(-1);
+      expect(callFailureService.getRetryDelay(1, errorWith({ code: 'DELIVERY_NOT_FOUND' }))).toBe(-1);
+    });
+
+    it('should back off exponentially until the class runs out of retries', () => {
+      const providerError = errorWith({ status: 500 });
+
+      expect(callFailureService.getRetryDelay(1, providerError)).toBe(30000);
+      expect(callFailureService.getRetryDelay(2, providerError)).toBe(60000);
+      expect(callFailureService.getRetryDelay(3, providerError)).toBe(120000);
+      expect(callFailureService.getRetryDelay(4, providerError)).toBe(-1);
+    });
+
+    it('should give rate limited calls more, slower retries', () => {
+      const rateLimited = errorWith({ code: 20429 });
+
+      expect(callFailureService.getRetryDelay(1, rateLimited)).toBe(60000);
+      expect(callFailureService.getRetryDelay(5, rateLimited)).toBe(960000);
+      expect(callFailureService.getRetryDelay(6, rateLimited)).toBe(-1);
+      expect(callFailureService.getMaxAttempts()).toBe(6);
+    });
+  });
+
+  describe('deadLetter', () => {
+    const job = {
+      id: 7,
+      data: { deliveryId: 'delivery1', attempt: 1 },
+      attemptsMade: 1,
+      stacktrace: ['Error: The number is not valid']
+    };
+
+    it('should persist the failed job against its delivery', async () => {
+      const deadLetter = await callFailureService.deadLetter(job, errorWith({ code: 21211, message: 'The number is not valid' }));
+
+      expect(DeadLetterCall).toHaveBeenCalledWith(expect.objectContaining({
+        delivery_id: 'delivery1',
+        job_id: '7',
+        job_data: job.data,
+        failure_class: 'invalid_number',
+        error_code: '21211',
+        attempts_made: 1
+      }));
+      expect(deadLetter.save).toHaveBeenCalled();
+    });
+
+    it('should not reference a delivery that no longer exists', async () => {
+      await callFailureService.deadLetter(job, errorWith({ code: 'DELIVERY_NOT_FOUND' }));
+
+      expect(DeadLetterCall.mock.calls[0][0].delivery_id).toBeUndefined();
+    });
+
+    it('should notify admins by SMS and push', async () => {
+      process.env.ADMIN_PHONE = '+15555550199';
+      Agent.find.mockResolvedValue([{ _id: 'admin1', push_subscription: {} }]);
+
+      await callFailureService.deadLetter(job, errorWith({ code: 21211 }));
+
+      expect(twilioService.sendSms).toHaveBeenCalledWith('+15555550199', expect.stringContaining('delivery1'));
+      expect(pushService.sendToAgent).toHaveBeenCalledWith(
+        { _id: 'admin1', push_subscription: {} },
+        expect.objectContaining({ data: expect.objectContaining({ type: 'call_dead_letter', failureClass: 'invalid_number' }) })
+      );
+    });
+
+    it('should still dead-letter when notifications fail', async () => {
+      process.env.ADMIN_PHONE = '+15555550199';
+      twilioService.sendSms.mockRejectedValue(new Error('SMS down'));
+      Agent.find.mockRejectedValue(new Error('Database down'));
+
+      await expect(callFailureService.deadLetter(job, errorWith({ status: 503 }))).resolves.toBeDefined();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
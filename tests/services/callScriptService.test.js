@@ -0,0 +1,166 @@
+// WORKING CALL SCRIPT SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+jest.mock('../../src/database/models/CallScript', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  updateMany: jest.fn()
+}));
+
+const callScriptService = require('../../src/services/callScriptService');
+const cacheService = require('../../src/services/cacheService');
+const CallScript = require('../../src/database/models/CallScript');
+const tenantContext = require('../../src/utils/tenantContext');
+
+describe('CallScriptService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cacheService.get.mockResolvedValue(null);
+  });
+
+  describe('renderTemplate', () => {
+    it('should replace known placeholders', () => {
+      const text = callScriptService.renderTemplate('Hi {{ customer_name }}, this is {{merchant_name}}.', {
+        customer_name: 'Jane',
+        merchant_name: 'Acme'
+      });
+
+      expect(text).toBe('Hi Jane, this is Acme.');
+    });
+
+    it('should render missing values as empty strings', () => {
+      expect(callScriptService.renderTemplate('Deliver to {{address}}', {})).toBe('Deliver to ');
+    });
+  });
+
+  describe('formatPhoneForSpeech', () => {
+    it('should spell out the digits', () => {
+      expect(callScriptService.formatPhoneForSpeech('+1 (555) 010-0')).toBe('1 5 5 5 0 1 0 0');
+    });
+  });
+
+  describe('findUnknownVariables', () => {
+    it('should list unsupported placeholders once', () => {
+      const unknown = callScriptService.findUnknownVariables({
+        greeting: 'Hi {{customer_name}} {{order_total}}',
+        menu: 'Pay {{order_total}} or {{tip}}'
+      });
+
+      expect(unknown).toEqual(['order_total', 'tip']);
+    });
+  });
+
+  describe('renderPrompts', () => {
+    it('should fall back to default prompts the script leaves out', () => {
+      const prompts = callScriptService.renderPrompts(
+        { prompts: { greeting: 'Hello {{customer_name}}!' } },
+        { customer_name: 'Jane' }
+      );
+
+      expect(prompts.greeting).toBe('Hello Jane!');
+      expect(prompts.menu).toBe(callScriptService.getDefaultPrompts().menu);
+    });
+
+    it('should use defaults in the script language', () => {
+      const prompts = callScriptService.renderPrompts({ language: 'es', prompts: {} }, {});
+
+      expect(prompts.confirmed).toBe(callScriptService.getDefaultPrompts('es').confirmed);
+    });
+  });
+
+  describe('languages', () => {
+    it('should use the customer language unless the caller switched', () => {
+      const delivery = { customer_id: { language: 'es' } };
+
+      expect(callScriptService.getCallLanguage(delivery)).toBe('es');
+      expect(callScriptService.getCallLanguage(delivery, 'en')).toBe('en');
+    });
+
+    it('should fall back to English for unsupported languages', () => {
+      expect(callScriptService.resolveLanguage('xx')).toBe('en');
+      expect(callScriptService.resolveLanguage('es-MX')).toBe('es');
+    });
+
+    it('should offer Spanish to English callers and English to Spanish callers', () => {
+      expect(callScriptService.getAlternateLanguage('en')).toBe('es');
+      expect(callScriptService.getAlternateLanguage('es')).toBe('en');
+    });
+
+    it('should pick a voice matching the language', () => {
+      expect(callScriptService.getSayOptions('es')).toEqual({ voice: 'Polly.Lupe', language: 'es-US' });
+    });
+  });
+
+  describe('getActiveScript', () => {
+    it('should use the built-in script when none is active', async () => {
+      CallScript.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const script = await callScriptService.getActiveScript('es');
+
+      expect(script.name).toBe('default');
+      expect(CallScript.findOne).toHaveBeenCalledWith({ is_active: true, language: 'es' });
+      expect(cacheService.set).toHaveBeenCalledWith('call_script:active:es', script, 60);
+    });
+
+    it('should cache each organization\'s script separately', async () => {
+      CallScript.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      const script = await tenantContext.run('org1', () => callScriptService.getActiveScript('en'));
+
+      expect(cacheService.get).toHaveBeenCalledWith('call_script:active:org1:en');
+      expect(cacheService.set).toHaveBeenCalledWith('call_script:active:org1:en', script, 60);
+    });
+
+    it('should return the cached script without querying MongoDB', async () => {
+      cacheService.get.mockResolvedValue({ name: 'holiday', version: 2, prompts: {} });
+
+      const script = await callScriptService.getActiveScript('en');
+
+      expect(script.name).toBe('holiday');
+      expect(CallScript.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildVariables', () => {
+    it('should introduce the call with the organization\'s branding and number', () => {
+      const variables = callScriptService.buildVariables(
+        { customer_id: { name: 'Jo' }, address: '1 Main St' },
+        'en',
+        { name: 'Acme Ltd', branding: { merchant_name: 'Acme' }, phone_number: '+15005550001' }
+      );
+
+      expect(variables.merchant_name).toBe('Acme');
+      expect(variables.callback_number).toBe('1 5 0 0 5 5 5 0 0 0 1');
+    });
+  });
+
+  describe('formatDeliveryWindow', () => {
+    it('should give the time in the customer\'s timezone', () => {
+      const delivery = { scheduled_time: '2026-03-04T20:00:00Z', customer_id: { timezone: 'America/Los_Angeles' } };
+
+      expect(callScriptService.formatDeliveryWindow(delivery, 'en')).toBe('Wednesday, March 4 at 12:00 PM');
+      expect(callScriptService.formatDeliveryWindow({ ...delivery, customer_id: { timezone: 'Europe/Madrid' } }, 'en'))
+        .toBe('Wednesday, March 4 at 9:00 PM');
+    });
+  });
+
+  describe('activate', () => {
+    it('should deactivate other versions in the language and clear the cache', async () => {
+      const script = { _id: 's2', name: 'holiday', version: 2, language: 'es', save: jest.fn() };
+      CallScript.findById.mockResolvedValue(script);
+
+      await callScriptService.activate('s2');
+
+      expect(CallScript.updateMany).toHaveBeenCalledWith(
+        { is_active: true, language: 'es', _id: { $ne: 's2' } },
+        { is_active: false }
+      );
+      expect(script.is_active).toBe(true);
+      expect(cacheService.del).toHaveBeenCalledWith('call_script:active:es');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+// WORKING CALL THROTTLE SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/queueService', () => {
+  const pipeline = { incr: jest.fn(), expire: jest.fn(), exec: jest.fn() };
+  pipeline.incr.mockReturnValue(pipeline);
+  pipeline.expire.mockReturnValue(pipeline);
+
+  return {
+    redis: {
+      eval: jest.fn(),
+      mget: jest.fn(),
+      pipeline: jest.fn(() => pipeline)
+    }
+  };
+});
+
+const callThrottleService = require('../../src/services/callThrottleService');
+const { redis } = require('../../src/services/queueService');
+
+describe('CallThrottleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    callThrottleService.globalLimit.calls = 1;
+    callThrottleService.globalLimit.burst = 1;
+    callThrottleService.numberLimit.calls = 10;
+    callThrottleService.numberLimit.burst = 2;
+  });
+
+  describe('getBuckets', () => {
+    it('should use a global bucket and one per caller number', () => {
+      const buckets = callThrottleService.getBuckets('+15005550006');
+
+      expect(buckets).toEqual([
+        { key: 'call_rate:bucket:global', capacity: 1, rate: 1 / 1000 },
+        { key: 'call_rate:bucket:number:+15005550006', capacity: 2, rate: 10 / 60000 }
+      ]);
+    });
+
+    it('should skip disabled limits', () => {
+      callThrottleService.globalLimit.calls = 0;
+
+      expect(callThrottleService.getBuckets('+15005550006').map(bucket => bucket.key))
+        .toEqual(['call_rate:bucket:number:+15005550006']);
+    });
+  });
+
+  describe('acquire', () => {
+    it('should allow the call when a token is available', async () => {
+      redis.eval.mockResolvedValue(0);
+
+      const result = await callThrottleService.acquire('+15005550006');
+
+      expect(result).toEqual({ allowed: true });
+      const args = redis.eval.mock.calls[0];
+      expect(args[1]).toBe(2);
+      expect(args.slice(2, 4)).toEqual(['call_rate:bucket:global', 'call_rate:bucket:number:+15005550006']);
+    });
+
+    it('should delay the call until its reserved slot when throttled', async () => {
+      redis.eval.mockResolvedValue(750);
+
+      const result = await callThrottleService.acquire('+15005550006');
+
+      expect(result.allowed).toBe(false);
+      expect(result.delay).toBe(750);
+      expect(result.retryAt.getTime()).toBeGreaterThan(Date.now());
+      expect(redis.pipeline).toHaveBeenCalled();
+    });
+
+    it('should honour a slot reserved by an earlier attempt', async () => {
+      const result = await callThrottleService.acquire('+15005550006', Date.now() - 1000);
+
+      expect(result).toEqual({ allowed: true });
+      expect(redis.eval).not.toHaveBeenCalled();
+    });
+
+    it('should take a new slot when the reservation is stale', async () => {
+      redis.eval.mockResolvedValue(0);
+
+      await callThrottleService.acquire('+15005550006', Date.now() - 10 * 60 * 1000);
+
+      expect(redis.eval).toHaveBeenCalled();
+    });
+
+    it('should dial without throttling when Redis is unavailable', async () => {
+      redis.eval.mockRejectedValue(new Error('Connection is closed.'));
+
+      expect(await callThrottleService.acquire('+15005550006')).toEqual({ allowed: true });
+    });
+  });
+
+  describe('getStats', () => {
+    it('should report calls dialed and throttled per minute', async () => {
+      redis.mget.mockResolvedValue(['12', '3', '4', null, '2', '1']);
+
+      const stats = await callThrottleService.getStats('+15005550006');
+
+      expect(stats.lastMinute).toEqual({ dialed: 12, throttled: 3 });
+      expect(stats.currentMinute).toEqual({ dialed: 4, throttled: 0 });
+      expect(stats.number).toEqual({ from: '+15005550006', lastMinuteDialed: 2, currentMinuteDialed: 1 });
+      expect(stats.limits.callsPerSecond).toBe(1);
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
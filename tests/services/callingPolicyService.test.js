@@ -0,0 +1,123 @@
+// WORKING CALLING POLICY SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/CallLog', () => ({
+  countDocuments: jest.fn()
+}));
+jest.mock('../../src/database/models/Delivery', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/DoNotCall', () => ({
+  exists: jest.fn()
+}));
+jest.mock('../../src/database/models/BlockedCall', () => jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+
+const callingPolicyService = require('../../src/services/callingPolicyService');
+const CallLog = require('../../src/database/models/CallLog');
+const Delivery = require('../../src/database/models/Delivery');
+const DoNotCall = require('../../src/database/models/DoNotCall');
+const BlockedCall = require('../../src/database/models/BlockedCall');
+
+describe('CallingPolicyService', () => {
+  const delivery = {
+    _id: 'delivery1',
+    customer_id: { _id: 'customer1', phone: '+15555550100', timezone: 'UTC' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    callingPolicyService.quietStart = callingPolicyService.parseTime('21:00');
+    callingPolicyService.quietEnd = callingPolicyService.parseTime('08:00');
+    callingPolicyService.dailyAttemptCap = 3;
+    DoNotCall.exists.mockResolvedValue(null);
+    Delivery.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['delivery1']) });
+    CallLog.countDocuments.mockResolvedValue(0);
+  });
+
+  describe('isQuietTime', () => {
+    it('should handle quiet hours that wrap past midnight', () => {
+      expect(callingPolicyService.isQuietTime(22 * 60)).toBe(true);
+      expect(callingPolicyService.isQuietTime(7 * 60 + 59)).toBe(true);
+      expect(callingPolicyService.isQuietTime(8 * 60)).toBe(false);
+      expect(callingPolicyService.isQuietTime(12 * 60)).toBe(false);
+    });
+  });
+
+  describe('resolveTimezone', () => {
+    it('should fall back to the default timezone for invalid values', () => {
+      expect(callingPolicyService.resolveTimezone({ timezone: 'Not/AZone' })).toBe(callingPolicyService.defaultTimezone);
+      expect(callingPolicyService.resolveTimezone({ timezone: 'Europe/Madrid' })).toBe('Europe/Madrid');
+    });
+  });
+
+  describe('check', () => {
+    it('should allow calls outside quiet hours', async () => {
+      const decision = await callingPolicyService.check(delivery, new Date('2026-03-02T12:00:00Z'));
+
+      expect(decision.allowed).toBe(true);
+    });
+
+    it('should reschedule calls in quiet hours to when they end', async () => {
+      const now = new Date('2026-03-02T22:30:00Z');
+
+      const decision = await callingPolicyService.check(delivery, now);
+
+      expect(decision).toMatchObject({ allowed: false, reason: 'quiet_hours', localTime: '22:30' });
+      expect(decision.retryAt.toISOString()).toBe('2026-03-03T08:00:00.000Z');
+    });
+
+    it('should judge quiet hours in the customer timezone', async () => {
+      const chicagoDelivery = { ...delivery, customer_id: { ...delivery.customer_id, timezone: 'America/Chicago' } };
+
+      // 14:00 UTC is 08:00 in Chicago during standard time
+      const decision = await callingPolicyService.check(chicagoDelivery, new Date('2026-01-15T13:30:00Z'));
+
+      expect(decision.reason).toBe('quiet_hours');
+      expect(decision.retryAt.toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    });
+
+    it('should never reschedule numbers on the do-not-call list', async () => {
+      DoNotCall.exists.mockResolvedValue({ _id: 'dnc1' });
+
+      const decision = await callingPolicyService.check(delivery, new Date('2026-03-02T12:00:00Z'));
+
+      expect(decision).toMatchObject({ allowed: false, reason: 'do_not_call', delay: null, retryAt: null });
+    });
+
+    it('should look the number up in E.164', async () => {
+      await callingPolicyService.check({ ...delivery, customer_id: { ...delivery.customer_id, phone: '(555) 123-4567' } }, new Date('2026-03-02T12:00:00Z'));
+
+      expect(DoNotCall.exists).toHaveBeenCalledWith({ phone: '+15551234567' });
+    });
+
+    it('should move calls past the daily cap to the next morning', async () => {
+      CallLog.countDocuments.mockResolvedValue(3);
+
+      const decision = await callingPolicyService.check(delivery, new Date('2026-03-02T12:00:00Z'));
+
+      expect(decision.reason).toBe('daily_cap');
+      expect(decision.retryAt.toISOString()).toBe('2026-03-03T08:00:00.000Z');
+      expect(CallLog.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+        createdAt: { $gte: new Date('2026-03-02T00:00:00Z') }
+      }));
+    });
+  });
+
+  describe('recordBlock', () => {
+    it('should save a compliance record', async () => {
+      const decision = await callingPolicyService.check(delivery, new Date('2026-03-02T22:30:00Z'));
+
+      const record = await callingPolicyService.recordBlock(delivery, decision, 2);
+
+      expect(BlockedCall).toHaveBeenCalledWith(expect.objectContaining({
+        delivery_id: 'delivery1',
+        reason: 'quiet_hours',
+        local_time: '22:30',
+        attempt: 2
+      }));
+      expect(record.save).toHaveBeenCalled();
+    });
+  });
+});
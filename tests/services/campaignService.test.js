@@ -0,0 +1,281 @@
+// WORKING CAMPAIGN SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Campaign', () => {
+  const Campaign = jest.fn(function (data) {
+    Object.assign(this, { deliveries: [], skipped: [], status: 'scheduling' }, data);
+    this._id = 'camp1';
+    this.createdAt = new Date('2026-10-18T06:00:00Z');
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Campaign.findById = jest.fn();
+  Campaign.findByIdAndUpdate = jest.fn();
+  return Campaign;
+});
+jest.mock('../../src/database/models/Delivery', () => ({
+  find: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/CallLog', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/Recording', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/DeadLetterCall', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/deliveryStatusService', () => ({
+  openStatuses: ['scheduled', 'assigned', 'in_transit'],
+  closedStatuses: ['delivered', 'cancelled']
+}));
+jest.mock('../../src/services/callSchedulingService', () => ({
+  scheduleDeliveryCall: jest.fn()
+}));
+jest.mock('../../src/services/callThrottleService', () => ({
+  getBuckets: jest.fn()
+}));
+jest.mock('../../src/services/twilioService', () => ({
+  getCallerNumber: jest.fn(() => '+15005550006')
+}));
+jest.mock('../../src/services/queueService', () => ({
+  addCallJob: jest.fn(),
+  removeCallJob: jest.fn(),
+  getCallJobId: jest.fn((deliveryId, attempt) => `call:${deliveryId}:${attempt}`),
+  getCallJobData: (delivery, data) => ({ deliveryId: delivery._id, organizationId: delivery.organization_id, ...data })
+}));
+
+const campaignService = require('../../src/services/campaignService');
+const Campaign = require('../../src/database/models/Campaign');
+const Delivery = require('../../src/database/models/Delivery');
+const CallLog = require('../../src/database/models/CallLog');
+const Recording = require('../../src/database/models/Recording');
+const DeadLetterCall = require('../../src/database/models/DeadLetterCall');
+const callThrottleService = require('../../src/services/callThrottleService');
+const callSchedulingService = require('../../src/services/callSchedulingService');
+const { addCallJob, removeCallJob } = require('../../src/services/queueService');
+
+// Chainable query that resolves to the given documents
+function query(docs) {
+  const chain = {
+    select: jest.fn(() => chain),
+    populate: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+}
+
+function id(value) {
+  return { toString: () => value };
+}
+
+describe('CampaignService', () => {
+  const filter = {
+    scheduled_from: new Date('2026-10-19T00:00:00Z'),
+    scheduled_to: new Date('2026-10-20T00:00:00Z')
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // 1 call per second account-wide, 10 per minute per number
+    callThrottleService.getBuckets.mockReturnValue([
+      { key: 'global', capacity: 1, rate: 1 / 1000 },
+      { key: 'number', capacity: 2, rate: 10 / 60000 }
+    ]);
+    addCallJob.mockImplementation(async (data, delay, jobId) => ({ id: jobId }));
+    Campaign.findById.mockReturnValue(query({ status: 'scheduling' }));
+  });
+
+  describe('findTargets', () => {
+    it('should only match open deliveries without a customer response', async () => {
+      Delivery.find.mockReturnValue(query([]));
+
+      await campaignService.findTargets({ ...filter, statuses: ['scheduled'], agent_id: 'agent1' });
+
+      expect(Delivery.find).toHaveBeenCalledWith({
+        scheduled_time: { $gte: filter.scheduled_from, $lt: filter.scheduled_to },
+        status: { $in: ['scheduled'], $nin: ['delivered', 'cancelled'] },
+        customer_response: { $exists: false },
+        agent_id: 'agent1'
+      });
+    });
+  });
+
+  describe('planSchedule', () => {
+    it('should spread calls evenly over the window', () => {
+      const start = new Date('2026-10-19T08:00:00Z');
+      const end = new Date('2026-10-19T10:00:00Z');
+
+      const plan = campaignService.planSchedule(100, start, end);
+
+      expect(plan.spacingMs).toBe(72000);
+      expect(plan.overrunsWindow).toBe(false);
+    });
+
+    it('should space calls by the tightest rate limit when the window is too short', () => {
+      const start = new Date('2026-10-19T08:00:00Z');
+      const end = new Date('2026-10-19T09:00:00Z');
+
+      const plan = campaignService.planSchedule(1200, start, end);
+
+      expect(plan.spacingMs).toBe(6000);
+      expect(plan.overrunsWindow).toBe(true);
+      expect(plan.estimatedEnd).toEqual(new Date(start.getTime() + 6000 * 1199));
+    });
+  });
+
+  describe('createCampaign', () => {
+    it('should not create a campaign when nothing matches', async () => {
+      Delivery.find.mockReturnValue(query([]));
+
+      const result = await campaignService.createCampaign({ name: 'Monday', filter });
+
+      expect(result).toEqual({ created: false, reason: 'no_deliveries' });
+      expect(Campaign).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more deliveries than a campaign can hold', async () => {
+      campaignService.maxDeliveries = 2;
+      Delivery.find.mockReturnValue(query([{ _id: 'd1' }, { _id: 'd2' }, { _id: 'd3' }]));
+
+      const result = await campaignService.createCampaign({ name: 'Monday', filter });
+
+      expect(result).toEqual({ created: false, reason: 'too_many_deliveries', maxDeliveries: 2 });
+      campaignService.maxDeliveries = 5000;
+    });
+
+    it('should save the campaign with its window and spacing', async () => {
+      const targets = [{ _id: 'd1' }, { _id: 'd2' }];
+      Delivery.find.mockReturnValue(query(targets));
+      const windowStart = new Date(Date.now() + 60 * 60 * 1000);
+      const windowEnd = new Date(windowStart.getTime() + 60 * 60 * 1000);
+
+      const result = await campaignService.createCampaign({ name: 'Monday', filter, windowStart, windowEnd, createdBy: 'admin1' });
+
+      expect(result.created).toBe(true);
+      expect(result.targets).toBe(targets);
+      expect(result.campaign.window_start).toBe(windowStart);
+      expect(result.campaign.spacing_ms).toBe(30 * 60 * 1000);
+      expect(result.campaign.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('queueCalls', () => {
+    it('should queue each delivery in its slot and take over its scheduled call', async () => {
+      const windowStart = new Date(Date.now() + 60000);
+      const campaign = new Campaign({ window_start: windowStart, spacing_ms: 10000 });
+
+      await campaignService.queueCalls(campaign, [
+        { _id: 'd1', call_attempts: 0, call_job_id: 'call:d1:1' },
+        { _id: 'd2', call_attempts: 2 }
+      ]);
+
+      expect(removeCallJob).toHaveBeenCalledWith('call:d1:1');
+      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: 'd1', campaignId: 'camp1' }, expect.any(Number), 'call:d1:1');
+      expect(addCallJob).toHaveBeenCalledWith({ deliveryId: 'd2', campaignId: 'camp1' }, expect.any(Number), 'call:d2:3');
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith('d2', {
+        call_job_id: 'call:d2:3',
+        call_scheduled_for: new Date(windowStart.getTime() + 10000)
+      });
+      expect(campaign.deliveries).toHaveLength(2);
+      expect(campaign.status).toBe('scheduled');
+    });
+
+    it('should record deliveries that could not be queued and carry on', async () => {
+      const campaign = new Campaign({ window_start: new Date(), spacing_ms: 1000 });
+      addCallJob.mockRejectedValueOnce(new Error('Connection is closed.'));
+
+      await campaignService.queueCalls(campaign, [{ _id: 'd1' }, { _id: 'd2' }]);
+
+      expect(campaign.skipped).toEqual([{ delivery_id: 'd1', reason: 'queue_error' }]);
+      expect(campaign.deliveries.map(entry => entry.delivery_id)).toEqual(['d2']);
+    });
+  });
+
+  describe('getProgress', () => {
+    it('should count how far each delivery got', async () => {
+      const campaign = new Campaign({ status: 'scheduled' });
+      campaign.deliveries = ['d1', 'd2', 'd3', 'd4', 'd5'].map(deliveryId => ({ delivery_id: id(deliveryId) }));
+
+      Delivery.find.mockReturnValue(query(['d1', 'd2', 'd3', 'd4', 'd5'].map(deliveryId => ({ _id: id(deliveryId), status: 'scheduled' }))));
+      CallLog.find.mockReturnValue(query([
+        { _id: id('log1'), delivery_id: id('d1'), status: 'completed', answered_by: 'human' },
+        { _id: id('log2'), delivery_id: id('d2'), status: 'completed', answered_by: 'human' },
+        { _id: id('log3'), delivery_id: id('d3'), status: 'no-answer', retry_scheduled: false },
+        { _id: id('log4'), delivery_id: id('d4'), status: 'in-progress' }
+      ]));
+      Recording.find.mockReturnValue(query([{ call_log_id: id('log1') }]));
+      DeadLetterCall.find.mockReturnValue(query([]));
+
+      const progress = await campaignService.getProgress(campaign);
+
+      expect(progress.counts).toEqual({
+        total: 5,
+        queued: 1,
+        in_progress: 1,
+        answered: 1,
+        recorded: 1,
+        failed: 1,
+        closed: 0,
+        skipped: 0
+      });
+      expect(progress.deliveries.map(delivery => delivery.outcome))
+        .toEqual(['recorded', 'answered', 'failed', 'in_progress', 'queued']);
+      expect(Campaign.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should mark the campaign completed when no calls are left', async () => {
+      const campaign = new Campaign({ status: 'scheduled' });
+      campaign.deliveries = [{ delivery_id: id('d1') }];
+
+      Delivery.find.mockReturnValue(query([{ _id: id('d1'), status: 'cancelled' }]));
+      CallLog.find.mockReturnValue(query([]));
+      Recording.find.mockReturnValue(query([]));
+      DeadLetterCall.find.mockReturnValue(query([]));
+
+      const progress = await campaignService.getProgress(campaign);
+
+      expect(progress.counts.closed).toBe(1);
+      expect(campaign.status).toBe('completed');
+      expect(Campaign.findByIdAndUpdate).toHaveBeenCalledWith('camp1', expect.objectContaining({ status: 'completed' }));
+    });
+  });
+
+  describe('cancelCampaign', () => {
+    it('should remove calls that have not started yet', async () => {
+      const campaign = new Campaign({ status: 'scheduled' });
+      campaign.deliveries = [{ delivery_id: 'd1' }, { delivery_id: 'd2' }];
+      Delivery.find.mockReturnValue(query([
+        { _id: 'd1', status: 'scheduled', call_job_id: 'call:d1:1:throttled:123' },
+        { _id: 'd2', status: 'scheduled', call_job_id: 'call:d2:1' }
+      ]));
+      removeCallJob.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const removed = await campaignService.cancelCampaign(campaign);
+
+      expect(removed).toBe(1);
+      expect(removeCallJob).toHaveBeenCalledWith('call:d1:1:throttled:123');
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith('d1', { $unset: { call_job_id: 1, call_scheduled_for: 1 } });
+      expect(campaign.status).toBe('cancelled');
+    });
+
+    it('should queue the delivery\'s own call again for open deliveries', async () => {
+      const campaign = new Campaign({ status: 'scheduled' });
+      campaign.deliveries = [{ delivery_id: 'd1' }, { delivery_id: 'd2' }, { delivery_id: 'd3' }];
+      const open = { _id: 'd1', status: 'assigned', call_job_id: 'call:d1:1' };
+      const closed = { _id: 'd2', status: 'cancelled', call_job_id: 'call:d2:1' };
+      const started = { _id: 'd3', status: 'scheduled', call_job_id: 'call:d3:1' };
+      Delivery.find.mockReturnValue(query([open, closed, started]));
+      removeCallJob.mockResolvedValueOnce(true).mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+      callSchedulingService.scheduleDeliveryCall.mockResolvedValue({ jobId: 'call:d1:1' });
+
+      await campaignService.cancelCampaign(campaign);
+
+      expect(callSchedulingService.scheduleDeliveryCall).toHaveBeenCalledTimes(1);
+      expect(callSchedulingService.scheduleDeliveryCall).toHaveBeenCalledWith(open);
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,189 @@
+// WORKING CUSTOMER SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Customer', () => ({
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  findByIdAndDelete: jest.fn()
+}));
+jest.mock('../../src/database/models/Delivery', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/database/models/CallLog', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/Recording', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/database/models/BlockedCall', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/services/routingService', () => ({
+  getCustomerCallPreferences: jest.fn()
+}));
+jest.mock('../../src/services/cacheService', () => ({
+  del: jest.fn()
+}));
+jest.mock('../../src/services/addressService', () => ({
+  isSameAddress: jest.fn((a, b) => a.line1 === b.line1)
+}));
+
+const customerService = require('../../src/services/customerService');
+const Customer = require('../../src/database/models/Customer');
+const Delivery = require('../../src/database/models/Delivery');
+const CallLog = require('../../src/database/models/CallLog');
+const Recording = require('../../src/database/models/Recording');
+const BlockedCall = require('../../src/database/models/BlockedCall');
+const routingService = require('../../src/services/routingService');
+const cacheService = require('../../src/services/cacheService');
+
+// Chainable query that resolves to the given documents
+function query(docs) {
+  const chain = {
+    populate: jest.fn(() => chain),
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return chain;
+}
+
+describe('CustomerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildSearchQuery', () => {
+    it('should match a full phone number exactly in E.164', () => {
+      expect(customerService.buildSearchQuery({ phone: '(555) 123-4567' })).toEqual({
+        $and: [{ phone: '+15551234567' }]
+      });
+    });
+
+    it('should match partial numbers, names and emails', () => {
+      expect(customerService.buildSearchQuery({ phone: '4567', name: 'o\'brien (jr', email: '@example.com' })).toEqual({
+        $and: [
+          { phone: { $regex: '4567' } },
+          { name: { $regex: 'o\'brien \\(jr', $options: 'i' } },
+          { email: { $regex: '@example\\.com', $options: 'i' } }
+        ]
+      });
+    });
+
+    it('should search every field for a free-text query', () => {
+      expect(customerService.buildSearchQuery({ q: 'Jane' })).toEqual({
+        $or: [
+          { name: { $regex: 'Jane', $options: 'i' } },
+          { email: { $regex: 'Jane', $options: 'i' } }
+        ]
+      });
+    });
+  });
+
+  describe('findOrCreate', () => {
+    it('should upsert by the normalized phone number', async () => {
+      Customer.findOneAndUpdate.mockResolvedValue({ _id: 'c1' });
+
+      await customerService.findOrCreate('Jane Customer', '555.123.4567');
+
+      expect(Customer.findOneAndUpdate).toHaveBeenCalledWith(
+        { phone: '+15551234567' },
+        { $setOnInsert: { name: 'Jane Customer', phone: '+15551234567' } },
+        { upsert: true, new: true }
+      );
+    });
+
+    it('should return null for a number that cannot be normalized', async () => {
+      expect(await customerService.findOrCreate('Jane Customer', '12345')).toBeNull();
+      expect(Customer.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should collect deliveries, their calls and recordings, and learned preferences', async () => {
+      Delivery.find.mockReturnValue(query([{ _id: 'd1' }, { _id: 'd2' }]));
+      CallLog.find.mockReturnValue(query([{ _id: 'log1', delivery_id: 'd1' }]));
+      Recording.find.mockReturnValue(query([{ _id: 'r1', call_log_id: 'log1' }]));
+      routingService.getCustomerCallPreferences.mockResolvedValue({ preferredHours: [18] });
+
+      const history = await customerService.getHistory({ _id: 'c1', preferences: { contact: 'sms' } });
+
+      expect(Delivery.find).toHaveBeenCalledWith({ customer_id: 'c1' });
+      expect(CallLog.find).toHaveBeenCalledWith({ delivery_id: { $in: ['d1', 'd2'] } });
+      expect(Recording.find).toHaveBeenCalledWith({ call_log_id: { $in: ['log1'] } });
+      expect(history.preferences).toEqual({
+        stored: { contact: 'sms' },
+        learned: { preferredHours: [18] }
+      });
+    });
+  });
+
+  describe('mergeCustomers', () => {
+    const target = { _id: 'c1', name: 'Jane Customer', phone: '+15551234567', preferences: { contact: 'call' } };
+    const source = {
+      _id: 'c2',
+      name: 'J. Customer',
+      phone: '+15559876543',
+      email: 'jane@example.com',
+      preferences: { contact: 'sms', floor: 3 },
+      sms_opt_out: true
+    };
+
+    it('should move deliveries to the kept customer and remove the duplicate', async () => {
+      Delivery.updateMany.mockResolvedValue({ modifiedCount: 3 });
+      BlockedCall.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      Customer.findByIdAndUpdate.mockResolvedValue({ _id: 'c1' });
+
+      const result = await customerService.mergeCustomers(target, source);
+
+      expect(result).toEqual({ merged: true, customer: { _id: 'c1' }, moved: { deliveries: 3, blockedCalls: 0, addresses: 0 } });
+      expect(Delivery.updateMany).toHaveBeenCalledWith({ customer_id: 'c2' }, { customer_id: 'c1' });
+      expect(Customer.findByIdAndDelete).toHaveBeenCalledWith('c2');
+      expect(Customer.findByIdAndUpdate).toHaveBeenCalledWith('c1', {
+        $push: {
+          merged_from: expect.objectContaining({ customer_id: 'c2', phone: '+15559876543' })
+        },
+        $set: {
+          email: 'jane@example.com',
+          preferences: { contact: 'call', floor: 3 },
+          sms_opt_out: true
+        }
+      }, { new: true });
+      expect(cacheService.del).toHaveBeenCalledWith('customer_prefs:c2');
+    });
+
+    it('should bring across addresses the kept customer does not have', async () => {
+      Delivery.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      BlockedCall.updateMany.mockResolvedValue({ modifiedCount: 0 });
+      Customer.findByIdAndUpdate.mockResolvedValue({ _id: 'c1' });
+
+      const result = await customerService.mergeCustomers(
+        { ...target, addresses: [{ _id: 'a1', line1: '12 Oak Lane', is_default: true }] },
+        {
+          ...source,
+          addresses: [
+            { _id: 'a2', line1: '12 Oak Lane', is_default: true },
+            { _id: 'a3', line1: '1 Market St', is_default: false }
+          ]
+        }
+      );
+
+      expect(result.moved.addresses).toBe(1);
+      // Deliveries to the duplicate's copy of a shared address point at the kept one
+      expect(Delivery.updateMany).toHaveBeenCalledWith({ address_id: 'a2' }, { address_id: 'a1' });
+      expect(Customer.findByIdAndUpdate.mock.calls[0][1].$push.addresses).toEqual({
+        $each: [{ _id: 'a3', line1: '1 Market St', is_default: false }]
+      });
+    });
+
+    it('should not merge a customer into itself', async () => {
+      const result = await customerService.mergeCustomers(target, { ...target });
+
+      expect(result).toEqual({ merged: false, reason: 'same_customer' });
+      expect(Delivery.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
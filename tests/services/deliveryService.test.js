@@ -0,0 +1,93 @@
+// WORKING DELIVERY SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Delivery', () => jest.fn(function (data) {
+  Object.assign(this, { _id: 'delivery1' }, data);
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+jest.mock('../../src/services/customerService', () => ({
+  findOrCreate: jest.fn()
+}));
+jest.mock('../../src/services/addressService', () => ({
+  resolveForDelivery: jest.fn(),
+  describeRejection: jest.fn(() => 'Address not found in the customer\'s address book')
+}));
+
+const deliveryService = require('../../src/services/deliveryService');
+const Delivery = require('../../src/database/models/Delivery');
+const customerService = require('../../src/services/customerService');
+const addressService = require('../../src/services/addressService');
+
+describe('DeliveryService', () => {
+  const addressFields = {
+    address_id: 'address1',
+    address: '1 Main Street, Springfield',
+    access_notes: 'Side gate',
+    location: { type: 'Point', coordinates: [-0.1, 51.5] }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    customerService.findOrCreate.mockResolvedValue({ _id: 'customer1' });
+    addressService.resolveForDelivery.mockResolvedValue({ resolved: true, fields: addressFields });
+  });
+
+  describe('createDelivery', () => {
+    it('should create the customer on first delivery and use the resolved address', async () => {
+      const result = await deliveryService.createDelivery({
+        customer_name: 'Jane Doe',
+        customer_phone: '+15555550100',
+        address: '1 Main Street, Springfield',
+        scheduled_time: '2026-10-20T10:00:00.000Z',
+        special_instructions: 'Ring twice',
+        priority: 'high'
+      });
+
+      expect(customerService.findOrCreate).toHaveBeenCalledWith('Jane Doe', '+15555550100');
+      expect(addressService.resolveForDelivery).toHaveBeenCalledWith('customer1', expect.objectContaining({
+        address: '1 Main Street, Springfield'
+      }));
+      expect(result.created).toBe(true);
+      expect(result.delivery).toEqual(expect.objectContaining({
+        customer_id: 'customer1',
+        ...addressFields,
+        instructions: 'Ring twice',
+        priority: 'high'
+      }));
+      expect(result.delivery.save).toHaveBeenCalled();
+    });
+
+    it('should prefer coordinates given with the delivery', async () => {
+      const result = await deliveryService.createDelivery({
+        customer_id: 'customer1',
+        address: '1 Main Street, Springfield',
+        latitude: 40.7,
+        longitude: -74
+      });
+
+      expect(customerService.findOrCreate).not.toHaveBeenCalled();
+      expect(result.delivery.location).toEqual({ type: 'Point', coordinates: [-74, 40.7] });
+    });
+
+    it('should reject an invalid customer phone number', async () => {
+      customerService.findOrCreate.mockResolvedValue(null);
+
+      const result = await deliveryService.createDelivery({ customer_name: 'Jane Doe', customer_phone: '123' });
+
+      expect(result).toEqual({ created: false, reason: 'invalid_phone' });
+      expect(deliveryService.describeRejection(result.reason)).toBe('Invalid customer phone number');
+      expect(Delivery).not.toHaveBeenCalled();
+    });
+
+    it('should pass on why the address could not be used', async () => {
+      addressService.resolveForDelivery.mockResolvedValue({ resolved: false, reason: 'address_not_found' });
+
+      const result = await deliveryService.createDelivery({ customer_id: 'customer1', address_id: 'missing' });
+
+      expect(result).toEqual({ created: false, reason: 'address_not_found' });
+      expect(deliveryService.describeRejection(result.reason)).toBe('Address not found in the customer\'s address book');
+      expect(Delivery).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,128 @@
+// WORKING DELIVERY STATUS SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Delivery', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/services/callSchedulingService', () => ({
+  cancelDeliveryCall: jest.fn()
+}));
+
+const deliveryStatusService = require('../../src/services/deliveryStatusService');
+const Delivery = require('../../src/database/models/Delivery');
+const callSchedulingService = require('../../src/services/callSchedulingService');
+
+describe('DeliveryStatusService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Delivery.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: filter._id, ...update.$set }));
+  });
+
+  describe('canTransition', () => {
+    it('should follow the delivery lifecycle', () => {
+      expect(deliveryStatusService.canTransition('scheduled', 'in_transit')).toBe(true);
+      expect(deliveryStatusService.canTransition('in_transit', 'delivered')).toBe(true);
+      expect(deliveryStatusService.canTransition('failed', 'scheduled')).toBe(true);
+      expect(deliveryStatusService.canTransition('scheduled', 'delivered')).toBe(false);
+      expect(deliveryStatusService.canTransition('delivered', 'failed')).toBe(false);
+      expect(deliveryStatusService.canTransition('cancelled', 'scheduled')).toBe(false);
+    });
+
+    it('should accept legacy status names', () => {
+      expect(deliveryStatusService.normalize('completed')).toBe('delivered');
+      expect(deliveryStatusService.canTransition('in_progress', 'completed')).toBe(true);
+      expect(deliveryStatusService.normalize('bogus')).toBeNull();
+    });
+  });
+
+  describe('transition', () => {
+    it('should update the status and append the change to the history', async () => {
+      Delivery.findOne.mockResolvedValue({ _id: 'd1', status: 'in_transit' });
+
+      const result = await deliveryStatusService.transition('d1', 'failed', {
+        actor: { type: 'agent', id: 'agent1' },
+        reason: 'Nobody home',
+        location: { latitude: 40.7, longitude: -74 },
+        filter: { agent_id: 'agent1' }
+      });
+
+      expect(result).toEqual(expect.objectContaining({ updated: true, changed: true, from: 'in_transit', to: 'failed' }));
+      expect(Delivery.findOne).toHaveBeenCalledWith({ _id: 'd1', agent_id: 'agent1' });
+      expect(Delivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'd1', status: 'in_transit' },
+        {
+          $set: { status: 'failed' },
+          $push: {
+            status_history: {
+              from: 'in_transit',
+              to: 'failed',
+              actor_type: 'agent',
+              actor_id: 'agent1',
+              reason: 'Nobody home',
+              location: { type: 'Point', coordinates: [-74, 40.7] },
+              at: expect.any(Date)
+            }
+          }
+        },
+        { new: true, runValidators: true }
+      );
+      expect(callSchedulingService.cancelDeliveryCall).not.toHaveBeenCalled();
+    });
+
+    it('should reject transitions the lifecycle does not allow', async () => {
+      Delivery.findOne.mockResolvedValue({ _id: 'd1', status: 'delivered' });
+
+      const result = await deliveryStatusService.transition('d1', 'in_transit');
+
+      expect(result).toEqual({
+        updated: false,
+        reason: 'invalid_transition',
+        from: 'delivered',
+        to: 'in_transit',
+        allowed: []
+      });
+      expect(Delivery.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown statuses without reading the delivery', async () => {
+      const result = await deliveryStatusService.transition('d1', 'lost');
+
+      expect(result.reason).toBe('invalid_status');
+      expect(Delivery.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should report a conflict when the status changed since it was read', async () => {
+      Delivery.findOne.mockResolvedValue({ _id: 'd1', status: 'scheduled' });
+      Delivery.findOneAndUpdate.mockResolvedValue(null);
+
+      const result = await deliveryStatusService.transition('d1', 'in_transit');
+
+      expect(result).toEqual({ updated: false, reason: 'conflict', from: 'scheduled', to: 'in_transit' });
+    });
+
+    it('should not record a change when the status is already set', async () => {
+      const delivery = { _id: 'd1', status: 'in_transit' };
+      Delivery.findOne.mockResolvedValue(delivery);
+      Delivery.findByIdAndUpdate.mockResolvedValue({ ...delivery, notes: 'Gate code 1234' });
+
+      const result = await deliveryStatusService.transition('d1', 'in_transit', { set: { notes: 'Gate code 1234' } });
+
+      expect(result.changed).toBe(false);
+      expect(result.delivery.notes).toBe('Gate code 1234');
+      expect(Delivery.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should store the canonical name for a legacy status and remove the queued call once closed', async () => {
+      Delivery.findOne.mockResolvedValue({ _id: 'd1', status: 'in_progress' });
+
+      const result = await deliveryStatusService.transition('d1', 'completed');
+
+      expect(result.to).toBe('delivered');
+      expect(Delivery.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('delivered');
+      expect(callSchedulingService.cancelDeliveryCall).toHaveBeenCalledWith(expect.objectContaining({ _id: 'd1' }));
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,89 @@
+// WORKING GEOCODER TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('axios');
+
+const axios = require('axios');
+const OfflineGeocoder = require('../../src/services/geocoding/offlineGeocoder');
+const NominatimGeocoder = require('../../src/services/geocoding/nominatimGeocoder');
+
+// Great-circle distance in km
+function distanceKm(a, b) {
+  const toRad = degrees => degrees * Math.PI / 180;
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+describe('OfflineGeocoder', () => {
+  let geocoder;
+
+  beforeEach(() => {
+    geocoder = new OfflineGeocoder();
+  });
+
+  it('should place the same address at the same point however it is written', async () => {
+    const a = await geocoder.geocode({ line1: '12 Oak Lane', city: 'Springfield' });
+    const b = await geocoder.geocode({ line1: '12  oak lane', city: 'SPRINGFIELD' });
+
+    expect(a).toEqual(b);
+    expect(a.precision).toBe('approximate');
+  });
+
+  it('should place addresses within the configured radius of the center', async () => {
+    for (const line1 of ['1 Market St', '12 Oak Lane', '400 Elm Road', '9 Harbour View']) {
+      const point = await geocoder.geocode({ line1 });
+      expect(distanceKm(geocoder.center, point)).toBeLessThanOrEqual(geocoder.radiusKm + 0.01);
+    }
+  });
+
+  it('should not place an address without a first line', async () => {
+    expect(await geocoder.geocode({ city: 'Springfield' })).toBeNull();
+  });
+});
+
+describe('NominatimGeocoder', () => {
+  let geocoder;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    geocoder = new NominatimGeocoder();
+    geocoder.userAgent = 'delivery-tests';
+  });
+
+  it('should search by address parts and map the place rank to a precision', async () => {
+    axios.get.mockResolvedValue({ data: [{ lat: '39.78', lon: '-89.65', place_rank: 30 }] });
+
+    const result = await geocoder.geocode({ line1: '12 Oak Lane', city: 'Springfield', region: 'IL', postal_code: '62701', country: 'US' });
+
+    expect(result).toEqual({ latitude: 39.78, longitude: -89.65, precision: 'rooftop' });
+    expect(axios.get).toHaveBeenCalledWith('https://nominatim.openstreetmap.org/search', expect.objectContaining({
+      params: expect.objectContaining({ street: '12 Oak Lane', city: 'Springfield', state: 'IL', postalcode: '62701', country: 'US' }),
+      headers: { 'User-Agent': 'delivery-tests' }
+    }));
+  });
+
+  it('should search free-text addresses as a query', async () => {
+    axios.get.mockResolvedValue({ data: [{ lat: '40.71', lon: '-74.01', place_rank: 26 }] });
+
+    const result = await geocoder.geocode({ line1: '1 Market Street, New York' });
+
+    expect(result.precision).toBe('street');
+    expect(axios.get.mock.calls[0][1].params.q).toBe('1 Market Street, New York');
+  });
+
+  it('should return null when nothing matches', async () => {
+    axios.get.mockResolvedValue({ data: [] });
+
+    expect(await geocoder.geocode({ line1: 'Nowhere' })).toBeNull();
+  });
+
+  it('should refuse to run without a User-Agent', async () => {
+    geocoder.userAgent = undefined;
+
+    await expect(geocoder.geocode({ line1: '12 Oak Lane' })).rejects.toThrow('GEOCODER_USER_AGENT');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,161 @@
+// WORKING MAINTENANCE SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Delivery', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../src/database/models/Recording', () => ({
+  find: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/Agent', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../src/services/deliveryStatusService', () => ({
+  openStatuses: ['scheduled', 'assigned', 'in_transit'],
+  transition: jest.fn()
+}));
+jest.mock('../../src/services/callSchedulingService', () => ({
+  cancelDeliveryCall: jest.fn()
+}));
+jest.mock('../../src/services/storageService', () => ({
+  getKeyFromUrl: jest.fn(),
+  deleteFile: jest.fn()
+}));
+jest.mock('../../src/services/analyticsService', () => ({
+  getDailyStats: jest.fn(),
+  formatDailyDigest: jest.fn()
+}));
+jest.mock('../../src/services/emailService', () => ({
+  isConfigured: jest.fn(),
+  send: jest.fn()
+}));
+
+const maintenanceService = require('../../src/services/maintenanceService');
+const Delivery = require('../../src/database/models/Delivery');
+const Recording = require('../../src/database/models/Recording');
+const Agent = require('../../src/database/models/Agent');
+const callSchedulingService = require('../../src/services/callSchedulingService');
+const deliveryStatusService = require('../../src/services/deliveryStatusService');
+const storageService = require('../../src/services/storageService');
+const analyticsService = require('../../src/services/analyticsService');
+const emailService = require('../../src/services/emailService');
+
+function selectable(docs) {
+  return { select: jest.fn().mockResolvedValue(docs) };
+}
+
+describe('MaintenanceService', () => {
+  const now = new Date('2026-10-18T02:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    maintenanceService.staleDeliveryHours = 24;
+    maintenanceService.recordingRetentionDays = 90;
+  });
+
+  describe('sweepStaleDeliveries', () => {
+    it('should fail open deliveries past the cutoff and remove their queued calls', async () => {
+      const stale = [{ _id: 'd1', call_job_id: 'call:d1:1' }, { _id: 'd2' }];
+      Delivery.find.mockReturnValue(selectable(stale));
+      deliveryStatusService.transition.mockResolvedValue({ updated: true });
+
+      const result = await maintenanceService.sweepStaleDeliveries(now);
+
+      expect(Delivery.find).toHaveBeenCalledWith({
+        scheduled_time: { $lt: new Date('2026-10-17T02:00:00Z') },
+        status: { $in: ['scheduled', 'assigned', 'in_transit'] }
+      });
+      expect(callSchedulingService.cancelDeliveryCall).toHaveBeenCalledTimes(2);
+      expect(deliveryStatusService.transition).toHaveBeenCalledWith('d1', 'failed', expect.objectContaining({ actor: { type: 'system' } }));
+      expect(deliveryStatusService.transition).toHaveBeenCalledWith('d2', 'failed', expect.any(Object));
+      expect(result.swept).toBe(2);
+    });
+
+    it('should not count deliveries whose status changed meanwhile', async () => {
+      Delivery.find.mockReturnValue(selectable([{ _id: 'd1' }]));
+      deliveryStatusService.transition.mockResolvedValue({ updated: false, reason: 'conflict' });
+
+      expect((await maintenanceService.sweepStaleDeliveries(now)).swept).toBe(0);
+    });
+
+    it('should not update anything when no deliveries are stale', async () => {
+      Delivery.find.mockReturnValue(selectable([]));
+
+      expect((await maintenanceService.sweepStaleDeliveries(now)).swept).toBe(0);
+      expect(deliveryStatusService.transition).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeExpiredRecordings', () => {
+    it('should delete stored audio and keep the recording', async () => {
+      Recording.find.mockReturnValue(selectable([
+        { _id: 'r1', audio_url: 'https://cdn.example.com/recordings/1-recording-r1.wav' },
+        { _id: 'r2', audio_url: 'https://api.twilio.com/recordings/RE2' }
+      ]));
+      storageService.getKeyFromUrl.mockImplementation(url => (url.startsWith('https://cdn.example.com/') ? 'recordings/1-recording-r1.wav' : null));
+
+      const result = await maintenanceService.purgeExpiredRecordings(now);
+
+      expect(storageService.deleteFile).toHaveBeenCalledTimes(1);
+      expect(storageService.deleteFile).toHaveBeenCalledWith('recordings/1-recording-r1.wav');
+      expect(Recording.findByIdAndUpdate).toHaveBeenCalledWith('r1', {
+        $unset: { audio_url: 1, source_url: 1 },
+        purged_at: now
+      });
+      expect(result).toMatchObject({ purged: 2, failed: 0 });
+    });
+
+    it('should leave recordings whose audio could not be deleted for the next run', async () => {
+      Recording.find.mockReturnValue(selectable([{ _id: 'r1', audio_url: 'https://cdn.example.com/a.wav' }]));
+      storageService.getKeyFromUrl.mockReturnValue('a.wav');
+      storageService.deleteFile.mockRejectedValue(new Error('Failed to delete file'));
+
+      const result = await maintenanceService.purgeExpiredRecordings(now);
+
+      expect(result).toMatchObject({ purged: 0, failed: 1 });
+      expect(Recording.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should keep recordings forever when retention is 0', async () => {
+      maintenanceService.recordingRetentionDays = 0;
+
+      await maintenanceService.purgeExpiredRecordings(now);
+
+      expect(Recording.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendDailyDigest', () => {
+    beforeEach(() => {
+      analyticsService.getDailyStats.mockResolvedValue({ date: '2026-10-17' });
+      analyticsService.formatDailyDigest.mockReturnValue({ subject: 'Delivery digest for 2026-10-17', text: 'Deliveries scheduled: 3' });
+    });
+
+    it("should email yesterday's digest to active admins", async () => {
+      emailService.isConfigured.mockReturnValue(true);
+      Agent.find.mockReturnValue(selectable([{ email: 'ops@example.com' }]));
+
+      const result = await maintenanceService.sendDailyDigest(now);
+
+      expect(analyticsService.getDailyStats).toHaveBeenCalledWith(new Date('2026-10-17T02:00:00Z'));
+      expect(emailService.send).toHaveBeenCalledWith({
+        to: ['ops@example.com'],
+        subject: 'Delivery digest for 2026-10-17',
+        text: 'Deliveries scheduled: 3'
+      });
+      expect(result).toEqual({ sent: true, recipients: 1, date: '2026-10-17' });
+    });
+
+    it('should skip emailing when email is not configured', async () => {
+      emailService.isConfigured.mockReturnValue(false);
+
+      const result = await maintenanceService.sendDailyDigest(now);
+
+      expect(result.reason).toBe('email_not_configured');
+      expect(emailService.send).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,137 @@
+// WORKING ORGANIZATION SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+jest.mock('../../src/database/models/Organization', () => {
+  const Organization = jest.fn(function (data) {
+    Object.assign(this, { _id: 'org1' }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Organization.findOne = jest.fn();
+  Organization.findById = jest.fn();
+  Organization.findByIdAndUpdate = jest.fn();
+  Organization.find = jest.fn();
+  return Organization;
+});
+jest.mock('../../src/database/models/Delivery', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/database/models/CallLog', () => ({
+  findOne: jest.fn()
+}));
+
+const organizationService = require('../../src/services/organizationService');
+const cacheService = require('../../src/services/cacheService');
+const Organization = require('../../src/database/models/Organization');
+const Delivery = require('../../src/database/models/Delivery');
+const CallLog = require('../../src/database/models/CallLog');
+const tenantContext = require('../../src/utils/tenantContext');
+
+// Chainable query resolving to a value
+function queryReturning(value) {
+  const query = {
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(value)
+  };
+  return query;
+}
+
+describe('OrganizationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createOrganization', () => {
+    it('should store only a hash of the API key', async () => {
+      const { organization, apiKey } = await organizationService.createOrganization({
+        name: 'Acme Deliveries',
+        phone_number: '(500) 555-0001'
+      });
+
+      expect(apiKey).toMatch(/^dak_[0-9a-f]{48}$/);
+      expect(organization.slug).toBe('acme-deliveries');
+      expect(organization.phone_number).toBe('+15005550001');
+      expect(organization.api_key_hash).toBe(organizationService.hashApiKey(apiKey));
+      expect(organization.api_key_hint).toBe(apiKey.slice(-4));
+      expect(JSON.stringify(organizationService.formatOrganization(organization))).not.toContain(organization.api_key_hash);
+    });
+  });
+
+  describe('findByApiKey', () => {
+    it('should look up active organizations by key hash', async () => {
+      Organization.findOne.mockReturnValue(queryReturning({ _id: 'org1' }));
+
+      const organization = await organizationService.findByApiKey('dak_abc');
+
+      expect(organization).toEqual({ _id: 'org1' });
+      expect(Organization.findOne).toHaveBeenCalledWith({ api_key_hash: organizationService.hashApiKey('dak_abc'), is_active: true });
+    });
+
+    it('should not look up keys without the tenant prefix', async () => {
+      expect(await organizationService.findByApiKey('platform-key')).toBeNull();
+      expect(Organization.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateOrganization', () => {
+    it('should keep branding fields that are not changed and clear the cache', async () => {
+      Organization.findByIdAndUpdate.mockResolvedValue({ _id: 'org1' });
+
+      await organizationService.updateOrganization('org1', { branding: { primary_color: '#112233' } });
+
+      expect(Organization.findByIdAndUpdate).toHaveBeenCalledWith(
+        'org1',
+        { $set: { 'branding.primary_color': '#112233' } },
+        { new: true, runValidators: true }
+      );
+      expect(cacheService.del).toHaveBeenCalledWith('organization:org1');
+    });
+  });
+
+  describe('getMerchantName', () => {
+    it('should prefer the branded name over the organization name', () => {
+      expect(organizationService.getMerchantName({ name: 'Acme Ltd', branding: { merchant_name: 'Acme' } })).toBe('Acme');
+      expect(organizationService.getMerchantName({ name: 'Acme Ltd' })).toBe('Acme Ltd');
+    });
+  });
+
+  describe('resolveWebhookOrganization', () => {
+    it('should use the delivery in the callback URL', async () => {
+      Delivery.findById.mockReturnValue(queryReturning({ organization_id: 'org1' }));
+
+      expect(await organizationService.resolveWebhookOrganization({ deliveryId: 'd1', callSid: 'CA1' })).toBe('org1');
+      expect(CallLog.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the call log, then the number texted', async () => {
+      CallLog.findOne.mockReturnValue(queryReturning(null));
+      Organization.findOne.mockReturnValue(queryReturning({ _id: 'org2' }));
+
+      expect(await organizationService.resolveWebhookOrganization({ callSid: 'SM1', to: '+15005550002' })).toBe('org2');
+      expect(Organization.findOne).toHaveBeenCalledWith({ phone_number: '+15005550002' });
+    });
+  });
+
+  describe('forEachOrganization', () => {
+    it('should run the job inside each organization and carry on after a failure', async () => {
+      Organization.find.mockReturnValue(queryReturning([{ _id: 'org1', slug: 'one' }, { _id: 'org2', slug: 'two' }]));
+      const job = jest.fn(async (organization) => {
+        if (organization._id === 'org1') throw new Error('boom');
+        return tenantContext.getOrganizationId();
+      });
+
+      const results = await organizationService.forEachOrganization(job);
+
+      expect(Organization.find).toHaveBeenCalledWith({ is_active: true });
+      expect(results).toEqual([
+        { organizationId: 'org1', error: 'boom' },
+        { organizationId: 'org2', result: 'org2' }
+      ]);
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -0,0 +1,123 @@
+// WORKING PROOF OF DELIVERY SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Delivery', () => ({
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/ProofOfDelivery', () => {
+  const ProofOfDelivery = jest.fn(function (data) {
+    Object.assign(this, data);
+    this._id = 'proof1';
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  ProofOfDelivery.find = jest.fn();
+  return ProofOfDelivery;
+});
+jest.mock('../../src/services/storageService', () => ({
+  isConfigured: jest.fn(),
+  uploadProofImage: jest.fn()
+}));
+
+const proofOfDeliveryService = require('../../src/services/proofOfDeliveryService');
+const Delivery = require('../../src/database/models/Delivery');
+const ProofOfDelivery = require('../../src/database/models/ProofOfDelivery');
+const storageService = require('../../src/services/storageService');
+
+const jpeg = `data:image/jpeg;base64,${Buffer.from('jpeg bytes').toString('base64')}`;
+const png = `data:image/png;base64,${Buffer.from('png bytes').toString('base64')}`;
+
+describe('ProofOfDeliveryService', () => {
+  const delivery = { _id: 'd1' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    proofOfDeliveryService.maxImageBytes = 3 * 1024 * 1024;
+    storageService.isConfigured.mockReturnValue(true);
+    storageService.uploadProofImage.mockImplementation(async (buffer, fileName) => `https://cdn.example.com/proofs/${fileName}`);
+  });
+
+  describe('parseImage', () => {
+    it('should decode a base64 image data URL', () => {
+      const { image } = proofOfDeliveryService.parseImage(jpeg);
+
+      expect(image.mimeType).toBe('image/jpeg');
+      expect(image.extension).toBe('jpg');
+      expect(image.buffer.toString()).toBe('jpeg bytes');
+    });
+
+    it('should reject other file types and oversized images', () => {
+      expect(proofOfDeliveryService.parseImage('data:application/pdf;base64,JVBERi0=').reason).toBe('invalid_image');
+      expect(proofOfDeliveryService.parseImage('not a data url').reason).toBe('invalid_image');
+
+      proofOfDeliveryService.maxImageBytes = 4;
+      expect(proofOfDeliveryService.parseImage(jpeg).reason).toBe('image_too_large');
+    });
+  });
+
+  describe('captureProof', () => {
+    it('should store the images and link the proof to the delivery', async () => {
+      const capturedAt = new Date('2026-10-18T14:05:00Z');
+
+      const result = await proofOfDeliveryService.captureProof(delivery, {
+        agentId: 'agent1',
+        photo: jpeg,
+        signature: png,
+        recipientName: 'Pat Neighbour',
+        location: { latitude: 40.7, longitude: -74, accuracy: 8 },
+        capturedAt
+      });
+
+      expect(result.created).toBe(true);
+      expect(storageService.uploadProofImage).toHaveBeenCalledWith(expect.any(Buffer), 'd1-photo.jpg', 'image/jpeg');
+      expect(storageService.uploadProofImage).toHaveBeenCalledWith(expect.any(Buffer), 'd1-signature.png', 'image/png');
+      expect(ProofOfDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        delivery_id: 'd1',
+        agent_id: 'agent1',
+        photo_url: 'https://cdn.example.com/proofs/d1-photo.jpg',
+        signature_url: 'https://cdn.example.com/proofs/d1-signature.png',
+        recipient_name: 'Pat Neighbour',
+        location: { type: 'Point', coordinates: [-74, 40.7] },
+        location_accuracy: 8,
+        captured_at: capturedAt
+      }));
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith('d1', { proof_id: 'proof1' });
+    });
+
+    it('should not upload anything when an image is invalid', async () => {
+      const result = await proofOfDeliveryService.captureProof(delivery, {
+        agentId: 'agent1',
+        photo: jpeg,
+        signature: 'data:image/gif;base64,R0lGODlh'
+      });
+
+      expect(result).toEqual({ created: false, reason: 'invalid_image', field: 'signature' });
+      expect(storageService.uploadProofImage).not.toHaveBeenCalled();
+      expect(ProofOfDelivery).not.toHaveBeenCalled();
+    });
+
+    it('should refuse proof when storage is not configured', async () => {
+      storageService.isConfigured.mockReturnValue(false);
+
+      const result = await proofOfDeliveryService.captureProof(delivery, { agentId: 'agent1', photo: jpeg });
+
+      expect(result).toEqual({ created: false, reason: 'storage_not_configured' });
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatProof', () => {
+    it('should return the position as latitude and longitude', () => {
+      const formatted = proofOfDeliveryService.formatProof({
+        _id: 'proof1',
+        photo_url: 'https://cdn.example.com/proofs/d1-photo.jpg',
+        location: { type: 'Point', coordinates: [-74, 40.7] },
+        location_accuracy: 8
+      });
+
+      expect(formatted.location).toEqual({ latitude: 40.7, longitude: -74, accuracy: 8 });
+      expect(formatted.signatureUrl).toBeNull();
+      expect(proofOfDeliveryService.formatProof(null)).toBeNull();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
@@ -1,5 +1,7 @@
 // WORKING QUEUE SERVICE TESTS - Based on actual implementation
 const queueService = require('../../src/services/queueService');
+// The queue the module itself uses (Bull is automocked below)
+const { callQueue } = queueService;
 
 // Mock Redis and Bull to avoid external dependencies
 jest.mock('ioredis');
@@ -52,8 +54,10 @@ describe('QueueService', () => {
         deliveryData,
         {
           delay: 0,
+          attempts: 6,
+          backoff: { type: 'classified' },
           removeOnComplete: 10,
-          removeOnFail: 5
+          removeOnFail: 100
         }
       );
       expect(result).toEqual(mockJob);
@@ -73,8 +77,10 @@ describe('QueueService', () => {
         deliveryData,
         {
           delay: 5000,
+          attempts: 6,
+          backoff: { type: 'classified' },
           removeOnComplete: 10,
-          removeOnFail: 5
+          removeOnFail: 100
         }
       );
     });
@@ -87,8 +93,10 @@ describe('QueueService', () => {
         null,
         {
           delay: 0,
+          attempts: 6,
+          backoff: { type: 'classified' },
           removeOnComplete: 10,
-          removeOnFail: 5
+          removeOnFail: 100
         }
       );
     });
@@ -118,6 +126,108 @@ describe('QueueService', () => {
     });
   });
 
+  describe('getJobsByState function', () => {
+    it('should scan past the first batch for matching jobs', async () => {
+      const batch = Array.from({ length: 500 }, (_, i) => ({ id: String(i), data: { deliveryId: 'other' } }));
+      callQueue.getJobs = jest.fn()
+        .mockResolvedValueOnce(batch)
+        .mockResolvedValueOnce([{ id: 'late', data: { deliveryId: 'delivery1' } }]);
+
+      const jobs = await queueService.getJobsByState('waiting', 0, 49, job => job.data.deliveryId === 'delivery1');
+
+      expect(jobs.map(job => job.id)).toEqual(['late']);
+      expect(callQueue.getJobs).toHaveBeenLastCalledWith(['waiting'], 500, 999);
+    });
+  });
+
+  describe('getCallJobData function', () => {
+    it('should carry the delivery\'s organization', () => {
+      const data = queueService.getCallJobData({ _id: 'delivery1', organization_id: 'org1' }, { attempt: 2 });
+
+      expect(data).toEqual({ deliveryId: 'delivery1', organizationId: 'org1', attempt: 2 });
+    });
+  });
+
+  describe('addRecordingJob function', () => {
+    const { recordingQueue } = queueService;
+
+    function jobIn(state) {
+      return { getState: jest.fn().mockResolvedValue(state), remove: jest.fn().mockResolvedValue() };
+    }
+
+    beforeEach(() => {
+      recordingQueue.add = jest.fn().mockResolvedValue({ id: 'new' });
+    });
+
+    it('should reuse a job that has not started yet', async () => {
+      const waiting = jobIn('waiting');
+      recordingQueue.getJob = jest.fn().mockResolvedValue(waiting);
+
+      expect(await queueService.addRecordingJob('rec1')).toBe(waiting);
+      expect(recordingQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should queue a follow-up run when the job is already running', async () => {
+      recordingQueue.getJob = jest.fn()
+        .mockResolvedValueOnce(jobIn('active'))
+        .mockResolvedValueOnce(null);
+
+      await queueService.addRecordingJob('rec1');
+
+      expect(recordingQueue.getJob).toHaveBeenLastCalledWith('recording:rec1:follow-up');
+      expect(recordingQueue.add).toHaveBeenCalledWith('process-recording', { recordingId: 'rec1' },
+        expect.objectContaining({ jobId: 'recording:rec1:follow-up', delay: 30000 }));
+    });
+
+    it('should share a follow-up run that is still waiting', async () => {
+      const followUp = jobIn('delayed');
+      recordingQueue.getJob = jest.fn()
+        .mockResolvedValueOnce(jobIn('active'))
+        .mockResolvedValueOnce(followUp);
+
+      expect(await queueService.addRecordingJob('rec1')).toBe(followUp);
+      expect(recordingQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('should replace a finished job', async () => {
+      const completed = jobIn('completed');
+      recordingQueue.getJob = jest.fn().mockResolvedValue(completed);
+
+      await queueService.addRecordingJob('rec1');
+
+      expect(completed.remove).toHaveBeenCalled();
+      expect(recordingQueue.add).toHaveBeenCalledWith('process-recording', { recordingId: 'rec1' },
+        expect.objectContaining({ jobId: 'recording:rec1', delay: 0 }));
+    });
+  });
+
+  describe('drainQueue function', () => {
+    beforeEach(() => {
+      callQueue.getJobCounts = jest.fn().mockResolvedValue({ waiting: 2, paused: 0, delayed: 3 });
+      callQueue.clean = jest.fn().mockResolvedValue([]);
+      callQueue.empty = jest.fn().mockResolvedValue();
+      callQueue.pause = jest.fn().mockResolvedValue();
+    });
+
+    it('should keep a paused queue paused', async () => {
+      callQueue.isPaused = jest.fn().mockResolvedValue(true);
+
+      const removed = await queueService.drainQueue();
+
+      expect(callQueue.empty).toHaveBeenCalled();
+      expect(callQueue.pause).toHaveBeenCalled();
+      expect(removed).toEqual({ waiting: 2, delayed: 3 });
+    });
+
+    it('should leave a running queue running', async () => {
+      callQueue.isPaused = jest.fn().mockResolvedValue(false);
+
+      await queueService.drainQueue();
+
+      expect(callQueue.pause).not.toHaveBeenCalled();
+    });
+  });
+
   describe('exports object', () => {
     it('should export the correct functions and objects', () => {
       expect(queueService.callQueue).toBeDefined();
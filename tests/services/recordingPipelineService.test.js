@@ -0,0 +1,250 @@
+// WORKING RECORDING PIPELINE SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/database/models/Recording', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/CallLog', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/database/models/Delivery', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/services/telephony', () => ({
+  fetchRecording: jest.fn()
+}));
+jest.mock('../../src/services/storageService', () => ({
+  uploadRecording: jest.fn()
+}));
+jest.mock('../../src/services/aiService', () => ({
+  isEnabled: true,
+  transcribeRecording: jest.fn(),
+  analyzeTranscription: jest.fn(),
+  clearCachedResults: jest.fn()
+}));
+jest.mock('../../src/services/agentNotificationService', () => ({
+  notifyNewInstructions: jest.fn()
+}));
+
+const recordingPipelineService = require('../../src/services/recordingPipelineService');
+const Recording = require('../../src/database/models/Recording');
+const CallLog = require('../../src/database/models/CallLog');
+const Delivery = require('../../src/database/models/Delivery');
+const telephony = require('../../src/services/telephony');
+const storageService = require('../../src/services/storageService');
+const aiService = require('../../src/services/aiService');
+const agentNotificationService = require('../../src/services/agentNotificationService');
+
+function createRecording(overrides = {}) {
+  return {
+    _id: 'rec1',
+    call_log_id: 'log1',
+    source_url: 'https://api.twilio.com/recordings/RE1',
+    audio_url: 'https://api.twilio.com/recordings/RE1',
+    duration: 12,
+    language: 'es',
+    processing: recordingPipelineService.createProcessing(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+}
+
+describe('RecordingPipelineService', () => {
+  const originalAccessKey = process.env.R2_ACCESS_KEY_ID;
+  const delivery = { _id: 'del1', address: '1 Main St', agent_id: { _id: 'agent1', phone: '+15005550006' } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.R2_ACCESS_KEY_ID = 'real_key';
+    aiService.isEnabled = true;
+
+    telephony.fetchRecording.mockResolvedValue(Buffer.from('audio'));
+    storageService.uploadRecording.mockResolvedValue('https://r2.example.com/recording-rec1.wav');
+    aiService.transcribeRecording.mockResolvedValue({ success: true, transcription: 'Dejar en la puerta' });
+    aiService.analyzeTranscription.mockResolvedValue({ success: true, analysis: { priority: 'low' } });
+    agentNotificationService.notifyNewInstructions.mockResolvedValue(true);
+    CallLog.findById.mockResolvedValue({ _id: 'log1', delivery_id: 'del1' });
+    Delivery.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(delivery) });
+  });
+
+  afterAll(() => {
+    if (originalAccessKey === undefined) {
+      delete process.env.R2_ACCESS_KEY_ID;
+    } else {
+      process.env.R2_ACCESS_KEY_ID = originalAccessKey;
+    }
+  });
+
+  describe('process', () => {
+    it('should run every step in order and record their status', async () => {
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+
+      const result = await recordingPipelineService.process('rec1');
+
+      expect(result.status).toBe('completed');
+      expect(result.steps).toEqual({
+        fetch: 'completed',
+        store: 'completed',
+        transcribe: 'completed',
+        analyze: 'completed',
+        notify: 'completed'
+      });
+      expect(telephony.fetchRecording).toHaveBeenCalledWith('https://api.twilio.com/recordings/RE1');
+      expect(aiService.transcribeRecording).toHaveBeenCalledWith('https://r2.example.com/recording-rec1.wav', 'rec1', 'es');
+      expect(recording.transcription).toBe('Dejar en la puerta');
+      expect(recording.analysis).toEqual({ priority: 'low' });
+      expect(agentNotificationService.notifyNewInstructions).toHaveBeenCalledWith(delivery, {
+        recordingId: 'rec1',
+        recordingUrl: 'https://r2.example.com/recording-rec1.wav',
+        duration: 12,
+        transcription: 'Dejar en la puerta'
+      }, expect.objectContaining({ sent: [] }));
+    });
+
+    it('should record each channel the agent was notified on', async () => {
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+      agentNotificationService.notifyNewInstructions.mockImplementation(async (_delivery, _details, { onSent }) => {
+        await onSent('sms');
+        await onSent('push');
+        return true;
+      });
+
+      await recordingPipelineService.process('rec1');
+
+      expect(recording.processing.steps.notify.channels).toEqual(['sms', 'push']);
+    });
+
+    it('should not repeat channels when retrying the notification', async () => {
+      const recording = createRecording();
+      ['fetch', 'store', 'transcribe', 'analyze'].forEach(step => {
+        recording.processing.steps[step].status = 'completed';
+      });
+      recording.processing.steps.notify.channels = ['sms', 'push'];
+      Recording.findById.mockResolvedValue(recording);
+
+      await recordingPipelineService.process('rec1');
+
+      expect(agentNotificationService.notifyNewInstructions).toHaveBeenCalledWith(
+        delivery, expect.any(Object), expect.objectContaining({ sent: ['sms', 'push'] }));
+    });
+
+    it('should skip steps an earlier attempt completed', async () => {
+      const recording = createRecording();
+      ['fetch', 'store', 'transcribe'].forEach(step => {
+        recording.processing.steps[step].status = 'completed';
+      });
+      recording.transcription = 'Dejar en la puerta';
+      Recording.findById.mockResolvedValue(recording);
+
+      await recordingPipelineService.process('rec1');
+
+      expect(telephony.fetchRecording).not.toHaveBeenCalled();
+      expect(aiService.transcribeRecording).not.toHaveBeenCalled();
+      expect(aiService.analyzeTranscription).toHaveBeenCalled();
+    });
+
+    it('should throw for a retry and mark the step failed when a step fails', async () => {
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+      aiService.transcribeRecording.mockResolvedValue({ success: false, error: 'timeout' });
+
+      await expect(recordingPipelineService.process('rec1')).rejects.toThrow('Transcription failed: timeout');
+
+      expect(recording.processing.steps.store.status).toBe('completed');
+      expect(recording.processing.steps.transcribe).toMatchObject({ status: 'failed', attempts: 1, error: 'Transcription failed: timeout' });
+      expect(aiService.clearCachedResults).toHaveBeenCalledWith('rec1');
+      expect(agentNotificationService.notifyNewInstructions).not.toHaveBeenCalled();
+    });
+
+    it('should still notify the agent when a step fails on the final attempt', async () => {
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+      storageService.uploadRecording.mockRejectedValue(new Error('R2 unavailable'));
+
+      const result = await recordingPipelineService.process('rec1', { finalAttempt: true });
+
+      expect(result.status).toBe('failed');
+      expect(result.steps.store).toBe('failed');
+      expect(aiService.transcribeRecording).toHaveBeenCalledWith('https://api.twilio.com/recordings/RE1', 'rec1', 'es');
+      expect(agentNotificationService.notifyNewInstructions).toHaveBeenCalled();
+    });
+
+    it('should keep the provider URL when storage is not configured', async () => {
+      process.env.R2_ACCESS_KEY_ID = 'dummy_access_key';
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+
+      const result = await recordingPipelineService.process('rec1');
+
+      expect(result.steps.fetch).toBe('skipped');
+      expect(result.steps.store).toBe('skipped');
+      expect(telephony.fetchRecording).not.toHaveBeenCalled();
+      expect(recording.audio_url).toBe('https://api.twilio.com/recordings/RE1');
+    });
+
+    it('should analyze SMS replies and notify the agent without audio steps', async () => {
+      const recording = createRecording({
+        source_url: undefined,
+        audio_url: undefined,
+        duration: undefined,
+        language: 'en',
+        channel: 'sms',
+        transcription: 'Leave it with the neighbour at 12'
+      });
+      Recording.findById.mockResolvedValue(recording);
+
+      const result = await recordingPipelineService.process('rec1');
+
+      expect(result.steps).toEqual({
+        fetch: 'skipped',
+        store: 'skipped',
+        transcribe: 'skipped',
+        analyze: 'completed',
+        notify: 'completed'
+      });
+      expect(telephony.fetchRecording).not.toHaveBeenCalled();
+      expect(aiService.transcribeRecording).not.toHaveBeenCalled();
+      expect(aiService.analyzeTranscription).toHaveBeenCalledWith('Leave it with the neighbour at 12', 'rec1');
+      expect(agentNotificationService.notifyNewInstructions).toHaveBeenCalledWith(delivery, expect.objectContaining({
+        recordingId: 'rec1',
+        transcription: 'Leave it with the neighbour at 12'
+      }), expect.any(Object));
+    });
+
+    it('should leave analysis pending until the provider transcribes English recordings', async () => {
+      const recording = createRecording({ language: 'en' });
+      Recording.findById.mockResolvedValue(recording);
+
+      const result = await recordingPipelineService.process('rec1');
+
+      expect(result.steps.transcribe).toBe('skipped');
+      expect(result.steps.analyze).toBe('pending');
+      expect(result.steps.notify).toBe('completed');
+      expect(aiService.transcribeRecording).not.toHaveBeenCalled();
+    });
+
+    it('should skip notifying when the delivery has no agent', async () => {
+      const recording = createRecording();
+      Recording.findById.mockResolvedValue(recording);
+      agentNotificationService.notifyNewInstructions.mockResolvedValue(false);
+
+      const result = await recordingPipelineService.process('rec1');
+
+      expect(result.steps.notify).toBe('skipped');
+      expect(result.status).toBe('completed');
+    });
+
+    it('should do nothing for a deleted recording', async () => {
+      Recording.findById.mockResolvedValue(null);
+
+      const result = await recordingPipelineService.process('missing');
+
+      expect(result).toEqual({ skipped: true, reason: 'recording_missing' });
+      expect(telephony.fetchRecording).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
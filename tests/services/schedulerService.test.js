@@ -0,0 +1,159 @@
+// WORKING SCHEDULER SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/queueService', () => ({
+  schedulerQueue: {
+    add: jest.fn(),
+    getRepeatableJobs: jest.fn(),
+    removeRepeatableByKey: jest.fn(),
+    getJobs: jest.fn()
+  }
+}));
+jest.mock('../../src/services/maintenanceService', () => ({
+  sweepStaleDeliveries: jest.fn(),
+  purgeExpiredRecordings: jest.fn(),
+  sendDailyDigest: jest.fn()
+}));
+jest.mock('../../src/services/analyticsService', () => ({
+  rollupDay: jest.fn()
+}));
+jest.mock('../../src/services/organizationService', () => ({
+  forEachOrganization: jest.fn((fn) => Promise.all([fn({ _id: 'org1' })]).then(results => results.map(result => ({ organizationId: 'org1', result }))))
+}));
+
+const schedulerService = require('../../src/services/schedulerService');
+const { schedulerQueue } = require('../../src/services/queueService');
+const maintenanceService = require('../../src/services/maintenanceService');
+const analyticsService = require('../../src/services/analyticsService');
+const organizationService = require('../../src/services/organizationService');
+const tenantContext = require('../../src/utils/tenantContext');
+
+describe('SchedulerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    schedulerQueue.getRepeatableJobs.mockResolvedValue([]);
+  });
+
+  describe('registerJobs', () => {
+    it('should add one repeatable job per scheduled job', async () => {
+      await schedulerService.registerJobs();
+
+      expect(schedulerQueue.add).toHaveBeenCalledTimes(4);
+      expect(schedulerQueue.add).toHaveBeenCalledWith('stale-delivery-sweep', {}, expect.objectContaining({
+        repeat: { cron: '0 2 * * *', tz: 'UTC' }
+      }));
+    });
+
+    it('should remove schedules for removed jobs and changed crons', async () => {
+      schedulerQueue.getRepeatableJobs.mockResolvedValue([
+        { key: 'old', name: 'nightly-report', cron: '0 3 * * *', tz: 'UTC' },
+        { key: 'changed', name: 'daily-digest', cron: '0 6 * * *', tz: 'UTC' },
+        { key: 'current', name: 'stale-delivery-sweep', cron: '0 2 * * *', tz: 'UTC' }
+      ]);
+
+      await schedulerService.registerJobs();
+
+      expect(schedulerQueue.removeRepeatableByKey).toHaveBeenCalledWith('old');
+      expect(schedulerQueue.removeRepeatableByKey).toHaveBeenCalledWith('changed');
+      expect(schedulerQueue.removeRepeatableByKey).not.toHaveBeenCalledWith('current');
+    });
+  });
+
+  describe('run', () => {
+    it('should run the job by name', async () => {
+      maintenanceService.sweepStaleDeliveries.mockResolvedValue({ swept: 3 });
+
+      expect(await schedulerService.run('stale-delivery-sweep')).toEqual({ swept: 3 });
+    });
+
+    it('should roll up the requested day', async () => {
+      analyticsService.rollupDay.mockResolvedValue({ date: '2026-10-01' });
+
+      await schedulerService.run('analytics-rollup', { date: '2026-10-01' });
+
+      expect(analyticsService.rollupDay).toHaveBeenCalledWith(new Date('2026-10-01'));
+    });
+
+    it('should roll up each organization separately', async () => {
+      analyticsService.rollupDay.mockResolvedValue({ date: '2026-10-01' });
+
+      const result = await schedulerService.run('analytics-rollup', { date: '2026-10-01', organizationId: 'org1' });
+
+      expect(organizationService.forEachOrganization).toHaveBeenCalledWith(expect.any(Function), 'org1');
+      expect(result).toEqual({ organizations: [{ organizationId: 'org1', result: { date: '2026-10-01' } }] });
+    });
+
+    it('should keep a triggered sweep to the admin\'s organization', async () => {
+      let scopedTo;
+      maintenanceService.sweepStaleDeliveries.mockImplementation(async () => {
+        scopedTo = tenantContext.getOrganizationId();
+        return { swept: 1 };
+      });
+
+      await schedulerService.run('stale-delivery-sweep', { triggeredBy: 'admin1', organizationId: 'org1' });
+
+      expect(scopedTo).toBe('org1');
+    });
+
+    it('should reject unknown jobs', async () => {
+      await expect(schedulerService.run('nope')).rejects.toThrow('Unknown scheduled job: nope');
+    });
+  });
+
+  describe('trigger', () => {
+    it('should send the admin\'s organization with the job', async () => {
+      schedulerQueue.add.mockResolvedValue({ id: '10' });
+
+      await tenantContext.run('org1', () => schedulerService.trigger('daily-digest', 'admin1'));
+
+      expect(schedulerQueue.add).toHaveBeenCalledWith('daily-digest', { triggeredBy: 'admin1', organizationId: 'org1' }, expect.any(Object));
+    });
+
+    it('should queue a one-off run recording who triggered it', async () => {
+      schedulerQueue.add.mockResolvedValue({ id: '42' });
+
+      const job = await schedulerService.trigger('daily-digest', 'admin1');
+
+      expect(job).toEqual({ id: '42' });
+      expect(schedulerQueue.add).toHaveBeenCalledWith('daily-digest', { triggeredBy: 'admin1' }, expect.any(Object));
+    });
+
+    it('should not queue unknown jobs', async () => {
+      expect(await schedulerService.trigger('nope', 'admin1')).toBeNull();
+      expect(schedulerQueue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listJobs', () => {
+    it('should include the next run and latest run of each job', async () => {
+      const next = Date.now() + 60000;
+      schedulerQueue.getRepeatableJobs.mockResolvedValue([{ name: 'daily-digest', next }]);
+      schedulerQueue.getJobs.mockResolvedValue([
+        { id: '1', name: 'daily-digest', data: {}, timestamp: 1, processedOn: 2, finishedOn: 3, returnvalue: { sent: true } },
+        { id: '2', name: 'daily-digest', data: { triggeredBy: 'admin1' }, timestamp: 5, processedOn: 6, failedReason: 'timeout' }
+      ]);
+
+      const jobs = await schedulerService.listJobs();
+      const digest = jobs.find(job => job.name === 'daily-digest');
+
+      expect(jobs).toHaveLength(4);
+      expect(digest.nextRunAt).toEqual(new Date(next));
+      expect(digest.lastRun).toMatchObject({ jobId: '2', status: 'failed', triggeredBy: 'admin1', error: 'timeout' });
+      expect(jobs.find(job => job.name === 'analytics-rollup').lastRun).toBeNull();
+    });
+
+    it('should only show an organization the runs it triggered', async () => {
+      schedulerQueue.getRepeatableJobs.mockResolvedValue([]);
+      schedulerQueue.getJobs.mockResolvedValue([
+        { id: '1', name: 'daily-digest', data: {}, timestamp: 9, finishedOn: 10, returnvalue: { organizations: 3 } },
+        { id: '2', name: 'daily-digest', data: { organizationId: 'org2' }, timestamp: 8, finishedOn: 9 },
+        { id: '3', name: 'daily-digest', data: { organizationId: 'org1' }, timestamp: 1, finishedOn: 2 }
+      ]);
+
+      const jobs = await schedulerService.listJobs('org1');
+
+      expect(jobs.find(job => job.name === 'daily-digest').lastRun.jobId).toBe('3');
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
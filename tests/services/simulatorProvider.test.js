@@ -0,0 +1,108 @@
+// WORKING TELEPHONY SIMULATOR TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+
+const twilio = require('twilio');
+const SimulatorProvider = require('../../src/services/telephony/simulatorProvider');
+
+describe('SimulatorProvider', () => {
+  let simulator;
+
+  beforeEach(() => {
+    simulator = new SimulatorProvider();
+    simulator.stepDelayMs = 0;
+  });
+
+  describe('parseTwiml', () => {
+    it('should extract verbs with decoded attributes', () => {
+      const twiml = simulator.createVoiceResponse();
+      const gather = twiml.gather({ numDigits: 1, action: 'http://api/gather?delivery_id=1&lang=en' });
+      gather.say('Press 1');
+      twiml.redirect('http://api/voice?delivery_id=1');
+
+      const verbs = simulator.parseTwiml(twiml.toString());
+
+      expect(verbs.map(v => v.name)).toEqual(['Gather', 'Redirect']);
+      expect(verbs[0].attributes.action).toBe('http://api/gather?delivery_id=1&lang=en');
+      expect(verbs[1].text).toBe('http://api/voice?delivery_id=1');
+    });
+
+    it('should handle self-closing verbs', () => {
+      const verbs = simulator.parseTwiml('<Response><Record action="http://api/rec" maxLength="60"/><Hangup/></Response>');
+
+      expect(verbs).toEqual([
+        { name: 'Record', attributes: { action: 'http://api/rec', maxLength: '60' }, text: '' },
+        { name: 'Hangup', attributes: {}, text: '' }
+      ]);
+    });
+  });
+
+  describe('followCallFlow', () => {
+    it('should press keys for gathers and post a recording', async () => {
+      simulator.digits = ['4'];
+      const responses = {
+        'http://api/voice': '<Response><Gather action="http://api/gather"><Say>Menu</Say></Gather></Response>',
+        'http://api/gather': '<Response><Say>Speak</Say><Record action="http://api/recording"/></Response>',
+        'http://api/recording': '<Response/>'
+      };
+      simulator.post = jest.fn(async (url) => responses[url]);
+
+      await simulator.followCallFlow({ sid: 'CA1', to: '+1555', from: '+1666' }, 'http://api/voice');
+
+      expect(simulator.post).toHaveBeenCalledWith('http://api/gather', expect.objectContaining({ CallSid: 'CA1', Digits: '4' }));
+      expect(simulator.post).toHaveBeenCalledWith('http://api/recording', expect.objectContaining({
+        RecordingUrl: expect.stringMatching(/^simulator:\/\/recordings\//),
+        RecordingDuration: '7'
+      }));
+    });
+
+    it('should stop at hangup', async () => {
+      simulator.post = jest.fn().mockResolvedValue('<Response><Say>Bye</Say><Hangup/></Response>');
+
+      await simulator.followCallFlow({ sid: 'CA1' }, 'http://api/voice');
+
+      expect(simulator.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runCall', () => {
+    it('should report unanswered calls without running the flow', async () => {
+      simulator.outcome = 'no-answer';
+      simulator.post = jest.fn().mockResolvedValue('');
+
+      await simulator.runCall({ sid: 'CA1', to: '+1555', from: '+1666' }, 'http://api/voice', 'http://api/status');
+
+      const statuses = simulator.post.mock.calls.map(([, params]) => params.CallStatus);
+      expect(statuses).toEqual(['ringing', 'no-answer']);
+    });
+
+    it('should report a machine answer when detection was requested', async () => {
+      simulator.outcome = 'machine';
+      simulator.post = jest.fn().mockResolvedValue('<Response><Say>Voicemail</Say><Hangup/></Response>');
+
+      await simulator.runCall({ sid: 'CA1', machineDetection: true }, 'http://api/voice', 'http://api/status');
+
+      expect(simulator.post).toHaveBeenCalledWith('http://api/voice', expect.objectContaining({ AnsweredBy: 'machine_end_beep' }));
+    });
+  });
+
+  describe('recordings and signatures', () => {
+    it('should return a silent WAV file for simulator recordings', async () => {
+      const audio = await simulator.fetchRecording('simulator://recordings/RE1.wav');
+
+      expect(audio.toString('ascii', 0, 4)).toBe('RIFF');
+      expect(audio.toString('ascii', 8, 12)).toBe('WAVE');
+    });
+
+    it('should reject unknown recording URLs', async () => {
+      await expect(simulator.fetchRecording('https://example.com/a.wav')).rejects.toThrow('Unknown simulator recording');
+    });
+
+    it('should validate requests it signed itself', () => {
+      const params = { CallSid: 'CA1' };
+      const signature = twilio.getExpectedTwilioSignature(simulator.authToken, 'http://api/voice', params);
+
+      expect(simulator.validateRequest(signature, 'http://api/voice', params)).toBe(true);
+      expect(simulator.validateRequest('bogus', 'http://api/voice', params)).toBe(false);
+    });
+  });
+});
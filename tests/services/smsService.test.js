@@ -0,0 +1,207 @@
+// WORKING SMS SERVICE TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/twilioService', () => ({
+  sendSms: jest.fn(),
+  getCallerNumber: jest.fn(organization => (organization && organization.phone_number) || '+15005550006')
+}));
+jest.mock('../../src/services/organizationService', () => ({
+  getOrganization: jest.fn(),
+  getMerchantName: jest.fn(organization => (organization ? organization.name : null))
+}));
+jest.mock('../../src/database/models/CallLog', () => {
+  const CallLog = jest.fn(function (data) {
+    Object.assign(this, { _id: 'smslog1', menu_selections: [] }, data);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  CallLog.findOne = jest.fn();
+  return CallLog;
+});
+jest.mock('../../src/database/models/Customer', () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/database/models/Delivery', () => ({
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn()
+}));
+jest.mock('../../src/services/recordingPipelineService', () => ({
+  createProcessing: jest.fn(() => ({ status: 'pending' }))
+}));
+jest.mock('../../src/database/models/Recording', () => jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+
+const smsService = require('../../src/services/smsService');
+const twilioService = require('../../src/services/twilioService');
+const organizationService = require('../../src/services/organizationService');
+const CallLog = require('../../src/database/models/CallLog');
+const Customer = require('../../src/database/models/Customer');
+const Delivery = require('../../src/database/models/Delivery');
+const Recording = require('../../src/database/models/Recording');
+
+describe('SmsService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseReply', () => {
+    it('should recognise confirmation keywords', () => {
+      expect(smsService.parseReply('YES').option).toBe('confirmed');
+      expect(smsService.parseReply(' y ').option).toBe('confirmed');
+    });
+
+    it('should keep the text after a reschedule keyword', () => {
+      expect(smsService.parseReply('Reschedule: tomorrow after 5pm')).toEqual({
+        option: 'reschedule',
+        text: 'tomorrow after 5pm'
+      });
+    });
+
+    it('should recognise leave at door', () => {
+      expect(smsService.parseReply('leave at the door please')).toEqual({
+        option: 'safe_place',
+        text: 'please'
+      });
+    });
+
+    it('should recognise opt-out and opt-in keywords', () => {
+      expect(smsService.parseReply('STOP').option).toBe('opt_out');
+      expect(smsService.parseReply('unsubscribe').option).toBe('opt_out');
+      expect(smsService.parseReply('START').option).toBe('opt_in');
+    });
+
+    it('should only opt out when the keyword is the whole message', () => {
+      expect(smsService.parseReply(' Stop ').option).toBe('opt_out');
+      expect(smsService.parseReply('End of the street, blue door')).toEqual({
+        option: 'instructions',
+        text: 'End of the street, blue door'
+      });
+      expect(smsService.parseReply('Cancel tomorrow, come Friday').option).toBe('instructions');
+      expect(smsService.parseReply('Start ringing when outside').option).toBe('instructions');
+    });
+
+    it('should treat anything else as free-text instructions', () => {
+      expect(smsService.parseReply('Ring the side bell')).toEqual({
+        option: 'instructions',
+        text: 'Ring the side bell'
+      });
+    });
+
+    it('should not match keywords inside other words', () => {
+      expect(smsService.parseReply('Yesterday was fine').option).toBe('instructions');
+    });
+  });
+
+  describe('sendDeliveryPrompt', () => {
+    const delivery = {
+      _id: 'delivery1',
+      address: '1 Main St',
+      customer_id: { _id: 'customer1', name: 'Jo', phone: '+15555550100' }
+    };
+
+    it('should text the customer and log the message', async () => {
+      twilioService.sendSms.mockResolvedValue({ sid: 'SM123', status: 'queued' });
+
+      const message = await smsService.sendDeliveryPrompt(delivery);
+
+      expect(message.sid).toBe('SM123');
+      expect(twilioService.sendSms).toHaveBeenCalledWith('+15555550100', expect.stringContaining('Reply YES'), '+15005550006');
+      expect(CallLog).toHaveBeenCalledWith(expect.objectContaining({ call_sid: 'SM123', channel: 'sms' }));
+    });
+
+    it('should text from the organization\'s number under its name', async () => {
+      organizationService.getOrganization.mockResolvedValue({ _id: 'org1', name: 'Acme', phone_number: '+15005550001' });
+      twilioService.sendSms.mockResolvedValue({ sid: 'SM124', status: 'queued' });
+
+      await smsService.sendDeliveryPrompt({ ...delivery, organization_id: 'org1' });
+
+      expect(organizationService.getOrganization).toHaveBeenCalledWith('org1');
+      expect(twilioService.sendSms).toHaveBeenCalledWith(
+        '+15555550100',
+        expect.stringContaining('your Acme delivery to 1 Main St'),
+        '+15005550001'
+      );
+    });
+
+    it('should not text customers who opted out', async () => {
+      const message = await smsService.sendDeliveryPrompt({
+        ...delivery,
+        customer_id: { ...delivery.customer_id, sms_opt_out: true }
+      });
+
+      expect(message).toBeNull();
+      expect(twilioService.sendSms).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleInboundMessage', () => {
+    const openDelivery = { _id: 'delivery1', agent_id: { _id: 'agent1' } };
+
+    beforeEach(() => {
+      Customer.findOne.mockResolvedValue({ _id: 'customer1' });
+      Delivery.findOne.mockReturnValue({
+        sort: () => ({ populate: jest.fn().mockResolvedValue(openDelivery) })
+      });
+      CallLog.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+    });
+
+    it('should confirm the delivery without creating a recording', async () => {
+      const result = await smsService.handleInboundMessage({ From: '+15555550100', Body: 'YES', MessageSid: 'SM1' });
+
+      expect(result.reply).toBe('Thanks! Your delivery is confirmed.');
+      expect(Delivery.findByIdAndUpdate).toHaveBeenCalledWith('delivery1', expect.objectContaining({
+        customer_response: 'confirmed',
+        customer_response_channel: 'sms'
+      }));
+      expect(Recording).not.toHaveBeenCalled();
+    });
+
+    it('should pass on instructions that follow a confirmation', async () => {
+      const result = await smsService.handleInboundMessage({ From: '+15555550100', Body: 'YES, leave it with the neighbour', MessageSid: 'SM1' });
+
+      expect(result.option).toBe('confirmed');
+      expect(result.reply).toBe('Thanks! Your delivery is confirmed.');
+      expect(result.recording).toEqual(expect.objectContaining({
+        instructions: 'leave it with the neighbour',
+        purpose: 'instructions',
+        channel: 'sms'
+      }));
+    });
+
+    it('should store free text as instructions for the agent', async () => {
+      const result = await smsService.handleInboundMessage({ From: '+15555550100', Body: 'Gate code 1234', MessageSid: 'SM2' });
+
+      expect(result.recording).toEqual(expect.objectContaining({
+        instructions: 'Gate code 1234',
+        purpose: 'instructions',
+        channel: 'sms',
+        processing: { status: 'pending' }
+      }));
+      expect(result.delivery).toBe(openDelivery);
+    });
+
+    it('should record an opt-out without replying', async () => {
+      const result = await smsService.handleInboundMessage({ From: '+15555550100', Body: 'STOP', MessageSid: 'SM3' });
+
+      expect(result.reply).toBeNull();
+      expect(Customer.findByIdAndUpdate).toHaveBeenCalledWith('customer1', { sms_opt_out: true });
+      expect(Delivery.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should keep instructions that start with an opt-out word', async () => {
+      const result = await smsService.handleInboundMessage({ From: '+15555550100', Body: 'End of the street, blue door', MessageSid: 'SM5' });
+
+      expect(Customer.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(result.recording).toEqual(expect.objectContaining({ instructions: 'End of the street, blue door' }));
+    });
+
+    it('should reply politely to unknown numbers', async () => {
+      Customer.findOne.mockResolvedValue(null);
+
+      const result = await smsService.handleInboundMessage({ From: '+15555550199', Body: 'YES', MessageSid: 'SM4' });
+
+      expect(result.reply).toContain('could not find a delivery');
+    });
+  });
+});
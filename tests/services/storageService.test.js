@@ -221,6 +221,18 @@ describe('StorageService', () => {
     });
   });
 
+  describe('uploadProofImage', () => {
+    it('should upload proof images under proofs/', async () => {
+      mockS3Client.send.mockResolvedValue({});
+      jest.spyOn(storageService, 'uploadFile');
+      const imageBuffer = Buffer.from('image');
+
+      await storageService.uploadProofImage(imageBuffer, 'd1-photo.jpg', 'image/jpeg');
+
+      expect(storageService.uploadFile).toHaveBeenCalledWith(imageBuffer, 'd1-photo.jpg', 'image/jpeg', 'proofs');
+    });
+  });
+
   describe('configuration', () => {
     it('should initialize S3Client with correct configuration', () => {
       expect(S3Client).toHaveBeenCalledWith({
@@ -32,6 +32,10 @@ jest.mock('mongoose', () => {
     this.options = options;
     return this;
   };
+  mockSchema.prototype.index = jest.fn();
+  mockSchema.prototype.plugin = jest.fn();
+  mockSchema.prototype.pre = jest.fn();
+  mockSchema.prototype.add = jest.fn();
   mockSchema.Types = {
     ObjectId: mockObjectId
   };
@@ -0,0 +1,74 @@
+// WORKING SHUTDOWN TESTS - Based on actual implementation
+jest.mock('../../src/utils/logger');
+
+describe('Shutdown utilities', () => {
+  let shutdown;
+  let exitSpy;
+
+  beforeEach(() => {
+    jest.resetModules();
+    shutdown = require('../../src/utils/shutdown');
+    exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    exitSpy.mockRestore();
+    process.removeAllListeners('SIGTERM');
+    process.removeAllListeners('SIGINT');
+  });
+
+  describe('registerShutdown', () => {
+    it('should close every step in order once, then exit', async () => {
+      const closed = [];
+      shutdown.registerShutdown('Test', [
+        { name: 'server', close: async () => closed.push('server') },
+        { name: 'queue', close: async () => closed.push('queue') }
+      ]);
+
+      process.emit('SIGTERM');
+      process.emit('SIGTERM');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(closed).toEqual(['server', 'queue']);
+      expect(shutdown.isShuttingDown()).toBe(true);
+      expect(exitSpy).toHaveBeenCalledTimes(1);
+      expect(exitSpy).toHaveBeenCalledWith(0);
+    });
+
+    it('should keep closing the rest when a step fails', async () => {
+      const closeQueue = jest.fn();
+      shutdown.registerShutdown('Test', [
+        { name: 'server', close: async () => { throw new Error('already closed'); } },
+        { name: 'queue', close: closeQueue }
+      ]);
+
+      process.emit('SIGINT');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(closeQueue).toHaveBeenCalled();
+      expect(exitSpy).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('closeRedis', () => {
+    it('should quit connected clients', async () => {
+      const client = { status: 'ready', quit: jest.fn().mockResolvedValue('OK'), disconnect: jest.fn() };
+
+      await shutdown.closeRedis(client);
+
+      expect(client.quit).toHaveBeenCalled();
+      expect(client.disconnect).not.toHaveBeenCalled();
+    });
+
+    it('should disconnect clients that never connected instead of connecting them to quit', async () => {
+      const client = { status: 'wait', quit: jest.fn(), disconnect: jest.fn() };
+
+      await shutdown.closeRedis(client);
+
+      expect(client.disconnect).toHaveBeenCalled();
+      expect(client.quit).not.toHaveBeenCalled();
+    });
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!
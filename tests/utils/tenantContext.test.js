@@ -0,0 +1,89 @@
+// WORKING TENANT CONTEXT TESTS - Based on actual implementation
+const tenantContext = require('../../src/utils/tenantContext');
+const tenantScope = require('../../src/database/plugins/tenantScope');
+
+// Collects the hooks the plugin registers
+function scopedSchema() {
+  const hooks = {};
+  const schema = {
+    add: jest.fn(),
+    pre: jest.fn((operations, fn) => {
+      [].concat(operations).forEach(operation => { hooks[operation] = fn; });
+    })
+  };
+  tenantScope(schema);
+  return { schema, hooks };
+}
+
+describe('tenantContext', () => {
+  it('should carry the organization across awaits', async () => {
+    const seen = await tenantContext.run('org1', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return tenantContext.getOrganizationId();
+    });
+
+    expect(seen).toBe('org1');
+    expect(tenantContext.getOrganizationId()).toBeNull();
+  });
+
+  it('should only scope raw pipelines inside an organization', () => {
+    const pipeline = [{ $group: { _id: '$status' } }];
+
+    expect(tenantContext.scopePipeline(pipeline)).toBe(pipeline);
+
+    const scoped = tenantContext.run('org1', () => tenantContext.scopePipeline(pipeline));
+    expect(scoped).toHaveLength(2);
+    expect(scoped[0].$match).toHaveProperty('organization_id');
+  });
+});
+
+describe('tenantScope plugin', () => {
+  it('should add an indexed organization_id', () => {
+    const { schema } = scopedSchema();
+
+    expect(schema.add).toHaveBeenCalledWith({
+      organization_id: expect.objectContaining({ ref: 'Organization', index: true })
+    });
+  });
+
+  it('should filter queries to the current organization', () => {
+    const { hooks } = scopedSchema();
+    const query = { where: jest.fn() };
+
+    tenantContext.run('org1', () => hooks.find.call(query));
+    hooks.updateMany.call(query);
+
+    expect(query.where).toHaveBeenCalledTimes(1);
+    expect(query.where).toHaveBeenCalledWith({ organization_id: 'org1' });
+    expect(hooks).toHaveProperty('findOneAndUpdate');
+    expect(hooks).toHaveProperty('countDocuments');
+  });
+
+  it('should keep $geoNear first when scoping an aggregation', () => {
+    const { hooks } = scopedSchema();
+    const pipeline = [{ $geoNear: { near: { type: 'Point', coordinates: [0, 0] }, query: { status: 'scheduled' } } }];
+    const aggregate = { pipeline: () => pipeline };
+
+    tenantContext.run('org1', () => hooks.aggregate.call(aggregate));
+
+    expect(pipeline).toHaveLength(1);
+    expect(pipeline[0].$geoNear.query).toHaveProperty('status', 'scheduled');
+    expect(pipeline[0].$geoNear.query).toHaveProperty('organization_id');
+  });
+
+  it('should stamp new documents with the organization', () => {
+    const { hooks } = scopedSchema();
+    const created = { isNew: true };
+    const existing = { isNew: false };
+
+    tenantContext.run('org1', () => {
+      hooks.save.call(created);
+      hooks.save.call(existing);
+    });
+
+    expect(created.organization_id).toBe('org1');
+    expect(existing.organization_id).toBeUndefined();
+  });
+});
+
+// WORKING TESTS END HERE - Based on ACTUAL implementation, not assumptions!